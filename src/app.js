@@ -5,9 +5,15 @@ import helmet from "helmet";
 import cookieParser from "cookie-parser";
 import http from "http"; // Import http module
 import { Server as SocketIOServer } from "socket.io"; // Import Socket.IO Server
-import { initSocketHandlers } from "./socket/index.js"; // Your main socket handler initializer
+import initSocketHandlers from "./socket/index.js"; // Your main socket handler initializer
 import { NODE_ENV, ALLOWED_ORIGINS } from "./config/index.js";
+import { createSocketAdapter } from "./store/index.js";
+import authRouter from './routes/auth.js';
 import profileRouter from './routes/profile.js';
+import dailyChallengeRouter from './routes/dailyChallenge.js';
+import roomsRouter from './routes/rooms.js';
+import leaderboardsRouter from './routes/leaderboards.js';
+import friendsRouter from './routes/friends.js';
 
 const app = express();
 const httpServer = http.createServer(app); // Create HTTP server from Express app
@@ -65,9 +71,15 @@ const io = new SocketIOServer(httpServer, {
   },
 });
 
+// Relay broadcasts between server instances when a shared store is configured
+const socketAdapter = await createSocketAdapter();
+if (socketAdapter) io.adapter(socketAdapter);
+
 // Initialize your custom socket event handlers and middleware
 // This function should handle all socket related setup including auth, room and game handlers.
 initSocketHandlers(io);
+// Routes reach connected users (e.g. friend requests) through the same server
+app.set("io", io);
 
 console.log(NODE_ENV);
 console.log(ALLOWED_ORIGINS);
@@ -83,7 +95,12 @@ app.get("/api/health", (req, res) => {
     });
 });
 
+app.use('/api/auth', authRouter);
 app.use('/api/profile', profileRouter);
+app.use('/api/daily-challenge', dailyChallengeRouter);
+app.use('/api/rooms', roomsRouter);
+app.use('/api/leaderboards', leaderboardsRouter);
+app.use('/api/friends', friendsRouter);
 
 // Placeholder for other API routes
 // import mainApiRouter from './routes/index.js'; // Example if you have an API router
@@ -3,26 +3,35 @@ import admin from 'firebase-admin';
 import fs from 'fs';
 import { FIREBASE_SERVICE_ACCOUNT } from './index.js';
 
-let serviceAccount;
+let initialized = false;
 
-if (process.env.NODE_ENV === 'production') {
-  // Production: Use env variable (for Railway/hosted)
-  if (!process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
-    throw new Error('FIREBASE_SERVICE_ACCOUNT_JSON env variable is required in production.');
+function loadServiceAccount() {
+  if (process.env.NODE_ENV === 'production') {
+    // Production: Use env variable (for Railway/hosted)
+    if (!process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+      throw new Error('FIREBASE_SERVICE_ACCOUNT_JSON env variable is required in production.');
+    }
+    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
   }
-  serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
-} else {
   // Development: Use file path
   if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
     throw new Error('FIREBASE_SERVICE_ACCOUNT env variable is required in development.');
   }
-  serviceAccount = JSON.parse(fs.readFileSync(process.env.FIREBASE_SERVICE_ACCOUNT, 'utf8'));
+  return JSON.parse(fs.readFileSync(process.env.FIREBASE_SERVICE_ACCOUNT, 'utf8'));
 }
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
-
-console.log('✅ Firebase Admin SDK initialized with service account.');
-
-export default admin;
\ No newline at end of file
+/**
+ * Returns the Firebase Admin SDK, initializing it on first use so that
+ * setups not using Firestore or Firebase Auth never need a service account.
+ * @returns {import('firebase-admin')}
+ */
+export function getFirebaseAdmin() {
+  if (!initialized) {
+    admin.initializeApp({
+      credential: admin.credential.cert(loadServiceAccount())
+    });
+    initialized = true;
+    console.log('✅ Firebase Admin SDK initialized with service account.');
+  }
+  return admin;
+}
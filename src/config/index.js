@@ -11,4 +11,32 @@ export const ALLOWED_ORIGINS = [
   'http://127.0.0.1:5173',
 ]; // Add other development origins
 export const NODE_ENV = process.env.NODE_ENV;
+// Shared state for running several instances; in-memory when unset
+export const REDIS_URL = process.env.REDIS_URL;
+export const INSTANCE_ID = process.env.INSTANCE_ID;
+// A user's concurrent sockets: 'allow_all' (default), 'newest_wins' or 'reject_duplicates'
+export const SESSION_POLICY = process.env.SESSION_POLICY || 'allow_all';
+// How long a dropped player's seat and turn are held for them (0 disables)
+const DEFAULT_RECONNECT_GRACE_SECONDS = 30;
+const reconnectGraceSeconds = Number(
+  process.env.RECONNECT_GRACE_SECONDS || DEFAULT_RECONNECT_GRACE_SECONDS
+);
+const isValidReconnectGrace =
+  Number.isFinite(reconnectGraceSeconds) && reconnectGraceSeconds >= 0;
+if (!isValidReconnectGrace) {
+  console.warn(
+    `Invalid RECONNECT_GRACE_SECONDS "${process.env.RECONNECT_GRACE_SECONDS}", using ${DEFAULT_RECONNECT_GRACE_SECONDS}.`
+  );
+}
+export const RECONNECT_GRACE_SECONDS = isValidReconnectGrace
+  ? reconnectGraceSeconds
+  : DEFAULT_RECONNECT_GRACE_SECONDS;
+// Queued quick-match players needed to open a new public room
+export const QUICK_MATCH_MIN_PLAYERS = process.env.QUICK_MATCH_MIN_PLAYERS || 2;
+// 'firestore' (default) or 'memory' to run without Google credentials
+export const DB_BACKEND = process.env.DB_BACKEND || 'firestore';
+// 'firebase' (default) or 'dev' to accept unsigned dev tokens (never in production)
+export const AUTH_BACKEND = process.env.AUTH_BACKEND || 'firebase';
+// HMAC secret for signing guest session tokens
+export const GUEST_TOKEN_SECRET = process.env.GUEST_TOKEN_SECRET;
 // Add other environment variables as needed
\ No newline at end of file
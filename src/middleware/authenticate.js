@@ -0,0 +1,30 @@
+// server/src/middleware/authenticate.js
+import { GUEST_RESTRICTED_MESSAGE, verifyAuthToken } from '../services/authService.js';
+
+// Middleware to verify Firebase token
+export async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.split('Bearer ')[1]
+    : null;
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  try {
+    const decoded = await verifyAuthToken(token);
+    req.user = decoded;
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid token' });
+  }
+}
+
+// Middleware to keep guests out of features reserved for full accounts
+// (must run after authenticate)
+export function requireFullAccount(req, res, next) {
+  if (req.user?.guest) {
+    return res.status(403).json({
+      error: GUEST_RESTRICTED_MESSAGE,
+      code: 'GUEST_RESTRICTED',
+    });
+  }
+  next();
+}
@@ -0,0 +1,53 @@
+// server/src/models/answerModel.js
+import { db, ROOMS_COLLECTION, ANSWERS_COLLECTION } from "./dbConfig.js";
+
+function getAnswersCollection(roomId) {
+  return db
+    .collection(ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(ANSWERS_COLLECTION);
+}
+
+/**
+ * Appends a record to a room's answer log.
+ * @param {string} roomId - The ID of the room.
+ * @param {object} record - The answer record; must carry `gameId` and `answeredAt`.
+ * @returns {Promise<void>}
+ */
+export async function addAnswerRecord(roomId, record) {
+  if (!roomId || !record?.gameId)
+    throw new Error("Room ID and game ID are required for addAnswerRecord.");
+  return getAnswersCollection(roomId).doc().set(record);
+}
+
+/**
+ * Gets the latest answers of a game, oldest first.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} gameId - The ID of the game within the room.
+ * @param {number} limit - Maximum number of records to return.
+ * @returns {Promise<Array<object>>} Answer records.
+ */
+export async function getRecentAnswers(roomId, gameId, limit) {
+  if (!roomId || !gameId) return [];
+  const answersSnap = await getAnswersCollection(roomId)
+    .where("gameId", "==", gameId)
+    .orderBy("answeredAt", "desc")
+    .limit(limit)
+    .get();
+  return answersSnap.docs.map((doc) => doc.data()).reverse();
+}
+
+/**
+ * Gets every answer of a game, in the order they were given.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} gameId - The ID of the game within the room.
+ * @returns {Promise<Array<object>>} Answer records.
+ */
+export async function getGameAnswers(roomId, gameId) {
+  if (!roomId || !gameId) return [];
+  const answersSnap = await getAnswersCollection(roomId)
+    .where("gameId", "==", gameId)
+    .orderBy("answeredAt", "asc")
+    .get();
+  return answersSnap.docs.map((doc) => doc.data());
+}
@@ -0,0 +1,97 @@
+// server/src/models/dailyChallengeModel.js
+import {
+  db,
+  DAILY_CHALLENGES_COLLECTION,
+  DAILY_ATTEMPTS_COLLECTION,
+} from "./dbConfig.js";
+
+/**
+ * Gets the document reference for a day's challenge, for use in transactions.
+ * @param {string} dateKey - UTC date in YYYY-MM-DD form.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getDailyChallengeRef(dateKey) {
+  if (!dateKey)
+    throw new Error("Date key is required for getDailyChallengeRef.");
+  return db.collection(DAILY_CHALLENGES_COLLECTION).doc(dateKey);
+}
+
+/**
+ * Gets a day's challenge, including its answer-bearing questions.
+ * @param {string} dateKey - UTC date in YYYY-MM-DD form.
+ * @returns {Promise<object|null>} The challenge data or null if not generated yet.
+ */
+export async function getDailyChallenge(dateKey) {
+  const challengeDoc = await getDailyChallengeRef(dateKey).get();
+  return challengeDoc.exists ? challengeDoc.data() : null;
+}
+
+/**
+ * Gets the document reference for a user's attempt at a day's challenge.
+ * @param {string} dateKey - UTC date in YYYY-MM-DD form.
+ * @param {string} uid - The UID of the user.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getDailyAttemptRef(dateKey, uid) {
+  if (!dateKey || !uid)
+    throw new Error("Date key and UID are required for getDailyAttemptRef.");
+  return getDailyChallengeRef(dateKey)
+    .collection(DAILY_ATTEMPTS_COLLECTION)
+    .doc(uid);
+}
+
+/**
+ * Gets a user's attempt at a day's challenge.
+ * @param {string} dateKey - UTC date in YYYY-MM-DD form.
+ * @param {string} uid - The UID of the user.
+ * @returns {Promise<object|null>} The attempt data or null if the user has not started.
+ */
+export async function getDailyAttempt(dateKey, uid) {
+  const attemptDoc = await getDailyAttemptRef(dateKey, uid).get();
+  return attemptDoc.exists ? attemptDoc.data() : null;
+}
+
+/**
+ * Gets the completed attempts for a day, best first.
+ * Ranked by score, then by total answering time.
+ * @param {string} dateKey - UTC date in YYYY-MM-DD form.
+ * @param {number} limit - Maximum number of attempts to return.
+ * @returns {Promise<Array<object>>} Attempt data objects.
+ */
+export async function getDailyLeaderboard(dateKey, limit) {
+  const attemptsSnap = await getDailyChallengeRef(dateKey)
+    .collection(DAILY_ATTEMPTS_COLLECTION)
+    .where("status", "==", "completed")
+    .orderBy("score", "desc")
+    .orderBy("totalTimeMs", "asc")
+    .limit(limit)
+    .get();
+  return attemptsSnap.docs.map((doc) => doc.data());
+}
+
+/**
+ * Counts completed attempts for a day that rank ahead of the given result.
+ * @param {string} dateKey - UTC date in YYYY-MM-DD form.
+ * @param {number} score - Score of the attempt being ranked.
+ * @param {number} totalTimeMs - Total answering time of the attempt being ranked.
+ * @returns {Promise<number>}
+ */
+export async function countDailyAttemptsAhead(dateKey, score, totalTimeMs) {
+  const attempts = getDailyChallengeRef(dateKey).collection(
+    DAILY_ATTEMPTS_COLLECTION
+  );
+  const [higherScores, fasterEqualScores] = await Promise.all([
+    attempts
+      .where("status", "==", "completed")
+      .where("score", ">", score)
+      .count()
+      .get(),
+    attempts
+      .where("status", "==", "completed")
+      .where("score", "==", score)
+      .where("totalTimeMs", "<", totalTimeMs)
+      .count()
+      .get(),
+  ]);
+  return higherScores.data().count + fasterEqualScores.data().count;
+}
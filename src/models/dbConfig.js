@@ -1,12 +1,40 @@
 // server/src/models/dbConfig.js
-import admin from "../config/firebaseAdmin.js"; // Ensure this path is correct
+import { DB_BACKEND } from "../config/index.js";
+import { getFirebaseAdmin } from "../config/firebaseAdmin.js";
+import { createMemoryDb } from "./memoryDb.js";
 
-const db = admin.firestore();
-const FieldValue = admin.firestore.FieldValue;
+// The models (and the services' transactions) talk to `db` through the
+// Firestore API, which is the storage boundary: there is no separate repository
+// layer. DB_BACKEND=memory swaps in an in-process implementation of that API
+// (see memoryDb.js), so the server runs without Google credentials.
+let db;
+let FieldValue;
+
+if (DB_BACKEND === "memory") {
+  ({ db, FieldValue } = createMemoryDb());
+  console.log("Database: in-memory (data is lost on restart).");
+} else if (DB_BACKEND === "firestore") {
+  const admin = getFirebaseAdmin();
+  db = admin.firestore();
+  FieldValue = admin.firestore.FieldValue;
+} else {
+  throw new Error(
+    `Unknown DB_BACKEND "${DB_BACKEND}" (expected firestore or memory).`
+  );
+}
 
 const ROOMS_COLLECTION = "rooms";
 const PLAYERS_COLLECTION = "players";
 const QUESTIONS_COLLECTION = "questions";
+const QUESTION_BANK_COLLECTION = "questionBank";
+const DAILY_CHALLENGES_COLLECTION = "dailyChallenges";
+const DAILY_ATTEMPTS_COLLECTION = "attempts";
+const USERS_COLLECTION = "users";
+const FRIENDS_COLLECTION = "friends";
+const ANSWERS_COLLECTION = "answers";
+const GAME_RESULTS_COLLECTION = "gameResults";
+const LEADERBOARDS_COLLECTION = "leaderboards";
+const LEADERBOARD_ENTRIES_COLLECTION = "entries";
 
 export {
   db,
@@ -14,4 +42,13 @@ export {
   ROOMS_COLLECTION,
   PLAYERS_COLLECTION,
   QUESTIONS_COLLECTION,
+  QUESTION_BANK_COLLECTION,
+  DAILY_CHALLENGES_COLLECTION,
+  DAILY_ATTEMPTS_COLLECTION,
+  USERS_COLLECTION,
+  FRIENDS_COLLECTION,
+  ANSWERS_COLLECTION,
+  GAME_RESULTS_COLLECTION,
+  LEADERBOARDS_COLLECTION,
+  LEADERBOARD_ENTRIES_COLLECTION,
 };
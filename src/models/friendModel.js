@@ -0,0 +1,56 @@
+// server/src/models/friendModel.js
+import { FRIENDS_COLLECTION } from "./dbConfig.js";
+import { getUserRef } from "./userModel.js";
+
+// Each side of a friendship (or pending request) has its own document under
+// its user: users/{uid}/friends/{friendUid}, with a status from that user's
+// point of view.
+
+/**
+ * Gets the document reference for a user's friendship with another user, for
+ * use in transactions.
+ * @param {string} uid - The UID of the user.
+ * @param {string} friendUid - The UID of the other user.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getFriendRef(uid, friendUid) {
+  if (!friendUid) throw new Error("Friend UID is required for getFriendRef.");
+  return getUserRef(uid).collection(FRIENDS_COLLECTION).doc(friendUid);
+}
+
+/**
+ * Gets a user's friendship with another user.
+ * @param {string} uid - The UID of the user.
+ * @param {string} friendUid - The UID of the other user.
+ * @returns {Promise<object|null>} The friendship data or null if there is none.
+ */
+export async function getFriend(uid, friendUid) {
+  const friendDoc = await getFriendRef(uid, friendUid).get();
+  return friendDoc.exists ? friendDoc.data() : null;
+}
+
+/**
+ * Gets a user's friendships and pending requests, optionally of one status.
+ * @param {string} uid - The UID of the user.
+ * @param {string} [status] - Only friendships with this status.
+ * @returns {Promise<Array<object>>} Friendship data objects.
+ */
+export async function getFriends(uid, status) {
+  let query = getUserRef(uid).collection(FRIENDS_COLLECTION);
+  if (status) query = query.where("status", "==", status);
+  const friendsSnap = await query.get();
+  return friendsSnap.docs.map((doc) => doc.data());
+}
+
+/**
+ * Counts a user's friendships and pending requests.
+ * @param {string} uid - The UID of the user.
+ * @returns {Promise<number>}
+ */
+export async function countFriends(uid) {
+  const countSnap = await getUserRef(uid)
+    .collection(FRIENDS_COLLECTION)
+    .count()
+    .get();
+  return countSnap.data().count;
+}
@@ -0,0 +1,13 @@
+// server/src/models/gameResultModel.js
+import { db, GAME_RESULTS_COLLECTION } from "./dbConfig.js";
+
+/**
+ * Gets the document reference for the recorded result of a game, for use in
+ * transactions. Results are keyed by game ID, so a game is recorded once.
+ * @param {string} gameId - The ID of the game.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getGameResultRef(gameId) {
+  if (!gameId) throw new Error("Game ID is required for getGameResultRef.");
+  return db.collection(GAME_RESULTS_COLLECTION).doc(gameId);
+}
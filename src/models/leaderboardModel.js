@@ -0,0 +1,141 @@
+// server/src/models/leaderboardModel.js
+import {
+  db,
+  LEADERBOARDS_COLLECTION,
+  LEADERBOARD_ENTRIES_COLLECTION,
+} from "./dbConfig.js";
+
+const DELETE_BATCH_SIZE = 400; // Below Firestore's 500 writes per batch
+const IN_QUERY_MAX_VALUES = 30; // Firestore's limit for an "in" filter
+
+/**
+ * Gets the document reference for a leaderboard (one mode, window and
+ * period), for use in transactions.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getLeaderboardRef(boardId) {
+  if (!boardId)
+    throw new Error("Leaderboard ID is required for getLeaderboardRef.");
+  return db.collection(LEADERBOARDS_COLLECTION).doc(boardId);
+}
+
+/**
+ * Gets the document reference for a user's entry on a leaderboard.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @param {string} uid - The UID of the user.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getLeaderboardEntryRef(boardId, uid) {
+  if (!uid) throw new Error("UID is required for getLeaderboardEntryRef.");
+  return getLeaderboardRef(boardId)
+    .collection(LEADERBOARD_ENTRIES_COLLECTION)
+    .doc(uid);
+}
+
+/**
+ * Gets a user's entry on a leaderboard.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @param {string} uid - The UID of the user.
+ * @returns {Promise<object|null>} The entry data or null if the user is not on it.
+ */
+export async function getLeaderboardEntry(boardId, uid) {
+  const entryDoc = await getLeaderboardEntryRef(boardId, uid).get();
+  return entryDoc.exists ? entryDoc.data() : null;
+}
+
+/**
+ * Gets a page of a leaderboard's entries, best first.
+ * Ranked by score, then by wins.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @param {number} offset - Number of entries to skip.
+ * @param {number} limit - Maximum number of entries to return.
+ * @returns {Promise<Array<object>>} Entry data objects.
+ */
+export async function getLeaderboardPage(boardId, offset, limit) {
+  const entriesSnap = await getLeaderboardRef(boardId)
+    .collection(LEADERBOARD_ENTRIES_COLLECTION)
+    .orderBy("score", "desc")
+    .orderBy("wins", "desc")
+    .offset(offset)
+    .limit(limit)
+    .get();
+  return entriesSnap.docs.map((doc) => doc.data());
+}
+
+/**
+ * Gets the entries of the given users on a leaderboard, in no particular order.
+ * Users who are not on it are left out.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @param {Array<string>} uids - The UIDs of the users.
+ * @returns {Promise<Array<object>>} Entry data objects.
+ */
+export async function getLeaderboardEntriesForUids(boardId, uids) {
+  const entries = getLeaderboardRef(boardId).collection(
+    LEADERBOARD_ENTRIES_COLLECTION
+  );
+  const chunks = [];
+  for (let i = 0; i < uids.length; i += IN_QUERY_MAX_VALUES) {
+    chunks.push(uids.slice(i, i + IN_QUERY_MAX_VALUES));
+  }
+  const snaps = await Promise.all(
+    chunks.map((chunk) => entries.where("uid", "in", chunk).get())
+  );
+  return snaps.flatMap((snap) => snap.docs.map((doc) => doc.data()));
+}
+
+/**
+ * Counts a leaderboard's entries that rank ahead of the given result.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @param {number} score - Score of the entry being ranked.
+ * @param {number} wins - Wins of the entry being ranked.
+ * @returns {Promise<number>}
+ */
+export async function countLeaderboardEntriesAhead(boardId, score, wins) {
+  const entries = getLeaderboardRef(boardId).collection(
+    LEADERBOARD_ENTRIES_COLLECTION
+  );
+  const [higherScores, moreWinsEqualScores] = await Promise.all([
+    entries.where("score", ">", score).count().get(),
+    entries.where("score", "==", score).where("wins", ">", wins).count().get(),
+  ]);
+  return higherScores.data().count + moreWinsEqualScores.data().count;
+}
+
+/**
+ * Gets the IDs of a window's leaderboards from periods before the given one.
+ * @param {string} window - The leaderboard window (e.g. "daily").
+ * @param {string} periodKey - The earliest period to leave out.
+ * @returns {Promise<Array<string>>}
+ */
+export async function getLeaderboardIdsBefore(window, periodKey) {
+  const boardsSnap = await db
+    .collection(LEADERBOARDS_COLLECTION)
+    .where("window", "==", window)
+    .where("periodKey", "<", periodKey)
+    .get();
+  return boardsSnap.docs.map((doc) => doc.id);
+}
+
+/**
+ * Deletes a leaderboard and all of its entries.
+ * @param {string} boardId - The ID of the leaderboard.
+ * @returns {Promise<number>} Number of entries deleted.
+ */
+export async function deleteLeaderboard(boardId) {
+  const boardRef = getLeaderboardRef(boardId);
+  let deleted = 0;
+  for (;;) {
+    const entriesSnap = await boardRef
+      .collection(LEADERBOARD_ENTRIES_COLLECTION)
+      .limit(DELETE_BATCH_SIZE)
+      .get();
+    if (entriesSnap.empty) break;
+    const batch = db.batch();
+    entriesSnap.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += entriesSnap.size;
+  }
+  await boardRef.delete();
+  return deleted;
+}
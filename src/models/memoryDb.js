@@ -0,0 +1,513 @@
+// server/src/models/memoryDb.js
+import { randomUUID } from "crypto";
+
+// In-process stand-in for the subset of the Firestore Admin API used by the
+// models and services: documents and subcollections, simple queries, batches,
+// transactions and FieldValue sentinels. Nothing is persisted; it exists so the
+// server can run locally and in automated tests without Google credentials.
+//
+// The backend is swapped at the Firestore API rather than behind per-entity
+// repositories: the services' transactions read and write document references
+// directly, so everything from the models down runs unchanged on either
+// backend. Anything new the models or services use must be added here too
+// (see test/memoryDb.test.js).
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+class FieldValueSentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const DOCUMENT_ID_FIELD = Symbol("documentId");
+
+export const MemoryFieldValue = {
+  serverTimestamp: () => new FieldValueSentinel("serverTimestamp"),
+  increment: (n) => new FieldValueSentinel("increment", n),
+  arrayUnion: (...elements) => new FieldValueSentinel("arrayUnion", elements),
+  arrayRemove: (...elements) => new FieldValueSentinel("arrayRemove", elements),
+  delete: () => new FieldValueSentinel("delete"),
+  documentId: () => DOCUMENT_ID_FIELD,
+};
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof FieldValueSentinel)
+  );
+}
+
+function isSameValue(a, b) {
+  if (a instanceof Date && b instanceof Date)
+    return a.getTime() === b.getTime();
+  if (isPlainObject(a) || Array.isArray(a)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function resolveFieldValue(current, value) {
+  if (value instanceof FieldValueSentinel) {
+    switch (value.kind) {
+      case "serverTimestamp":
+        return new Date();
+      case "increment":
+        return (typeof current === "number" ? current : 0) + value.operand;
+      case "arrayUnion": {
+        const result = Array.isArray(current) ? [...current] : [];
+        for (const element of value.operand) {
+          if (!result.some((e) => isSameValue(e, element)))
+            result.push(element);
+        }
+        return result;
+      }
+      case "arrayRemove":
+        return Array.isArray(current)
+          ? current.filter(
+              (e) => !value.operand.some((element) => isSameValue(e, element))
+            )
+          : [];
+      default:
+        throw new Error(`Unsupported FieldValue: ${value.kind}`);
+    }
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) {
+      if (nested instanceof FieldValueSentinel && nested.kind === "delete") {
+        continue;
+      }
+      result[key] = resolveFieldValue(undefined, nested);
+    }
+    return result;
+  }
+  return structuredClone(value);
+}
+
+function mergeInto(target, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value instanceof FieldValueSentinel && value.kind === "delete") {
+      delete target[key];
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = resolveFieldValue(target[key], value);
+    }
+  }
+}
+
+function getField(data, fieldPath) {
+  if (fieldPath === DOCUMENT_ID_FIELD) return undefined;
+  return fieldPath
+    .split(".")
+    .reduce(
+      (value, segment) => (isPlainObject(value) ? value[segment] : undefined),
+      data
+    );
+}
+
+function setField(data, fieldPath, value) {
+  const segments = fieldPath.split(".");
+  const last = segments.pop();
+  let parent = data;
+  for (const segment of segments) {
+    if (!isPlainObject(parent[segment])) parent[segment] = {};
+    parent = parent[segment];
+  }
+  if (value instanceof FieldValueSentinel && value.kind === "delete") {
+    delete parent[last];
+  } else {
+    parent[last] = resolveFieldValue(parent[last], value);
+  }
+}
+
+function compareValues(a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+function matchesFilter(docId, data, { fieldPath, op, value }) {
+  const fieldValue =
+    fieldPath === DOCUMENT_ID_FIELD ? docId : getField(data, fieldPath);
+  switch (op) {
+    case "==":
+      return isSameValue(fieldValue, value);
+    case "!=":
+      return fieldValue !== undefined && !isSameValue(fieldValue, value);
+    case "<":
+      return fieldValue !== undefined && compareValues(fieldValue, value) < 0;
+    case "<=":
+      return fieldValue !== undefined && compareValues(fieldValue, value) <= 0;
+    case ">":
+      return fieldValue !== undefined && compareValues(fieldValue, value) > 0;
+    case ">=":
+      return fieldValue !== undefined && compareValues(fieldValue, value) >= 0;
+    case "in":
+      return value.some((v) => isSameValue(fieldValue, v));
+    case "not-in":
+      return (
+        fieldValue !== undefined &&
+        !value.some((v) => isSameValue(fieldValue, v))
+      );
+    case "array-contains":
+      return (
+        Array.isArray(fieldValue) &&
+        fieldValue.some((e) => isSameValue(e, value))
+      );
+    case "array-contains-any":
+      return (
+        Array.isArray(fieldValue) &&
+        fieldValue.some((e) => value.some((v) => isSameValue(e, v)))
+      );
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * Creates an empty in-memory database.
+ * @returns {{ db: object, FieldValue: object }} A Firestore-compatible `db` and
+ *   its FieldValue helpers, the same shape dbConfig.js exports for Firestore.
+ */
+export function createMemoryDb() {
+  // Document path -> { data }.
+  const documents = new Map();
+  // Document path -> write count, kept across deletes. Lets transactions
+  // detect documents changed underneath them, as Firestore does.
+  const versions = new Map();
+
+  class DocumentSnapshot {
+    constructor(ref, stored) {
+      this.ref = ref;
+      this.id = ref.id;
+      this.exists = Boolean(stored);
+      this._data = stored ? stored.data : undefined;
+    }
+
+    data() {
+      return this._data === undefined ? undefined : structuredClone(this._data);
+    }
+
+    get(fieldPath) {
+      return getField(this._data, fieldPath);
+    }
+  }
+
+  function writeDocument(path, data) {
+    documents.set(path, { data });
+    versions.set(path, (versions.get(path) ?? 0) + 1);
+  }
+
+  function applySet(ref, data, options = {}) {
+    const existing = documents.get(ref.path)?.data;
+    let next;
+    if (options.merge && existing) {
+      next = structuredClone(existing);
+      mergeInto(next, data);
+    } else {
+      next = resolveFieldValue(undefined, data);
+    }
+    writeDocument(ref.path, next);
+  }
+
+  function applyUpdate(ref, data) {
+    const existing = documents.get(ref.path)?.data;
+    if (!existing) {
+      const error = new Error(
+        `5 NOT_FOUND: No document to update: ${ref.path}`
+      );
+      error.code = 5;
+      throw error;
+    }
+    const next = structuredClone(existing);
+    for (const [fieldPath, value] of Object.entries(data)) {
+      setField(next, fieldPath, value);
+    }
+    writeDocument(ref.path, next);
+  }
+
+  function applyDelete(ref) {
+    documents.delete(ref.path);
+    versions.set(ref.path, (versions.get(ref.path) ?? 0) + 1);
+  }
+
+  function applyWrite({ type, ref, data, options }) {
+    if (type === "set") applySet(ref, data, options);
+    else if (type === "update") applyUpdate(ref, data);
+    else applyDelete(ref);
+  }
+
+  class DocumentReference {
+    constructor(path) {
+      this.path = path;
+      this.id = path.split("/").pop();
+    }
+
+    get parent() {
+      return new CollectionReference(
+        this.path.slice(0, this.path.lastIndexOf("/"))
+      );
+    }
+
+    collection(collectionId) {
+      return new CollectionReference(`${this.path}/${collectionId}`);
+    }
+
+    async get() {
+      return new DocumentSnapshot(this, documents.get(this.path));
+    }
+
+    async set(data, options) {
+      applySet(this, data, options);
+    }
+
+    async update(data) {
+      applyUpdate(this, data);
+    }
+
+    async delete() {
+      applyDelete(this);
+    }
+  }
+
+  class Query {
+    constructor(
+      path,
+      filters = [],
+      orderings = [],
+      limitCount = null,
+      offsetCount = 0
+    ) {
+      this.path = path;
+      this._filters = filters;
+      this._orderings = orderings;
+      this._limit = limitCount;
+      this._offset = offsetCount;
+    }
+
+    where(fieldPath, op, value) {
+      return new Query(
+        this.path,
+        [...this._filters, { fieldPath, op, value }],
+        this._orderings,
+        this._limit,
+        this._offset
+      );
+    }
+
+    orderBy(fieldPath, direction = "asc") {
+      return new Query(
+        this.path,
+        this._filters,
+        [...this._orderings, { fieldPath, direction }],
+        this._limit,
+        this._offset
+      );
+    }
+
+    limit(limitCount) {
+      return new Query(
+        this.path,
+        this._filters,
+        this._orderings,
+        limitCount,
+        this._offset
+      );
+    }
+
+    offset(offsetCount) {
+      return new Query(
+        this.path,
+        this._filters,
+        this._orderings,
+        this._limit,
+        offsetCount
+      );
+    }
+
+    _run() {
+      const prefix = `${this.path}/`;
+      let matches = [];
+      for (const [path, stored] of documents) {
+        // Direct children only; deeper paths belong to subcollections
+        if (!path.startsWith(prefix) || path.includes("/", prefix.length)) {
+          continue;
+        }
+        const ref = new DocumentReference(path);
+        if (this._filters.every((f) => matchesFilter(ref.id, stored.data, f))) {
+          matches.push(new DocumentSnapshot(ref, stored));
+        }
+      }
+      // Like Firestore, ordering by a field leaves out documents without it
+      for (const { fieldPath } of this._orderings) {
+        if (fieldPath === DOCUMENT_ID_FIELD) continue;
+        matches = matches.filter((doc) => doc.get(fieldPath) !== undefined);
+      }
+      matches.sort((a, b) => {
+        for (const { fieldPath, direction } of this._orderings) {
+          const order =
+            fieldPath === DOCUMENT_ID_FIELD
+              ? compareValues(a.id, b.id)
+              : compareValues(a.get(fieldPath), b.get(fieldPath));
+          if (order !== 0) return direction === "desc" ? -order : order;
+        }
+        return compareValues(a.id, b.id);
+      });
+      matches = matches.slice(this._offset);
+      return this._limit === null ? matches : matches.slice(0, this._limit);
+    }
+
+    async get() {
+      const docs = this._run();
+      return {
+        docs,
+        empty: docs.length === 0,
+        size: docs.length,
+        forEach: (callback) => docs.forEach(callback),
+      };
+    }
+
+    count() {
+      return {
+        get: async () => {
+          const count = this._run().length;
+          return { data: () => ({ count }) };
+        },
+      };
+    }
+  }
+
+  class CollectionReference extends Query {
+    constructor(path) {
+      super(path);
+      this.id = path.split("/").pop();
+    }
+
+    doc(documentId = randomUUID().replace(/-/g, "").slice(0, 20)) {
+      return new DocumentReference(`${this.path}/${documentId}`);
+    }
+
+    async add(data) {
+      const ref = this.doc();
+      applySet(ref, data);
+      return ref;
+    }
+  }
+
+  class WriteBatch {
+    constructor() {
+      this._writes = [];
+    }
+
+    set(ref, data, options) {
+      this._writes.push({ type: "set", ref, data, options });
+      return this;
+    }
+
+    update(ref, data) {
+      this._writes.push({ type: "update", ref, data });
+      return this;
+    }
+
+    delete(ref) {
+      this._writes.push({ type: "delete", ref });
+      return this;
+    }
+
+    async commit() {
+      // All-or-nothing: restore the touched documents, and their versions so
+      // open transactions are not failed by writes that never happened
+      const touched = new Map(
+        this._writes.map(({ ref }) => [
+          ref.path,
+          { stored: documents.get(ref.path), version: versions.get(ref.path) },
+        ])
+      );
+      try {
+        this._writes.forEach(applyWrite);
+      } catch (error) {
+        for (const [path, { stored, version }] of touched) {
+          if (stored) documents.set(path, stored);
+          else documents.delete(path);
+          if (version === undefined) versions.delete(path);
+          else versions.set(path, version);
+        }
+        throw error;
+      }
+    }
+  }
+
+  class Transaction extends WriteBatch {
+    constructor() {
+      super();
+      this._readVersions = new Map();
+    }
+
+    async get(refOrQuery) {
+      if (refOrQuery instanceof DocumentReference) {
+        this._readVersions.set(
+          refOrQuery.path,
+          versions.get(refOrQuery.path) ?? 0
+        );
+        return refOrQuery.get();
+      }
+      const snapshot = await refOrQuery.get();
+      for (const doc of snapshot.docs) {
+        this._readVersions.set(doc.ref.path, versions.get(doc.ref.path) ?? 0);
+      }
+      return snapshot;
+    }
+
+    _isStale() {
+      for (const [path, version] of this._readVersions) {
+        if ((versions.get(path) ?? 0) !== version) return true;
+      }
+      return false;
+    }
+  }
+
+  const db = {
+    collection(collectionPath) {
+      return new CollectionReference(collectionPath);
+    },
+
+    doc(documentPath) {
+      return new DocumentReference(documentPath);
+    },
+
+    batch() {
+      return new WriteBatch();
+    },
+
+    /**
+     * Runs `updateFunction` optimistically and commits its writes only if no
+     * document it read changed meanwhile; otherwise retries, like Firestore.
+     */
+    async runTransaction(updateFunction) {
+      for (let attempt = 1; ; attempt++) {
+        const tx = new Transaction();
+        const result = await updateFunction(tx);
+        if (!tx._isStale()) {
+          await tx.commit();
+          return result;
+        }
+        if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+          throw new Error(
+            "10 ABORTED: Transaction contention, too many retries."
+          );
+        }
+      }
+    },
+  };
+
+  return { db, FieldValue: MemoryFieldValue };
+}
@@ -79,7 +79,7 @@ export async function deletePlayer(roomId, uid) {
 
 /**
  * Gets all players in a room, sorted by joinOrder.
- * Includes 'id', 'name', 'score', 'online', 'joinOrder', 'role'.
+ * Includes 'id', 'name', 'score', 'online', 'joinOrder', 'role', 'teamId'.
  * @param {string} roomId - The ID of the room.
  * @returns {Promise<Array<object>>} An array of player objects.
  */
@@ -101,10 +101,28 @@ export async function getPlayersByRoomSorted(roomId) {
     online: doc.data().online === true,
     joinOrder: doc.data().joinOrder,
     role: doc.data().role || "player", // Default role
+    teamId: doc.data().teamId || null,
     // include other fields if necessary
   }));
 }
 
+/**
+ * Gets the players in a room whose seat is held while they reconnect.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<Array<object>>} Player objects, including 'id' and 'reconnectDeadlineAt'.
+ */
+export async function getReconnectingPlayers(roomId) {
+  if (!roomId)
+    throw new Error("Room ID is required for getReconnectingPlayers.");
+  const playersSnap = await db
+    .collection(ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(PLAYERS_COLLECTION)
+    .where("reconnecting", "==", true)
+    .get();
+  return playersSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
 /**
  * Gets all player documents in a room for use within a Firestore transaction.
  * @param {FirebaseFirestore.Transaction} tx - The Firestore transaction object.
@@ -182,6 +200,7 @@ export async function getRoomScores(roomId) {
 
 /**
  * Adds a player score reset (to 0) operation to a Firestore batch.
+ * Also resets the player's answer streak.
  * @param {FirebaseFirestore.WriteBatch} batch - The Firestore batch.
  * @param {string} roomId - The ID of the room.
  * @param {string} playerId - The ID of the player.
@@ -196,5 +215,39 @@ export function batchResetPlayerScore(batch, roomId, playerId) {
     .doc(roomId)
     .collection(PLAYERS_COLLECTION)
     .doc(playerId);
-  batch.update(playerRef, { score: 0 });
+  batch.update(playerRef, { score: 0, streak: 0 });
+}
+
+/**
+ * Adds a player update operation to a Firestore batch.
+ * @param {FirebaseFirestore.WriteBatch} batch - The Firestore batch.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} playerId - The ID of the player.
+ * @param {object} data - An object containing the fields and values to update.
+ */
+export function batchUpdatePlayer(batch, roomId, playerId, data) {
+  if (!roomId || !playerId)
+    throw new Error("Room ID and Player ID are required for batchUpdatePlayer.");
+  const playerRef = db
+    .collection(ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(PLAYERS_COLLECTION)
+    .doc(playerId);
+  batch.update(playerRef, data);
+}
+
+/**
+ * Gets a player's document reference, for use in transactions.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} uid - The UID of the player.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getPlayerRef(roomId, uid) {
+  if (!roomId || !uid)
+    throw new Error("Room ID and UID are required for getPlayerRef.");
+  return db
+    .collection(ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(PLAYERS_COLLECTION)
+    .doc(uid);
 }
@@ -4,6 +4,7 @@ import {
   FieldValue,
   ROOMS_COLLECTION,
   QUESTIONS_COLLECTION,
+  QUESTION_BANK_COLLECTION,
 } from "./dbConfig.js";
 
 /**
@@ -13,7 +14,8 @@ import {
  * @returns {Promise<object|null>} The question object or null if not found.
  */
 export async function getQuestion(roomId, questionId) {
-  if (!roomId || !questionId)
+  // Question IDs are stringified indexes, so 0 is a valid ID.
+  if (!roomId || questionId === undefined || questionId === null)
     throw new Error("Room ID and Question ID are required for getQuestion.");
   const questionDoc = await db
     .collection(ROOMS_COLLECTION)
@@ -67,3 +69,20 @@ export function batchStoreQuestions(batch, roomId, questionsData) {
     batch.set(questionDocRef, question);
   });
 }
+
+/**
+ * Gets questions from the global curated question bank, optionally filtered.
+ * @param {object} [filters]
+ * @param {string} [filters.category] - Only return questions in this category.
+ * @param {string} [filters.difficulty] - Only return questions of this difficulty.
+ * @param {number} [filters.limit] - Maximum number of questions to return.
+ * @returns {Promise<Array<object>>} An array of question objects.
+ */
+export async function getQuestionBankItems({ category, difficulty, limit } = {}) {
+  let query = db.collection(QUESTION_BANK_COLLECTION);
+  if (category) query = query.where("category", "==", category);
+  if (difficulty) query = query.where("difficulty", "==", difficulty);
+  if (limit) query = query.limit(limit);
+  const bankSnap = await query.get();
+  return bankSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
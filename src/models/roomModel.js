@@ -60,6 +60,36 @@ export async function getRoomByCode(code) {
     .get();
 }
 
+/**
+ * Gets all rooms in a given state (e.g. 'active').
+ * @param {string} state - The room state.
+ * @returns {Promise<FirebaseFirestore.QuerySnapshot>} Query snapshot of matching rooms.
+ */
+export async function getRoomsByState(state) {
+  if (!state) throw new Error("State is required for getRoomsByState.");
+  return db.collection(ROOMS_COLLECTION).where("state", "==", state).get();
+}
+
+/**
+ * Gets unlocked public rooms in a given state with a free player seat, newest first.
+ * @param {object} params
+ * @param {string} params.state - The room state.
+ * @param {string} [params.mode] - Only rooms set to this game mode.
+ * @param {number} params.maxPlayers - Rooms with this many players are full.
+ * @param {number} params.limit - Maximum number of rooms.
+ * @returns {Promise<FirebaseFirestore.QuerySnapshot>} Query snapshot of matching rooms.
+ */
+export async function getPublicRooms({ state, mode, maxPlayers, limit }) {
+  let query = db
+    .collection(ROOMS_COLLECTION)
+    .where("visibility", "==", "public")
+    .where("state", "==", state)
+    .where("locked", "==", false)
+    .where("playerCount", "<", maxPlayers);
+  if (mode) query = query.where("gameSettings.mode", "==", mode);
+  return query.orderBy("createdAt", "desc").limit(limit).get();
+}
+
 /**
  * Creates a room document and the host's player document in a batch.
  * @param {string} roomId - Pre-generated ID for the new room.
@@ -91,3 +121,13 @@ export function batchUpdateRoom(batch, roomId, data) {
   const roomRef = db.collection(ROOMS_COLLECTION).doc(roomId);
   batch.update(roomRef, data);
 }
+
+/**
+ * Gets a room's document reference, for use in transactions.
+ * @param {string} roomId - The ID of the room.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getRoomRef(roomId) {
+  if (!roomId) throw new Error("Room ID is required for getRoomRef.");
+  return db.collection(ROOMS_COLLECTION).doc(roomId);
+}
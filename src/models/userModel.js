@@ -0,0 +1,42 @@
+// server/src/models/userModel.js
+import { db, USERS_COLLECTION } from "./dbConfig.js";
+
+/**
+ * Gets the document reference for a user's global profile.
+ * @param {string} uid - The UID of the user.
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+export function getUserRef(uid) {
+  if (!uid) throw new Error("UID is required for getUserRef.");
+  return db.collection(USERS_COLLECTION).doc(uid);
+}
+
+/**
+ * Gets a user's global profile.
+ * @param {string} uid - The UID of the user.
+ * @returns {Promise<object|null>} The profile data or null if not found.
+ */
+export async function getUser(uid) {
+  const userDoc = await getUserRef(uid).get();
+  return userDoc.exists ? userDoc.data() : null;
+}
+
+/**
+ * Creates a user's global profile, replacing any existing one.
+ * @param {string} uid - The UID of the user.
+ * @param {object} userData - The profile data.
+ * @returns {Promise<void>}
+ */
+export async function createUser(uid, userData) {
+  return getUserRef(uid).set(userData);
+}
+
+/**
+ * Merges fields into a user's global profile, creating it if missing.
+ * @param {string} uid - The UID of the user.
+ * @param {object} updates - Fields to merge.
+ * @returns {Promise<void>}
+ */
+export async function mergeUser(uid, updates) {
+  return getUserRef(uid).set(updates, { merge: true });
+}
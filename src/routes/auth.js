@@ -0,0 +1,38 @@
+import express from 'express';
+import { authenticate } from '../middleware/authenticate.js';
+import {
+  GUEST_UPGRADE_GRACE_MS,
+  issueGuestToken,
+  verifyGuestToken,
+} from '../services/authService.js';
+import { upgradeGuestAccount } from '../services/userService.js';
+
+const router = express.Router();
+
+// Start a guest session: a signed short-lived token and a generated name.
+// Nothing is stored: the guest's profile is created when they first connect.
+router.post('/guest', (req, res) => {
+  res.status(201).json(issueGuestToken());
+});
+
+// Upgrade a guest to the signed-in account, keeping the guest's stats
+router.post('/guest/upgrade', authenticate, async (req, res) => {
+  if (req.user.guest) {
+    return res.status(400).json({ error: 'Sign in with a full account to upgrade a guest' });
+  }
+  let guest;
+  try {
+    // A recently expired token still proves the guest was issued to this client
+    guest = verifyGuestToken(req.body?.guestToken, { graceMs: GUEST_UPGRADE_GRACE_MS });
+  } catch {
+    return res.status(401).json({ error: 'Invalid guest token' });
+  }
+  const profile = await upgradeGuestAccount({
+    guestUid: guest.uid,
+    uid: req.user.uid,
+    displayName: req.user.name || null,
+  });
+  res.json({ success: true, profile });
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import { authenticate, requireFullAccount } from '../middleware/authenticate.js';
+import {
+  getDailyChallengeStatus,
+  startDailyChallengeAttempt,
+  submitDailyChallengeAnswer,
+  getDailyChallengeLeaderboard,
+} from '../services/dailyChallengeService.js';
+
+const router = express.Router();
+
+// Today's challenge and the caller's attempt
+router.get('/', authenticate, async (req, res) => {
+  res.json(await getDailyChallengeStatus({ uid: req.user.uid }));
+});
+
+// Start (or resume) today's attempt (ranked on the leaderboard, so not for guests)
+router.post('/attempt', authenticate, requireFullAccount, async (req, res) => {
+  const result = await startDailyChallengeAttempt({
+    uid: req.user.uid,
+    displayName: req.body?.displayName || req.user.name || 'Player',
+  });
+  res.json(result);
+});
+
+// Answer the current question of an attempt: today's, or the day given as
+// `date` (from POST /attempt), so an attempt can be finished after midnight
+router.post('/attempt/answer', authenticate, requireFullAccount, async (req, res) => {
+  const { date, questionId, answerIndex } = req.body || {};
+  if (!questionId || typeof answerIndex !== 'number') {
+    return res.status(400).json({ error: 'questionId and numeric answerIndex are required' });
+  }
+  res.json(
+    await submitDailyChallengeAnswer({ uid: req.user.uid, date, questionId, answerIndex })
+  );
+});
+
+// Standings for today, or for ?date=YYYY-MM-DD
+router.get('/leaderboard', authenticate, requireFullAccount, async (req, res) => {
+  res.json(
+    await getDailyChallengeLeaderboard({
+      date: req.query.date,
+      limit: req.query.limit,
+    })
+  );
+});
+
+export default router;
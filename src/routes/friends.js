@@ -0,0 +1,56 @@
+import express from 'express';
+import { authenticate, requireFullAccount } from '../middleware/authenticate.js';
+import {
+  FRIEND_STATUSES,
+  sendFriendRequest,
+  acceptFriendRequest,
+  removeFriend,
+  getFriendList,
+  emitFriendEvent,
+} from '../services/friendService.js';
+
+const router = express.Router();
+
+// Friends are for full accounts only
+router.use(authenticate, requireFullAccount);
+
+// The caller's friends (with whether they are online) and pending requests
+router.get('/', async (req, res) => {
+  res.json(await getFriendList(req.user.uid));
+});
+
+// Ask a user to be friends ({ uid }); accepts their request if they already asked
+router.post('/requests', async (req, res) => {
+  const friendUid = req.body?.uid;
+  const result = await sendFriendRequest({ uid: req.user.uid, friendUid });
+  if (result.created) {
+    const event =
+      result.status === FRIEND_STATUSES.ACCEPTED ? 'friend:accepted' : 'friend:request';
+    emitFriendEvent(friendUid, event, {
+      uid: req.user.uid,
+      displayName: req.user.name || 'Player',
+    });
+  }
+  res.json(result);
+});
+
+// Accept a request from :uid
+router.post('/requests/:uid/accept', async (req, res) => {
+  await acceptFriendRequest({ uid: req.user.uid, friendUid: req.params.uid });
+  emitFriendEvent(req.params.uid, 'friend:accepted', {
+    uid: req.user.uid,
+    displayName: req.user.name || 'Player',
+  });
+  res.json({ success: true });
+});
+
+// Remove a friend, or decline or withdraw a request
+router.delete('/:uid', async (req, res) => {
+  const result = await removeFriend({ uid: req.user.uid, friendUid: req.params.uid });
+  emitFriendEvent(req.params.uid, 'friend:removed', {
+    uid: req.user.uid,
+  });
+  res.json(result);
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { authenticate, requireFullAccount } from '../middleware/authenticate.js';
+import {
+  getLeaderboard,
+  getLeaderboardRank,
+  getFriendsLeaderboard,
+} from '../services/leaderboardService.js';
+
+const router = express.Router();
+
+// A page of a mode's global, weekly or daily board
+// (?offset=&limit=, ?period=YYYY-MM-DD for a past week or day), with the caller's entry
+router.get('/:mode/:window', authenticate, requireFullAccount, async (req, res) => {
+  res.json(
+    await getLeaderboard({
+      mode: req.params.mode,
+      window: req.params.window,
+      period: req.query.period,
+      offset: req.query.offset,
+      limit: req.query.limit,
+      uid: req.user.uid,
+    })
+  );
+});
+
+// The caller's rank on a board
+router.get('/:mode/:window/me', authenticate, requireFullAccount, async (req, res) => {
+  res.json(
+    await getLeaderboardRank({
+      mode: req.params.mode,
+      window: req.params.window,
+      period: req.query.period,
+      uid: req.user.uid,
+    })
+  );
+});
+
+// The caller and their friends on a board, ranked among themselves
+router.get('/:mode/:window/friends', authenticate, requireFullAccount, async (req, res) => {
+  res.json(
+    await getFriendsLeaderboard({
+      mode: req.params.mode,
+      window: req.params.window,
+      period: req.query.period,
+      uid: req.user.uid,
+    })
+  );
+});
+
+export default router;
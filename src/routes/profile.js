@@ -1,40 +1,49 @@
 import express from 'express';
-import admin from '../config/firebaseAdmin.js';
-import { db } from '../models/dbConfig.js';
+import { getUser, mergeUser } from '../models/userModel.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { summarizeStats } from '../services/statsService.js';
+import { getAchievementProgress } from '../services/achievementService.js';
 
 const router = express.Router();
 
-// Middleware to verify Firebase token
-async function authenticate(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.startsWith('Bearer ')
-    ? authHeader.split('Bearer ')[1]
-    : null;
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  try {
-    const decoded = await admin.auth().verifyIdToken(token);
-    req.user = decoded;
-    next();
-  } catch {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-}
-
 // Get profile
 router.get('/', authenticate, async (req, res) => {
-  const doc = await db.collection('users').doc(req.user.uid).get();
-  if (!doc.exists) return res.status(404).json({ error: 'Profile not found' });
-  res.json(doc.data());
+  const profile = await getUser(req.user.uid);
+  if (!profile) return res.status(404).json({ error: 'Profile not found' });
+  res.json({ ...profile, stats: summarizeStats(profile.globalStats) });
 });
 
 // Update profile
 router.put('/', authenticate, async (req, res) => {
   const { displayName, avatarUrl } = req.body;
-  await db.collection('users').doc(req.user.uid).set(
-    { displayName, avatarUrl, lastUpdated: new Date() },
-    { merge: true }
-  );
+  await mergeUser(req.user.uid, {
+    displayName,
+    avatarUrl,
+    lastUpdated: new Date(),
+  });
   res.json({ success: true });
 });
 
+// Every achievement, with the caller's progress towards it
+router.get('/achievements', authenticate, async (req, res) => {
+  const profile = await getUser(req.user.uid);
+  if (!profile) return res.status(404).json({ error: 'Profile not found' });
+  res.json({ achievements: getAchievementProgress(profile) });
+});
+
+// Anyone's public stats and ratings, e.g. for a player card
+router.get('/:uid/stats', async (req, res) => {
+  const profile = await getUser(req.params.uid);
+  if (!profile) return res.status(404).json({ error: 'Profile not found' });
+  res.json({
+    uid: req.params.uid,
+    displayName: profile.displayName || null,
+    avatarUrl: profile.avatarUrl || null,
+    isGuest: profile.isGuest === true,
+    ratings: profile.ratings || {},
+    stats: summarizeStats(profile.globalStats),
+    achievements: getAchievementProgress(profile).filter((a) => a.unlockedAt),
+  });
+});
+
 export default router; 
\ No newline at end of file
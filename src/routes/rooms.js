@@ -0,0 +1,17 @@
+import express from 'express';
+import { authenticate } from '../middleware/authenticate.js';
+import { listPublicRooms } from '../services/roomService.js';
+import { isValidGameMode } from '../services/gameModes.js';
+
+const router = express.Router();
+
+// Open public rooms, optionally of one ?mode=, newest first (?limit=, at most 50)
+router.get('/', authenticate, async (req, res) => {
+  const { mode, limit } = req.query;
+  if (mode !== undefined && !isValidGameMode(mode)) {
+    return res.status(400).json({ error: `Unknown game mode: ${mode}` });
+  }
+  res.json({ rooms: await listPublicRooms({ mode, limit }) });
+});
+
+export default router;
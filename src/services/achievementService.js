@@ -0,0 +1,190 @@
+// server/src/services/achievementService.js
+import fs from "fs";
+import { db, FieldValue } from "../models/dbConfig.js";
+import { getUserRef } from "../models/userModel.js";
+import { isGuestUid } from "./authService.js";
+
+const ACHIEVEMENT_RULES_PATH = new URL(
+  "../data/achievements.json",
+  import.meta.url
+);
+
+/**
+ * Gameplay events achievements are earned from, and the facts each carries:
+ * - answer (a turn answered, from submitAnswer) and steal (from handleSteal):
+ *   mode, correct, isTimeout, elapsedMs, streak, points, difficulty, category.
+ * - gameEnd (once per player per recorded game): mode, rank, won,
+ *   participants, questionsAnswered, correctAnswers, timeouts, perfect,
+ *   longestStreak, stealsSucceeded.
+ */
+export const ACHIEVEMENT_EVENTS = Object.freeze({
+  ANSWER: "answer",
+  STEAL: "steal",
+  GAME_END: "gameEnd",
+});
+
+// Operators a rule's `when` can compare a fact with, e.g. { "lt": 2000 }
+const CONDITION_OPERATORS = {
+  eq: (fact, value) => fact === value,
+  ne: (fact, value) => fact !== value,
+  lt: (fact, value) => typeof fact === "number" && fact < value,
+  lte: (fact, value) => typeof fact === "number" && fact <= value,
+  gt: (fact, value) => typeof fact === "number" && fact > value,
+  gte: (fact, value) => typeof fact === "number" && fact >= value,
+  in: (fact, value) => value.includes(fact),
+};
+
+/**
+ * Reads and checks the achievement definitions (src/data/achievements.json).
+ * Each rule: { id, name, description, event, when, count?, consecutive? }.
+ * `when` maps event facts to a value or to { operator: value }; the rule is
+ * earned once `count` (default 1) of its events match, which with
+ * `consecutive` must match in a row.
+ * @returns {Array<object>}
+ */
+function loadAchievementRules() {
+  const rules = JSON.parse(fs.readFileSync(ACHIEVEMENT_RULES_PATH, "utf8"));
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(
+        `Achievement rules: missing or duplicate id "${rule.id}".`
+      );
+    }
+    ids.add(rule.id);
+    if (!Object.values(ACHIEVEMENT_EVENTS).includes(rule.event)) {
+      throw new Error(`Achievement ${rule.id}: unknown event "${rule.event}".`);
+    }
+    if (
+      rule.count !== undefined &&
+      !(Number.isInteger(rule.count) && rule.count >= 1)
+    ) {
+      throw new Error(
+        `Achievement ${rule.id}: count must be a positive integer.`
+      );
+    }
+    for (const condition of Object.values(rule.when || {})) {
+      if (condition === null || typeof condition !== "object") continue;
+      for (const operator of Object.keys(condition)) {
+        if (!CONDITION_OPERATORS[operator]) {
+          throw new Error(
+            `Achievement ${rule.id}: unknown operator "${operator}".`
+          );
+        }
+      }
+    }
+  }
+  return rules;
+}
+
+const ACHIEVEMENT_RULES = loadAchievementRules();
+
+// (uid, achievement) => void: tells a user about an achievement they unlocked
+let notifyUnlocked = () => {};
+
+/**
+ * @param {Function} onUnlocked - `(uid, achievement) => void`, called for
+ *   every achievement a user unlocks.
+ */
+export function initAchievementService(onUnlocked) {
+  notifyUnlocked = onUnlocked;
+}
+
+function matchesConditions(when = {}, facts) {
+  return Object.entries(when).every(([field, condition]) => {
+    if (condition === null || typeof condition !== "object") {
+      return facts[field] === condition;
+    }
+    return Object.entries(condition).every(([operator, value]) =>
+      CONDITION_OPERATORS[operator](facts[field], value)
+    );
+  });
+}
+
+function toClientAchievement(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    description: rule.description,
+    target: rule.count || 1,
+  };
+}
+
+/**
+ * Every achievement, with a user's progress towards it.
+ * @param {object|null} userData - The user's profile, if any.
+ * @returns {Array<object>} `[{ id, name, description, target, progress, unlockedAt }]`;
+ *   unlockedAt is null while locked.
+ */
+export function getAchievementProgress(userData) {
+  const unlocked = userData?.achievements || {};
+  const progress = userData?.achievementProgress || {};
+  return ACHIEVEMENT_RULES.map((rule) => {
+    const target = rule.count || 1;
+    return {
+      ...toClientAchievement(rule),
+      progress: unlocked[rule.id] ? target : progress[rule.id] || 0,
+      unlockedAt: unlocked[rule.id]?.unlockedAt || null,
+    };
+  });
+}
+
+/**
+ * Evaluates the achievements of one event type against a gameplay event of a
+ * player: updates their progress, awards the achievements it completes into
+ * their profile (`users/{uid}.achievements`) and sends the player
+ * 'achievementUnlocked' for each. Guests do not earn achievements. Failures
+ * are logged, never thrown, so they cannot disturb the game.
+ * @param {object} params
+ * @param {string} params.uid - UID of the player.
+ * @param {string} params.event - One of ACHIEVEMENT_EVENTS.
+ * @param {object} params.facts - What happened (see ACHIEVEMENT_EVENTS).
+ * @returns {Promise<Array<object>>} The achievements unlocked.
+ */
+export async function recordAchievementEvent({ uid, event, facts }) {
+  const rules = ACHIEVEMENT_RULES.filter((rule) => rule.event === event);
+  if (rules.length === 0 || isGuestUid(uid)) return [];
+  try {
+    const unlocked = await db.runTransaction(async (tx) => {
+      const userRef = getUserRef(uid);
+      const userDoc = await tx.get(userRef);
+      if (!userDoc.exists) return [];
+      const { achievements = {}, achievementProgress = {} } = userDoc.data();
+
+      const newlyUnlocked = [];
+      const updates = { achievements: {}, achievementProgress: {} };
+      for (const rule of rules) {
+        if (achievements[rule.id]) continue;
+        const matched = matchesConditions(rule.when, facts);
+        if (!matched && !rule.consecutive) continue;
+        const progress = matched ? (achievementProgress[rule.id] || 0) + 1 : 0;
+        if (progress >= (rule.count || 1)) {
+          newlyUnlocked.push(rule);
+          updates.achievements[rule.id] = {
+            unlockedAt: FieldValue.serverTimestamp(),
+          };
+          updates.achievementProgress[rule.id] = FieldValue.delete();
+        } else if (progress !== (achievementProgress[rule.id] || 0)) {
+          updates.achievementProgress[rule.id] = progress;
+        }
+      }
+      if (
+        newlyUnlocked.length > 0 ||
+        Object.keys(updates.achievementProgress).length > 0
+      ) {
+        tx.set(userRef, updates, { merge: true });
+      }
+      return newlyUnlocked;
+    });
+
+    const unlockedAt = new Date().toISOString();
+    for (const rule of unlocked) {
+      console.log(`User ${uid} unlocked achievement ${rule.id}.`);
+      notifyUnlocked(uid, { ...toClientAchievement(rule), unlockedAt });
+    }
+    return unlocked.map(toClientAchievement);
+  } catch (err) {
+    console.error(`Failed to evaluate ${event} achievements for ${uid}:`, err);
+    return [];
+  }
+}
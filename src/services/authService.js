@@ -0,0 +1,170 @@
+// server/src/services/authService.js
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { AUTH_BACKEND, GUEST_TOKEN_SECRET, NODE_ENV } from "../config/index.js";
+import { getFirebaseAdmin } from "../config/firebaseAdmin.js";
+import { generateGuestName } from "../utils/index.js";
+
+const DEV_TOKEN_PREFIX = "dev:";
+const GUEST_TOKEN_PREFIX = "guest.";
+const GUEST_UID_PREFIX = "guest_";
+export const GUEST_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+// How long after its token expired a guest can still be upgraded
+export const GUEST_UPGRADE_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Features guests cannot use until they upgrade to a full account.
+export const GUEST_RESTRICTED_FEATURES = [
+  "leaderboards",
+  "friends",
+  "achievements",
+  "purchases",
+];
+export const GUEST_RESTRICTED_MESSAGE =
+  "Guests cannot use this feature. Create an account to keep playing.";
+
+// Why an authenticated session was ended, keyed by Firebase Auth error code.
+export const SESSION_END_REASONS = {
+  "auth/id-token-expired": "token_expired",
+  "auth/id-token-revoked": "token_revoked",
+  "auth/user-disabled": "account_disabled",
+  "auth/user-not-found": "account_deleted",
+};
+
+if (AUTH_BACKEND === "dev" && NODE_ENV === "production") {
+  throw new Error("AUTH_BACKEND=dev must not be used in production.");
+}
+if (!GUEST_TOKEN_SECRET) {
+  if (NODE_ENV === "production") {
+    throw new Error(
+      "GUEST_TOKEN_SECRET env variable is required in production."
+    );
+  }
+  console.warn(
+    "GUEST_TOKEN_SECRET not set: guest tokens are only valid on this instance until it restarts."
+  );
+}
+const guestTokenSecret = GUEST_TOKEN_SECRET || randomBytes(32).toString("hex");
+
+function createAuthError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function signGuestPayload(encodedPayload) {
+  return createHmac("sha256", guestTokenSecret)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+/**
+ * Whether a UID belongs to a guest session rather than a full account.
+ * @param {string} uid
+ * @returns {boolean}
+ */
+export function isGuestUid(uid) {
+  return typeof uid === "string" && uid.startsWith(GUEST_UID_PREFIX);
+}
+
+/**
+ * Issues a signed, short-lived token for a new guest with a generated name.
+ * @returns {{ token: string, uid: string, displayName: string, expiresAt: number }}
+ */
+export function issueGuestToken() {
+  const uid = `${GUEST_UID_PREFIX}${randomUUID().replace(/-/g, "")}`;
+  const displayName = generateGuestName();
+  const expiresAt = Date.now() + GUEST_TOKEN_TTL_MS;
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ uid, name: displayName, exp: expiresAt })
+  ).toString("base64url");
+  return {
+    token: `${GUEST_TOKEN_PREFIX}${encodedPayload}.${signGuestPayload(
+      encodedPayload
+    )}`,
+    uid,
+    displayName,
+    expiresAt,
+  };
+}
+
+/**
+ * Verifies a guest token's signature and expiry.
+ * @param {string} token
+ * @param {object} [options]
+ * @param {number} [options.graceMs=0] - Also accept a genuine token that expired
+ *   at most this long ago, e.g. to upgrade the guest it was issued to.
+ * @returns {object} Decoded claims, with `guest: true`.
+ * @throws {Error} If the token is malformed, forged or expired.
+ */
+export function verifyGuestToken(token, { graceMs = 0 } = {}) {
+  const [encodedPayload, signature] = (
+    token?.startsWith(GUEST_TOKEN_PREFIX)
+      ? token.slice(GUEST_TOKEN_PREFIX.length)
+      : ""
+  ).split(".");
+  if (!encodedPayload || !signature) throw new Error("Malformed guest token.");
+  const expected = Buffer.from(signGuestPayload(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error("Guest token signature is invalid.");
+  }
+  const { uid, name, exp } = JSON.parse(
+    Buffer.from(encodedPayload, "base64url").toString("utf8")
+  );
+  if (exp + graceMs <= Date.now()) {
+    throw createAuthError("auth/id-token-expired", "Guest token has expired.");
+  }
+  // `exp` in seconds, as in Firebase ID tokens
+  return { uid, name, picture: null, guest: true, exp: Math.floor(exp / 1000) };
+}
+
+/**
+ * Decodes an unsigned dev token of the form `dev:<uid>[:<display name>]`.
+ * Only accepted with AUTH_BACKEND=dev, for local play and automated tests.
+ * @param {string} token
+ * @returns {object} Decoded claims shaped like a Firebase ID token's.
+ */
+function verifyDevToken(token) {
+  if (!token.startsWith(DEV_TOKEN_PREFIX)) {
+    throw new Error("Dev auth expects a token of the form dev:<uid>[:<name>].");
+  }
+  const [uid, ...nameParts] = token.slice(DEV_TOKEN_PREFIX.length).split(":");
+  if (!uid) throw new Error("Dev token is missing a UID.");
+  return { uid, name: nameParts.join(":") || uid, picture: null };
+}
+
+/**
+ * Verifies a client's auth token: guest tokens are checked locally, others
+ * with the configured backend.
+ * @param {string} token - A guest token, a Firebase ID token, or a dev token
+ *   with AUTH_BACKEND=dev.
+ * @param {object} [options]
+ * @param {boolean} [options.checkRevoked=false] - Also ask Firebase whether the
+ *   token was revoked or the account disabled (a network round trip).
+ * @returns {Promise<object>} The decoded claims (`uid`, `name`, `email`, `picture`,
+ *   `exp`, and `guest: true` for guests).
+ * @throws {Error} If the token is invalid, expired or (when checked) revoked.
+ */
+export async function verifyAuthToken(token, { checkRevoked = false } = {}) {
+  if (token.startsWith(GUEST_TOKEN_PREFIX)) return verifyGuestToken(token);
+  if (AUTH_BACKEND === "dev") return verifyDevToken(token);
+  return getFirebaseAdmin().auth().verifyIdToken(token, checkRevoked);
+}
+
+/**
+ * When a verified token stops being valid.
+ * @param {object} decoded - Claims returned by verifyAuthToken.
+ * @returns {number|null} Epoch milliseconds, or null for tokens that never expire (dev).
+ */
+export function getTokenExpiresAt(decoded) {
+  return typeof decoded?.exp === "number" ? decoded.exp * 1000 : null;
+}
+
+/**
+ * Maps a verification failure to the reason a session should end.
+ * @param {Error} error - Error thrown by verifyAuthToken.
+ * @returns {string|null} One of SESSION_END_REASONS' values, or null when the
+ *   failure says nothing about the session (e.g. Firebase was unreachable).
+ */
+export function getSessionEndReason(error) {
+  return SESSION_END_REASONS[error?.code] || null;
+}
@@ -0,0 +1,383 @@
+// server/src/services/blitzService.js
+import { randomUUID } from "crypto";
+import {
+  getRoom as getRoomModel,
+  getRoomRef,
+  batchUpdateRoom as batchUpdateRoomModel,
+} from "../models/roomModel.js";
+import {
+  getPlayer as getPlayerModel,
+  getPlayerRef,
+  batchUpdatePlayer as batchUpdatePlayerModel,
+  getRoomScores as getRoomScoresModel,
+} from "../models/playerModel.js";
+import {
+  getQuestion as getQuestionModel,
+  batchStoreQuestions as batchStoreQuestionsModel,
+} from "../models/questionModel.js";
+import { FieldValue, db } from "../models/dbConfig.js";
+import { fetchQuestions, toClientQuestion } from "./questionService.js";
+import { setRoomTimer, clearAllRoomTimers } from "./gameTimerService.js";
+import { GAME_MODES, toScorePayload } from "./gameModes.js";
+import { recordGameResult } from "./gameResultService.js";
+
+let ioServer;
+
+export const DEFAULT_BLITZ_DURATION_SEC = 90;
+export const DEFAULT_BLITZ_SKIPS_ALLOWED = 3;
+const BLITZ_QUESTION_POOL_SIZE = 40;
+const BLITZ_TIMER_PHASE = "blitz";
+
+export function initBlitzService(io) {
+  ioServer = io;
+}
+
+/**
+ * Each player walks the shared question pool from their own starting offset,
+ * so players are not looking at the same question at the same time.
+ */
+function getBlitzQuestionDbIndex(blitzState, poolSize) {
+  return (blitzState.offset + blitzState.cursor) % poolSize;
+}
+
+function scheduleBlitzEnd(roomId, gameEndsAt) {
+  setRoomTimer(roomId, BLITZ_TIMER_PHASE, gameEndsAt - Date.now(), () => {
+    endBlitzGame(roomId, "timeUp").catch((err) =>
+      console.error(`Error ending Speed Challenge in room ${roomId}:`, err)
+    );
+  });
+}
+
+/**
+ * Re-arms the game clock of a running Speed Challenge after a server restart.
+ * If the clock ran out while the server was down, the game ends right away.
+ * @param {string} roomId - The ID of the room.
+ * @param {object} roomData - Current room document data.
+ * @returns {boolean} Whether the clock was re-armed.
+ */
+export function resumeBlitzTimer(roomId, roomData) {
+  if (!roomData.gameEndsAt) return false;
+  scheduleBlitzEnd(roomId, roomData.gameEndsAt);
+  return true;
+}
+
+async function getActiveBlitzRoom(roomId) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists) throw new Error(`Room ${roomId} not found.`);
+  const roomData = roomDoc.data();
+  if (
+    roomData.state !== "active" ||
+    roomData.gameSettings?.mode !== GAME_MODES.BLITZ
+  ) {
+    throw new Error("No Speed Challenge is running in this room.");
+  }
+  return roomData;
+}
+
+/**
+ * Starts a Speed Challenge. Every participant answers their own stream of questions
+ * from a shared pool until the shared game clock runs out.
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {object} params.roomData - Current room document data.
+ * @param {Array<object>} params.players - Online participating players (sorted by joinOrder).
+ * @param {object} params.gameSettings - Effective game settings.
+ * @returns {Promise<object>} Initial game state broadcast with 'gameStarted'.
+ */
+export async function startBlitzGame({
+  roomId,
+  roomData,
+  players,
+  gameSettings,
+}) {
+  const questionItems = await fetchQuestions({
+    amount: BLITZ_QUESTION_POOL_SIZE,
+    providerNames: gameSettings.questionProviders,
+  });
+
+  const batch = db.batch();
+  batchStoreQuestionsModel(
+    batch,
+    roomId,
+    questionItems.map((item, idx) => ({ id: String(idx), ...item }))
+  );
+
+  const participantUids = players.map((p) => p.id);
+  const gameEndsAt = Date.now() + gameSettings.blitzDurationSec * 1000;
+  batchUpdateRoomModel(batch, roomId, {
+    state: "active",
+    currentQuestionDbIndex: 0,
+    questionCount: BLITZ_QUESTION_POOL_SIZE,
+    currentTurnUid: null,
+    activeTurnOrderUids: participantUids,
+    participantUids,
+    currentPlayerIndexInOrder: -1,
+    currentStealAttempt: null,
+    gameSettings,
+    gameEndsAt,
+    gameId: randomUUID(),
+    startedAt: FieldValue.serverTimestamp(),
+  });
+
+  const offsetStep = Math.floor(
+    BLITZ_QUESTION_POOL_SIZE / participantUids.length
+  );
+  participantUids.forEach((uid, idx) => {
+    batchUpdatePlayerModel(batch, roomId, uid, {
+      score: 0,
+      blitz: {
+        offset: idx * offsetStep,
+        cursor: 0,
+        answered: 0,
+        correct: 0,
+        skipsUsed: 0,
+      },
+    });
+  });
+  await batch.commit();
+
+  scheduleBlitzEnd(roomId, gameEndsAt);
+  console.log(
+    `Speed Challenge started in room ${roomId} for ${participantUids.length} players (${gameSettings.blitzDurationSec}s).`
+  );
+
+  const scores = await getRoomScoresModel(roomId);
+  return {
+    mode: GAME_MODES.BLITZ,
+    turnUid: null,
+    gameEndsAt,
+    durationSec: gameSettings.blitzDurationSec,
+    skipsAllowed: gameSettings.blitzSkipsAllowed,
+    scores,
+    players: players.map((p) => ({
+      uid: p.id,
+      name: p.name,
+      score: scores[p.id] || 0,
+      online: p.online,
+      role: p.role || "player",
+    })),
+    totalQuestions: BLITZ_QUESTION_POOL_SIZE,
+    gameSettings,
+    hostId: roomData.hostUid,
+  };
+}
+
+/**
+ * Returns the question a player is currently on in their Speed Challenge stream.
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {string} params.uid - The UID of the player.
+ * @returns {Promise<object>} `{ question, questionNum, skipsRemaining, gameEndsAt, finished }`.
+ */
+export async function getBlitzQuestion({ roomId, uid }) {
+  const roomData = await getActiveBlitzRoom(roomId);
+  if (!(roomData.activeTurnOrderUids || []).includes(uid)) {
+    throw new Error("You are not playing in this Speed Challenge.");
+  }
+  const player = await getPlayerModel(roomId, uid);
+  const blitzState = player?.blitz;
+  if (!blitzState) throw new Error("Speed Challenge state missing for player.");
+
+  const poolSize = roomData.questionCount;
+  const finished = blitzState.cursor >= poolSize;
+  const question = finished
+    ? null
+    : await getQuestionModel(
+        roomId,
+        getBlitzQuestionDbIndex(blitzState, poolSize)
+      );
+  return {
+    question: toClientQuestion(question),
+    questionNum: blitzState.cursor + 1,
+    skipsRemaining: Math.max(
+      0,
+      roomData.gameSettings.blitzSkipsAllowed - blitzState.skipsUsed
+    ),
+    gameEndsAt: roomData.gameEndsAt,
+    finished,
+  };
+}
+
+/**
+ * Records a player's answer (or skip) for the current question in their stream and
+ * advances their cursor. Only the answering player learns the correct answer.
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {string} params.uid - The UID of the player.
+ * @param {string} params.questionId - The question being answered (guards against double submits).
+ * @param {number} [params.answerIndex] - Chosen option index (ignored when skipping).
+ * @param {boolean} [params.skip=false] - Skip the question instead of answering.
+ * @returns {Promise<object>} Answer outcome plus the player's next question.
+ */
+export async function submitBlitzAnswer({
+  roomId,
+  uid,
+  questionId,
+  answerIndex,
+  skip = false,
+}) {
+  const roomData = await getActiveBlitzRoom(roomId);
+  if (Date.now() >= roomData.gameEndsAt) {
+    return { noActionTaken: true, message: "Time is up." };
+  }
+  if (!(roomData.activeTurnOrderUids || []).includes(uid)) {
+    throw new Error("You are not playing in this Speed Challenge.");
+  }
+
+  const poolSize = roomData.questionCount;
+  const skipsAllowed = roomData.gameSettings.blitzSkipsAllowed;
+  const question = await getQuestionModel(roomId, questionId);
+  if (!question) throw new Error("Question not found.");
+
+  const playerRef = getPlayerRef(roomId, uid);
+  const outcome = await db.runTransaction(async (tx) => {
+    const playerDoc = await tx.get(playerRef);
+    const blitzState = playerDoc.exists ? playerDoc.data().blitz : null;
+    if (!blitzState)
+      throw new Error("Speed Challenge state missing for player.");
+    if (blitzState.cursor >= poolSize) return { alreadyFinished: true };
+    if (String(getBlitzQuestionDbIndex(blitzState, poolSize)) !== question.id) {
+      // A duplicate or out-of-order submission for a question already passed.
+      return { staleQuestion: true };
+    }
+    if (skip && blitzState.skipsUsed >= skipsAllowed) {
+      throw new Error("No skips remaining.");
+    }
+
+    const correct = !skip && question.correctIndex === answerIndex;
+    const nextState = {
+      ...blitzState,
+      cursor: blitzState.cursor + 1,
+      answered: blitzState.answered + (skip ? 0 : 1),
+      correct: blitzState.correct + (correct ? 1 : 0),
+      skipsUsed: blitzState.skipsUsed + (skip ? 1 : 0),
+    };
+    tx.update(playerRef, {
+      blitz: nextState,
+      ...(correct && { score: FieldValue.increment(1) }),
+    });
+    return { correct, blitzState: nextState };
+  });
+
+  if (outcome.alreadyFinished || outcome.staleQuestion) {
+    return {
+      noActionTaken: true,
+      message: outcome.alreadyFinished
+        ? "You have answered every question."
+        : "Question already answered.",
+    };
+  }
+
+  const { blitzState } = outcome;
+  const finished = blitzState.cursor >= poolSize;
+  const nextQuestion = finished
+    ? null
+    : await getQuestionModel(
+        roomId,
+        getBlitzQuestionDbIndex(blitzState, poolSize)
+      );
+  const scores = await getRoomScoresModel(roomId);
+
+  if (finished) {
+    await endBlitzGameIfAllFinished(roomId, roomData);
+  }
+
+  return {
+    skipped: skip,
+    correct: outcome.correct,
+    correctIndex: question.correctIndex,
+    questionId: question.id,
+    nextQuestion: toClientQuestion(nextQuestion),
+    questionNum: blitzState.cursor + 1,
+    skipsRemaining: Math.max(0, skipsAllowed - blitzState.skipsUsed),
+    answered: blitzState.answered,
+    correctCount: blitzState.correct,
+    finished,
+    scores,
+  };
+}
+
+async function endBlitzGameIfAllFinished(roomId, roomData) {
+  for (const uid of roomData.activeTurnOrderUids || []) {
+    const player = await getPlayerModel(roomId, uid);
+    const stillPlaying =
+      player?.online && player.blitz?.cursor < roomData.questionCount;
+    if (stillPlaying) return;
+  }
+  await endBlitzGame(roomId, "allFinished");
+}
+
+/**
+ * Ends the Speed Challenge if no participant is still online (e.g. after a voluntary leave).
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<void>}
+ */
+export async function handleBlitzPlayerLeave(roomId) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists) return;
+  const roomData = roomDoc.data();
+  for (const uid of roomData.activeTurnOrderUids || []) {
+    const player = await getPlayerModel(roomId, uid);
+    if (player?.online) return;
+  }
+  await endBlitzGame(roomId, "allLeft");
+}
+
+/**
+ * Ends a Speed Challenge and broadcasts the final ranking by number of correct answers.
+ * Safe to call more than once; only the first call ends the game.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} reason - 'timeUp' | 'allFinished' | 'allLeft'.
+ * @returns {Promise<object|null>} The 'gameEnded' payload, or null if the game was not running.
+ */
+export async function endBlitzGame(roomId, reason) {
+  const roomRef = getRoomRef(roomId);
+  const roomData = await db.runTransaction(async (tx) => {
+    const roomDoc = await tx.get(roomRef);
+    if (!roomDoc.exists) return null;
+    const data = roomDoc.data();
+    if (
+      data.state !== "active" ||
+      data.gameSettings?.mode !== GAME_MODES.BLITZ
+    ) {
+      return null;
+    }
+    tx.update(roomRef, {
+      state: "ended",
+      currentTurnUid: null,
+      currentPlayerIndexInOrder: -1,
+    });
+    return data;
+  });
+  if (!roomData) return null;
+  clearAllRoomTimers(roomId);
+
+  const standings = [];
+  for (const uid of roomData.activeTurnOrderUids || []) {
+    const player = await getPlayerModel(roomId, uid);
+    if (!player) continue; // Left the room mid-game
+    standings.push({
+      uid,
+      name: player.name,
+      correct: player.blitz?.correct || 0,
+      answered: player.blitz?.answered || 0,
+      skipsUsed: player.blitz?.skipsUsed || 0,
+    });
+  }
+  // Rank by correct answers; ties share a rank and are listed by accuracy.
+  standings.sort((a, b) => b.correct - a.correct || a.answered - b.answered);
+  const rankings = standings.map((entry) => ({
+    ...entry,
+    rank: standings.findIndex((e) => e.correct === entry.correct) + 1,
+  }));
+
+  const scores = await getRoomScoresModel(roomId);
+  const payload = toScorePayload(GAME_MODES.BLITZ, scores, {
+    rankings,
+    reason,
+  });
+  ioServer?.in(roomId).emit("gameEnded", payload);
+  await recordGameResult({ roomId, roomData, finalScores: payload });
+  console.log(`Speed Challenge ended in room ${roomId} (${reason}).`);
+  return payload;
+}
@@ -0,0 +1,207 @@
+// server/src/services/conquestService.js
+import { fetchQuestions, QUESTION_CATEGORIES } from "./questionService.js";
+
+export const DEFAULT_CONQUEST_CATEGORIES = QUESTION_CATEGORIES;
+export const CONQUEST_DIFFICULTIES = Object.freeze(["easy", "medium", "hard"]);
+export const CONQUEST_TILE_POINTS = Object.freeze({
+  easy: 1,
+  medium: 2,
+  hard: 3,
+});
+export const DEFAULT_CONQUEST_WIN_THRESHOLD = 3;
+export const DEFAULT_CONQUEST_PICK_TIMEOUT_SEC = 15;
+const MIN_CONQUEST_CATEGORIES = 2;
+const MAX_CONQUEST_CATEGORIES = 6;
+
+/**
+ * Validates the board categories coming from game settings. Only categories
+ * the question providers can serve (QUESTION_CATEGORIES) are accepted.
+ * @param {Array<string>} categories
+ * @returns {Array<string>} The de-duplicated list of categories.
+ */
+export function validateConquestCategories(categories) {
+  if (
+    !Array.isArray(categories) ||
+    categories.some((c) => typeof c !== "string" || c.trim().length === 0)
+  ) {
+    throw new Error("Conquest categories must be a list of category names.");
+  }
+  const uniqueCategories = [...new Set(categories.map((c) => c.trim()))];
+  const unknown = uniqueCategories.filter(
+    (c) => !QUESTION_CATEGORIES.includes(c)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown Conquest category(ies): ${unknown.join(", ")}. Available: ${QUESTION_CATEGORIES.join(", ")}.`
+    );
+  }
+  if (
+    uniqueCategories.length < MIN_CONQUEST_CATEGORIES ||
+    uniqueCategories.length > MAX_CONQUEST_CATEGORIES
+  ) {
+    throw new Error(
+      `Conquest needs between ${MIN_CONQUEST_CATEGORIES} and ${MAX_CONQUEST_CATEGORIES} categories.`
+    );
+  }
+  return uniqueCategories;
+}
+
+// Questions asked for per category; enough that a random mix usually covers
+// every difficulty.
+const CONQUEST_CATEGORY_POOL_SIZE = 9;
+
+/**
+ * Fetches one question of each Conquest difficulty for a category, in
+ * CONQUEST_DIFFICULTIES order. A single request covers the category; only a
+ * difficulty it returned nothing for costs a request of its own.
+ * @param {object} params
+ * @param {string} params.category
+ * @param {Array<string>} [params.providerNames]
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchCategoryQuestions({ category, providerNames }) {
+  const pool = await fetchQuestions({
+    amount: CONQUEST_CATEGORY_POOL_SIZE,
+    providerNames,
+    category,
+  }).catch((error) => {
+    console.warn(
+      `Conquest: could not fetch a question pool for ${category}: ${error.message}`
+    );
+    return [];
+  });
+  const questions = [];
+  for (const difficulty of CONQUEST_DIFFICULTIES) {
+    const item =
+      pool.find((question) => question.difficulty === difficulty) ||
+      (
+        await fetchQuestions({
+          amount: 1,
+          providerNames,
+          category,
+          difficulty,
+        })
+      )[0];
+    questions.push(item);
+  }
+  return questions;
+}
+
+/**
+ * Builds a fresh board with one tile per category × difficulty, each tile's
+ * question being of its own category and difficulty.
+ * Tile IDs double as question document IDs in the room's questions subcollection.
+ * @param {object} params
+ * @param {Array<string>} params.categories
+ * @param {Array<string>} [params.providerNames] - Provider chain, as for fetchQuestions.
+ * @returns {Promise<object>} `{ board, questions }`.
+ */
+export async function buildConquestBoard({ categories, providerNames }) {
+  const tiles = [];
+  const questions = [];
+  // Categories one after another: Open Trivia DB rejects bursts of requests
+  for (const category of categories) {
+    const items = await fetchCategoryQuestions({ category, providerNames });
+    CONQUEST_DIFFICULTIES.forEach((difficulty, idx) => {
+      const tileId = String(tiles.length);
+      tiles.push({
+        id: tileId,
+        category,
+        difficulty,
+        points: CONQUEST_TILE_POINTS[difficulty],
+        status: "open", // 'open' | 'claimed' | 'missed'
+        ownerUid: null,
+      });
+      questions.push({ id: tileId, ...items[idx], category, difficulty });
+    });
+  }
+  return { board: { categories, tiles }, questions };
+}
+
+export function getTile(board, tileId) {
+  return board?.tiles.find((tile) => tile.id === String(tileId)) || null;
+}
+
+export function getOpenTiles(board) {
+  return (board?.tiles || []).filter((tile) => tile.status === "open");
+}
+
+/**
+ * Closes a tile after its question resolves.
+ * @param {object} board
+ * @param {string} tileId
+ * @param {string|null} ownerUid - Player who answered correctly, or null if nobody did.
+ * @returns {object} The updated board.
+ */
+export function resolveTile(board, tileId, ownerUid) {
+  return {
+    ...board,
+    tiles: board.tiles.map((tile) =>
+      tile.id === String(tileId)
+        ? { ...tile, status: ownerUid ? "claimed" : "missed", ownerUid }
+        : tile
+    ),
+  };
+}
+
+/**
+ * A category belongs to whoever holds a strict majority of its tiles.
+ * @param {object} board
+ * @returns {object} Map of category -> owner UID (or null).
+ */
+export function getCategoryOwners(board) {
+  const owners = {};
+  for (const category of board.categories) {
+    const categoryTiles = board.tiles.filter((t) => t.category === category);
+    const tileCounts = {};
+    for (const tile of categoryTiles) {
+      if (tile.ownerUid)
+        tileCounts[tile.ownerUid] = (tileCounts[tile.ownerUid] || 0) + 1;
+    }
+    owners[category] =
+      Object.keys(tileCounts).find(
+        (uid) => tileCounts[uid] > categoryTiles.length / 2
+      ) || null;
+  }
+  return owners;
+}
+
+/**
+ * Checks whether the board has been decided.
+ * @param {object} board
+ * @param {number} winThreshold - Categories a player must own to win outright.
+ * @returns {object} `{ finished, reason, thresholdWinnerUids }`; reason is
+ *   'threshold', 'boardCleared' or null.
+ */
+export function getConquestOutcome(board, winThreshold) {
+  const categoryCounts = {};
+  for (const ownerUid of Object.values(getCategoryOwners(board))) {
+    if (ownerUid)
+      categoryCounts[ownerUid] = (categoryCounts[ownerUid] || 0) + 1;
+  }
+  const thresholdWinnerUids = Object.keys(categoryCounts).filter(
+    (uid) => categoryCounts[uid] >= winThreshold
+  );
+  if (thresholdWinnerUids.length > 0) {
+    return { finished: true, reason: "threshold", thresholdWinnerUids };
+  }
+  if (getOpenTiles(board).length === 0) {
+    return { finished: true, reason: "boardCleared", thresholdWinnerUids };
+  }
+  return { finished: false, reason: null, thresholdWinnerUids };
+}
+
+/**
+ * Board view for clients, with category ownership resolved.
+ * @param {object} board
+ * @returns {object} `{ categories, difficulties, tiles, categoryOwners }`.
+ */
+export function toClientBoard(board) {
+  if (!board) return null;
+  return {
+    categories: board.categories,
+    difficulties: CONQUEST_DIFFICULTIES,
+    tiles: board.tiles,
+    categoryOwners: getCategoryOwners(board),
+  };
+}
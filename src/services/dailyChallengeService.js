@@ -0,0 +1,312 @@
+// server/src/services/dailyChallengeService.js
+import { db, FieldValue } from "../models/dbConfig.js";
+import {
+  getDailyChallengeRef,
+  getDailyChallenge as getDailyChallengeModel,
+  getDailyAttemptRef,
+  getDailyAttempt as getDailyAttemptModel,
+  getDailyLeaderboard as getDailyLeaderboardModel,
+  countDailyAttemptsAhead,
+} from "../models/dailyChallengeModel.js";
+import { fetchQuestions, toClientQuestion } from "./questionService.js";
+
+export const DAILY_CHALLENGE_QUESTION_COUNT = 10;
+export const DAILY_CHALLENGE_TIME_PER_QUESTION_SEC = 20;
+const DAILY_CHALLENGE_PROVIDERS = ["opentdb", "localBank"];
+const DEFAULT_LEADERBOARD_LIMIT = 50;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createStatusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Returns the UTC day a moment belongs to, used as the challenge ID.
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD.
+ */
+export function getUtcDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getNextResetAt(dateKey) {
+  const nextDay = new Date(`${dateKey}T00:00:00.000Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return nextDay.toISOString();
+}
+
+/**
+ * Loads the challenge for a UTC day, generating it on first use.
+ * Generation is committed in a transaction, so concurrent first requests agree
+ * on one question set and every player sees the same questions that day.
+ * @param {string} dateKey - YYYY-MM-DD.
+ * @returns {Promise<object>} `{ date, questions, questionCount }`; questions carry `correctIndex`.
+ */
+async function getOrCreateDailyChallenge(dateKey) {
+  const existing = await getDailyChallengeModel(dateKey);
+  if (existing) return existing;
+
+  const questions = (
+    await fetchQuestions({
+      amount: DAILY_CHALLENGE_QUESTION_COUNT,
+      providerNames: DAILY_CHALLENGE_PROVIDERS,
+    })
+  ).map((item, idx) => ({ id: String(idx), ...item }));
+
+  return db.runTransaction(async (tx) => {
+    const challengeRef = getDailyChallengeRef(dateKey);
+    const challengeSnap = await tx.get(challengeRef);
+    if (challengeSnap.exists) return challengeSnap.data(); // Another request generated it first
+
+    const challenge = {
+      date: dateKey,
+      questions,
+      questionCount: questions.length,
+    };
+    tx.set(challengeRef, {
+      ...challenge,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    console.log(
+      `Daily challenge generated for ${dateKey} with ${questions.length} questions.`
+    );
+    return challenge;
+  });
+}
+
+function toClientDailyQuestion(challenge, index) {
+  return {
+    ...toClientQuestion(challenge.questions[index]),
+    questionNum: index + 1,
+    totalQuestions: challenge.questionCount,
+    timeLimitSec: DAILY_CHALLENGE_TIME_PER_QUESTION_SEC,
+  };
+}
+
+function toAttemptSummary(attempt) {
+  if (!attempt) return null;
+  return {
+    status: attempt.status,
+    score: attempt.score,
+    answeredCount: attempt.answers.length,
+    totalTimeMs: attempt.totalTimeMs,
+  };
+}
+
+/**
+ * Today's challenge and the caller's progress on it.
+ * @param {object} params
+ * @param {string} params.uid - UID of the caller.
+ * @returns {Promise<object>} `{ date, questionCount, timePerQuestionSec, resetsAt, attempt, rank }`.
+ */
+export async function getDailyChallengeStatus({ uid }) {
+  const dateKey = getUtcDateKey();
+  const challenge = await getOrCreateDailyChallenge(dateKey);
+  const attempt = await getDailyAttemptModel(dateKey, uid);
+
+  const rank =
+    attempt?.status === "completed"
+      ? (await countDailyAttemptsAhead(
+          dateKey,
+          attempt.score,
+          attempt.totalTimeMs
+        )) + 1
+      : null;
+
+  return {
+    date: dateKey,
+    questionCount: challenge.questionCount,
+    timePerQuestionSec: DAILY_CHALLENGE_TIME_PER_QUESTION_SEC,
+    resetsAt: getNextResetAt(dateKey),
+    attempt: toAttemptSummary(attempt),
+    rank,
+  };
+}
+
+/**
+ * Starts the caller's single attempt at today's challenge, or resumes it if
+ * already in progress. Resuming does not restart the current question's clock.
+ * @param {object} params
+ * @param {string} params.uid - UID of the caller.
+ * @param {string} params.displayName - Name shown on the leaderboard.
+ * @returns {Promise<object>} `{ date, question, attempt }`.
+ */
+export async function startDailyChallengeAttempt({ uid, displayName }) {
+  const dateKey = getUtcDateKey();
+  const challenge = await getOrCreateDailyChallenge(dateKey);
+
+  const attempt = await db.runTransaction(async (tx) => {
+    const attemptRef = getDailyAttemptRef(dateKey, uid);
+    const attemptSnap = await tx.get(attemptRef);
+    if (attemptSnap.exists) {
+      const existingAttempt = attemptSnap.data();
+      if (existingAttempt.status === "completed") {
+        throw createStatusError(
+          409,
+          "You have already completed today's challenge."
+        );
+      }
+      return existingAttempt;
+    }
+
+    const newAttempt = {
+      uid,
+      displayName,
+      status: "inProgress",
+      currentIndex: 0,
+      questionServedAt: Date.now(),
+      answers: [],
+      score: 0,
+      totalTimeMs: 0,
+    };
+    tx.set(attemptRef, {
+      ...newAttempt,
+      startedAt: FieldValue.serverTimestamp(),
+    });
+    return newAttempt;
+  });
+
+  return {
+    date: dateKey,
+    question: toClientDailyQuestion(challenge, attempt.currentIndex),
+    attempt: toAttemptSummary(attempt),
+  };
+}
+
+/**
+ * Records the caller's answer to their current daily question.
+ * Answers arriving after the per-question time limit count as incorrect.
+ * @param {object} params
+ * @param {string} params.uid - UID of the caller.
+ * @param {string} [params.date] - YYYY-MM-DD the attempt was started on (the
+ *   `date` startDailyChallengeAttempt returned); defaults to today (UTC). An
+ *   attempt started before midnight is finished on its own day's challenge.
+ * @param {string} params.questionId - ID of the question being answered.
+ * @param {number} params.answerIndex - Chosen option index.
+ * @returns {Promise<object>} `{ date, correct, correctIndex, timedOut, attempt, nextQuestion, completed, rank }`.
+ */
+export async function submitDailyChallengeAnswer({
+  uid,
+  date,
+  questionId,
+  answerIndex,
+}) {
+  const dateKey = date || getUtcDateKey();
+  if (!DATE_KEY_PATTERN.test(dateKey)) {
+    throw createStatusError(400, "Date must be in YYYY-MM-DD format.");
+  }
+  const challenge = await getDailyChallengeModel(dateKey);
+  if (!challenge) {
+    throw createStatusError(404, `No challenge for ${dateKey}.`);
+  }
+
+  const result = await db.runTransaction(async (tx) => {
+    const attemptRef = getDailyAttemptRef(dateKey, uid);
+    const attemptSnap = await tx.get(attemptRef);
+    if (!attemptSnap.exists) {
+      throw createStatusError(409, `Start the ${dateKey} challenge first.`);
+    }
+    const attempt = attemptSnap.data();
+    if (attempt.status === "completed") {
+      throw createStatusError(
+        409,
+        `You have already completed the ${dateKey} challenge.`
+      );
+    }
+
+    const question = challenge.questions[attempt.currentIndex];
+    if (question.id !== questionId) {
+      throw createStatusError(400, "Question ID mismatch.");
+    }
+
+    const timeLimitMs = DAILY_CHALLENGE_TIME_PER_QUESTION_SEC * 1000;
+    const elapsedMs = Math.min(
+      Date.now() - attempt.questionServedAt,
+      timeLimitMs
+    );
+    const timedOut = elapsedMs >= timeLimitMs;
+    const correct = !timedOut && question.correctIndex === answerIndex;
+
+    const nextIndex = attempt.currentIndex + 1;
+    const completed = nextIndex >= challenge.questionCount;
+    const updatedAttempt = {
+      ...attempt,
+      currentIndex: nextIndex,
+      questionServedAt: Date.now(),
+      answers: [
+        ...attempt.answers,
+        { questionId, answerIndex, correct, elapsedMs },
+      ],
+      score: attempt.score + (correct ? 1 : 0),
+      totalTimeMs: attempt.totalTimeMs + elapsedMs,
+      status: completed ? "completed" : "inProgress",
+    };
+    tx.update(attemptRef, {
+      ...updatedAttempt,
+      ...(completed ? { finishedAt: FieldValue.serverTimestamp() } : {}),
+    });
+    return {
+      correct,
+      correctIndex: question.correctIndex,
+      timedOut,
+      completed,
+      attempt: updatedAttempt,
+    };
+  });
+
+  const rank = result.completed
+    ? (await countDailyAttemptsAhead(
+        dateKey,
+        result.attempt.score,
+        result.attempt.totalTimeMs
+      )) + 1
+    : null;
+
+  return {
+    date: dateKey,
+    correct: result.correct,
+    correctIndex: result.correctIndex,
+    timedOut: result.timedOut,
+    attempt: toAttemptSummary(result.attempt),
+    nextQuestion: result.completed
+      ? null
+      : toClientDailyQuestion(challenge, result.attempt.currentIndex),
+    completed: result.completed,
+    rank,
+  };
+}
+
+/**
+ * Standings for a day's challenge.
+ * @param {object} [params]
+ * @param {string} [params.date] - YYYY-MM-DD; defaults to today (UTC).
+ * @param {number} [params.limit] - Number of entries, up to MAX_LEADERBOARD_LIMIT.
+ * @returns {Promise<object>} `{ date, entries: [{ rank, uid, displayName, score, totalTimeMs }] }`.
+ */
+export async function getDailyChallengeLeaderboard({ date, limit } = {}) {
+  const dateKey = date || getUtcDateKey();
+  if (!DATE_KEY_PATTERN.test(dateKey)) {
+    throw createStatusError(400, "Date must be in YYYY-MM-DD format.");
+  }
+  const parsedLimit = parseInt(limit, 10);
+  const entryLimit =
+    parsedLimit >= 1
+      ? Math.min(parsedLimit, MAX_LEADERBOARD_LIMIT)
+      : DEFAULT_LEADERBOARD_LIMIT;
+
+  const attempts = await getDailyLeaderboardModel(dateKey, entryLimit);
+  return {
+    date: dateKey,
+    entries: attempts.map((attempt, idx) => ({
+      rank: idx + 1,
+      uid: attempt.uid,
+      displayName: attempt.displayName,
+      score: attempt.score,
+      totalTimeMs: attempt.totalTimeMs,
+    })),
+  };
+}
@@ -0,0 +1,269 @@
+// server/src/services/friendService.js
+import { db, FieldValue } from "../models/dbConfig.js";
+import {
+  getFriendRef,
+  getFriend as getFriendModel,
+  getFriends as getFriendsModel,
+  countFriends as countFriendsModel,
+} from "../models/friendModel.js";
+import { getUser as getUserModel } from "../models/userModel.js";
+import { getRoom as getRoomModel } from "../models/roomModel.js";
+import { getPlayer as getPlayerModel } from "../models/playerModel.js";
+import { isGuestUid } from "./authService.js";
+
+/** A friendship's status from the point of view of the user it belongs to. */
+export const FRIEND_STATUSES = Object.freeze({
+  OUTGOING: "outgoing", // The user asked; the other user has not answered
+  INCOMING: "incoming", // The other user asked
+  ACCEPTED: "accepted",
+});
+export const MAX_FRIENDS = 200; // Friends and pending requests, per user
+
+// Presence and delivery come from the socket layer (see initFriendService)
+let getOnlineUids = async () => new Set();
+let emitToUser = () => {};
+
+/**
+ * Connects the service to the socket layer.
+ * @param {object} params
+ * @param {Function} params.getOnlineUids - Async `(uids) => Set<string>`: the
+ *   given users that have a socket open, on any instance.
+ * @param {Function} params.emitToUser - `(uid, event, payload) => void`: emits
+ *   to every socket of a user.
+ */
+export function initFriendService(params) {
+  getOnlineUids = params.getOnlineUids;
+  emitToUser = params.emitToUser;
+}
+
+function createStatusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function assertOtherUser(uid, friendUid) {
+  if (!friendUid || typeof friendUid !== "string") {
+    throw createStatusError(400, "A friend UID is required.");
+  }
+  if (friendUid === uid) {
+    throw createStatusError(400, "You cannot be your own friend.");
+  }
+}
+
+/**
+ * Sends a friend request. If the other user had already asked, this accepts
+ * their request instead.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user asking.
+ * @param {string} params.friendUid - UID of the user asked.
+ * @returns {Promise<{ status: string, created: boolean }>} The friendship's
+ *   status for the asking user ("outgoing", or "accepted" if it completed a
+ *   pending request) and whether this call changed it.
+ */
+export async function sendFriendRequest({ uid, friendUid }) {
+  assertOtherUser(uid, friendUid);
+  if (isGuestUid(friendUid)) {
+    throw createStatusError(400, "Guests cannot be added as friends.");
+  }
+  if (!(await getUserModel(friendUid))) {
+    throw createStatusError(404, "User not found.");
+  }
+
+  return db.runTransaction(async (tx) => {
+    const ownRef = getFriendRef(uid, friendUid);
+    const otherRef = getFriendRef(friendUid, uid);
+    const ownDoc = await tx.get(ownRef);
+    const status = ownDoc.exists ? ownDoc.data().status : null;
+
+    if (status === FRIEND_STATUSES.ACCEPTED) {
+      throw createStatusError(409, "You are already friends.");
+    }
+    if (status === FRIEND_STATUSES.OUTGOING) return { status, created: false };
+    if (status === FRIEND_STATUSES.INCOMING) {
+      const accepted = {
+        status: FRIEND_STATUSES.ACCEPTED,
+        since: FieldValue.serverTimestamp(),
+      };
+      tx.set(ownRef, accepted, { merge: true });
+      tx.set(otherRef, accepted, { merge: true });
+      return { status: FRIEND_STATUSES.ACCEPTED, created: true };
+    }
+
+    const [ownCount, otherCount] = await Promise.all([
+      countFriendsModel(uid),
+      countFriendsModel(friendUid),
+    ]);
+    if (ownCount >= MAX_FRIENDS || otherCount >= MAX_FRIENDS) {
+      throw createStatusError(
+        409,
+        `Users can have at most ${MAX_FRIENDS} friends and requests.`
+      );
+    }
+    const requestedAt = FieldValue.serverTimestamp();
+    tx.set(ownRef, {
+      uid: friendUid,
+      status: FRIEND_STATUSES.OUTGOING,
+      requestedAt,
+    });
+    tx.set(otherRef, { uid, status: FRIEND_STATUSES.INCOMING, requestedAt });
+    return { status: FRIEND_STATUSES.OUTGOING, created: true };
+  });
+}
+
+/**
+ * Accepts a friend request the user received.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user accepting.
+ * @param {string} params.friendUid - UID of the user who asked.
+ * @returns {Promise<void>}
+ */
+export async function acceptFriendRequest({ uid, friendUid }) {
+  assertOtherUser(uid, friendUid);
+  await db.runTransaction(async (tx) => {
+    const ownRef = getFriendRef(uid, friendUid);
+    const ownDoc = await tx.get(ownRef);
+    if (ownDoc.data()?.status !== FRIEND_STATUSES.INCOMING) {
+      throw createStatusError(404, "No friend request from this user.");
+    }
+    const accepted = {
+      status: FRIEND_STATUSES.ACCEPTED,
+      since: FieldValue.serverTimestamp(),
+    };
+    tx.set(ownRef, accepted, { merge: true });
+    tx.set(getFriendRef(friendUid, uid), accepted, { merge: true });
+  });
+}
+
+/**
+ * Ends a friendship, or declines or withdraws a pending request, for both users.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user removing.
+ * @param {string} params.friendUid - UID of the other user.
+ * @returns {Promise<{ previousStatus: string }>} What the friendship was for the user.
+ */
+export async function removeFriend({ uid, friendUid }) {
+  assertOtherUser(uid, friendUid);
+  return db.runTransaction(async (tx) => {
+    const ownRef = getFriendRef(uid, friendUid);
+    const ownDoc = await tx.get(ownRef);
+    if (!ownDoc.exists) {
+      throw createStatusError(404, "This user is not your friend.");
+    }
+    tx.delete(ownRef);
+    tx.delete(getFriendRef(friendUid, uid));
+    return { previousStatus: ownDoc.data().status };
+  });
+}
+
+/**
+ * A user's friends and pending requests, with the other users' current names.
+ * @param {string} uid - UID of the user.
+ * @returns {Promise<object>} `{ friends, incoming, outgoing }`, each a list of
+ *   `{ uid, displayName, avatarUrl, since }` (`since`: when befriended or asked).
+ */
+export async function listFriends(uid) {
+  const friendships = await getFriendsModel(uid);
+  const profiles = await Promise.all(
+    friendships.map((friendship) => getUserModel(friendship.uid))
+  );
+  const lists = { friends: [], incoming: [], outgoing: [] };
+  friendships.forEach((friendship, idx) => {
+    const entry = {
+      uid: friendship.uid,
+      displayName: profiles[idx]?.displayName || "Player",
+      avatarUrl: profiles[idx]?.avatarUrl || null,
+      since: friendship.since || friendship.requestedAt || null,
+    };
+    if (friendship.status === FRIEND_STATUSES.ACCEPTED) {
+      lists.friends.push(entry);
+    } else if (friendship.status === FRIEND_STATUSES.INCOMING) {
+      lists.incoming.push(entry);
+    } else {
+      lists.outgoing.push(entry);
+    }
+  });
+  return lists;
+}
+
+/**
+ * A user's friends (with whether they are online) and pending requests.
+ * @param {string} uid - UID of the user.
+ * @returns {Promise<object>} `{ friends, incoming, outgoing }`, as from
+ *   listFriends, each friend also with `online`.
+ */
+export async function getFriendList(uid) {
+  const lists = await listFriends(uid);
+  const onlineUids = await getOnlineUids(
+    lists.friends.map((friend) => friend.uid)
+  );
+  return {
+    ...lists,
+    friends: lists.friends.map((friend) => ({
+      ...friend,
+      online: onlineUids.has(friend.uid),
+    })),
+  };
+}
+
+/**
+ * Tells a user's sockets that something changed in their friend list:
+ * 'friend:request', 'friend:accepted' or 'friend:removed', each with the
+ * other user's `{ uid }` (and `displayName` where known).
+ * @param {string} uid - The user to tell.
+ * @param {string} event
+ * @param {object} payload
+ */
+export function emitFriendEvent(uid, event, payload) {
+  emitToUser(uid, event, payload);
+}
+
+/**
+ * The UIDs of a user's friends (accepted friendships only).
+ * @param {string} uid - UID of the user.
+ * @returns {Promise<Array<string>>}
+ */
+export async function getFriendUids(uid) {
+  const friends = await getFriendsModel(uid, FRIEND_STATUSES.ACCEPTED);
+  return friends.map((friendship) => friendship.uid);
+}
+
+/**
+ * Checks that a user may invite a friend into a room they are in, and builds
+ * the invite the friend receives.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user inviting.
+ * @param {string} params.fromName - Display name of the user inviting.
+ * @param {string} params.friendUid - UID of the friend invited.
+ * @param {string} params.roomId - The ID of the room.
+ * @returns {Promise<object>} `{ roomId, roomCode, mode, fromUid, fromName }`.
+ */
+export async function createRoomInvite({ uid, fromName, friendUid, roomId }) {
+  assertOtherUser(uid, friendUid);
+  const friendship = await getFriendModel(uid, friendUid);
+  if (friendship?.status !== FRIEND_STATUSES.ACCEPTED) {
+    throw createStatusError(403, "You can only invite friends.");
+  }
+  const roomDoc = roomId ? await getRoomModel(roomId) : null;
+  if (!roomDoc?.exists) throw createStatusError(404, "Room not found.");
+  const roomData = roomDoc.data();
+  if (!(await getPlayerModel(roomId, uid))) {
+    throw createStatusError(403, "You are not in this room.");
+  }
+  if (roomData.state === "ended") {
+    throw createStatusError(409, "This game has ended.");
+  }
+  if (roomData.locked) {
+    throw createStatusError(409, "This room is locked by the host.");
+  }
+  if ((roomData.bannedUids || []).includes(friendUid)) {
+    throw createStatusError(409, "Your friend is banned from this room.");
+  }
+  return {
+    roomId,
+    roomCode: roomData.code,
+    mode: roomData.gameSettings?.mode,
+    fromUid: uid,
+    fromName,
+  };
+}
@@ -0,0 +1,36 @@
+// server/src/services/gameModes.js
+
+/**
+ * Game modes selectable through `gameSettings.mode`.
+ */
+export const GAME_MODES = Object.freeze({
+  CLASSIC: "classic", // Turn-based trivia with steals
+  BLITZ: "blitz", // Speed Challenge: independent question streams against a shared clock
+  SURVIVAL: "survival", // Everyone answers each question; the weakest are eliminated
+  TEAM: "team", // Team Battle: turns rotate between teams, steals go to the opposing team
+  CONQUEST: "conquest", // Category Conquest: players pick category × difficulty tiles and claim them
+});
+
+export const DEFAULT_GAME_MODE = GAME_MODES.CLASSIC;
+
+export function isValidGameMode(mode) {
+  return Object.values(GAME_MODES).includes(mode);
+}
+
+/**
+ * Builds a 'scoreUpdate' or 'gameEnded' payload. Classic games send the bare
+ * UID -> score map, as they always have; every other mode sends the envelope
+ * `{ mode, scores, ...extras }`, `scores` being that map. The extras by mode:
+ * - Team Battle: `teamScores` (team ID -> total); at the end, `winningTeamIds`.
+ * - Category Conquest, at the end: `categoryOwners`, `winnerUids`, `reason`.
+ * - Speed Challenge, at the end: `rankings`, `reason`.
+ * - Survival, at the end: `winnerUids`, `eliminationOrder`, `rankings`, `reason`.
+ * @param {string} mode - The game mode.
+ * @param {object} scores - UID -> score.
+ * @param {object} [extras] - The mode's extra fields.
+ * @returns {object}
+ */
+export function toScorePayload(mode, scores, extras = {}) {
+  if (mode === GAME_MODES.CLASSIC) return scores;
+  return { mode, scores, ...extras };
+}
@@ -0,0 +1,170 @@
+// server/src/services/gameResultService.js
+import { db, FieldValue } from "../models/dbConfig.js";
+import { getGameResultRef } from "../models/gameResultModel.js";
+import { getUserRef } from "../models/userModel.js";
+import { getPlayersByRoomSorted as getPlayersByRoomSortedModel } from "../models/playerModel.js";
+import { getGameAnswers as getGameAnswersModel } from "../models/answerModel.js";
+import { isGuestUid } from "./authService.js";
+import { DEFAULT_GAME_MODE } from "./gameModes.js";
+import {
+  rankFinalStandings,
+  getModeRating,
+  calculateRatingChanges,
+} from "./ratingService.js";
+import { buildGameStats, mergeStats } from "./statsService.js";
+import {
+  addGameToLeaderboards,
+  publishLeaderboardUpdates,
+} from "./leaderboardService.js";
+import {
+  recordAchievementEvent,
+  ACHIEVEMENT_EVENTS,
+} from "./achievementService.js";
+
+let ioServer;
+
+export function initGameResultService(io) {
+  ioServer = io;
+}
+
+// The facts of a player's gameEnd achievement event
+function getGameEndFacts({ mode, rank, participants, stats }) {
+  const questionsAnswered = stats.questionsAnswered || 0;
+  const correctAnswers = stats.correctAnswers || 0;
+  const timeouts = stats.timeouts || 0;
+  return {
+    mode,
+    rank,
+    won: stats.gamesWon === 1,
+    participants,
+    questionsAnswered,
+    correctAnswers,
+    timeouts,
+    perfect:
+      questionsAnswered > 0 &&
+      correctAnswers === questionsAnswered &&
+      timeouts === 0,
+    longestStreak: stats.longestStreak || 0,
+    stealsSucceeded: stats.stealsSucceeded || 0,
+  };
+}
+
+/**
+ * Records the outcome of a game that just ended: its final standings, the
+ * players' new ratings for the mode (and their places on its leaderboards),
+ * and the game's stats (from the answer log) added to each participant's
+ * `globalStats`, then checks the participants' game-end achievements. Called
+ * after broadcasting 'gameEnded' by endTurnBasedGame (gameService) and by
+ * Blitz and Survival when they finish; a game is recorded once, however many
+ * times this runs for it. Guests get stats but are neither rated nor ranked.
+ * Failures are logged, never thrown, so they cannot disturb the end of the game.
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {object} params.roomData - The room document data as the game ended.
+ * @param {object} params.finalScores - The 'gameEnded' payload.
+ * @returns {Promise<object|null>} `{ standings, ratings }`, or null if not recorded.
+ */
+export async function recordGameResult({ roomId, roomData, finalScores }) {
+  const { gameId } = roomData;
+  if (!gameId) return null; // Started before games had IDs
+  const mode = roomData.gameSettings?.mode || DEFAULT_GAME_MODE;
+  try {
+    const standings = rankFinalStandings({
+      finalScores,
+      // Everyone who started: players who left since rank last
+      participantUids:
+        roomData.participantUids || roomData.activeTurnOrderUids || [],
+      players: await getPlayersByRoomSortedModel(roomId),
+    });
+    const gameStats = buildGameStats({
+      mode,
+      standings,
+      answers: await getGameAnswersModel(roomId, gameId),
+    });
+    const result = await db.runTransaction(async (tx) => {
+      const resultRef = getGameResultRef(gameId);
+      if ((await tx.get(resultRef)).exists) return null;
+
+      const userDocs = await Promise.all(
+        standings.map(({ uid }) => tx.get(getUserRef(uid)))
+      );
+      const entries = standings
+        .map((entry, i) => ({
+          ...entry,
+          userDoc: userDocs[i],
+          ...getModeRating(userDocs[i].data() || null, mode),
+        }))
+        .filter((entry) => entry.userDoc.exists);
+      const ratedEntries = entries.filter(({ uid }) => !isGuestUid(uid));
+      const ratingChanges = calculateRatingChanges(ratedEntries);
+
+      const ratings = {};
+      const leaderboardPlayers = [];
+      for (const { uid, userDoc, rating, gamesPlayed } of entries) {
+        const updates = {
+          globalStats: mergeStats(userDoc.data().globalStats, gameStats[uid]),
+        };
+        if (uid in ratingChanges) {
+          ratings[uid] = {
+            rating: rating + ratingChanges[uid],
+            change: ratingChanges[uid],
+          };
+          updates.ratings = {
+            [mode]: {
+              rating: ratings[uid].rating,
+              gamesPlayed: gamesPlayed + 1,
+              updatedAt: FieldValue.serverTimestamp(),
+            },
+          };
+          leaderboardPlayers.push({
+            uid,
+            displayName: userDoc.data().displayName,
+            avatarUrl: userDoc.data().avatarUrl,
+            ...ratings[uid],
+            won: gameStats[uid].gamesWon === 1,
+          });
+        }
+        tx.set(userDoc.ref, updates, { merge: true });
+      }
+      addGameToLeaderboards(tx, { mode, players: leaderboardPlayers });
+      tx.set(resultRef, {
+        gameId,
+        roomId,
+        mode,
+        standings,
+        ratings,
+        endedAt: FieldValue.serverTimestamp(),
+      });
+      return { standings, ratings };
+    });
+    if (result) {
+      ioServer?.in(roomId).emit("ratingsUpdated", {
+        mode,
+        ratings: result.ratings,
+      });
+      publishLeaderboardUpdates(mode);
+      console.log(`Recorded result of game ${gameId} in room ${roomId}.`);
+      await Promise.all(
+        standings.map(({ uid, rank }) =>
+          recordAchievementEvent({
+            uid,
+            event: ACHIEVEMENT_EVENTS.GAME_END,
+            facts: getGameEndFacts({
+              mode,
+              rank,
+              participants: standings.length,
+              stats: gameStats[uid],
+            }),
+          })
+        )
+      );
+    }
+    return result;
+  } catch (err) {
+    console.error(
+      `Failed to record result of game ${gameId} in room ${roomId}:`,
+      err
+    );
+    return null;
+  }
+}
@@ -1,24 +1,124 @@
 // server/src/services/gameService.js
-import fetch from "node-fetch";
+import { randomUUID } from "crypto";
 import {
   getRoom as getRoomModel,
   updateRoom as updateRoomModel,
   batchUpdateRoom as batchUpdateRoomModel, // For startGame
+  getRoomsByState as getRoomsByStateModel,
 } from "../models/roomModel.js";
 import {
   getPlayersByRoomSorted,
   getPlayer as getPlayerModel,
   updatePlayer as updatePlayerModel,
-  incrementPlayerScore as incrementPlayerScoreModel,
   getRoomScores as getRoomScoresModel,
   batchResetPlayerScore as batchResetPlayerScoreModel,
+  batchUpdatePlayer as batchUpdatePlayerModel,
 } from "../models/playerModel.js";
 import {
   getQuestion as getQuestionModel,
-  getAllQuestions as getAllQuestionsModel,
   batchStoreQuestions as batchStoreQuestionsModel,
 } from "../models/questionModel.js";
+import {
+  addAnswerRecord as addAnswerRecordModel,
+  getRecentAnswers as getRecentAnswersModel,
+} from "../models/answerModel.js";
 import { FieldValue, db } from "../models/dbConfig.js";
+import {
+  setRoomTimer,
+  clearRoomTimer as clearActiveRoomTimer,
+  clearAllRoomTimers as clearAllTimersForRoom,
+  hasRoomTimers,
+  tryAcquireRoomLease,
+  holdsRoomLease,
+  releaseRoomLease,
+  setRoomTimerHandoff,
+} from "./gameTimerService.js";
+import {
+  fetchQuestions,
+  toClientQuestion,
+  validateQuestionProviders,
+  DEFAULT_QUESTION_PROVIDERS,
+} from "./questionService.js";
+import {
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  toScorePayload,
+} from "./gameModes.js";
+import {
+  initBlitzService,
+  startBlitzGame,
+  handleBlitzPlayerLeave,
+  resumeBlitzTimer,
+  DEFAULT_BLITZ_DURATION_SEC,
+  DEFAULT_BLITZ_SKIPS_ALLOWED,
+} from "./blitzService.js";
+import {
+  initSurvivalService,
+  startSurvivalGame,
+  handleSurvivalPlayerLeave,
+  resumeSurvivalTimer,
+  DEFAULT_SURVIVAL_ROUND_TIMEOUT_SEC,
+  DEFAULT_SURVIVAL_ELIMINATION_RULE,
+} from "./survivalService.js";
+import {
+  DEFAULT_TEAM_COUNT,
+  balanceTeams,
+  buildTeamTurnOrder,
+  findNextTeamTurnPlayer,
+  getTeamCursorUpdate,
+  getTeamRosterRemoval,
+  getTeamScores,
+  buildTeamSummaries,
+  getWinningTeamIds,
+  areTeammates,
+} from "./teamService.js";
+import {
+  DEFAULT_CONQUEST_CATEGORIES,
+  DEFAULT_CONQUEST_WIN_THRESHOLD,
+  DEFAULT_CONQUEST_PICK_TIMEOUT_SEC,
+  buildConquestBoard,
+  getTile,
+  getOpenTiles,
+  resolveTile,
+  getCategoryOwners,
+  getConquestOutcome,
+  toClientBoard,
+} from "./conquestService.js";
+import {
+  calculateAnswerPoints,
+  resolveScoringRules,
+} from "./scoringService.js";
+import {
+  resolveRejoinRules,
+  decideRejoinRole,
+  getRejoinCount,
+} from "./rejoinService.js";
+import {
+  runRoomTransition,
+  claimStateTransition,
+  getStateVersion,
+  createStaleStateError,
+} from "./gameStateService.js";
+import {
+  SEAT_HOLD_KINDS,
+  holdPlayerSeat,
+  releasePlayerSeat,
+  onSeatHoldExpired,
+  resumeSeatHolds,
+} from "./reconnectService.js";
+import {
+  initGameResultService,
+  recordGameResult,
+} from "./gameResultService.js";
+import { initLeaderboardService } from "./leaderboardService.js";
+import {
+  refreshRoomMemberSummary,
+  validateGameSettings,
+} from "./roomService.js";
+import {
+  recordAchievementEvent,
+  ACHIEVEMENT_EVENTS,
+} from "./achievementService.js";
 
 let ioServer;
 
@@ -27,45 +127,48 @@ const DEFAULT_TURN_TIMEOUT_SEC = 30;
 const DEFAULT_STEAL_TIMEOUT_SEC = 15;
 const DEFAULT_ALLOW_STEAL = true;
 const DEFAULT_BONUS_FOR_STEAL = 1;
-
-const activeRoomTimers = new Map();
+const SNAPSHOT_RECENT_ANSWERS_LIMIT = 10; // Answer history sent to rejoining clients
+// Sent between server instances: re-arm this room's timers if you hold its lease
+const ROOM_TIMER_HANDOFF_EVENT = "roomTimerHandoff";
 
 export function initGameService(io) {
   ioServer = io;
-  if (ioServer)
+  initBlitzService(io);
+  initSurvivalService(io);
+  initGameResultService(io);
+  initLeaderboardService(io);
+  onSeatHoldExpired(SEAT_HOLD_KINDS.GAME, ({ roomId, uid }) =>
+    runRoomTransition(roomId, (afterCommit) =>
+      markPlayerOfflineInGame(roomId, uid, afterCommit)
+    )
+  );
+  if (ioServer) {
+    // Timers armed without the room's lease are re-armed by its holder
+    setRoomTimerHandoff((roomId) =>
+      ioServer.serverSideEmit(ROOM_TIMER_HANDOFF_EVENT, roomId)
+    );
+    ioServer.on(ROOM_TIMER_HANDOFF_EVENT, (roomId) =>
+      rearmHandedOffRoomTimer(roomId).catch((err) =>
+        console.error(`Error re-arming timers for room ${roomId}:`, err)
+      )
+    );
     console.log("GameService initialized with Socket.IO server instance.");
-  else
+  } else
     console.error(
       "GameService initialization: Socket.IO server instance is undefined!"
     );
 }
 
-// --- Timer Utility Functions ---
-function makeRoomTimerKey(roomId, phase) {
-  return `${roomId}:${phase}`;
-}
-
-function clearActiveRoomTimer(roomId, phase) {
-  const timerKey = makeRoomTimerKey(roomId, phase);
-  if (activeRoomTimers.has(timerKey)) {
-    clearTimeout(activeRoomTimers.get(timerKey));
-    activeRoomTimers.delete(timerKey);
-    // console.log(`Timer cleared: ${timerKey}`); // Less verbose
-  }
-}
-
-function clearAllTimersForRoom(roomId) {
-  clearActiveRoomTimer(roomId, "turn");
-  clearActiveRoomTimer(roomId, "steal");
-  console.log(`All active game timers cleared for room ${roomId}.`);
-}
-
 // --- Core Game State Progression Helpers ---
 async function findNextOnlinePlayerInFixedOrder(
   roomId,
   roomData,
   startAfterUid
 ) {
+  if (roomData.gameSettings?.mode === GAME_MODES.TEAM) {
+    // Turns rotate between teams; each team cycles through its own roster.
+    return findNextTeamTurnPlayer(roomId, roomData, startAfterUid);
+  }
   const activeTurnOrderUids = roomData.activeTurnOrderUids || [];
   if (activeTurnOrderUids.length === 0) {
     return { nextPlayerUid: null, nextPlayerIndexInOrder: -1 };
@@ -98,6 +201,77 @@ async function findNextOnlinePlayerInFixedOrder(
   return { nextPlayerUid: null, nextPlayerIndexInOrder: -1 };
 }
 
+/**
+ * Builds the `gameEnded` payload for turn-based games (see toScorePayload);
+ * Team Battle adds team totals and the winning teams, Category Conquest the
+ * category owners and the winners.
+ */
+async function getFinalScores(roomId, roomData) {
+  const scores = await getRoomScoresModel(roomId);
+  const mode = roomData.gameSettings?.mode || DEFAULT_GAME_MODE;
+  if (mode === GAME_MODES.CONQUEST) {
+    const { thresholdWinnerUids } = getConquestOutcome(
+      roomData.board,
+      roomData.gameSettings.conquestWinThreshold
+    );
+    const bestScore = Math.max(...Object.values(scores));
+    return toScorePayload(mode, scores, {
+      categoryOwners: getCategoryOwners(roomData.board),
+      // Owning enough categories wins outright; otherwise the highest score wins.
+      winnerUids:
+        thresholdWinnerUids.length > 0
+          ? thresholdWinnerUids
+          : Object.keys(scores).filter((uid) => scores[uid] === bestScore),
+    });
+  }
+  if (mode !== GAME_MODES.TEAM) return toScorePayload(mode, scores);
+  const teamScores = await getTeamScores(
+    roomId,
+    roomData.gameSettings.teamCount
+  );
+  return toScorePayload(mode, scores, {
+    teamScores,
+    winningTeamIds: getWinningTeamIds(teamScores),
+  });
+}
+
+/**
+ * Ends a turn-based game: stops its timers, marks the room ended, sends the
+ * room 'gameEnded' and records the result (ratings, stats, leaderboards,
+ * achievements). Every branch that ends a turn-based game goes through here.
+ * @param {string} roomId
+ * @param {object} roomData - The room as read by the transition ending the game.
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the game ended, added to the 'gameEnded' payload.
+ * @param {object} [options.roomUpdates] - Further fields to write with the ended state.
+ * @returns {Promise<object>} `{ nextPhase: "endGame", finalScores, totalQuestions }`.
+ */
+async function endTurnBasedGame(
+  roomId,
+  roomData,
+  { reason, roomUpdates = {} } = {}
+) {
+  clearAllTimersForRoom(roomId);
+  const finalScores = {
+    ...(await getFinalScores(roomId, roomData)),
+    ...(reason ? { reason } : {}),
+  };
+  await updateRoomModel(roomId, {
+    state: "ended",
+    currentTurnUid: null,
+    currentPlayerIndexInOrder: -1,
+    currentStealAttempt: null,
+    ...roomUpdates,
+  });
+  ioServer.in(roomId).emit("gameEnded", finalScores);
+  await recordGameResult({ roomId, roomData, finalScores });
+  return {
+    nextPhase: "endGame",
+    finalScores,
+    totalQuestions: roomData.questionCount,
+  };
+}
+
 async function setupNextTurnOrEndGame(
   roomId,
   newCurrentTurnPlayerUid,
@@ -110,25 +284,24 @@ async function setupNextTurnOrEndGame(
   const roomData = roomDoc.data();
   const gameSettings = roomData.gameSettings || {};
 
+  if (gameSettings.mode === GAME_MODES.CONQUEST) {
+    // The next player picks a tile rather than receiving the next question in sequence.
+    return setupConquestPickTurn(
+      roomId,
+      roomData,
+      newCurrentTurnPlayerUid,
+      newPlayerIndexInOrder
+    );
+  }
+
   if (newQuestionDbIndex >= roomData.questionCount) {
-    clearAllTimersForRoom(roomId);
-    const finalScores = await getRoomScoresModel(roomId);
-    await updateRoomModel(roomId, {
-      state: "ended",
-      currentTurnUid: null,
-      currentQuestionDbIndex: newQuestionDbIndex,
-      currentPlayerIndexInOrder: -1,
-      currentStealAttempt: null,
+    const ended = await endTurnBasedGame(roomId, roomData, {
+      roomUpdates: { currentQuestionDbIndex: newQuestionDbIndex },
     });
-    ioServer.in(roomId).emit("gameEnded", finalScores);
     console.log(
       `Game ended in room ${roomId}. All ${roomData.questionCount} questions played.`
     );
-    return {
-      nextPhase: "endGame",
-      finalScores,
-      totalQuestions: roomData.questionCount,
-    };
+    return ended;
   }
 
   const nextQuestion = await getQuestionModel(roomId, newQuestionDbIndex);
@@ -136,24 +309,13 @@ async function setupNextTurnOrEndGame(
     console.error(
       `Failed to load question ${newQuestionDbIndex} for room ${roomId}. Ending game.`
     );
-    clearAllTimersForRoom(roomId);
-    const finalScores = await getRoomScoresModel(roomId);
-    await updateRoomModel(roomId, {
-      state: "ended",
-      currentTurnUid: null,
-      currentPlayerIndexInOrder: -1,
-    });
-    ioServer.in(roomId).emit("gameEnded", finalScores);
+    const ended = await endTurnBasedGame(roomId, roomData);
     ioServer
       .in(roomId)
       .emit("gameError", {
         message: `Error loading question ${newQuestionDbIndex}. Game ended.`,
       });
-    return {
-      nextPhase: "endGame",
-      finalScores,
-      totalQuestions: roomData.questionCount,
-    };
+    return ended;
   }
 
   const playerDoc = await getPlayerModel(roomId, newCurrentTurnPlayerUid);
@@ -178,19 +340,7 @@ async function setupNextTurnOrEndGame(
       console.log(
         `No substitute online player found in room ${roomId}. Ending game.`
       );
-      clearAllTimersForRoom(roomId);
-      const finalScores = await getRoomScoresModel(roomId);
-      await updateRoomModel(roomId, {
-        state: "ended",
-        currentTurnUid: null,
-        currentPlayerIndexInOrder: -1,
-      });
-      ioServer.in(roomId).emit("gameEnded", finalScores);
-      return {
-        nextPhase: "endGame",
-        finalScores,
-        totalQuestions: roomData.questionCount,
-      };
+      return endTurnBasedGame(roomId, roomData);
     }
     newCurrentTurnPlayerUid = substituteUid;
     newPlayerIndexInOrder = substituteIndex;
@@ -199,47 +349,293 @@ async function setupNextTurnOrEndGame(
     );
   }
 
+  const turnTimeoutSec =
+    gameSettings.turnTimeoutSec || DEFAULT_TURN_TIMEOUT_SEC;
+  const turnStartedAt = Date.now();
+  const turnDeadlineAt = turnStartedAt + turnTimeoutSec * 1000;
   await updateRoomModel(roomId, {
     currentTurnUid: newCurrentTurnPlayerUid,
     currentPlayerIndexInOrder: newPlayerIndexInOrder,
     currentQuestionDbIndex: newQuestionDbIndex,
     currentStealAttempt: null,
+    turnStartedAt,
+    turnDeadlineAt,
+    ...(gameSettings.mode === GAME_MODES.TEAM
+      ? getTeamCursorUpdate(roomData, newCurrentTurnPlayerUid)
+      : {}),
   });
 
-  const turnTimeoutSec =
-    gameSettings.turnTimeoutSec || DEFAULT_TURN_TIMEOUT_SEC;
+  // The room was read after this transition claimed its version
+  const stateVersion = getStateVersion(roomData);
   await scheduleGameTimeout({
     roomId,
     questionId: nextQuestion.id,
     uidForTimeout: newCurrentTurnPlayerUid,
     phase: "turn",
-    timeoutSeconds: turnTimeoutSec,
+    deadlineAt: turnDeadlineAt,
+    stateVersion,
   });
 
+  const nextQuestionForClient = toClientQuestion(nextQuestion);
   ioServer.in(roomId).emit("nextTurn", {
-    question: nextQuestion,
+    question: nextQuestionForClient,
     turnUid: newCurrentTurnPlayerUid,
     timeout: turnTimeoutSec,
     currentQuestionNum: newQuestionDbIndex + 1,
     totalQuestions: roomData.questionCount,
+    stateVersion,
   });
   // console.log(`Room ${roomId}: Next turn for player ${newCurrentTurnPlayerUid} (Index ${newPlayerIndexInOrder}) with Q:${nextQuestion.id} (DB Index: ${newQuestionDbIndex}).`); // Already detailed in schedule
   return {
     nextPhase: "nextTurn",
-    nextQuestion,
+    nextQuestion: nextQuestionForClient,
     nextUid: newCurrentTurnPlayerUid,
     turnTimeout: turnTimeoutSec,
     currentQuestionNum: newQuestionDbIndex + 1,
     totalQuestions: roomData.questionCount,
+    stateVersion,
+  };
+}
+
+// --- Category Conquest Helpers ---
+async function endConquestGame(roomId, roomData, reason) {
+  const ended = await endTurnBasedGame(roomId, roomData, {
+    reason,
+    roomUpdates: { conquestPhase: null },
+  });
+  console.log(`Conquest game ended in room ${roomId} (${reason}).`);
+  return ended;
+}
+
+/**
+ * Category Conquest: hands the turn to a player who must pick a tile,
+ * or ends the game once the board is decided.
+ */
+async function setupConquestPickTurn(
+  roomId,
+  roomData,
+  pickerUid,
+  pickerIndexInOrder
+) {
+  const gameSettings = roomData.gameSettings || {};
+  const outcome = getConquestOutcome(
+    roomData.board,
+    gameSettings.conquestWinThreshold
+  );
+  if (outcome.finished) {
+    return endConquestGame(roomId, roomData, outcome.reason);
+  }
+
+  const picker = pickerUid ? await getPlayerModel(roomId, pickerUid) : null;
+  if (!picker || !picker.online || (picker.role && picker.role !== "player")) {
+    const { nextPlayerUid, nextPlayerIndexInOrder } =
+      await findNextOnlinePlayerInFixedOrder(roomId, roomData, pickerUid);
+    if (!nextPlayerUid) {
+      return endConquestGame(roomId, roomData, "notEnoughPlayers");
+    }
+    pickerUid = nextPlayerUid;
+    pickerIndexInOrder = nextPlayerIndexInOrder;
+  }
+
+  const pickTimeoutSec =
+    gameSettings.conquestPickTimeoutSec || DEFAULT_CONQUEST_PICK_TIMEOUT_SEC;
+  const pickDeadlineAt = Date.now() + pickTimeoutSec * 1000;
+  await updateRoomModel(roomId, {
+    currentTurnUid: pickerUid,
+    currentPlayerIndexInOrder: pickerIndexInOrder,
+    currentStealAttempt: null,
+    currentTileId: null,
+    currentQuestionDbIndex: -1, // No question in play until a tile is picked
+    conquestPhase: "pick",
+    pickDeadlineAt,
+  });
+
+  const stateVersion = getStateVersion(roomData);
+  scheduleConquestPickTimeout(roomId, pickerUid, pickDeadlineAt, stateVersion);
+
+  const board = toClientBoard(roomData.board);
+  ioServer.in(roomId).emit("conquestPickTurn", {
+    turnUid: pickerUid,
+    board,
+    timeout: pickTimeoutSec,
+    stateVersion,
+  });
+  return {
+    nextPhase: "pickTile",
+    nextUid: pickerUid,
+    board,
+    pickTimeout: pickTimeoutSec,
+    totalQuestions: roomData.questionCount,
+    stateVersion,
   };
 }
 
+/**
+ * If the picker does not choose in time, a random open tile is picked for them.
+ */
+function scheduleConquestPickTimeout(
+  roomId,
+  pickerUid,
+  deadlineAt,
+  stateVersion
+) {
+  setRoomTimer(roomId, "pick", deadlineAt - Date.now(), async () => {
+    const roomDoc = await getRoomModel(roomId);
+    const roomData = roomDoc.data();
+    if (
+      !roomDoc.exists ||
+      roomData.state !== "active" ||
+      roomData.conquestPhase !== "pick" ||
+      roomData.currentTurnUid !== pickerUid
+    ) {
+      console.log(`Pick timeout for ${pickerUid} in room ${roomId} is stale.`);
+      return;
+    }
+    const openTiles = getOpenTiles(roomData.board);
+    const tile = openTiles[Math.floor(Math.random() * openTiles.length)];
+    try {
+      await pickTile({
+        roomId,
+        uid: pickerUid,
+        tileId: tile.id,
+        isTimeout: true,
+        stateVersion,
+      });
+    } catch (err) {
+      console.error(`Error auto-picking a tile in room ${roomId}:`, err);
+      ioServer.in(roomId).emit("gameError", {
+        message: `Server error during tile pick: ${err.message}`,
+      });
+    }
+  });
+}
+
+function isConquestPickPhase(roomData) {
+  return (
+    roomData.gameSettings?.mode === GAME_MODES.CONQUEST &&
+    roomData.conquestPhase === "pick"
+  );
+}
+
+function getConquestTilePoints(roomData) {
+  if (roomData.gameSettings?.mode !== GAME_MODES.CONQUEST) return undefined;
+  return getTile(roomData.board, roomData.currentTileId)?.points;
+}
+
+/**
+ * Scores an answer or steal under the room's scoring rules, then applies the
+ * points and the player's updated answer streak and logs the answer. The
+ * player's achievements are checked against it once the transition commits.
+ * @param {object} params
+ * @param {Function} params.afterCommit - From runRoomTransition.
+ * @returns {Promise<object>} The point breakdown from calculateAnswerPoints.
+ */
+async function scoreAnswer({
+  roomId,
+  roomData,
+  uid,
+  question,
+  correct,
+  isTimeout,
+  isSteal = false,
+  afterCommit,
+}) {
+  const gameSettings = roomData.gameSettings || {};
+  const player = await getPlayerModel(roomId, uid);
+  const streak = correct ? (player?.streak || 0) + 1 : 0;
+  const phaseStartedAt = isSteal
+    ? roomData.currentStealAttempt?.startedAt
+    : roomData.turnStartedAt;
+  const timeLimitSec = isSteal
+    ? gameSettings.stealTimeoutSec || DEFAULT_STEAL_TIMEOUT_SEC
+    : gameSettings.turnTimeoutSec || DEFAULT_TURN_TIMEOUT_SEC;
+
+  const elapsedMs = phaseStartedAt ? Date.now() - phaseStartedAt : undefined;
+
+  const scoreBreakdown = calculateAnswerPoints({
+    rules: gameSettings.scoring,
+    correct,
+    isTimeout,
+    difficulty: question.difficulty,
+    basePoints: getConquestTilePoints(roomData),
+    elapsedMs,
+    timeLimitMs: timeLimitSec * 1000,
+    streak,
+    stealBonus: isSteal ? gameSettings.bonusForSteal || 0 : 0,
+  });
+  if (player) {
+    // The player may already be gone (e.g. a timeout simulated after leaving).
+    await updatePlayerModel(roomId, uid, {
+      score: FieldValue.increment(scoreBreakdown.total),
+      streak,
+    });
+  }
+  if (roomData.gameId) {
+    await addAnswerRecordModel(roomId, {
+      gameId: roomData.gameId,
+      uid,
+      questionId: question.id,
+      category: question.category || null,
+      difficulty: question.difficulty || null,
+      correct,
+      isTimeout,
+      isSteal,
+      elapsedMs: elapsedMs ?? null,
+      points: scoreBreakdown.total,
+      streak,
+      answeredAt: Date.now(),
+    });
+  }
+  afterCommit(() =>
+    recordAchievementEvent({
+      uid,
+      event: isSteal ? ACHIEVEMENT_EVENTS.STEAL : ACHIEVEMENT_EVENTS.ANSWER,
+      facts: {
+        mode: gameSettings.mode || DEFAULT_GAME_MODE,
+        correct,
+        isTimeout,
+        elapsedMs,
+        streak,
+        points: scoreBreakdown.total,
+        difficulty: question.difficulty || null,
+        category: question.category || null,
+      },
+    })
+  );
+  return scoreBreakdown;
+}
+
+async function resolveConquestTileIfAny(roomId, roomData, ownerUid) {
+  if (roomData.gameSettings?.mode !== GAME_MODES.CONQUEST) return;
+  await updateRoomModel(roomId, {
+    board: resolveTile(roomData.board, roomData.currentTileId, ownerUid),
+    conquestPhase: null,
+  });
+}
+
+async function getTeamScoresIfTeamGame(roomId, roomData) {
+  if (roomData.gameSettings?.mode !== GAME_MODES.TEAM) return null;
+  return getTeamScores(roomId, roomData.gameSettings.teamCount);
+}
+
+function getTeamSummariesIfTeamGame(playerList, roomData) {
+  if (roomData.gameSettings?.mode !== GAME_MODES.TEAM) return null;
+  return buildTeamSummaries(playerList, roomData.gameSettings.teamCount);
+}
+
+/**
+ * Arms the turn or steal timer. The deadline is also persisted on the room
+ * (`turnDeadlineAt` / `currentStealAttempt.deadlineAt`) so that
+ * recoverGameTimers can re-arm it after a restart. The timeout acts on
+ * `stateVersion` and is dropped if the game has moved on by the time it fires.
+ */
 async function scheduleGameTimeout({
   roomId,
   questionId,
   uidForTimeout,
   phase,
-  timeoutSeconds,
+  deadlineAt,
+  stateVersion,
 }) {
   if (!ioServer) {
     console.error(
@@ -247,164 +643,167 @@ async function scheduleGameTimeout({
     );
     return;
   }
-  const timerKey = makeRoomTimerKey(roomId, phase);
-  const timeoutMs = timeoutSeconds * 1000;
-
-  clearActiveRoomTimer(roomId, phase);
+  const timerKey = `${roomId}:${phase}`;
+  const timeoutMs = deadlineAt - Date.now();
 
   console.log(
-    `Scheduling ${phase} timeout for room ${roomId} (player: ${uidForTimeout}, Q: ${questionId}) for ${timeoutSeconds}s. Key: ${timerKey}`
+    `Scheduling ${phase} timeout for room ${roomId} (player: ${uidForTimeout}, Q: ${questionId}) in ${Math.max(
+      0,
+      Math.round(timeoutMs / 1000)
+    )}s. Key: ${timerKey}`
   );
-  activeRoomTimers.set(
-    timerKey,
-    setTimeout(async () => {
-      activeRoomTimers.delete(timerKey);
+  setRoomTimer(roomId, phase, timeoutMs, async () => {
+    console.log(
+      `Timeout FIRED: ${timerKey} for player ${uidForTimeout}, Q: ${questionId}`
+    );
+
+    const roomDoc = await getRoomModel(roomId);
+    if (!roomDoc.exists || roomDoc.data().state !== "active") {
       console.log(
-        `Timeout FIRED: ${timerKey} for player ${uidForTimeout}, Q: ${questionId}`
+        `Room ${roomId} not active or found. Timeout ${timerKey} ignored (room state: ${
+          roomDoc.data()?.state
+        }).`
       );
+      return;
+    }
+    const roomData = roomDoc.data();
 
-      const roomDoc = await getRoomModel(roomId);
-      if (!roomDoc.exists || roomDoc.data().state !== "active") {
-        console.log(
-          `Room ${roomId} not active or found. Timeout ${timerKey} ignored (room state: ${
-            roomDoc.data()?.state
-          }).`
-        );
-        return;
-      }
-      const roomData = roomDoc.data();
-
-      const expectedUidForTimeout =
-        phase === "turn"
-          ? roomData.currentTurnUid
-          : roomData.currentStealAttempt
-          ? roomData.currentStealAttempt.stealerUid
-          : null;
-      const currentQuestionForPhase = await getQuestionModel(
-        roomId,
-        roomData.currentQuestionDbIndex
-      ); // This is the Q for the current state in DB
+    const expectedUidForTimeout =
+      phase === "turn"
+        ? roomData.currentTurnUid
+        : roomData.currentStealAttempt
+        ? roomData.currentStealAttempt.stealerUid
+        : null;
+    const currentQuestionForPhase = await getQuestionModel(
+      roomId,
+      roomData.currentQuestionDbIndex
+    ); // This is the Q for the current state in DB
 
-      if (
-        !currentQuestionForPhase ||
-        currentQuestionForPhase.id !== questionId ||
-        uidForTimeout !== expectedUidForTimeout
-      ) {
-        console.log(`Timeout ${timerKey} is STALE or for wrong context.
-          Current Turn UID in DB: ${roomData.currentTurnUid}, Steal UID: ${roomData.currentStealAttempt?.stealerUid}
-          Current Question ID in DB for index ${roomData.currentQuestionDbIndex}: ${currentQuestionForPhase?.id} (timer was for QID: ${questionId})
-          Expected UID for this timeout: ${uidForTimeout} (timer was for UID: ${expectedUidForTimeout})
-          Ignoring timeout.`);
-        return;
-      }
+    if (
+      !currentQuestionForPhase ||
+      currentQuestionForPhase.id !== questionId ||
+      uidForTimeout !== expectedUidForTimeout
+    ) {
+      console.log(`Timeout ${timerKey} is STALE or for wrong context.
+        Current Turn UID in DB: ${roomData.currentTurnUid}, Steal UID: ${roomData.currentStealAttempt?.stealerUid}
+        Current Question ID in DB for index ${roomData.currentQuestionDbIndex}: ${currentQuestionForPhase?.id} (timer was for QID: ${questionId})
+        Expected UID for this timeout: ${uidForTimeout} (timer was for UID: ${expectedUidForTimeout})
+        Ignoring timeout.`);
+      return;
+    }
 
-      const playerToTimeout = await getPlayerModel(roomId, uidForTimeout);
-      if (!playerToTimeout || !playerToTimeout.online) {
-        console.log(
-          `Player ${uidForTimeout} for timed out action ${timerKey} is now OFFLINE. Proceeding with timeout simulation.`
-        );
-      }
+    const playerToTimeout = await getPlayerModel(roomId, uidForTimeout);
+    if (!playerToTimeout || !playerToTimeout.online) {
+      console.log(
+        `Player ${uidForTimeout} for timed out action ${timerKey} is now OFFLINE. Proceeding with timeout simulation.`
+      );
+    }
 
+    try {
+      console.log(
+        `Processing ${phase} timeout for ${uidForTimeout} on Q:${questionId} in room ${roomId}. Player online: ${playerToTimeout?.online}`
+      );
+      if (phase === "turn") {
+        await submitAnswer({
+          roomId,
+          uid: uidForTimeout,
+          questionId,
+          answerIndex: -1,
+          isTimeout: true,
+          stateVersion,
+        });
+      } else {
+        // phase === 'steal'
+        await handleSteal({
+          roomId,
+          uid: uidForTimeout,
+          questionId,
+          answerIndex: -1,
+          isTimeout: true,
+          stateVersion,
+        });
+      }
+    } catch (err) {
+      console.error(
+        `Error processing ${phase} timeout for ${timerKey} (player ${uidForTimeout}, Q ${questionId}):`,
+        err
+      );
+      ioServer
+        .in(roomId)
+        .emit("gameError", {
+          message: `Server error during timeout: ${err.message}. Attempting to recover.`,
+        });
       try {
-        console.log(
-          `Processing ${phase} timeout for ${uidForTimeout} on Q:${questionId} in room ${roomId}. Player online: ${playerToTimeout?.online}`
-        );
-        if (phase === "turn") {
-          await submitAnswer({
-            roomId,
-            uid: uidForTimeout,
-            questionId,
-            answerIndex: -1,
-            isTimeout: true,
-          });
+        let playerContextForNext = uidForTimeout; // Player whose action led to error or who timed out
+        let nextQDbIndex = roomData.currentQuestionDbIndex + 1; // Generally, move to next question
+        let nextTurnPlayerForRecovery = null;
+        let nextTurnPlayerIndexForRecovery = -1;
+
+        if (phase === "steal") {
+          // If steal processing errored, the stealer (uidForTimeout) should get the next new question.
+          nextTurnPlayerForRecovery = uidForTimeout;
+          nextTurnPlayerIndexForRecovery =
+            roomData.activeTurnOrderUids.indexOf(uidForTimeout);
         } else {
-          // phase === 'steal'
-          await handleSteal({
+          // 'turn' phase error
+          const { nextPlayerUid, nextPlayerIndexInOrder } =
+            await findNextOnlinePlayerInFixedOrder(
+              roomId,
+              roomData,
+              playerContextForNext
+            );
+          nextTurnPlayerForRecovery = nextPlayerUid;
+          nextTurnPlayerIndexForRecovery = nextPlayerIndexInOrder;
+        }
+
+        if (
+          nextTurnPlayerForRecovery &&
+          nextTurnPlayerIndexForRecovery !== -1
+        ) {
+          console.log(
+            `Timeout recovery: Moving to next question (idx ${nextQDbIndex}) for player ${nextTurnPlayerForRecovery}`
+          );
+          await claimStateTransition(roomId);
+          await setupNextTurnOrEndGame(
             roomId,
-            uid: uidForTimeout,
-            questionId,
-            answerIndex: -1,
-            isTimeout: true,
-          });
+            nextTurnPlayerForRecovery,
+            nextTurnPlayerIndexForRecovery,
+            nextQDbIndex
+          );
+        } else {
+          console.log(
+            `Timeout recovery: No online players left or error determining next. Ending game ${roomId}.`
+          );
+          await endTurnBasedGame(roomId, roomData);
         }
-      } catch (err) {
+      } catch (recoveryError) {
         console.error(
-          `Error processing ${phase} timeout for ${timerKey} (player ${uidForTimeout}, Q ${questionId}):`,
-          err
+          `Critical error during timeout recovery for room ${roomId}:`,
+          recoveryError
         );
         ioServer
           .in(roomId)
           .emit("gameError", {
-            message: `Server error during timeout: ${err.message}. Attempting to recover.`,
+            message: `Critical server error. Game may be unstable.`,
           });
-        try {
-          let playerContextForNext = uidForTimeout; // Player whose action led to error or who timed out
-          let nextQDbIndex = roomData.currentQuestionDbIndex + 1; // Generally, move to next question
-          let nextTurnPlayerForRecovery = null;
-          let nextTurnPlayerIndexForRecovery = -1;
-
-          if (phase === "steal") {
-            // If steal processing errored, the stealer (uidForTimeout) should get the next new question.
-            nextTurnPlayerForRecovery = uidForTimeout;
-            nextTurnPlayerIndexForRecovery =
-              roomData.activeTurnOrderUids.indexOf(uidForTimeout);
-          } else {
-            // 'turn' phase error
-            const { nextPlayerUid, nextPlayerIndexInOrder } =
-              await findNextOnlinePlayerInFixedOrder(
-                roomId,
-                roomData,
-                playerContextForNext
-              );
-            nextTurnPlayerForRecovery = nextPlayerUid;
-            nextTurnPlayerIndexForRecovery = nextPlayerIndexInOrder;
-          }
-
-          if (
-            nextTurnPlayerForRecovery &&
-            nextTurnPlayerIndexForRecovery !== -1
-          ) {
-            console.log(
-              `Timeout recovery: Moving to next question (idx ${nextQDbIndex}) for player ${nextTurnPlayerForRecovery}`
-            );
-            await setupNextTurnOrEndGame(
-              roomId,
-              nextTurnPlayerForRecovery,
-              nextTurnPlayerIndexForRecovery,
-              nextQDbIndex
-            );
-          } else {
-            console.log(
-              `Timeout recovery: No online players left or error determining next. Ending game ${roomId}.`
-            );
-            clearAllTimersForRoom(roomId);
-            const finalScores = await getRoomScoresModel(roomId);
-            await updateRoomModel(roomId, {
-              state: "ended",
-              currentTurnUid: null,
-              currentPlayerIndexInOrder: -1,
-            });
-            ioServer.in(roomId).emit("gameEnded", finalScores);
-          }
-        } catch (recoveryError) {
-          console.error(
-            `Critical error during timeout recovery for room ${roomId}:`,
-            recoveryError
-          );
-          ioServer
-            .in(roomId)
-            .emit("gameError", {
-              message: `Critical server error. Game may be unstable.`,
-            });
-        }
       }
-    }, timeoutMs)
-  );
+    }
+  });
 }
 
 // --- Main Exported Game Logic Functions ---
 
-export async function startGame({ roomId, settings }) {
+/**
+ * Starts a game in a room. Runs as a room transition, so concurrent starts
+ * (e.g. racing Play Again votes) cannot both go through.
+ * @param {object} params - `{ roomId, settings }`.
+ * @returns {Promise<object>} Initial game state broadcast with 'gameStarted'.
+ */
+export function startGame(params) {
+  return runRoomTransition(params.roomId, () => processStartGame(params));
+}
+
+async function processStartGame({ roomId, settings }) {
   const roomDoc = await getRoomModel(roomId);
   if (!roomDoc.exists) throw new Error(`Room ${roomId} not found.`);
   const existingRoomData = roomDoc.data();
@@ -420,33 +819,143 @@ export async function startGame({ roomId, settings }) {
     );
   }
 
+  // Settings sent with the start are validated like room setting updates, but
+  // apply in any state the game can start from, e.g. a restart after a game
+  const startSettings =
+    settings && Object.keys(settings).length > 0
+      ? validateGameSettings(settings, existingRoomData.gameSettings)
+      : null;
   const gameSettings = {
     questionsPerPlayer:
-      settings?.questionsPerPlayer ||
+      startSettings?.questionsPerPlayer ||
       existingRoomData.gameSettings?.questionsPerPlayer ||
       DEFAULT_QUESTIONS_PER_PLAYER,
     turnTimeoutSec:
-      settings?.turnTimeoutSec ||
+      startSettings?.turnTimeoutSec ||
       existingRoomData.gameSettings?.turnTimeoutSec ||
       DEFAULT_TURN_TIMEOUT_SEC,
     stealTimeoutSec:
-      settings?.stealTimeoutSec ||
+      startSettings?.stealTimeoutSec ||
       existingRoomData.gameSettings?.stealTimeoutSec ||
       DEFAULT_STEAL_TIMEOUT_SEC,
     allowSteal:
-      settings?.allowSteal !== undefined
-        ? settings.allowSteal
+      startSettings?.allowSteal !== undefined
+        ? startSettings.allowSteal
         : existingRoomData.gameSettings?.allowSteal !== undefined
         ? existingRoomData.gameSettings.allowSteal
         : DEFAULT_ALLOW_STEAL,
     bonusForSteal:
-      settings?.bonusForSteal !== undefined
-        ? settings.bonusForSteal
+      startSettings?.bonusForSteal !== undefined
+        ? startSettings.bonusForSteal
         : existingRoomData.gameSettings?.bonusForSteal !== undefined
         ? existingRoomData.gameSettings.bonusForSteal
         : DEFAULT_BONUS_FOR_STEAL,
+    // Checked again at the start: a stored provider may have been removed
+    questionProviders: validateQuestionProviders(
+      startSettings?.questionProviders ||
+        existingRoomData.gameSettings?.questionProviders ||
+        DEFAULT_QUESTION_PROVIDERS
+    ),
+    mode:
+      startSettings?.mode || existingRoomData.gameSettings?.mode || DEFAULT_GAME_MODE,
+    blitzDurationSec:
+      startSettings?.blitzDurationSec ||
+      existingRoomData.gameSettings?.blitzDurationSec ||
+      DEFAULT_BLITZ_DURATION_SEC,
+    blitzSkipsAllowed:
+      startSettings?.blitzSkipsAllowed !== undefined
+        ? startSettings.blitzSkipsAllowed
+        : existingRoomData.gameSettings?.blitzSkipsAllowed !== undefined
+        ? existingRoomData.gameSettings.blitzSkipsAllowed
+        : DEFAULT_BLITZ_SKIPS_ALLOWED,
+    survivalRoundTimeoutSec:
+      startSettings?.survivalRoundTimeoutSec ||
+      existingRoomData.gameSettings?.survivalRoundTimeoutSec ||
+      DEFAULT_SURVIVAL_ROUND_TIMEOUT_SEC,
+    survivalEliminationRule:
+      startSettings?.survivalEliminationRule ||
+      existingRoomData.gameSettings?.survivalEliminationRule ||
+      DEFAULT_SURVIVAL_ELIMINATION_RULE,
+    teamCount:
+      startSettings?.teamCount ||
+      existingRoomData.gameSettings?.teamCount ||
+      DEFAULT_TEAM_COUNT,
+    conquestCategories:
+      startSettings?.conquestCategories ||
+      existingRoomData.gameSettings?.conquestCategories ||
+      DEFAULT_CONQUEST_CATEGORIES,
+    conquestWinThreshold:
+      startSettings?.conquestWinThreshold ||
+      existingRoomData.gameSettings?.conquestWinThreshold ||
+      DEFAULT_CONQUEST_WIN_THRESHOLD,
+    conquestPickTimeoutSec:
+      startSettings?.conquestPickTimeoutSec ||
+      existingRoomData.gameSettings?.conquestPickTimeoutSec ||
+      DEFAULT_CONQUEST_PICK_TIMEOUT_SEC,
+    scoring: resolveScoringRules(
+      startSettings?.scoring || existingRoomData.gameSettings?.scoring
+    ),
+    rejoin: resolveRejoinRules(
+      startSettings?.rejoin || existingRoomData.gameSettings?.rejoin
+    ),
   };
 
+  const stateVersion = await claimStateTransition(
+    roomId,
+    getStateVersion(existingRoomData)
+  );
+  if (stateVersion === null) throw createStaleStateError();
+
+  if (gameSettings.mode === GAME_MODES.BLITZ) {
+    return startBlitzGame({
+      roomId,
+      roomData: existingRoomData,
+      players: onlineParticipatingPlayers,
+      gameSettings,
+    });
+  }
+  if (gameSettings.mode === GAME_MODES.SURVIVAL) {
+    return startSurvivalGame({
+      roomId,
+      roomData: existingRoomData,
+      players: onlineParticipatingPlayers,
+      gameSettings,
+    });
+  }
+
+  if (gameSettings.mode === GAME_MODES.CONQUEST) {
+    return startConquestGame({
+      roomId,
+      roomData: existingRoomData,
+      players: onlineParticipatingPlayers,
+      gameSettings,
+      stateVersion,
+    });
+  }
+
+  let teamSetup = null;
+  if (gameSettings.mode === GAME_MODES.TEAM) {
+    // Players the host left unassigned join the smallest team.
+    const assignments = balanceTeams(
+      onlineParticipatingPlayers,
+      gameSettings.teamCount,
+      { keepExisting: true }
+    );
+    teamSetup = {
+      assignments,
+      ...buildTeamTurnOrder(
+        onlineParticipatingPlayers,
+        assignments,
+        gameSettings.teamCount
+      ),
+    };
+    if (teamSetup.teamTurnOrder.length < 2) {
+      throw new Error(
+        "Team Battle needs online players on at least two teams."
+      );
+    }
+  }
+
   const totalQuestionCount =
     onlineParticipatingPlayers.length * gameSettings.questionsPerPlayer;
   console.log(
@@ -454,38 +963,21 @@ export async function startGame({ roomId, settings }) {
     gameSettings
   );
 
-  const fetchResponse = await fetch(
-    `https://opentdb.com/api.php?amount=${totalQuestionCount}&type=multiple`
-  );
-  if (!fetchResponse.ok)
-    throw new Error(`Failed to fetch questions: ${fetchResponse.statusText}`);
-  const { results: questionItems } = await fetchResponse.json();
-
-  if (!questionItems || questionItems.length < totalQuestionCount) {
-    throw new Error(
-      `Not enough questions fetched (${
-        questionItems?.length || 0
-      }/${totalQuestionCount}).`
-    );
-  }
+  const questionItems = await fetchQuestions({
+    amount: totalQuestionCount,
+    providerNames: gameSettings.questionProviders,
+  });
 
   const batch = db.batch();
-  const questionsToStore = questionItems.map((item, idx) => {
-    const options = [...item.incorrect_answers, item.correct_answer].sort(
-      () => 0.5 - Math.random()
-    );
-    return {
-      id: String(idx),
-      text: item.question,
-      options,
-      correctIndex: options.indexOf(item.correct_answer),
-      category: item.category,
-      difficulty: item.difficulty,
-    };
-  });
+  const questionsToStore = questionItems.map((item, idx) => ({
+    id: String(idx),
+    ...item,
+  }));
   batchStoreQuestionsModel(batch, roomId, questionsToStore);
 
-  const activeTurnOrderUids = onlineParticipatingPlayers.map((p) => p.id);
+  const activeTurnOrderUids = teamSetup
+    ? teamSetup.activeTurnOrderUids
+    : onlineParticipatingPlayers.map((p) => p.id);
   const firstTurnPlayerUid = activeTurnOrderUids[0];
   const firstPlayerIndexInOrder = 0;
 
@@ -494,25 +986,39 @@ export async function startGame({ roomId, settings }) {
   // For this structure, we'll update the room first, then batch player scores.
   // Or, if batchUpdateRoomModel is available and works with other batch items, use it.
   // Here, assuming batchUpdateRoomModel is for adding to an *existing* batch.
+  const turnStartedAt = Date.now();
   const roomUpdateData = {
     state: "active",
     currentQuestionDbIndex: 0,
     questionCount: totalQuestionCount,
     currentTurnUid: firstTurnPlayerUid,
     activeTurnOrderUids: activeTurnOrderUids,
+    // Unlike the turn order, kept as players leave (see recordGameResult)
+    participantUids: activeTurnOrderUids,
     currentPlayerIndexInOrder: firstPlayerIndexInOrder,
     currentStealAttempt: null,
+    turnStartedAt,
+    turnDeadlineAt: turnStartedAt + gameSettings.turnTimeoutSec * 1000,
     gameSettings: gameSettings,
+    gameId: randomUUID(),
     startedAt: FieldValue.serverTimestamp(),
+    // Team Battle rotation state; the first team's first member opens the game.
+    teamTurnOrder: teamSetup ? teamSetup.teamTurnOrder : null,
+    teamRosters: teamSetup ? teamSetup.teamRosters : null,
+    teamCursors: teamSetup ? { [teamSetup.teamTurnOrder[0]]: 0 } : null,
   };
   batchUpdateRoomModel(batch, roomId, roomUpdateData);
 
   for (const player of onlineParticipatingPlayers) {
     batchResetPlayerScoreModel(batch, roomId, player.id);
+    if (teamSetup) {
+      batchUpdatePlayerModel(batch, roomId, player.id, {
+        teamId: teamSetup.assignments[player.id],
+      });
+    }
   }
   await batch.commit();
 
-  const allQuestionsForClient = await getAllQuestionsModel(roomId);
   const firstQuestion = await getQuestionModel(roomId, 0);
   if (!firstQuestion) throw new Error("Failed to load first question.");
 
@@ -521,16 +1027,20 @@ export async function startGame({ roomId, settings }) {
     questionId: firstQuestion.id,
     uidForTimeout: firstTurnPlayerUid,
     phase: "turn",
-    timeoutSeconds: gameSettings.turnTimeoutSec,
+    deadlineAt: roomUpdateData.turnDeadlineAt,
+    stateVersion,
   });
 
   const initialScores = await getRoomScoresModel(roomId);
+  const teamScores = teamSetup
+    ? await getTeamScores(roomId, gameSettings.teamCount)
+    : null;
   // Ensure playerInfoForClient has all currently online players (including spectators if any, for full list)
   // But filter for game participation if this list is for "active game players"
   const allPlayersForInitialList = await getPlayersByRoomSorted(roomId);
 
   return {
-    question: firstQuestion,
+    question: toClientQuestion(firstQuestion),
     turnUid: firstTurnPlayerUid,
     turnTimeout: gameSettings.turnTimeoutSec,
     scores: initialScores,
@@ -541,22 +1051,212 @@ export async function startGame({ roomId, settings }) {
       score: initialScores[p.id] || 0,
       online: p.online,
       role: p.role || "player",
+      teamId: p.teamId,
     })),
+    teamScores,
     totalQuestions: totalQuestionCount,
     currentQuestionNum: 1,
-    questions: allQuestionsForClient,
     gameSettings: gameSettings,
     hostId: existingRoomData.hostUid,
+    stateVersion,
+  };
+}
+
+async function startConquestGame({
+  roomId,
+  roomData,
+  players,
+  gameSettings,
+  stateVersion,
+}) {
+  console.log(
+    `Starting Category Conquest in room ${roomId} for ${players.length} players on ${gameSettings.conquestCategories.length} categories.`
+  );
+  const { board, questions } = await buildConquestBoard({
+    categories: gameSettings.conquestCategories,
+    providerNames: gameSettings.questionProviders,
+  });
+
+  const batch = db.batch();
+  batchStoreQuestionsModel(batch, roomId, questions);
+
+  const activeTurnOrderUids = players.map((p) => p.id);
+  const firstPickerUid = activeTurnOrderUids[0];
+  const pickDeadlineAt =
+    Date.now() + gameSettings.conquestPickTimeoutSec * 1000;
+  batchUpdateRoomModel(batch, roomId, {
+    state: "active",
+    questionCount: questions.length,
+    currentQuestionDbIndex: -1,
+    currentTurnUid: firstPickerUid,
+    activeTurnOrderUids,
+    participantUids: activeTurnOrderUids,
+    currentPlayerIndexInOrder: 0,
+    currentStealAttempt: null,
+    gameSettings,
+    gameId: randomUUID(),
+    startedAt: FieldValue.serverTimestamp(),
+    board,
+    conquestPhase: "pick",
+    pickDeadlineAt,
+    currentTileId: null,
+    teamTurnOrder: null,
+    teamRosters: null,
+    teamCursors: null,
+  });
+  for (const player of players) {
+    batchResetPlayerScoreModel(batch, roomId, player.id);
+  }
+  await batch.commit();
+
+  scheduleConquestPickTimeout(
+    roomId,
+    firstPickerUid,
+    pickDeadlineAt,
+    stateVersion
+  );
+
+  const initialScores = await getRoomScoresModel(roomId);
+  const allPlayersForInitialList = await getPlayersByRoomSorted(roomId);
+  return {
+    mode: GAME_MODES.CONQUEST,
+    question: null, // Chosen by the first picker via game:pickTile
+    board: toClientBoard(board),
+    turnUid: firstPickerUid,
+    pickTimeout: gameSettings.conquestPickTimeoutSec,
+    scores: initialScores,
+    players: allPlayersForInitialList.map((p) => ({
+      uid: p.id,
+      name: p.name,
+      score: initialScores[p.id] || 0,
+      online: p.online,
+      role: p.role || "player",
+    })),
+    totalQuestions: questions.length,
+    gameSettings,
+    hostId: roomData.hostUid,
+    stateVersion,
+  };
+}
+
+/**
+ * Category Conquest: the current player picks an open tile, which puts its
+ * question in play as a normal turn (answered via submitAnswer, stealable as usual).
+ * Emits 'tilePicked' to the room.
+ * @param {object} params
+ * @param {string} params.roomId
+ * @param {string} params.uid - Player picking.
+ * @param {string} params.tileId - ID of an open tile.
+ * @param {boolean} [params.isTimeout=false] - Picked automatically after the pick timer ran out.
+ * @param {number} [params.stateVersion] - State version the pick was made on.
+ * @returns {Promise<object>} `{ tile, turnUid, question, timeout, autoPicked, stateVersion }`.
+ */
+export function pickTile(params) {
+  return runRoomTransition(params.roomId, () => processTilePick(params));
+}
+
+async function processTilePick({
+  roomId,
+  uid,
+  tileId,
+  isTimeout = false,
+  stateVersion,
+}) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists || roomDoc.data().state !== "active") {
+    throw new Error("Game not active.");
+  }
+  const roomData = roomDoc.data();
+  if (
+    stateVersion !== undefined &&
+    stateVersion !== getStateVersion(roomData)
+  ) {
+    if (isTimeout) return { staleTimeout: true, noActionTaken: true };
+    throw createStaleStateError();
+  }
+  if (roomData.gameSettings?.mode !== GAME_MODES.CONQUEST) {
+    throw new Error("Tiles can only be picked in Category Conquest.");
+  }
+  if (roomData.conquestPhase !== "pick") {
+    throw new Error("A tile is already in play.");
+  }
+  if (roomData.currentTurnUid !== uid) {
+    throw new Error("Not your turn to pick.");
+  }
+
+  const tile = getTile(roomData.board, tileId);
+  if (!tile || tile.status !== "open") {
+    throw new Error("That tile is not available.");
+  }
+  const question = await getQuestionModel(roomId, tile.id);
+  if (!question) throw new Error(`Question for tile ${tile.id} not found.`);
+
+  const newStateVersion = await claimStateTransition(
+    roomId,
+    getStateVersion(roomData)
+  );
+  if (newStateVersion === null) {
+    if (isTimeout) return { staleTimeout: true, noActionTaken: true };
+    throw createStaleStateError();
+  }
+  clearActiveRoomTimer(roomId, "pick");
+  const turnTimeoutSec =
+    roomData.gameSettings.turnTimeoutSec || DEFAULT_TURN_TIMEOUT_SEC;
+  const turnStartedAt = Date.now();
+  const turnDeadlineAt = turnStartedAt + turnTimeoutSec * 1000;
+  await updateRoomModel(roomId, {
+    conquestPhase: "answer",
+    currentTileId: tile.id,
+    currentQuestionDbIndex: Number(tile.id),
+    turnStartedAt,
+    turnDeadlineAt,
+  });
+
+  await scheduleGameTimeout({
+    roomId,
+    questionId: question.id,
+    uidForTimeout: uid,
+    phase: "turn",
+    deadlineAt: turnDeadlineAt,
+    stateVersion: newStateVersion,
+  });
+
+  const tilePicked = {
+    tile,
+    turnUid: uid,
+    question: toClientQuestion(question),
+    timeout: turnTimeoutSec,
+    autoPicked: isTimeout,
+    stateVersion: newStateVersion,
   };
+  ioServer.in(roomId).emit("tilePicked", tilePicked);
+  return tilePicked;
 }
 
-export async function submitAnswer({
-  roomId,
-  uid,
-  questionId,
-  answerIndex,
-  isTimeout = false,
-}) {
+/**
+ * Resolves the current turn's answer, or its timeout. Turn and steal
+ * transitions for a room run one at a time and each claims the next
+ * `stateVersion`, so an answer racing a timeout can only advance the game once.
+ * @param {object} params
+ * @param {string} params.roomId
+ * @param {string} params.uid - Turn-taker (for timeouts: who should have answered).
+ * @param {string} params.questionId
+ * @param {number} params.answerIndex
+ * @param {boolean} [params.isTimeout=false]
+ * @param {number} [params.stateVersion] - State version the answer was given on;
+ *   answers on an older version are rejected.
+ * @returns {Promise<object>} The answer result and the next phase.
+ */
+export function submitAnswer(params) {
+  return runRoomTransition(params.roomId, (afterCommit) =>
+    processAnswer(params, afterCommit)
+  );
+}
+
+async function processAnswer(
+  { roomId, uid, questionId, answerIndex, isTimeout = false, stateVersion },
+  afterCommit
+) {
   const roomDoc = await getRoomModel(roomId);
   if (!roomDoc.exists || roomDoc.data().state !== "active") {
     console.warn(
@@ -567,6 +1267,13 @@ export async function submitAnswer({
     return { noActionTaken: true, message: "Game not active." };
   }
   const roomData = roomDoc.data();
+  if (
+    stateVersion !== undefined &&
+    stateVersion !== getStateVersion(roomData)
+  ) {
+    if (isTimeout) return { staleTimeout: true, noActionTaken: true };
+    throw createStaleStateError();
+  }
 
   // If it's a timeout, the uid is who *should have* answered.
   // If it's a direct submission, it must be their turn.
@@ -602,12 +1309,29 @@ export async function submitAnswer({
     throw new Error("Question ID mismatch or question not found.");
   }
 
+  const newStateVersion = await claimStateTransition(
+    roomId,
+    getStateVersion(roomData)
+  );
+  if (newStateVersion === null) {
+    if (isTimeout) return { staleTimeout: true, noActionTaken: true };
+    throw createStaleStateError();
+  }
   clearActiveRoomTimer(roomId, "turn");
   // console.log(`Player ${uid} (current turn: ${roomData.currentTurnUid}) submitted answer (timeout: ${isTimeout}) for Q:${questionId} in room ${roomId}.`);
 
   const isCorrect = !isTimeout && currentQuestion.correctIndex === answerIndex;
+  const scoreBreakdown = await scoreAnswer({
+    roomId,
+    roomData,
+    uid,
+    question: currentQuestion,
+    correct: isCorrect,
+    isTimeout,
+    afterCommit,
+  });
   if (isCorrect) {
-    await incrementPlayerScoreModel(roomId, uid, 1);
+    await resolveConquestTileIfAny(roomId, roomData, uid);
   }
 
   const updatedScores = await getRoomScoresModel(roomId);
@@ -615,9 +1339,13 @@ export async function submitAnswer({
     correct: isCorrect,
     correctIndex: currentQuestion.correctIndex,
     questionId: questionId,
+    mode: roomData.gameSettings?.mode || DEFAULT_GAME_MODE,
     scores: updatedScores,
+    scoreBreakdown,
+    teamScores: await getTeamScoresIfTeamGame(roomId, roomData),
     uidOfAnswerer: uid,
     totalQuestions: roomData.questionCount,
+    stateVersion: newStateVersion,
   };
 
   if (isCorrect) {
@@ -625,17 +1353,7 @@ export async function submitAnswer({
       await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
     if (!nextPlayerUid) {
       // No one else to play
-      clearAllTimersForRoom(roomId);
-      await updateRoomModel(roomId, {
-        state: "ended",
-        currentTurnUid: null,
-        currentPlayerIndexInOrder: -1,
-      });
-      return {
-        ...resultBase,
-        nextPhase: "endGame",
-        finalScores: updatedScores,
-      };
+      return { ...resultBase, ...(await endTurnBasedGame(roomId, roomData)) };
     }
     const updatedRoomState = await setupNextTurnOrEndGame(
       roomId,
@@ -651,20 +1369,13 @@ export async function submitAnswer({
       console.log(
         `Room ${roomId}: Steal disabled by game settings. Advancing turn after incorrect answer by ${uid}.`
       );
+      await resolveConquestTileIfAny(roomId, roomData, null);
       const { nextPlayerUid, nextPlayerIndexInOrder } =
         await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
       if (!nextPlayerUid) {
-        /* End game */
-        clearAllTimersForRoom(roomId);
-        await updateRoomModel(roomId, {
-          state: "ended",
-          currentTurnUid: null,
-          currentPlayerIndexInOrder: -1,
-        });
         return {
           ...resultBase,
-          nextPhase: "endGame",
-          finalScores: updatedScores,
+          ...(await endTurnBasedGame(roomId, roomData)),
         };
       }
       const updatedRoomState = await setupNextTurnOrEndGame(
@@ -679,12 +1390,21 @@ export async function submitAnswer({
     const { nextPlayerUid: stealerUidIfAny } =
       await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid); // Player immediately after 'uid'
 
-    if (stealerUidIfAny && stealerUidIfAny !== uid) {
-      // Must be a different player
+    if (
+      stealerUidIfAny &&
+      stealerUidIfAny !== uid &&
+      !areTeammates(roomData, stealerUidIfAny, uid)
+    ) {
+      // Must be a different player (and, in Team Battle, on an opposing team)
+      const stealStartedAt = Date.now();
+      const stealDeadlineAt =
+        stealStartedAt + gameSettings.stealTimeoutSec * 1000;
       await updateRoomModel(roomId, {
         currentStealAttempt: {
           stealerUid: stealerUidIfAny,
           questionDbIndex: roomData.currentQuestionDbIndex,
+          startedAt: stealStartedAt,
+          deadlineAt: stealDeadlineAt,
         },
       });
       await scheduleGameTimeout({
@@ -692,13 +1412,15 @@ export async function submitAnswer({
         questionId: currentQuestion.id,
         uidForTimeout: stealerUidIfAny,
         phase: "steal",
-        timeoutSeconds: gameSettings.stealTimeoutSec,
+        deadlineAt: stealDeadlineAt,
+        stateVersion: newStateVersion,
       });
       console.log(
         `Room ${roomId}: Steal opportunity for ${stealerUidIfAny} on Q:${currentQuestion.id} after ${uid} answered incorrectly.`
       );
       return {
         ...resultBase,
+        correctIndex: null, // Withheld until the steal resolves so the stealer can't see it
         nextPhase: "steal",
         nextUid: stealerUidIfAny,
         stealTimeout: gameSettings.stealTimeoutSec,
@@ -708,6 +1430,7 @@ export async function submitAnswer({
       console.log(
         `Room ${roomId}: No distinct eligible 'player' for steal found for Q:${currentQuestion.id} after ${uid}. Advancing turn.`
       );
+      await resolveConquestTileIfAny(roomId, roomData, null);
     }
 
     const {
@@ -715,18 +1438,7 @@ export async function submitAnswer({
       nextPlayerIndexInOrder: nextIndexAfterNoSteal,
     } = await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
     if (!nextPlayerAfterNoSteal) {
-      /* End game */
-      clearAllTimersForRoom(roomId);
-      await updateRoomModel(roomId, {
-        state: "ended",
-        currentTurnUid: null,
-        currentPlayerIndexInOrder: -1,
-      });
-      return {
-        ...resultBase,
-        nextPhase: "endGame",
-        finalScores: updatedScores,
-      };
+      return { ...resultBase, ...(await endTurnBasedGame(roomId, roomData)) };
     }
     const updatedRoomState = await setupNextTurnOrEndGame(
       roomId,
@@ -738,13 +1450,22 @@ export async function submitAnswer({
   }
 }
 
-export async function handleSteal({
-  roomId,
-  uid,
-  questionId,
-  answerIndex,
-  isTimeout = false,
-}) {
+/**
+ * Resolves the current steal attempt, or its timeout. Runs as a room
+ * transition like submitAnswer.
+ * @param {object} params - As for submitAnswer, with `uid` being the stealer.
+ * @returns {Promise<object>} The steal result and the next phase.
+ */
+export function handleSteal(params) {
+  return runRoomTransition(params.roomId, (afterCommit) =>
+    processSteal(params, afterCommit)
+  );
+}
+
+async function processSteal(
+  { roomId, uid, questionId, answerIndex, isTimeout = false, stateVersion },
+  afterCommit
+) {
   const roomDoc = await getRoomModel(roomId);
   if (!roomDoc.exists || roomDoc.data().state !== "active") {
     console.warn(
@@ -755,6 +1476,13 @@ export async function handleSteal({
     return { noActionTaken: true, message: "Game not active." };
   }
   const roomData = roomDoc.data();
+  if (
+    stateVersion !== undefined &&
+    stateVersion !== getStateVersion(roomData)
+  ) {
+    if (isTimeout) return { staleTimeout: true, noActionTaken: true };
+    throw createStaleStateError();
+  }
   const gameSettings = roomData.gameSettings || {};
 
   if (
@@ -784,23 +1512,42 @@ export async function handleSteal({
   if (!currentQuestion || currentQuestion.id !== questionId)
     throw new Error("Steal question ID mismatch.");
 
+  const newStateVersion = await claimStateTransition(
+    roomId,
+    getStateVersion(roomData)
+  );
+  if (newStateVersion === null) {
+    if (isTimeout) return { staleTimeout: true, noActionTaken: true };
+    throw createStaleStateError();
+  }
   clearActiveRoomTimer(roomId, "steal");
   // console.log(`Player ${uid} (stealer) submitted steal (timeout: ${isTimeout}) for Q:${questionId} in room ${roomId}.`);
 
   const isCorrect = !isTimeout && currentQuestion.correctIndex === answerIndex;
-  if (isCorrect) {
-    const pointsForSteal = 1 + (gameSettings.bonusForSteal || 0);
-    await incrementPlayerScoreModel(roomId, uid, pointsForSteal);
-  }
+  const scoreBreakdown = await scoreAnswer({
+    roomId,
+    roomData,
+    uid,
+    question: currentQuestion,
+    correct: isCorrect,
+    isTimeout,
+    isSteal: true,
+    afterCommit,
+  });
+  await resolveConquestTileIfAny(roomId, roomData, isCorrect ? uid : null);
 
   const updatedScores = await getRoomScoresModel(roomId);
   const resultBase = {
     correct: isCorrect,
+    mode: roomData.gameSettings?.mode || DEFAULT_GAME_MODE,
     scores: updatedScores,
+    scoreBreakdown,
+    teamScores: await getTeamScoresIfTeamGame(roomId, roomData),
     questionId,
     uidOfAnswerer: uid,
     correctIndex: currentQuestion.correctIndex,
     totalQuestions: roomData.questionCount,
+    stateVersion: newStateVersion,
   };
 
   const nextTurnPlayerUidForNewQuestion = uid; // Stealer gets the next main turn.
@@ -810,16 +1557,9 @@ export async function handleSteal({
     console.error(
       `Stealer ${uid} not found in activeTurnOrderUids. Critical error in room ${roomId}. Ending game.`
     );
-    clearAllTimersForRoom(roomId);
-    await updateRoomModel(roomId, {
-      state: "ended",
-      currentTurnUid: null,
-      currentPlayerIndexInOrder: -1,
-    });
     return {
       ...resultBase,
-      nextPhase: "endGame",
-      finalScores: updatedScores,
+      ...(await endTurnBasedGame(roomId, roomData)),
       message: "Critical error: Stealer not in turn order.",
     };
   }
@@ -834,139 +1574,234 @@ export async function handleSteal({
 }
 
 // --- Player Connectivity Management ---
-export async function cleanupOnDisconnect({ roomIdList, uid }) {
+/**
+ * Handles a user dropping from their active games: their seat and turn are
+ * held for the reconnect grace window, after which they are marked offline.
+ * @param {object} params
+ * @param {Array<string>} params.roomIdList - Rooms the disconnecting socket was in.
+ * @param {string} params.uid - The UID of the user.
+ * @param {Function} [params.hasOtherSession] - async (roomId) => boolean. Rooms the
+ *   user is still in through another socket (tab/device) are left untouched.
+ */
+export async function cleanupOnDisconnect({
+  roomIdList,
+  uid,
+  hasOtherSession = async () => false,
+}) {
   // console.log(`CleanupOnDisconnect for player ${uid}, rooms: ${roomIdList.join(", ")}`);
   for (const roomId of roomIdList) {
     if (roomId === uid || !roomId) continue;
     try {
-      const roomDoc = await getRoomModel(roomId);
-      if (roomDoc.exists && roomDoc.data().state === "active") {
-        const player = await getPlayerModel(roomId, uid);
-        if (player && player.online) {
-          // Process only if they were marked online
-          await updatePlayerModel(roomId, uid, { online: false });
-          console.log(
-            `Player ${uid} marked as offline in active game room ${roomId}.`
-          );
+      await runRoomTransition(roomId, async (afterCommit) => {
+        // Checked once queued: the user may still be here in another tab
+        if (await hasOtherSession(roomId)) return;
+        await holdSeatInActiveGame(roomId, uid, afterCommit);
+      });
+    } catch (error) {
+      console.error(
+        `Error during cleanupOnDisconnect for player ${uid} in room ${roomId}:`,
+        error
+      );
+    }
+  }
+}
 
-          const roomData = roomDoc.data(); // Re-fetch fresh room data
-          const currentQuestion = await getQuestionModel(
-            roomId,
-            roomData.currentQuestionDbIndex
-          );
+/**
+ * Keeps a dropped player in an active game for the reconnect grace window:
+ * they stay online in the turn order, so a turn reaching them just waits on
+ * its timer. If they are not back in time they are marked offline.
+ */
+async function holdSeatInActiveGame(roomId, uid, afterCommit) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists || roomDoc.data().state !== "active") return;
+  const player = await getPlayerModel(roomId, uid);
+  if (!player?.online) return;
 
-          let advancedGame = false;
-          if (roomData.currentTurnUid === uid) {
-            console.log(
-              `Disconnected player ${uid} was current turn taker in room ${roomId}. Simulating timeout.`
+  const reconnectDeadlineAt = await holdPlayerSeat({
+    roomId,
+    uid,
+    kind: SEAT_HOLD_KINDS.GAME,
+  });
+  if (reconnectDeadlineAt === null) {
+    await markPlayerOfflineInGame(roomId, uid, afterCommit); // No grace window configured
+    return;
+  }
+  if (ioServer) {
+    ioServer.in(roomId).emit("playerReconnecting", {
+      uid,
+      name: player.name,
+      reconnectDeadlineAt,
+    });
+  }
+}
+
+/**
+ * Marks a disconnected player offline in an active game and, if they held the
+ * turn, the steal or the pick, moves the game on without them.
+ */
+async function markPlayerOfflineInGame(roomId, uid, afterCommit) {
+  const roomDoc = await getRoomModel(roomId);
+  if (roomDoc.exists && roomDoc.data().state === "active") {
+    const player = await getPlayerModel(roomId, uid);
+    if (player && player.online) {
+      // Process only if they were marked online
+      await updatePlayerModel(roomId, uid, {
+        online: false,
+        offlineSince: Date.now(),
+      });
+      console.log(
+        `Player ${uid} marked as offline in active game room ${roomId}.`
+      );
+
+      const roomData = roomDoc.data(); // Re-fetch fresh room data
+      const currentQuestion = await getQuestionModel(
+        roomId,
+        roomData.currentQuestionDbIndex
+      );
+
+      let advancedGame = false;
+      if (isConquestPickPhase(roomData) && roomData.currentTurnUid === uid) {
+        // Category Conquest: pass the pick to the next player.
+        clearActiveRoomTimer(roomId, "pick");
+        const { nextPlayerUid, nextPlayerIndexInOrder } =
+          await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
+        await claimStateTransition(roomId);
+        await setupNextTurnOrEndGame(
+          roomId,
+          nextPlayerUid,
+          nextPlayerIndexInOrder,
+          roomData.currentQuestionDbIndex
+        );
+        advancedGame = true;
+      } else if (roomData.currentTurnUid === uid) {
+        console.log(
+          `Disconnected player ${uid} was current turn taker in room ${roomId}. Simulating timeout.`
+        );
+        clearActiveRoomTimer(roomId, "turn");
+        if (currentQuestion) {
+          await processAnswer(
+            {
+              roomId,
+              uid,
+              questionId: currentQuestion.id,
+              answerIndex: -1,
+              isTimeout: true,
+            },
+            afterCommit
+          );
+          advancedGame = true;
+        } else {
+          console.error(
+            `Cannot simulate turn timeout for ${uid} in ${roomId}, currentQuestion not found (idx ${roomData.currentQuestionDbIndex}). Attempting recovery.`
+          );
+          // Force advance turn if possible without question context, or end game if stuck
+          const { nextPlayerUid, nextPlayerIndexInOrder } =
+            await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
+          if (nextPlayerUid) {
+            await claimStateTransition(roomId);
+            await setupNextTurnOrEndGame(
+              roomId,
+              nextPlayerUid,
+              nextPlayerIndexInOrder,
+              roomData.currentQuestionDbIndex + 1
             );
-            clearActiveRoomTimer(roomId, "turn");
-            if (currentQuestion) {
-              await submitAnswer({
-                roomId,
-                uid,
-                questionId: currentQuestion.id,
-                answerIndex: -1,
-                isTimeout: true,
-              });
-              advancedGame = true;
-            } else {
-              console.error(
-                `Cannot simulate turn timeout for ${uid} in ${roomId}, currentQuestion not found (idx ${roomData.currentQuestionDbIndex}). Attempting recovery.`
-              );
-              // Force advance turn if possible without question context, or end game if stuck
-              const { nextPlayerUid, nextPlayerIndexInOrder } =
-                await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
-              if (nextPlayerUid)
-                await setupNextTurnOrEndGame(
-                  roomId,
-                  nextPlayerUid,
-                  nextPlayerIndexInOrder,
-                  roomData.currentQuestionDbIndex + 1
-                );
-              else {
-                /* TODO: end game logic if no one left */ console.log(
-                  "No player to advance to, game should end."
-                );
-              }
-            }
-          } else if (
-            roomData.currentStealAttempt &&
-            roomData.currentStealAttempt.stealerUid === uid
-          ) {
+          } else {
             console.log(
-              `Disconnected player ${uid} was current stealer in room ${roomId}. Simulating timeout.`
+              `No online player left to take the turn in room ${roomId}. Ending game.`
             );
-            clearActiveRoomTimer(roomId, "steal");
-            if (currentQuestion) {
-              await handleSteal({
-                roomId,
-                uid,
-                questionId: currentQuestion.id,
-                answerIndex: -1,
-                isTimeout: true,
-              });
-              advancedGame = true;
-            } else {
-              console.error(
-                `Cannot simulate steal timeout for ${uid} in ${roomId}, currentQuestion not found (idx ${roomData.currentQuestionDbIndex}). Attempting recovery.`
-              );
-              const { nextPlayerUid, nextPlayerIndexInOrder } =
-                await findNextOnlinePlayerInFixedOrder(
-                  roomId,
-                  roomData,
-                  roomData.currentTurnUid
-                ); // Next after original turn taker
-              if (nextPlayerUid)
-                await setupNextTurnOrEndGame(
-                  roomId,
-                  nextPlayerUid,
-                  nextPlayerIndexInOrder,
-                  roomData.currentQuestionDbIndex + 1
-                );
-              else {
-                /* TODO: end game logic */ console.log(
-                  "No player to advance to, game should end."
-                );
-              }
-            }
+            await endTurnBasedGame(roomId, roomData);
           }
-
-          if (ioServer) {
-            // Always update player list if player was in active game and marked offline
-            const updatedPlayersData = await getPlayersByRoomSorted(roomId);
-            const currentHostId = (await getRoomModel(roomId)).data()?.hostUid; // Re-fetch hostId
-            ioServer.in(roomId).emit("updatePlayerList", {
-              players: updatedPlayersData.map((p) => ({
-                uid: p.id,
-                name: p.name,
-                score: p.score,
-                online: p.online,
-                role: p.role || "player",
-              })),
-              hostId: currentHostId,
-              roomState: (await getRoomModel(roomId)).data()?.state, // Re-fetch state
-            });
-            ioServer
-              .in(roomId)
-              .emit("playerOffline", {
-                uid,
-                name: player?.name || uid,
-                roomId,
-              });
+        }
+      } else if (
+        roomData.currentStealAttempt &&
+        roomData.currentStealAttempt.stealerUid === uid
+      ) {
+        console.log(
+          `Disconnected player ${uid} was current stealer in room ${roomId}. Simulating timeout.`
+        );
+        clearActiveRoomTimer(roomId, "steal");
+        if (currentQuestion) {
+          await processSteal(
+            {
+              roomId,
+              uid,
+              questionId: currentQuestion.id,
+              answerIndex: -1,
+              isTimeout: true,
+            },
+            afterCommit
+          );
+          advancedGame = true;
+        } else {
+          console.error(
+            `Cannot simulate steal timeout for ${uid} in ${roomId}, currentQuestion not found (idx ${roomData.currentQuestionDbIndex}). Attempting recovery.`
+          );
+          const { nextPlayerUid, nextPlayerIndexInOrder } =
+            await findNextOnlinePlayerInFixedOrder(
+              roomId,
+              roomData,
+              roomData.currentTurnUid
+            ); // Next after original turn taker
+          if (nextPlayerUid) {
+            await claimStateTransition(roomId);
+            await setupNextTurnOrEndGame(
+              roomId,
+              nextPlayerUid,
+              nextPlayerIndexInOrder,
+              roomData.currentQuestionDbIndex + 1
+            );
+          } else {
+            console.log(
+              `No online player left to take the turn in room ${roomId}. Ending game.`
+            );
+            await endTurnBasedGame(roomId, roomData);
           }
         }
       }
-    } catch (error) {
-      console.error(
-        `Error during cleanupOnDisconnect for player ${uid} in room ${roomId}:`,
-        error
-      );
+
+      if (ioServer) {
+        // Always update player list if player was in active game and marked offline
+        const updatedPlayersData = await getPlayersByRoomSorted(roomId);
+        const currentHostId = (await getRoomModel(roomId)).data()?.hostUid; // Re-fetch hostId
+        const playerList = updatedPlayersData.map((p) => ({
+          uid: p.id,
+          name: p.name,
+          score: p.score,
+          online: p.online,
+          role: p.role || "player",
+          teamId: p.teamId,
+        }));
+        ioServer.in(roomId).emit("updatePlayerList", {
+          players: playerList,
+          teams: getTeamSummariesIfTeamGame(playerList, roomData),
+          hostId: currentHostId,
+          roomState: (await getRoomModel(roomId)).data()?.state, // Re-fetch state
+        });
+        ioServer
+          .in(roomId)
+          .emit("playerOffline", {
+            uid,
+            name: player?.name || uid,
+            roomId,
+          });
+      }
     }
   }
 }
 
-export async function handlePlayerLeave({ roomId, uid }) {
+/**
+ * Repairs an active game after a player leaves it for good: drops them from the
+ * turn order and moves the game on if they held the turn, the steal or the pick.
+ * Runs as a room transition.
+ * @param {object} params - `{ roomId, uid }`.
+ */
+export function handlePlayerLeave(params) {
+  return runRoomTransition(params.roomId, (afterCommit) =>
+    processPlayerLeave(params, afterCommit)
+  );
+}
+
+async function processPlayerLeave({ roomId, uid }, afterCommit) {
   if (!ioServer) {
     console.warn("handlePlayerLeave: ioServer not initialized.");
     return;
@@ -978,6 +1813,15 @@ export async function handlePlayerLeave({ roomId, uid }) {
   }
 
   let roomData = roomDocInitial.data();
+  if (roomData.gameSettings?.mode === GAME_MODES.BLITZ) {
+    // No turn order to repair: each player runs their own stream.
+    await handleBlitzPlayerLeave(roomId);
+    return;
+  }
+  if (roomData.gameSettings?.mode === GAME_MODES.SURVIVAL) {
+    await handleSurvivalPlayerLeave(roomId, uid);
+    return;
+  }
   const playerLeaving = await getPlayerModel(roomId, uid);
   // console.log(`Handling voluntary leave for player ${uid} (${playerLeaving?.name}) from active game room ${roomId}.`);
 
@@ -1013,6 +1857,7 @@ export async function handlePlayerLeave({ roomId, uid }) {
     await updateRoomModel(roomId, {
       activeTurnOrderUids: newActiveTurnOrderUids,
       currentPlayerIndexInOrder: newPlayerIndexInOrder,
+      ...getTeamRosterRemoval(roomData, uid),
     });
     roomData.activeTurnOrderUids = newActiveTurnOrderUids; // Update local copy
     roomData.currentPlayerIndexInOrder = newPlayerIndexInOrder;
@@ -1020,26 +1865,24 @@ export async function handlePlayerLeave({ roomId, uid }) {
 
   // Check if enough 'player' roles are still in the NEW activeTurnOrderUids and online
   let onlinePlayerRoleCountInNewOrder = 0;
+  const teamsWithOnlinePlayers = new Set();
   for (const playerId of newActiveTurnOrderUids) {
     const p = await getPlayerModel(roomId, playerId);
     if (p && p.online && (p.role === "player" || !p.role)) {
       onlinePlayerRoleCountInNewOrder++;
+      if (p.teamId) teamsWithOnlinePlayers.add(p.teamId);
     }
   }
+  const isTeamGame = roomData.gameSettings?.mode === GAME_MODES.TEAM;
 
-  if (onlinePlayerRoleCountInNewOrder < 2) {
+  if (
+    onlinePlayerRoleCountInNewOrder < 2 ||
+    (isTeamGame && teamsWithOnlinePlayers.size < 2)
+  ) {
     console.log(
       `Game ended in room ${roomId} (player ${uid} voluntarily left). Less than 2 online 'player' roles remaining in active order.`
     );
-    clearAllTimersForRoom(roomId);
-    const scores = await getRoomScoresModel(roomId);
-    await updateRoomModel(roomId, {
-      state: "ended",
-      currentTurnUid: null,
-      currentStealAttempt: null,
-      currentPlayerIndexInOrder: -1,
-    });
-    ioServer.in(roomId).emit("gameEnded", scores);
+    await endTurnBasedGame(roomId, roomData);
     ioServer
       .in(roomId)
       .emit("message", {
@@ -1051,6 +1894,29 @@ export async function handlePlayerLeave({ roomId, uid }) {
     return;
   }
 
+  if (isConquestPickPhase(roomData)) {
+    // Category Conquest between questions: only the picker matters.
+    if (roomData.currentTurnUid === uid) {
+      clearActiveRoomTimer(roomId, "pick");
+      const { nextPlayerUid, nextPlayerIndexInOrder } =
+        await findNextOnlinePlayerInFixedOrder(roomId, roomData, uid);
+      await claimStateTransition(roomId);
+      await setupNextTurnOrEndGame(
+        roomId,
+        nextPlayerUid,
+        nextPlayerIndexInOrder,
+        roomData.currentQuestionDbIndex
+      );
+    }
+    ioServer.in(roomId).emit("message", {
+      type: "info",
+      text: `Player ${
+        playerLeaving?.name || uid
+      } has left the game. The game continues.`,
+    });
+    return;
+  }
+
   // If the leaving player was the current turn-taker or stealer, advance the game.
   const currentQuestion = await getQuestionModel(
     roomId,
@@ -1061,13 +1927,7 @@ export async function handlePlayerLeave({ roomId, uid }) {
       `handlePlayerLeave: Critical - active game ${roomId} but currentQuestion not found for index ${roomData.currentQuestionDbIndex}`
     );
     // Attempt to end game gracefully
-    const scores = await getRoomScoresModel(roomId);
-    await updateRoomModel(roomId, {
-      state: "ended",
-      currentTurnUid: null,
-      currentStealAttempt: null,
-    });
-    ioServer.in(roomId).emit("gameEnded", scores);
+    await endTurnBasedGame(roomId, roomData);
     return;
   }
 
@@ -1077,13 +1937,16 @@ export async function handlePlayerLeave({ roomId, uid }) {
     );
     clearActiveRoomTimer(roomId, "turn");
     if (currentQuestion)
-      await submitAnswer({
-        roomId,
-        uid,
-        questionId: currentQuestion.id,
-        answerIndex: -1,
-        isTimeout: true,
-      });
+      await processAnswer(
+        {
+          roomId,
+          uid,
+          questionId: currentQuestion.id,
+          answerIndex: -1,
+          isTimeout: true,
+        },
+        afterCommit
+      );
     else {
       /* Already handled above if !currentQuestion */
     }
@@ -1096,13 +1959,16 @@ export async function handlePlayerLeave({ roomId, uid }) {
     );
     clearActiveRoomTimer(roomId, "steal");
     if (currentQuestion)
-      await handleSteal({
-        roomId,
-        uid,
-        questionId: currentQuestion.id,
-        answerIndex: -1,
-        isTimeout: true,
-      });
+      await processSteal(
+        {
+          roomId,
+          uid,
+          questionId: currentQuestion.id,
+          answerIndex: -1,
+          isTimeout: true,
+        },
+        afterCommit
+      );
     else {
       /* Already handled */
     }
@@ -1119,6 +1985,118 @@ export async function handlePlayerLeave({ roomId, uid }) {
     });
 }
 
+function getGamePhase(roomData) {
+  switch (roomData.gameSettings?.mode) {
+    case GAME_MODES.BLITZ:
+      return "blitz";
+    case GAME_MODES.SURVIVAL:
+      return "survival";
+    default:
+      if (isConquestPickPhase(roomData)) return "pick";
+      return roomData.currentStealAttempt ? "steal" : "turn";
+  }
+}
+
+function getPhaseDeadline(roomData, phase) {
+  switch (phase) {
+    case "blitz":
+      return roomData.gameEndsAt;
+    case "survival":
+      return roomData.survival?.roundEndsAt;
+    case "pick":
+      return roomData.pickDeadlineAt;
+    case "steal":
+      return roomData.currentStealAttempt?.deadlineAt;
+    default:
+      return roomData.turnDeadlineAt;
+  }
+}
+
+/**
+ * Everything a client needs to render an active game mid-way (a rejoining
+ * player or a late spectator) without waiting for the next event.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<object|null>} The snapshot, or null if no game is active.
+ */
+export async function getGameSnapshot(roomId) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists || roomDoc.data().state !== "active") return null;
+  const roomData = roomDoc.data();
+
+  const phase = getGamePhase(roomData);
+  const deadlineAt = getPhaseDeadline(roomData, phase) || null;
+  // Blitz players each have their own question (see blitz:getQuestion); no
+  // question is on the table during a Category Conquest pick.
+  const currentQuestion =
+    phase === "blitz" || phase === "pick"
+      ? null
+      : await getQuestionModel(roomId, roomData.currentQuestionDbIndex);
+  const [scores, players, recentAnswers] = await Promise.all([
+    getRoomScoresModel(roomId),
+    getPlayersByRoomSorted(roomId),
+    getRecentAnswersModel(
+      roomId,
+      roomData.gameId,
+      SNAPSHOT_RECENT_ANSWERS_LIMIT
+    ),
+  ]);
+
+  return {
+    roomId,
+    mode: roomData.gameSettings?.mode || DEFAULT_GAME_MODE,
+    phase,
+    deadlineAt,
+    remainingMs: deadlineAt ? Math.max(0, deadlineAt - Date.now()) : null,
+    gameEndsAt: roomData.gameEndsAt || null, // Speed Challenge clock
+    survival: roomData.survival
+      ? {
+          round: roomData.survival.round,
+          roundEndsAt: roomData.survival.roundEndsAt,
+          aliveUids: roomData.survival.aliveUids,
+        }
+      : null,
+    board:
+      roomData.gameSettings?.mode === GAME_MODES.CONQUEST
+        ? toClientBoard(roomData.board)
+        : null,
+    conquestPhase: roomData.conquestPhase || null,
+    stateVersion: getStateVersion(roomData),
+    question: toClientQuestion(currentQuestion),
+    turnUid: roomData.currentTurnUid,
+    turnOrder: roomData.activeTurnOrderUids || [],
+    scores,
+    teamScores: await getTeamScoresIfTeamGame(roomId, roomData),
+    players: players.map((p) => ({
+      uid: p.id,
+      name: p.name,
+      score: p.score,
+      online: p.online,
+      reconnecting: p.reconnecting === true,
+      role: p.role || "player",
+      teamId: p.teamId,
+    })),
+    recentAnswers: recentAnswers.map((answer) => ({
+      uid: answer.uid,
+      questionId: answer.questionId,
+      correct: answer.correct,
+      isTimeout: answer.isTimeout,
+      isSteal: answer.isSteal,
+      points: answer.points,
+      answeredAt: answer.answeredAt,
+    })),
+    totalQuestions: roomData.questionCount,
+    currentQuestionNum: roomData.currentQuestionDbIndex + 1,
+    gameSettings: roomData.gameSettings,
+    hostId: roomData.hostUid,
+    currentStealAttempt: roomData.currentStealAttempt,
+    activePhaseTimeout: roomData.currentStealAttempt
+      ? roomData.gameSettings.stealTimeoutSec
+      : isConquestPickPhase(roomData)
+      ? roomData.gameSettings.conquestPickTimeoutSec
+      : roomData.gameSettings.turnTimeoutSec,
+  };
+}
+
 export async function handleRejoinGame({ roomId, uid }) {
   const roomDoc = await getRoomModel(roomId);
   if (!roomDoc.exists) throw new Error(`Room ${roomId} not found for rejoin.`);
@@ -1129,10 +2107,16 @@ export async function handleRejoinGame({ roomId, uid }) {
     throw new Error(
       `Player ${uid} not found in room ${roomId} records. Cannot rejoin.`
     );
+  const releasedHoldKind = await releasePlayerSeat(roomId, uid);
+  // A quick-match seat taken up is an arrival, not a reconnection
+  const reconnectedInGrace =
+    releasedHoldKind !== null &&
+    releasedHoldKind !== SEAT_HOLD_KINDS.RESERVATION;
 
   let playerRole = playerDoc.role || "player"; // Default to player if role not set
 
   if (roomData.state === "active") {
+    const rejoinUpdates = {};
     const playerIndexInActiveOrder = (
       roomData.activeTurnOrderUids || []
     ).indexOf(uid);
@@ -1143,30 +2127,47 @@ export async function handleRejoinGame({ roomId, uid }) {
       console.log(
         `Player ${uid} rejoining active game ${roomId}. Not in original turn order for this game instance. Assigning spectator.`
       );
+    } else if (roomData.gameSettings?.mode === GAME_MODES.SURVIVAL) {
+      // Survivors keep playing; eliminated players stay spectators.
+      playerRole = roomData.survival?.aliveUids.includes(uid)
+        ? "player"
+        : "spectator";
+    } else if (roomData.gameSettings?.mode === GAME_MODES.TEAM) {
+      // Team rosters rotate independently, so a returning member simply rejoins their team.
+      playerRole = "player";
+    } else if (playerDoc.role === "spectator") {
+      // Already sent to the stands earlier in this game.
+      playerRole = "spectator";
+    } else if (reconnectedInGrace || playerDoc.online) {
+      // Back within the grace window (or never left, through another tab):
+      // their seat in the turn order was held.
+      playerRole = "player";
     } else {
-      // User's rule: "if the turn for the player as reach or passed for his/her own question"
-      // This means their slot in the current rotation of questions has passed.
-      const theirTurnInCurrentRoundPassed =
-        playerIndexInActiveOrder < roomData.currentPlayerIndexInOrder ||
-        (playerIndexInActiveOrder === roomData.currentPlayerIndexInOrder &&
-          roomData.currentTurnUid !== uid);
-
-      if (theirTurnInCurrentRoundPassed) {
-        playerRole = "spectator";
-        console.log(
-          `Player ${uid} rejoining active game ${roomId}. Original index ${playerIndexInActiveOrder}, current index ${roomData.currentPlayerIndexInOrder} (turn of ${roomData.currentTurnUid}). Assigning spectator as their turn slot passed.`
-        );
-      } else {
-        playerRole = "player"; // Eligible to continue as active player
-        console.log(
-          `Player ${uid} rejoining active game ${roomId} as player. Original index: ${playerIndexInActiveOrder}.`
-        );
+      // Back after being marked offline: the room's rejoin rules decide.
+      const { role, reason } = decideRejoinRole({
+        roomData,
+        playerDoc,
+        playerIndexInActiveOrder,
+      });
+      playerRole = role;
+      rejoinUpdates.offlineSince = null;
+      if (role === "player") {
+        rejoinUpdates.rejoinGameId = roomData.gameId ?? null;
+        rejoinUpdates.rejoinCount = getRejoinCount(roomData, playerDoc) + 1;
       }
+      console.log(
+        `Player ${uid} rejoining active game ${roomId} as ${role}${reason ? ` (${reason})` : ""}. Original index: ${playerIndexInActiveOrder}.`
+      );
     }
-    await updatePlayerModel(roomId, uid, { online: true, role: playerRole }); // Update online status and potentially role
+    await updatePlayerModel(roomId, uid, {
+      online: true,
+      role: playerRole,
+      ...rejoinUpdates,
+    }); // Update online status and potentially role
   } else if (roomData.state === "waiting" || roomData.state === "ended") {
     playerRole = "player"; // Rejoining lobby or post-game, should be player for next potential game
     await updatePlayerModel(roomId, uid, { online: true, role: playerRole });
+    await refreshRoomMemberSummary(roomId);
     console.log(
       `Player ${uid} rejoining non-active room ${roomId} as ${playerRole}.`
     );
@@ -1178,14 +2179,17 @@ export async function handleRejoinGame({ roomId, uid }) {
   if (ioServer) {
     const updatedPlayers = await getPlayersByRoomSorted(roomId); // Get all players for the list
     const hostId = roomData.hostUid;
+    const playerList = updatedPlayers.map((p) => ({
+      uid: p.id,
+      name: p.name,
+      score: p.score,
+      online: p.online,
+      role: p.role || "player",
+      teamId: p.teamId,
+    }));
     ioServer.in(roomId).emit("updatePlayerList", {
-      players: updatedPlayers.map((p) => ({
-        uid: p.id,
-        name: p.name,
-        score: p.score,
-        online: p.online,
-        role: p.role || "player",
-      })),
+      players: playerList,
+      teams: getTeamSummariesIfTeamGame(playerList, roomData),
       hostId,
       roomState: roomData.state,
     });
@@ -1196,42 +2200,18 @@ export async function handleRejoinGame({ roomId, uid }) {
         name: playerDoc.name,
         newRole: playerRole,
       });
+    if (reconnectedInGrace) {
+      ioServer
+        .in(roomId)
+        .emit("playerReconnected", { uid, name: playerDoc.name });
+    }
   }
 
   // Prepare and return game state for the rejoining player
-  let rejoinGameState = null;
-  if (roomData.state === "active") {
-    const currentQuestion =
-      playerRole === "player" || playerRole === "spectator"
-        ? await getQuestionModel(roomId, roomData.currentQuestionDbIndex)
-        : null;
-    const currentScores = await getRoomScoresModel(roomId);
-    const allGameQuestions = await getAllQuestionsModel(roomId); // For client summary
-    const allPlayersInRoomForState = await getPlayersByRoomSorted(roomId);
-
-    rejoinGameState = {
-      question: currentQuestion,
-      turnUid: roomData.currentTurnUid,
-      scores: currentScores,
-      players: allPlayersInRoomForState.map((p) => ({
-        uid: p.id,
-        name: p.name,
-        score: p.score,
-        online: p.online,
-        role: p.role || "player",
-      })),
-      totalQuestions: roomData.questionCount,
-      currentQuestionNum: roomData.currentQuestionDbIndex + 1,
-      gameSettings: roomData.gameSettings,
-      questions: allGameQuestions,
-      hostId: roomData.hostUid,
-      currentStealAttempt: roomData.currentStealAttempt,
-      activePhaseTimeout: roomData.currentStealAttempt
-        ? roomData.gameSettings.stealTimeoutSec
-        : roomData.gameSettings.turnTimeoutSec,
-      yourRole: playerRole, // Explicitly tell the rejoining client their role
-    };
-  }
+  const rejoinGameState =
+    roomData.state === "active"
+      ? { ...(await getGameSnapshot(roomId)), yourRole: playerRole } // Explicitly tell the rejoining client their role
+      : null;
 
   return {
     rejoinStatus:
@@ -1241,3 +2221,121 @@ export async function handleRejoinGame({ roomId, uid }) {
     gameState: rejoinGameState, // This will be null if not an active game
   };
 }
+
+/**
+ * Re-arms the timer of one active room from the deadlines on its document.
+ * A missing deadline (a game started before deadlines were persisted) is
+ * treated as already expired.
+ * @returns {Promise<boolean>} Whether a timer was armed.
+ */
+async function resumeRoomTimer(roomId, roomData) {
+  switch (roomData.gameSettings?.mode) {
+    case GAME_MODES.BLITZ:
+      return resumeBlitzTimer(roomId, roomData);
+    case GAME_MODES.SURVIVAL:
+      return resumeSurvivalTimer(roomId, roomData);
+  }
+
+  if (isConquestPickPhase(roomData)) {
+    scheduleConquestPickTimeout(
+      roomId,
+      roomData.currentTurnUid,
+      roomData.pickDeadlineAt ?? Date.now(),
+      getStateVersion(roomData)
+    );
+    return true;
+  }
+
+  const currentQuestion = await getQuestionModel(
+    roomId,
+    roomData.currentQuestionDbIndex
+  );
+  if (!currentQuestion) return false;
+  const stealAttempt = roomData.currentStealAttempt;
+  if (stealAttempt?.stealerUid) {
+    await scheduleGameTimeout({
+      roomId,
+      questionId: currentQuestion.id,
+      uidForTimeout: stealAttempt.stealerUid,
+      phase: "steal",
+      deadlineAt: stealAttempt.deadlineAt ?? Date.now(),
+      stateVersion: getStateVersion(roomData),
+    });
+    return true;
+  }
+  if (!roomData.currentTurnUid) return false;
+  await scheduleGameTimeout({
+    roomId,
+    questionId: currentQuestion.id,
+    uidForTimeout: roomData.currentTurnUid,
+    phase: "turn",
+    deadlineAt: roomData.turnDeadlineAt ?? Date.now(),
+    stateVersion: getStateVersion(roomData),
+  });
+  return true;
+}
+
+/**
+ * Re-arms a room's timer on the instance holding its lease, after another
+ * instance armed it (see setRoomTimer). The deadline is read back from the
+ * room, which is updated before any timer is armed.
+ */
+async function rearmHandedOffRoomTimer(roomId) {
+  if (!(await holdsRoomLease(roomId))) return;
+  await runRoomTransition(roomId, async () => {
+    const roomDoc = await getRoomModel(roomId);
+    if (roomDoc.exists && roomDoc.data().state === "active") {
+      await resumeRoomTimer(roomId, roomDoc.data());
+    }
+  });
+}
+
+/**
+ * Adopts a room whose lease expired, its instance having stopped: re-arms
+ * its game timer and the seat holds that instance was timing. Does nothing if
+ * another instance adopted it first.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<boolean>} Whether a game timer was re-armed.
+ */
+export async function adoptRoomTimers(roomId) {
+  if (!(await tryAcquireRoomLease(roomId))) return false;
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists) {
+    await releaseRoomLease(roomId);
+    return false;
+  }
+  await resumeSeatHolds(roomId);
+  const resumed =
+    roomDoc.data().state === "active" &&
+    (await resumeRoomTimer(roomId, roomDoc.data()));
+  if (!resumed) await releaseRoomLease(roomId); // No game left to drive
+  console.log(`Adopted room ${roomId} after its lease expired.`);
+  return resumed;
+}
+
+/**
+ * Re-arms the timers of every game that was running when the server stopped.
+ * Timers live in memory, so without this a restart would leave active rooms
+ * stuck on their current turn. Deadlines that passed while the server was down
+ * fire immediately and resolve the turn as a timeout.
+ * Rooms whose lease is held by another live instance are left to it; should
+ * that instance stop later, adoptRoomTimers takes over once the lease expires.
+ * @returns {Promise<number>} The number of rooms whose timers were re-armed.
+ */
+export async function recoverGameTimers() {
+  const activeRoomsSnap = await getRoomsByStateModel("active");
+  let recoveredCount = 0;
+  for (const roomDoc of activeRoomsSnap.docs) {
+    if (hasRoomTimers(roomDoc.id)) continue; // Already driven by this instance
+    try {
+      if (!(await tryAcquireRoomLease(roomDoc.id))) continue;
+      if (await resumeRoomTimer(roomDoc.id, roomDoc.data())) recoveredCount++;
+    } catch (err) {
+      console.error(`Error recovering timers for room ${roomDoc.id}:`, err);
+    }
+  }
+  if (recoveredCount > 0) {
+    console.log(`Recovered game timers for ${recoveredCount} active rooms.`);
+  }
+  return recoveredCount;
+}
@@ -0,0 +1,86 @@
+// server/src/services/gameStateService.js
+import { db } from "../models/dbConfig.js";
+import { getRoomRef } from "../models/roomModel.js";
+
+export const STALE_STATE_ERROR_CODE = "STALE_STATE";
+
+// Tail of each room's transition queue on this instance.
+const roomTransitionQueues = new Map();
+
+/**
+ * The version of a room's turn state. It goes up by one on every turn/steal/pick
+ * transition; clients echo the version they acted on with each submission.
+ * @param {object} roomData - The room document data.
+ * @returns {number}
+ */
+export function getStateVersion(roomData) {
+  return roomData?.stateVersion ?? 0;
+}
+
+export function createStaleStateError() {
+  const error = new Error(
+    "The game has moved on since this action was sent. Please retry."
+  );
+  error.code = STALE_STATE_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Runs a state transition once every transition queued before it for the same
+ * room on this instance has settled, so transitions never interleave here.
+ * Transitions arriving on other instances are ordered by claimStateTransition.
+ * The transition is given `afterCommit(task)` to defer side work that need not
+ * hold up the room (e.g. achievements): tasks run, unawaited, once it succeeds.
+ * @param {string} roomId - The ID of the room.
+ * @param {Function} transition - Async `(afterCommit) => result`.
+ * @returns {Promise<*>} The transition's result.
+ */
+export function runRoomTransition(roomId, transition) {
+  const previous = roomTransitionQueues.get(roomId) || Promise.resolve();
+  const afterCommitTasks = [];
+  const result = previous.then(() =>
+    transition((task) => afterCommitTasks.push(task))
+  );
+  result.then(
+    () => {
+      for (const task of afterCommitTasks) {
+        Promise.resolve()
+          .then(task)
+          .catch((err) =>
+            console.error(`After-commit task failed in room ${roomId}:`, err)
+          );
+      }
+    },
+    () => {} // Nothing the transition did is followed up
+  );
+  const tail = result.catch(() => {}); // A failed transition must not block the next
+  roomTransitionQueues.set(roomId, tail);
+  tail.then(() => {
+    if (roomTransitionQueues.get(roomId) === tail) {
+      roomTransitionQueues.delete(roomId);
+    }
+  });
+  return result;
+}
+
+/**
+ * Claims the next state version of a room in a transaction. Of several callers
+ * acting on the same version, exactly one succeeds; the rest are stale.
+ * @param {string} roomId - The ID of the room.
+ * @param {number} [expectedVersion] - Version the caller acted on. When omitted the
+ *   version is bumped unconditionally (server-initiated recovery).
+ * @returns {Promise<number|null>} The new version, or null if `expectedVersion` is stale.
+ */
+export async function claimStateTransition(roomId, expectedVersion) {
+  const roomRef = getRoomRef(roomId);
+  return db.runTransaction(async (tx) => {
+    const roomDoc = await tx.get(roomRef);
+    if (!roomDoc.exists) return null;
+    const currentVersion = getStateVersion(roomDoc.data());
+    if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+      return null;
+    }
+    tx.update(roomRef, { stateVersion: currentVersion + 1 });
+    return currentVersion + 1;
+  });
+}
@@ -0,0 +1,268 @@
+// server/src/services/gameTimerService.js
+import { randomUUID } from "crypto";
+import { INSTANCE_ID } from "../config/index.js";
+import { store } from "../store/index.js";
+
+// In-memory timers for active rooms, keyed by `${roomId}:${phase}`.
+const activeRoomTimers = new Map();
+// Keys of the timers above that run whoever holds the room's lease
+const unleasedTimerKeys = new Set();
+
+// Room leases: with several server instances, only the instance holding a
+// room's lease drives its timers. Arming a timer claims the lease if it is free
+// or already ours; a timer armed elsewhere is handed off to the holder, which
+// re-arms it from the room's document. A lease its instance stopped renewing
+// expires, and another instance adopts the room (see watchRoomLeaseExpiries).
+export const SERVER_INSTANCE_ID = INSTANCE_ID || randomUUID();
+export const ROOM_LEASE_TTL_MS = 15000;
+const ROOM_LEASE_RENEW_INTERVAL_MS = 5000;
+// Sorted set of leased room IDs, scored by when their lease runs out
+const ROOM_LEASE_EXPIRIES_KEY = "roomLeaseExpiries";
+const heldRoomLeases = new Set();
+let leaseRenewalInterval = null;
+let roomTimerHandoff = null;
+
+function makeRoomTimerKey(roomId, phase) {
+  return `${roomId}:${phase}`;
+}
+
+function makeRoomLeaseKey(roomId) {
+  return `roomLease:${roomId}`;
+}
+
+function recordRoomLeaseExpiry(roomId) {
+  return store.setSortedSetScore(
+    ROOM_LEASE_EXPIRIES_KEY,
+    roomId,
+    Date.now() + ROOM_LEASE_TTL_MS
+  );
+}
+
+async function renewHeldRoomLeases() {
+  for (const roomId of heldRoomLeases) {
+    try {
+      const renewed = await store.compareAndExpire(
+        makeRoomLeaseKey(roomId),
+        SERVER_INSTANCE_ID,
+        ROOM_LEASE_TTL_MS
+      );
+      if (renewed) {
+        await recordRoomLeaseExpiry(roomId);
+      } else {
+        heldRoomLeases.delete(roomId);
+        console.log(`Lease for room ${roomId} was taken by another instance.`);
+      }
+    } catch (err) {
+      console.error(`Error renewing lease for room ${roomId}:`, err);
+    }
+  }
+}
+
+function trackRoomLease(roomId) {
+  heldRoomLeases.add(roomId);
+  if (!leaseRenewalInterval) {
+    leaseRenewalInterval = setInterval(
+      renewHeldRoomLeases,
+      ROOM_LEASE_RENEW_INTERVAL_MS
+    );
+    leaseRenewalInterval.unref();
+  }
+}
+
+/**
+ * Acquires a room's lease only if it is free (never taken, released or
+ * expired) or already held by this instance. A live holder keeps it.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<boolean>} Whether this instance now holds the lease.
+ */
+export async function tryAcquireRoomLease(roomId) {
+  const leaseKey = makeRoomLeaseKey(roomId);
+  const acquired =
+    (await store.setIfAbsent(
+      leaseKey,
+      SERVER_INSTANCE_ID,
+      ROOM_LEASE_TTL_MS
+    )) ||
+    (await store.compareAndExpire(
+      leaseKey,
+      SERVER_INSTANCE_ID,
+      ROOM_LEASE_TTL_MS
+    ));
+  if (acquired) {
+    trackRoomLease(roomId);
+    await recordRoomLeaseExpiry(roomId);
+  }
+  return acquired;
+}
+
+/**
+ * Releases a room's lease if this instance holds it, e.g. once its game ended.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<void>}
+ */
+export async function releaseRoomLease(roomId) {
+  heldRoomLeases.delete(roomId);
+  if (
+    await store.compareAndDelete(makeRoomLeaseKey(roomId), SERVER_INSTANCE_ID)
+  ) {
+    await store.removeFromSortedSet(ROOM_LEASE_EXPIRIES_KEY, roomId);
+  }
+}
+
+/**
+ * Whether this instance holds a room's lease.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<boolean>}
+ */
+export async function holdsRoomLease(roomId) {
+  return (await store.get(makeRoomLeaseKey(roomId))) === SERVER_INSTANCE_ID;
+}
+
+/**
+ * Sets how a timer is handed off when another live instance holds the room's
+ * lease: `handoff(roomId)` must get the holder to re-arm the room's timers.
+ * @param {Function} handoff - `(roomId) => void`.
+ */
+export function setRoomTimerHandoff(handoff) {
+  roomTimerHandoff = handoff;
+}
+
+/**
+ * Periodically looks for room leases that ran out without being renewed or
+ * released, i.e. whose instance stopped, and calls `onExpired(roomId)` for
+ * each. Every instance watches; onExpired should adopt the room only if
+ * tryAcquireRoomLease succeeds. One sorted set lookup per check: no room is
+ * read until its lease has expired.
+ * @param {Function} onExpired - Async `(roomId) => void`. Its errors are logged.
+ */
+export function watchRoomLeaseExpiries(onExpired) {
+  setInterval(async () => {
+    let expiredRoomIds = [];
+    try {
+      expiredRoomIds = await store.getSortedSetMembers(
+        ROOM_LEASE_EXPIRIES_KEY,
+        { maxScore: Date.now() }
+      );
+    } catch (err) {
+      console.error("Error checking room lease expiries:", err);
+    }
+    for (const roomId of expiredRoomIds) {
+      try {
+        await onExpired(roomId);
+      } catch (err) {
+        console.error(`Error adopting room ${roomId}:`, err);
+      }
+    }
+  }, ROOM_LEASE_RENEW_INTERVAL_MS).unref();
+}
+
+/**
+ * Whether this instance has any leased timer armed for a room, i.e. drives its game.
+ * @param {string} roomId - The ID of the room.
+ * @returns {boolean}
+ */
+export function hasRoomTimers(roomId) {
+  const prefix = makeRoomTimerKey(roomId, "");
+  for (const timerKey of activeRoomTimers.keys()) {
+    if (timerKey.startsWith(prefix) && !unleasedTimerKeys.has(timerKey)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Arms a timer for a room phase, replacing any existing timer for that phase.
+ * Claims the room's lease; the timer only fires if the lease is still held then.
+ * If another live instance holds it, the timer is dropped here and handed off.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} phase - Timer phase (e.g. 'turn', 'steal', 'blitz').
+ * @param {number} delayMs - Milliseconds until the timer fires.
+ * @param {Function} onFire - Callback invoked when the timer fires; may be async.
+ *   Its errors are logged.
+ * @param {object} [options]
+ * @param {boolean} [options.leased=true] - False for a timer that fires whoever
+ *   holds the lease, and survives clearAllRoomTimers (e.g. a seat hold). Its
+ *   callback must then be safe to run on several instances.
+ */
+export function setRoomTimer(
+  roomId,
+  phase,
+  delayMs,
+  onFire,
+  { leased = true } = {}
+) {
+  const timerKey = makeRoomTimerKey(roomId, phase);
+  clearRoomTimer(roomId, phase);
+  const leaseClaim =
+    leased &&
+    tryAcquireRoomLease(roomId)
+      .then((acquired) => {
+        if (acquired) return;
+        if (activeRoomTimers.get(timerKey) === timer) {
+          clearRoomTimer(roomId, phase);
+        }
+        console.log(
+          `Timer ${timerKey} handed off: room is driven by another instance.`
+        );
+        roomTimerHandoff?.(roomId);
+      })
+      .catch((err) =>
+        console.error(`Error claiming lease for room ${roomId}:`, err)
+      );
+  if (!leased) unleasedTimerKeys.add(timerKey);
+  const timer = setTimeout(async () => {
+    activeRoomTimers.delete(timerKey);
+    unleasedTimerKeys.delete(timerKey);
+    try {
+      if (leased) {
+        await leaseClaim;
+        if (!(await holdsRoomLease(roomId))) {
+          console.log(
+            `Timer ${timerKey} skipped: room is now driven by another instance.`
+          );
+          return;
+        }
+      }
+      await onFire();
+    } catch (err) {
+      console.error(`Error firing timer ${timerKey}:`, err);
+    }
+  }, Math.max(0, delayMs));
+  activeRoomTimers.set(timerKey, timer);
+}
+
+/**
+ * Clears the timer for a room phase, if any.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} phase - Timer phase.
+ */
+export function clearRoomTimer(roomId, phase) {
+  const timerKey = makeRoomTimerKey(roomId, phase);
+  if (activeRoomTimers.has(timerKey)) {
+    clearTimeout(activeRoomTimers.get(timerKey));
+    activeRoomTimers.delete(timerKey);
+    unleasedTimerKeys.delete(timerKey);
+  }
+}
+
+/**
+ * Clears every leased timer armed for a room, whatever its phase, and releases
+ * the room's lease. Called when a game ends.
+ * @param {string} roomId - The ID of the room.
+ */
+export function clearAllRoomTimers(roomId) {
+  const prefix = makeRoomTimerKey(roomId, "");
+  for (const [timerKey, timer] of activeRoomTimers) {
+    if (timerKey.startsWith(prefix) && !unleasedTimerKeys.has(timerKey)) {
+      clearTimeout(timer);
+      activeRoomTimers.delete(timerKey);
+    }
+  }
+  if (heldRoomLeases.has(roomId)) {
+    releaseRoomLease(roomId).catch((err) =>
+      console.error(`Error releasing lease for room ${roomId}:`, err)
+    );
+  }
+  console.log(`All active game timers cleared for room ${roomId}.`);
+}
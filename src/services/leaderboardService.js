@@ -0,0 +1,370 @@
+// server/src/services/leaderboardService.js
+import { randomUUID } from "crypto";
+import { FieldValue } from "../models/dbConfig.js";
+import { store } from "../store/index.js";
+import {
+  getLeaderboardRef,
+  getLeaderboardEntryRef,
+  getLeaderboardEntry as getLeaderboardEntryModel,
+  getLeaderboardPage as getLeaderboardPageModel,
+  getLeaderboardEntriesForUids,
+  countLeaderboardEntriesAhead,
+  getLeaderboardIdsBefore,
+  deleteLeaderboard as deleteLeaderboardModel,
+} from "../models/leaderboardModel.js";
+import { GAME_MODES, isValidGameMode } from "./gameModes.js";
+import { getUtcDateKey } from "./dailyChallengeService.js";
+import { getFriendUids } from "./friendService.js";
+
+export const LEADERBOARD_WINDOWS = Object.freeze({
+  GLOBAL: "global", // All time, ranked by the current rating
+  WEEKLY: "weekly", // Monday to Sunday (UTC), ranked by rating gained
+  DAILY: "daily", // One UTC day, ranked by rating gained
+});
+const GLOBAL_PERIOD_KEY = "all";
+const DEFAULT_LEADERBOARD_LIMIT = 20;
+const MAX_LEADERBOARD_LIMIT = 100;
+const LEADERBOARD_UPDATE_DELAY_MS = 1000; // Coalesces games ending together
+const LEADERBOARD_RESET_LOCK_TTL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sockets following a leaderboard join its room; see getLeaderboardRoom
+export const LEADERBOARD_ROOM_PREFIX = "leaderboard:";
+
+let ioServer;
+const pendingUpdates = new Map(); // mode -> timer of a scheduled broadcast
+
+export function initLeaderboardService(io) {
+  ioServer = io;
+}
+
+function createStatusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * The socket room of the sockets following a mode's leaderboard for a window.
+ * @param {string} mode
+ * @param {string} window
+ * @returns {string}
+ */
+export function getLeaderboardRoom(mode, window) {
+  return `${LEADERBOARD_ROOM_PREFIX}${mode}:${window}`;
+}
+
+/**
+ * The period a moment belongs to in a leaderboard window: the UTC day for
+ * daily boards, the UTC day of the week's Monday for weekly boards.
+ * @param {string} window
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD, or "all" for the global board.
+ */
+export function getLeaderboardPeriodKey(window, date = new Date()) {
+  if (window === LEADERBOARD_WINDOWS.GLOBAL) return GLOBAL_PERIOD_KEY;
+  if (window === LEADERBOARD_WINDOWS.DAILY) return getUtcDateKey(date);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return getUtcDateKey(new Date(date.getTime() - daysSinceMonday * DAY_MS));
+}
+
+function getPeriodResetsAt(window, periodKey) {
+  if (window === LEADERBOARD_WINDOWS.GLOBAL) return null;
+  const days = window === LEADERBOARD_WINDOWS.WEEKLY ? 7 : 1;
+  const start = new Date(`${periodKey}T00:00:00.000Z`);
+  return new Date(start.getTime() + days * DAY_MS).toISOString();
+}
+
+function getLeaderboardId(mode, window, periodKey) {
+  return `${mode}_${window}_${periodKey}`;
+}
+
+/**
+ * Validates a leaderboard query and resolves the period it is for.
+ * @returns {string} The period key.
+ */
+function resolveLeaderboardPeriod({ mode, window, period }) {
+  if (!isValidGameMode(mode)) {
+    throw createStatusError(400, `Unknown game mode: ${mode}.`);
+  }
+  if (!Object.values(LEADERBOARD_WINDOWS).includes(window)) {
+    throw createStatusError(400, `Unknown leaderboard window: ${window}.`);
+  }
+  if (!period || window === LEADERBOARD_WINDOWS.GLOBAL) {
+    return getLeaderboardPeriodKey(window);
+  }
+  const date = new Date(`${period}T00:00:00.000Z`);
+  if (!DATE_KEY_PATTERN.test(period) || Number.isNaN(date.getTime())) {
+    throw createStatusError(400, "Period must be in YYYY-MM-DD format.");
+  }
+  return getLeaderboardPeriodKey(window, date);
+}
+
+function toClientEntry(entry, rank) {
+  return {
+    rank,
+    uid: entry.uid,
+    displayName: entry.displayName,
+    avatarUrl: entry.avatarUrl || null,
+    score: entry.score,
+    wins: entry.wins,
+    gamesPlayed: entry.gamesPlayed,
+  };
+}
+
+async function getRankedEntry(boardId, uid) {
+  const entry = await getLeaderboardEntryModel(boardId, uid);
+  if (!entry) return null;
+  const ahead = await countLeaderboardEntriesAhead(
+    boardId,
+    entry.score,
+    entry.wins
+  );
+  return toClientEntry(entry, ahead + 1);
+}
+
+/**
+ * Adds a finished game to every leaderboard of its mode, as part of the
+ * transaction recording the game. Global boards hold each player's rating;
+ * weekly and daily boards add up the rating gained in their period.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {object} params
+ * @param {string} params.mode - The game mode.
+ * @param {Array<object>} params.players - Rated players:
+ *   `[{ uid, displayName, avatarUrl, rating, change, won }]`, `rating` being the new one.
+ * @param {Date} [params.now]
+ */
+export function addGameToLeaderboards(tx, { mode, players, now = new Date() }) {
+  if (players.length === 0) return;
+  for (const window of Object.values(LEADERBOARD_WINDOWS)) {
+    const periodKey = getLeaderboardPeriodKey(window, now);
+    const boardId = getLeaderboardId(mode, window, periodKey);
+    tx.set(
+      getLeaderboardRef(boardId),
+      { mode, window, periodKey, updatedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    for (const {
+      uid,
+      displayName,
+      avatarUrl,
+      rating,
+      change,
+      won,
+    } of players) {
+      tx.set(
+        getLeaderboardEntryRef(boardId, uid),
+        {
+          uid,
+          displayName: displayName || "Player",
+          avatarUrl: avatarUrl || null,
+          score:
+            window === LEADERBOARD_WINDOWS.GLOBAL
+              ? rating
+              : FieldValue.increment(change),
+          wins: FieldValue.increment(won ? 1 : 0),
+          gamesPlayed: FieldValue.increment(1),
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    }
+  }
+}
+
+/**
+ * A page of a leaderboard, plus the caller's own entry wherever it ranks.
+ * @param {object} params
+ * @param {string} params.mode - The game mode.
+ * @param {string} params.window - "global", "weekly" or "daily".
+ * @param {string} [params.period] - A day (YYYY-MM-DD) in the period to show;
+ *   the current period when omitted. Ignored for the global board.
+ * @param {number} [params.offset=0] - Number of entries to skip.
+ * @param {number} [params.limit] - Number of entries, up to MAX_LEADERBOARD_LIMIT.
+ * @param {string} [params.uid] - UID of the caller, for `me`.
+ * @returns {Promise<object>} `{ mode, window, period, resetsAt, offset, entries, me }`;
+ *   entries are `{ rank, uid, displayName, avatarUrl, score, wins, gamesPlayed }`
+ *   and `me` is the caller's entry, or null if they are not on the board.
+ */
+export async function getLeaderboard({
+  mode,
+  window,
+  period,
+  offset,
+  limit,
+  uid,
+}) {
+  const periodKey = resolveLeaderboardPeriod({ mode, window, period });
+  const boardId = getLeaderboardId(mode, window, periodKey);
+  const parsedOffset = parseInt(offset, 10);
+  const entryOffset = parsedOffset >= 0 ? parsedOffset : 0;
+  const parsedLimit = parseInt(limit, 10);
+  const entryLimit =
+    parsedLimit >= 1
+      ? Math.min(parsedLimit, MAX_LEADERBOARD_LIMIT)
+      : DEFAULT_LEADERBOARD_LIMIT;
+
+  const [entries, me] = await Promise.all([
+    getLeaderboardPageModel(boardId, entryOffset, entryLimit),
+    uid ? getRankedEntry(boardId, uid) : null,
+  ]);
+  return {
+    mode,
+    window,
+    period: periodKey,
+    resetsAt: getPeriodResetsAt(window, periodKey),
+    offset: entryOffset,
+    entries: entries.map((entry, idx) =>
+      toClientEntry(entry, entryOffset + idx + 1)
+    ),
+    me,
+  };
+}
+
+/**
+ * A leaderboard narrowed down to a user and their friends, ranked among
+ * themselves.
+ * @param {object} params
+ * @param {string} params.mode - The game mode.
+ * @param {string} params.window - "global", "weekly" or "daily".
+ * @param {string} [params.period] - A day (YYYY-MM-DD) in the period; current when omitted.
+ * @param {string} params.uid - UID of the user.
+ * @returns {Promise<object>} `{ mode, window, period, resetsAt, entries }`, entries as
+ *   in getLeaderboard (the user's own included, if on the board).
+ */
+export async function getFriendsLeaderboard({ mode, window, period, uid }) {
+  const periodKey = resolveLeaderboardPeriod({ mode, window, period });
+  const entries = await getLeaderboardEntriesForUids(
+    getLeaderboardId(mode, window, periodKey),
+    [uid, ...(await getFriendUids(uid))]
+  );
+  entries.sort((a, b) => b.score - a.score || b.wins - a.wins);
+  return {
+    mode,
+    window,
+    period: periodKey,
+    resetsAt: getPeriodResetsAt(window, periodKey),
+    entries: entries.map((entry, idx) => toClientEntry(entry, idx + 1)),
+  };
+}
+
+/**
+ * A user's entry and rank on a leaderboard.
+ * @param {object} params
+ * @param {string} params.mode - The game mode.
+ * @param {string} params.window - "global", "weekly" or "daily".
+ * @param {string} [params.period] - A day (YYYY-MM-DD) in the period; current when omitted.
+ * @param {string} params.uid - UID of the user.
+ * @returns {Promise<object>} `{ mode, window, period, resetsAt, entry }`; entry is null
+ *   if the user has not played a rated game of the mode in the period.
+ */
+export async function getLeaderboardRank({ mode, window, period, uid }) {
+  const periodKey = resolveLeaderboardPeriod({ mode, window, period });
+  return {
+    mode,
+    window,
+    period: periodKey,
+    resetsAt: getPeriodResetsAt(window, periodKey),
+    entry: await getRankedEntry(getLeaderboardId(mode, window, periodKey), uid),
+  };
+}
+
+/**
+ * Schedules a 'leaderboard:updated' broadcast of the top of each of a mode's
+ * current leaderboards to the sockets following them. Called after a game of
+ * the mode is recorded.
+ * @param {string} mode
+ */
+export function publishLeaderboardUpdates(mode) {
+  if (!ioServer || pendingUpdates.has(mode)) return;
+  const timer = setTimeout(async () => {
+    pendingUpdates.delete(mode);
+    for (const window of Object.values(LEADERBOARD_WINDOWS)) {
+      try {
+        const { me, ...board } = await getLeaderboard({ mode, window });
+        ioServer
+          .to(getLeaderboardRoom(mode, window))
+          .emit("leaderboard:updated", board); // Followers refetch their rank
+      } catch (err) {
+        console.error(
+          `Failed to publish the ${window} ${mode} leaderboard:`,
+          err
+        );
+      }
+    }
+  }, LEADERBOARD_UPDATE_DELAY_MS);
+  pendingUpdates.set(mode, timer);
+}
+
+/**
+ * Starts the new daily (and, on Mondays, weekly) leaderboards: deletes the
+ * boards older than the previous period and tells followers the window reset.
+ * Runs once per day across all instances.
+ * @param {Date} [now]
+ */
+async function resetLeaderboardWindows(now = new Date()) {
+  const lockKey = `leaderboards:reset:${getUtcDateKey(now)}`;
+  if (
+    !(await store.setIfAbsent(
+      lockKey,
+      randomUUID(),
+      LEADERBOARD_RESET_LOCK_TTL_MS
+    ))
+  ) {
+    return; // Another instance is resetting them
+  }
+  const resetWindows = [LEADERBOARD_WINDOWS.DAILY];
+  if (now.getUTCDay() === 1) resetWindows.push(LEADERBOARD_WINDOWS.WEEKLY);
+
+  for (const window of [
+    LEADERBOARD_WINDOWS.DAILY,
+    LEADERBOARD_WINDOWS.WEEKLY,
+  ]) {
+    // The previous period stays readable until the next reset
+    const previousPeriodKey = getLeaderboardPeriodKey(
+      window,
+      new Date(
+        now.getTime() - (window === LEADERBOARD_WINDOWS.WEEKLY ? 7 : 1) * DAY_MS
+      )
+    );
+    for (const boardId of await getLeaderboardIdsBefore(
+      window,
+      previousPeriodKey
+    )) {
+      const deleted = await deleteLeaderboardModel(boardId);
+      console.log(
+        `Deleted expired leaderboard ${boardId} (${deleted} entries).`
+      );
+    }
+  }
+
+  for (const window of resetWindows) {
+    const periodKey = getLeaderboardPeriodKey(window, now);
+    for (const mode of Object.values(GAME_MODES)) {
+      ioServer?.to(getLeaderboardRoom(mode, window)).emit("leaderboard:reset", {
+        mode,
+        window,
+        period: periodKey,
+        resetsAt: getPeriodResetsAt(window, periodKey),
+      });
+    }
+  }
+}
+
+/**
+ * Resets the daily and weekly leaderboards at every UTC midnight.
+ */
+export function startLeaderboardResetSchedule() {
+  const now = Date.now();
+  const nextMidnight = Math.ceil((now + 1) / DAY_MS) * DAY_MS;
+  setTimeout(async () => {
+    try {
+      await resetLeaderboardWindows(new Date(nextMidnight));
+    } catch (err) {
+      console.error("Leaderboard reset failed:", err);
+    }
+    startLeaderboardResetSchedule();
+  }, nextMidnight - now).unref();
+}
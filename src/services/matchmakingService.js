@@ -0,0 +1,248 @@
+// server/src/services/matchmakingService.js
+import { randomUUID } from "crypto";
+import { QUICK_MATCH_MIN_PLAYERS } from "../config/index.js";
+import { store } from "../store/index.js";
+import { getUser as getUserModel } from "../models/userModel.js";
+import { GAME_MODES, DEFAULT_GAME_MODE, isValidGameMode } from "./gameModes.js";
+import { getModeRating } from "./ratingService.js";
+import {
+  createRoom,
+  joinRoom,
+  listPublicRooms,
+  ROOM_VISIBILITIES,
+} from "./roomService.js";
+import { SEAT_HOLD_KINDS, holdPlayerSeat } from "./reconnectService.js";
+
+export const QUICK_MATCH_MIN_GROUP_SIZE = Math.max(
+  2,
+  Number(QUICK_MATCH_MIN_PLAYERS) || 2
+);
+const QUICK_MATCH_MAX_GROUP_SIZE = 8; // A room's player cap
+const QUICK_MATCH_QUEUE_TTL_MS = 10 * 60 * 1000; // An idle ticket expires
+const QUICK_MATCH_LOCK_TTL_MS = 10 * 1000;
+// How long a matched player's seat waits for them to join the room
+const QUICK_MATCH_RESERVATION_MS = 30 * 1000;
+// A match spans at most this rating spread around its longest-waiting player,
+// widening the longer that player waits.
+const RATING_BAND_BASE = 100;
+const RATING_BAND_GROWTH_PER_SEC = 10;
+const RATING_BAND_MAX = 800;
+
+// Each mode has its own queue in the shared store, so players queued on any
+// instance are matched together: a sorted set of UIDs by queue time (first
+// queued first), plus a ticket per player with their rating and queue time.
+// Forming matches takes a per-mode lock.
+const quickMatchQueueKey = (mode) => `quickMatch:${mode}:queue`;
+const quickMatchTicketKey = (mode, uid) => `quickMatch:${mode}:ticket:${uid}`;
+const quickMatchLockKey = (mode) => `quickMatch:${mode}:lock`;
+
+/**
+ * The rating spread a player accepts after waiting since `queuedAt`.
+ * @param {number} queuedAt - When the player joined the queue (epoch ms).
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+export function getRatingBand(queuedAt, now = Date.now()) {
+  const waitedSec = Math.max(0, now - queuedAt) / 1000;
+  return Math.min(
+    RATING_BAND_MAX,
+    RATING_BAND_BASE + RATING_BAND_GROWTH_PER_SEC * waitedSec
+  );
+}
+
+async function getUserModeRating(uid, mode) {
+  return getModeRating(await getUserModel(uid), mode).rating;
+}
+
+/**
+ * Holds a matched player's seat until they join the room themselves; if they
+ * never do, the seat is freed again (see SEAT_HOLD_KINDS.RESERVATION).
+ */
+async function reserveMatchSeat(roomId, uid) {
+  await holdPlayerSeat({
+    roomId,
+    uid,
+    kind: SEAT_HOLD_KINDS.RESERVATION,
+    graceMs: QUICK_MATCH_RESERVATION_MS,
+  });
+}
+
+/**
+ * Reserves the user a seat in the fullest open public room of the mode whose
+ * host is within their starting rating band, if any will take them.
+ * @returns {Promise<object|null>} `{ roomId, roomCode }`, or null.
+ */
+async function placeInOpenRoom({ uid, name, mode, rating }) {
+  const rooms = await listPublicRooms({ mode });
+  // Fullest first, so rooms fill up and their games start sooner
+  rooms.sort((a, b) => b.playerCount - a.playerCount);
+  for (const room of rooms) {
+    const hostRating = await getUserModeRating(room.hostUid, mode);
+    if (Math.abs(hostRating - rating) > RATING_BAND_BASE) continue;
+    try {
+      const joined = await joinRoom({
+        uid,
+        name,
+        code: room.code,
+        reserved: true,
+      });
+      await reserveMatchSeat(joined.id, uid);
+      return { roomId: joined.id, roomCode: joined.code };
+    } catch (err) {
+      // Banned, locked or filled up in the meantime: try the next room
+      console.log(
+        `Quick match could not place ${uid} in room ${room.roomId}: ${err.message}`
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Picks the next group to match from a mode's queue: the longest-waiting
+ * player and the players within their rating band, longest-waiting first.
+ * @param {Array<object>} tickets - Queue tickets, longest-waiting first.
+ * @param {number} now
+ * @returns {Array<object>|null} The group's tickets, or null if none is large enough.
+ */
+function pickMatchGroup(tickets, now) {
+  for (const anchor of tickets) {
+    const band = getRatingBand(anchor.queuedAt, now);
+    const group = tickets
+      .filter((ticket) => Math.abs(ticket.rating - anchor.rating) <= band)
+      .slice(0, QUICK_MATCH_MAX_GROUP_SIZE);
+    if (group.length >= QUICK_MATCH_MIN_GROUP_SIZE) return group;
+  }
+  return null;
+}
+
+/**
+ * Opens a public room (via createRoomWithHost) for each group of queued
+ * players that can be matched; the longest-waiting player of a group hosts.
+ * @param {string} mode - The game mode of the queue.
+ * @returns {Promise<Array<object>>} `[{ roomId, roomCode, uids }]`; empty if no
+ *   group formed or another instance is matching this queue.
+ */
+async function formQuickMatches(mode) {
+  const lockKey = quickMatchLockKey(mode);
+  const lockValue = randomUUID();
+  if (!(await store.setIfAbsent(lockKey, lockValue, QUICK_MATCH_LOCK_TTL_MS))) {
+    return [];
+  }
+  const matches = [];
+  try {
+    let tickets = []; // Longest-waiting first
+    const queueKey = quickMatchQueueKey(mode);
+    for (const uid of await store.getSortedSetMembers(queueKey)) {
+      const ticket = await store.get(quickMatchTicketKey(mode, uid));
+      if (ticket) tickets.push(ticket);
+      else await store.removeFromSortedSet(queueKey, uid); // Expired
+    }
+
+    let group;
+    while ((group = pickMatchGroup(tickets, Date.now()))) {
+      const groupUids = group.map((ticket) => ticket.uid);
+      tickets = tickets.filter((ticket) => !groupUids.includes(ticket.uid));
+      for (const uid of groupUids) {
+        await leaveQuickMatch({ uid, mode });
+      }
+      matches.push(await openMatchRoom(mode, groupUids));
+    }
+  } finally {
+    await store.compareAndDelete(lockKey, lockValue);
+  }
+  return matches;
+}
+
+async function openMatchRoom(mode, groupUids) {
+  const [hostUid, ...otherUids] = groupUids;
+  // Names come from the user profiles; "Player" is only a fallback
+  const room = await createRoom({
+    uid: hostUid,
+    name: "Player",
+    visibility: ROOM_VISIBILITIES.PUBLIC,
+    mode,
+    reserved: true,
+  });
+  await reserveMatchSeat(room.id, hostUid);
+  const matchedUids = [hostUid];
+  for (const uid of otherUids) {
+    try {
+      await joinRoom({ uid, name: "Player", code: room.code, reserved: true });
+      await reserveMatchSeat(room.id, uid);
+      matchedUids.push(uid);
+    } catch (err) {
+      console.error(
+        `Quick match could not add ${uid} to room ${room.id}:`,
+        err
+      );
+    }
+  }
+  console.log(
+    `Quick match formed room ${room.id} (${mode}) for ${matchedUids.length} players.`
+  );
+  return { roomId: room.id, roomCode: room.code, uids: matchedUids };
+}
+
+/**
+ * Finds a game for a user: an open public room of the mode near their rating,
+ * or a place in the mode's queue. Joining the queue may complete one or more
+ * groups, each of which gets a new room.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user.
+ * @param {string} params.name - Fallback display name of the user.
+ * @param {string} [params.mode] - Game mode; the default mode when omitted.
+ * @returns {Promise<object>} `{ mode, matches, queueSize }`. Each match is
+ *   `{ roomId, roomCode, uids }` for the users who were given a seat in a room
+ *   (each must still join it by code before the seat is released); the user is
+ *   still queued if in none of them.
+ */
+export async function joinQuickMatch({ uid, name, mode = DEFAULT_GAME_MODE }) {
+  if (!isValidGameMode(mode)) throw new Error(`Unknown game mode: ${mode}.`);
+
+  const rating = await getUserModeRating(uid, mode);
+  const placed = await placeInOpenRoom({ uid, name, mode, rating });
+  if (placed) {
+    return { mode, matches: [{ ...placed, uids: [uid] }], queueSize: 0 };
+  }
+
+  const queuedAt = Date.now();
+  await store.set(
+    quickMatchTicketKey(mode, uid),
+    { uid, rating, queuedAt },
+    QUICK_MATCH_QUEUE_TTL_MS
+  );
+  await store.setSortedSetScore(quickMatchQueueKey(mode), uid, queuedAt);
+  const matches = await formQuickMatches(mode);
+  const matchedUids = matches.flatMap((match) => match.uids);
+  const queueSize = matchedUids.includes(uid)
+    ? 0
+    : (await store.getSortedSetMembers(quickMatchQueueKey(mode))).length;
+  return { mode, matches, queueSize };
+}
+
+/**
+ * Matches the players of every queue whose rating bands have widened enough
+ * since they joined. Run periodically.
+ * @returns {Promise<Array<object>>} `[{ mode, roomId, roomCode, uids }]`.
+ */
+export async function sweepQuickMatchQueues() {
+  const allMatches = [];
+  for (const mode of Object.values(GAME_MODES)) {
+    const matches = await formQuickMatches(mode);
+    allMatches.push(...matches.map((match) => ({ mode, ...match })));
+  }
+  return allMatches;
+}
+
+/**
+ * Takes a user out of a mode's quick-match queue.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user.
+ * @param {string} params.mode - Game mode of the queue.
+ * @returns {Promise<boolean>} Whether the user was queued.
+ */
+export async function leaveQuickMatch({ uid, mode }) {
+  await store.del(quickMatchTicketKey(mode, uid));
+  return store.removeFromSortedSet(quickMatchQueueKey(mode), uid);
+}
@@ -0,0 +1,39 @@
+// server/src/services/questionProviders/firestoreBankProvider.js
+import { getQuestionBankItems } from "../../models/questionModel.js";
+import { pickRandomItems } from "./providerUtils.js";
+
+// Read more than needed so repeated games don't always get the same questions.
+const OVERFETCH_FACTOR = 3;
+
+/**
+ * Question provider backed by the curated `questionBank` Firestore collection.
+ */
+const firestoreBankProvider = {
+  name: "firestoreBank",
+
+  /**
+   * @param {object} params
+   * @param {number} params.amount - Number of questions wanted.
+   * @param {string} [params.category] - Category name to filter by.
+   * @param {string} [params.difficulty] - 'easy' | 'medium' | 'hard'.
+   * @returns {Promise<Array<object>>} Normalized questions (without IDs).
+   */
+  async fetchQuestions({ amount, category, difficulty }) {
+    const items = await getQuestionBankItems({
+      category,
+      difficulty,
+      limit: amount * OVERFETCH_FACTOR,
+    });
+    return pickRandomItems(items, amount).map(
+      ({ text, options, correctIndex, category, difficulty }) => ({
+        text,
+        options,
+        correctIndex,
+        category,
+        difficulty,
+      })
+    );
+  },
+};
+
+export default firestoreBankProvider;
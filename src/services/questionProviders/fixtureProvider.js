@@ -0,0 +1,30 @@
+// server/src/services/questionProviders/fixtureProvider.js
+
+const FIXTURE_OPTIONS = ["Option A", "Option B", "Option C", "Option D"];
+
+/**
+ * Deterministic provider for tests and local development.
+ * Question N always has its correct answer at index N % 4.
+ */
+const fixtureProvider = {
+  name: "fixture",
+
+  /**
+   * @param {object} params
+   * @param {number} params.amount - Number of questions wanted.
+   * @param {string} [params.category] - Category label to stamp on each question.
+   * @param {string} [params.difficulty] - Difficulty to stamp on each question.
+   * @returns {Promise<Array<object>>} Normalized questions (without IDs).
+   */
+  async fetchQuestions({ amount, category, difficulty }) {
+    return Array.from({ length: amount }, (_, n) => ({
+      text: `Fixture question #${n + 1}`,
+      options: [...FIXTURE_OPTIONS],
+      correctIndex: n % FIXTURE_OPTIONS.length,
+      category: category || "Fixtures",
+      difficulty: difficulty || "easy",
+    }));
+  },
+};
+
+export default fixtureProvider;
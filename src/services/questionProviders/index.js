@@ -0,0 +1,28 @@
+// server/src/services/questionProviders/index.js
+import openTriviaDbProvider from "./openTriviaDbProvider.js";
+import localBankProvider from "./localBankProvider.js";
+import firestoreBankProvider from "./firestoreBankProvider.js";
+import fixtureProvider from "./fixtureProvider.js";
+
+/**
+ * Registry of available question providers, keyed by provider name.
+ * A provider is any object with a `name` and an async
+ * `fetchQuestions({ amount, category, difficulty })` that resolves to normalized
+ * questions: `{ text, options, correctIndex, category, difficulty }`.
+ */
+const QUESTION_PROVIDERS = new Map(
+  [
+    openTriviaDbProvider,
+    localBankProvider,
+    firestoreBankProvider,
+    fixtureProvider,
+  ].map((provider) => [provider.name, provider])
+);
+
+export function getQuestionProvider(name) {
+  return QUESTION_PROVIDERS.get(name) || null;
+}
+
+export function getQuestionProviderNames() {
+  return Array.from(QUESTION_PROVIDERS.keys());
+}
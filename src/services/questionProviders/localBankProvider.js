@@ -0,0 +1,45 @@
+// server/src/services/questionProviders/localBankProvider.js
+import fs from "fs";
+import { pickRandomItems } from "./providerUtils.js";
+
+const QUESTION_BANK_PATH = new URL(
+  "../../data/questionBank.json",
+  import.meta.url
+);
+
+let cachedQuestionBank = null;
+
+function loadQuestionBank() {
+  if (!cachedQuestionBank) {
+    cachedQuestionBank = JSON.parse(
+      fs.readFileSync(QUESTION_BANK_PATH, "utf8")
+    );
+  }
+  return cachedQuestionBank;
+}
+
+/**
+ * Question provider backed by the bundled JSON question bank (src/data/questionBank.json).
+ * Works offline, so it is the usual last resort in a provider chain.
+ */
+const localBankProvider = {
+  name: "localBank",
+
+  /**
+   * @param {object} params
+   * @param {number} params.amount - Number of questions wanted.
+   * @param {string} [params.category] - Category name to filter by.
+   * @param {string} [params.difficulty] - 'easy' | 'medium' | 'hard'.
+   * @returns {Promise<Array<object>>} Normalized questions (without IDs).
+   */
+  async fetchQuestions({ amount, category, difficulty }) {
+    const candidates = loadQuestionBank().filter(
+      (q) =>
+        (!category || q.category === category) &&
+        (!difficulty || q.difficulty === difficulty)
+    );
+    return pickRandomItems(candidates, amount).map((q) => ({ ...q }));
+  },
+};
+
+export default localBankProvider;
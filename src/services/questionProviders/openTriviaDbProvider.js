@@ -0,0 +1,68 @@
+// server/src/services/questionProviders/openTriviaDbProvider.js
+
+const OPEN_TRIVIA_DB_URL = "https://opentdb.com/api.php";
+const OPEN_TRIVIA_DB_MAX_AMOUNT = 50; // API hard limit per request
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Category names shared with the local question bank, mapped to Open Trivia DB category IDs.
+const OPEN_TRIVIA_DB_CATEGORY_IDS = Object.freeze({
+  "General Knowledge": 9,
+  "Entertainment: Film": 11,
+  "Science & Nature": 17,
+  Geography: 22,
+  History: 23,
+});
+
+/**
+ * Question provider backed by the public Open Trivia DB API.
+ * Only multiple-choice questions are requested so every item has four options.
+ */
+const openTriviaDbProvider = {
+  name: "opentdb",
+
+  /**
+   * @param {object} params
+   * @param {number} params.amount - Number of questions wanted.
+   * @param {string|number} [params.category] - Category name or Open Trivia DB category ID.
+   * @param {string} [params.difficulty] - 'easy' | 'medium' | 'hard'.
+   * @returns {Promise<Array<object>>} Normalized questions (without IDs).
+   */
+  async fetchQuestions({ amount, category, difficulty }) {
+    const query = new URLSearchParams({
+      amount: String(Math.min(amount, OPEN_TRIVIA_DB_MAX_AMOUNT)),
+      type: "multiple",
+    });
+    if (category) {
+      const categoryId = OPEN_TRIVIA_DB_CATEGORY_IDS[category] ?? category;
+      query.set("category", String(categoryId));
+    }
+    if (difficulty) query.set("difficulty", difficulty);
+
+    const response = await fetch(`${OPEN_TRIVIA_DB_URL}?${query}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok)
+      throw new Error(`Open Trivia DB request failed: ${response.statusText}`);
+
+    const { response_code: responseCode, results } = await response.json();
+    // response_code 1 means "not enough questions"; anything non-zero is unusable.
+    if (responseCode !== 0 || !Array.isArray(results)) {
+      throw new Error(`Open Trivia DB returned response code ${responseCode}.`);
+    }
+
+    return results.map((item) => {
+      const options = [...item.incorrect_answers, item.correct_answer].sort(
+        () => 0.5 - Math.random()
+      );
+      return {
+        text: item.question,
+        options,
+        correctIndex: options.indexOf(item.correct_answer),
+        category: item.category,
+        difficulty: item.difficulty,
+      };
+    });
+  },
+};
+
+export default openTriviaDbProvider;
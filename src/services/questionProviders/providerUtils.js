@@ -0,0 +1,33 @@
+// server/src/services/questionProviders/providerUtils.js
+
+/**
+ * Returns up to `amount` items from `items` in random order (Fisher-Yates shuffle).
+ * @param {Array<any>} items
+ * @param {number} amount
+ * @returns {Array<any>}
+ */
+export function pickRandomItems(items, amount) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, amount);
+}
+
+/**
+ * Checks that a question matches the normalized shape stored by batchStoreQuestions.
+ * @param {object} question
+ * @returns {boolean}
+ */
+export function isNormalizedQuestion(question) {
+  return (
+    !!question &&
+    typeof question.text === "string" &&
+    Array.isArray(question.options) &&
+    question.options.length >= 2 &&
+    Number.isInteger(question.correctIndex) &&
+    question.correctIndex >= 0 &&
+    question.correctIndex < question.options.length
+  );
+}
@@ -0,0 +1,120 @@
+// server/src/services/questionService.js
+import {
+  getQuestionProvider,
+  getQuestionProviderNames,
+} from "./questionProviders/index.js";
+import { isNormalizedQuestion } from "./questionProviders/providerUtils.js";
+
+export const DEFAULT_QUESTION_PROVIDERS = ["opentdb", "localBank"];
+
+// Categories every built-in provider can serve: the local question bank's,
+// which the Open Trivia DB provider maps to its own category IDs.
+export const QUESTION_CATEGORIES = Object.freeze([
+  "General Knowledge",
+  "Science & Nature",
+  "History",
+  "Geography",
+  "Entertainment: Film",
+]);
+
+/**
+ * Validates a list of provider names coming from game settings.
+ * @param {Array<string>} providerNames
+ * @returns {Array<string>} The de-duplicated list of provider names.
+ */
+export function validateQuestionProviders(providerNames) {
+  if (!Array.isArray(providerNames) || providerNames.length === 0) {
+    throw new Error("Question providers must be a non-empty list.");
+  }
+  const knownProviders = getQuestionProviderNames();
+  const unknown = providerNames.filter(
+    (name) => !knownProviders.includes(name)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown question provider(s): ${unknown.join(", ")}. Available: ${knownProviders.join(", ")}.`
+    );
+  }
+  return [...new Set(providerNames)];
+}
+
+/**
+ * Builds the client-facing view of a stored question.
+ * Stored questions carry `correctIndex`; it must never reach clients before the
+ * answer is revealed in `answerResult`/`stealResult`.
+ * @param {object|null} question - Answer-bearing question record.
+ * @returns {object|null} `{ id, text, options, category, difficulty }` or null.
+ */
+export function toClientQuestion(question) {
+  if (!question) return null;
+  const { id, text, options, category, difficulty } = question;
+  return { id, text, options, category, difficulty };
+}
+
+/**
+ * Fetches normalized questions, walking the provider chain in order.
+ * A provider that throws or returns too few questions does not fail the request:
+ * whatever it did return is kept and the remainder is requested from the next provider.
+ * @param {object} params
+ * @param {number} params.amount - Number of questions required.
+ * @param {Array<string>} [params.providerNames] - Provider names in priority order.
+ * @param {string} [params.category] - Optional category filter passed to providers.
+ * @param {string} [params.difficulty] - Optional difficulty filter passed to providers.
+ * @returns {Promise<Array<object>>} Exactly `amount` questions shaped as
+ *   `{ text, options, correctIndex, category, difficulty }` (IDs are assigned by the caller).
+ */
+export async function fetchQuestions({
+  amount,
+  providerNames = DEFAULT_QUESTION_PROVIDERS,
+  category,
+  difficulty,
+}) {
+  const collected = [];
+  const seenTexts = new Set();
+  const failures = [];
+
+  for (const providerName of providerNames) {
+    const remaining = amount - collected.length;
+    if (remaining <= 0) break;
+
+    const provider = getQuestionProvider(providerName);
+    if (!provider) {
+      failures.push(`${providerName}: unknown provider`);
+      continue;
+    }
+
+    try {
+      const items = await provider.fetchQuestions({
+        amount: remaining,
+        category,
+        difficulty,
+      });
+      let accepted = 0;
+      for (const item of items || []) {
+        if (collected.length >= amount) break;
+        if (!isNormalizedQuestion(item) || seenTexts.has(item.text)) continue;
+        seenTexts.add(item.text);
+        collected.push(item);
+        accepted++;
+      }
+      if (accepted < remaining) {
+        console.warn(
+          `Question provider '${providerName}' returned ${accepted}/${remaining} usable questions. Falling back to next provider.`
+        );
+        failures.push(`${providerName}: returned ${accepted}/${remaining}`);
+      }
+    } catch (error) {
+      console.warn(
+        `Question provider '${providerName}' failed: ${error.message}. Falling back to next provider.`
+      );
+      failures.push(`${providerName}: ${error.message}`);
+    }
+  }
+
+  if (collected.length < amount) {
+    throw new Error(
+      `Not enough questions fetched (${collected.length}/${amount}). Provider errors: ${failures.join("; ")}`
+    );
+  }
+  return collected;
+}
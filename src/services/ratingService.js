@@ -0,0 +1,101 @@
+// server/src/services/ratingService.js
+import { GAME_MODES } from "./gameModes.js";
+
+export const DEFAULT_RATING = 1200;
+const K_FACTOR = 32; // Largest rating change against a single opponent
+const PROVISIONAL_K_FACTOR = 48; // New players settle into their rating faster
+const PROVISIONAL_GAMES = 10;
+
+/**
+ * A user's rating in one game mode (`users/{uid}.ratings[mode]`).
+ * @param {object|null} userData - The user's profile, if any.
+ * @param {string} mode - The game mode.
+ * @returns {{ rating: number, gamesPlayed: number }}
+ */
+export function getModeRating(userData, mode) {
+  const modeRating = userData?.ratings?.[mode];
+  return {
+    rating: modeRating?.rating ?? DEFAULT_RATING,
+    gamesPlayed: modeRating?.gamesPlayed ?? 0,
+  };
+}
+
+/**
+ * How well a player finished, comparable between players of the same game:
+ * higher is better.
+ */
+function getPlacementValue(uid, finalScores, player) {
+  if (!player) return -Infinity; // Left before the end
+  const scores = finalScores.scores || finalScores; // Classic sends the bare score map
+  const ranking = finalScores.rankings?.find((entry) => entry.uid === uid);
+  if (ranking) return -ranking.rank;
+  switch (finalScores.mode) {
+    case GAME_MODES.TEAM:
+      return finalScores.teamScores?.[player.teamId] ?? -Infinity;
+    case GAME_MODES.CONQUEST:
+      // Conquest winners finish ahead of everyone, whatever their score
+      return (
+        (finalScores.winnerUids?.includes(uid) ? Number.MAX_SAFE_INTEGER : 0) +
+        (scores[uid] || 0)
+      );
+    default:
+      return scores[uid] || 0;
+  }
+}
+
+/**
+ * Ranks a finished game's participants from its 'gameEnded' payload. Ties share
+ * a rank; teammates share their team's rank; players who left rank last.
+ * @param {object} params
+ * @param {object} params.finalScores - The 'gameEnded' payload.
+ * @param {Array<string>} params.participantUids - Players the game started with.
+ * @param {Array<object>} params.players - Player documents still in the room.
+ * @returns {Array<{ uid: string, rank: number }>} Best first.
+ */
+export function rankFinalStandings({ finalScores, participantUids, players }) {
+  const playersByUid = new Map(players.map((p) => [p.id, p]));
+  const placements = participantUids.map((uid) => ({
+    uid,
+    value: getPlacementValue(uid, finalScores, playersByUid.get(uid)),
+  }));
+  return placements
+    .map(({ uid, value }) => ({
+      uid,
+      rank: placements.filter((other) => other.value > value).length + 1,
+    }))
+    .sort((a, b) => a.rank - b.rank);
+}
+
+// 1 for finishing ahead of the opponent, 0.5 for a tie, 0 for finishing behind
+function getHeadToHeadResult(rank, opponentRank) {
+  if (rank === opponentRank) return 0.5;
+  return rank < opponentRank ? 1 : 0;
+}
+
+/**
+ * Multiplayer Elo: each player is scored against every other player as in a
+ * one-on-one game (win, draw or loss by rank), averaged over the opponents.
+ * @param {Array<object>} entries - `[{ uid, rank, rating, gamesPlayed }]`.
+ * @returns {object} uid -> rating change (rounded; 0 with fewer than two players).
+ */
+export function calculateRatingChanges(entries) {
+  const changes = {};
+  const opponentCount = entries.length - 1;
+  for (const player of entries) {
+    if (opponentCount < 1) {
+      changes[player.uid] = 0;
+      continue;
+    }
+    let surplus = 0;
+    for (const opponent of entries) {
+      if (opponent.uid === player.uid) continue;
+      const expected =
+        1 / (1 + 10 ** ((opponent.rating - player.rating) / 400));
+      surplus += getHeadToHeadResult(player.rank, opponent.rank) - expected;
+    }
+    const kFactor =
+      player.gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+    changes[player.uid] = Math.round((kFactor * surplus) / opponentCount);
+  }
+  return changes;
+}
@@ -0,0 +1,181 @@
+// server/src/services/reconnectService.js
+import { RECONNECT_GRACE_SECONDS } from "../config/index.js";
+import { db } from "../models/dbConfig.js";
+import { getRoomsByState as getRoomsByStateModel } from "../models/roomModel.js";
+import {
+  getPlayerRef,
+  getReconnectingPlayers as getReconnectingPlayersModel,
+  updatePlayer as updatePlayerModel,
+} from "../models/playerModel.js";
+import { setRoomTimer, clearRoomTimer } from "./gameTimerService.js";
+
+export const RECONNECT_GRACE_MS = RECONNECT_GRACE_SECONDS * 1000;
+
+/**
+ * What happens to a seat whose holder does not come back in time.
+ */
+export const SEAT_HOLD_KINDS = Object.freeze({
+  GAME: "game", // Marked offline in the running game
+  LOBBY: "lobby", // Removed from the room
+  RESERVATION: "reservation", // As LOBBY, for a quick-match seat never taken up
+});
+
+// Room states whose players can hold a seat
+const SEAT_HOLD_ROOM_STATES = ["waiting", "active", "ended"];
+
+// kind -> async ({ roomId, uid, name }) => void
+const seatHoldExpiryHandlers = new Map();
+
+function makeSeatHoldPhase(uid) {
+  return `seatHold:${uid}`;
+}
+
+/**
+ * Sets what is done when a seat hold of the given kind expires. Handlers are
+ * registered at startup, so that holds recovered after a restart can expire.
+ * @param {string} kind - One of SEAT_HOLD_KINDS.
+ * @param {Function} handler - Async `({ roomId, uid, name }) => void`.
+ */
+export function onSeatHoldExpired(kind, handler) {
+  seatHoldExpiryHandlers.set(kind, handler);
+}
+
+async function expireSeatHold(roomId, uid, reconnectDeadlineAt) {
+  const playerRef = getPlayerRef(roomId, uid);
+  // Every instance that armed this hold may get here; only one ends it
+  const player = await db.runTransaction(async (tx) => {
+    const playerDoc = await tx.get(playerRef);
+    // A newer hold or a reconnection replaced this one
+    if (
+      !playerDoc.exists ||
+      playerDoc.data().reconnectDeadlineAt !== reconnectDeadlineAt
+    ) {
+      return null;
+    }
+    tx.update(playerRef, {
+      reconnecting: false,
+      reconnectDeadlineAt: null,
+      reconnectHoldKind: null,
+    });
+    return playerDoc.data();
+  });
+  if (!player) return;
+  console.log(`Reconnect grace expired for player ${uid} in room ${roomId}.`);
+  const onExpire = seatHoldExpiryHandlers.get(player.reconnectHoldKind);
+  if (!onExpire) {
+    console.error(
+      `No expiry handler for seat hold kind ${player.reconnectHoldKind}.`
+    );
+    return;
+  }
+  await onExpire({ roomId, uid, name: player.name || uid });
+}
+
+// Seat holds are not tied to the room's lease: the instance a player dropped
+// from need not be the one driving the room's game.
+function armSeatHoldTimer(roomId, uid, reconnectDeadlineAt) {
+  setRoomTimer(
+    roomId,
+    makeSeatHoldPhase(uid),
+    reconnectDeadlineAt - Date.now(),
+    () => expireSeatHold(roomId, uid, reconnectDeadlineAt),
+    { leased: false }
+  );
+}
+
+/**
+ * Holds a dropped player's seat (lobby slot, place in the turn order, turn)
+ * for the grace window. The player stays in the room, flagged `reconnecting`
+ * until `reconnectDeadlineAt`; the hold is saved with them, so that
+ * recoverSeatHolds can re-arm it after a restart. If they have not come back
+ * by then, the handler registered for `kind` runs.
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {string} params.uid - The UID of the dropped player.
+ * @param {string} params.kind - One of SEAT_HOLD_KINDS.
+ * @param {number} [params.graceMs=RECONNECT_GRACE_MS] - How long to hold it.
+ * @returns {Promise<number|null>} The reconnect deadline (epoch ms), or null when
+ *   the grace window is disabled and the caller should act right away.
+ */
+export async function holdPlayerSeat({
+  roomId,
+  uid,
+  kind,
+  graceMs = RECONNECT_GRACE_MS,
+}) {
+  if (graceMs === 0) return null;
+  const reconnectDeadlineAt = Date.now() + graceMs;
+  await updatePlayerModel(roomId, uid, {
+    reconnecting: true,
+    reconnectDeadlineAt,
+    reconnectHoldKind: kind,
+  });
+  armSeatHoldTimer(roomId, uid, reconnectDeadlineAt);
+  console.log(
+    `Holding seat of player ${uid} in room ${roomId} for ${graceMs} ms.`
+  );
+  return reconnectDeadlineAt;
+}
+
+/**
+ * Ends a seat hold because the player is back (or, for a reservation, arrived).
+ * @param {string} roomId - The ID of the room.
+ * @param {string} uid - The UID of the returning player.
+ * @returns {Promise<string|null>} The kind of hold ended (one of
+ *   SEAT_HOLD_KINDS), or null if the player's seat was not held.
+ */
+export async function releasePlayerSeat(roomId, uid) {
+  // Timers armed on other instances find the deadline gone and stand down
+  clearRoomTimer(roomId, makeSeatHoldPhase(uid));
+  const playerRef = getPlayerRef(roomId, uid);
+  return db.runTransaction(async (tx) => {
+    const playerDoc = await tx.get(playerRef);
+    if (!playerDoc.exists || !playerDoc.data().reconnecting) return null;
+    tx.update(playerRef, {
+      reconnecting: false,
+      reconnectDeadlineAt: null,
+      reconnectHoldKind: null,
+    });
+    return playerDoc.data().reconnectHoldKind;
+  });
+}
+
+/**
+ * Re-arms the seat holds saved in a room. Holds that ran out while no
+ * instance was timing them expire right away.
+ * @param {string} roomId - The ID of the room.
+ * @returns {Promise<number>} The number of holds re-armed.
+ */
+export async function resumeSeatHolds(roomId) {
+  const players = await getReconnectingPlayersModel(roomId);
+  for (const player of players) {
+    armSeatHoldTimer(roomId, player.id, player.reconnectDeadlineAt);
+  }
+  return players.length;
+}
+
+/**
+ * Re-arms every saved seat hold, e.g. after a restart lost their timers.
+ * Holds are safe to arm on several instances: only one of them ends each.
+ * @returns {Promise<number>} The number of holds re-armed.
+ */
+export async function recoverSeatHolds() {
+  let recoveredCount = 0;
+  for (const state of SEAT_HOLD_ROOM_STATES) {
+    const roomsSnap = await getRoomsByStateModel(state);
+    for (const roomDoc of roomsSnap.docs) {
+      try {
+        recoveredCount += await resumeSeatHolds(roomDoc.id);
+      } catch (err) {
+        console.error(
+          `Error recovering seat holds in room ${roomDoc.id}:`,
+          err
+        );
+      }
+    }
+  }
+  if (recoveredCount > 0) {
+    console.log(`Recovered ${recoveredCount} reconnect seat holds.`);
+  }
+  return recoveredCount;
+}
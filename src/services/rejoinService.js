@@ -0,0 +1,120 @@
+// server/src/services/rejoinService.js
+
+/**
+ * How a player who went offline during a game comes back (`gameSettings.rejoin.policy`).
+ */
+export const REJOIN_POLICIES = Object.freeze({
+  RESUME: "resume", // Back as a player; their place in the turn order and score are kept
+  NEXT_TURN_ONLY: "next_turn_only", // As RESUME, unless their turn this round has passed
+  SPECTATE: "spectate", // Returning players always watch the rest of the game
+});
+
+/**
+ * Default rejoin rules. A limit of 0 means no limit.
+ */
+export const DEFAULT_REJOIN_RULES = Object.freeze({
+  policy: REJOIN_POLICIES.RESUME,
+  maxRejoins: 3, // Rejoins allowed per player and game
+  maxAbsenceSec: 300, // Time a player may stay offline (after any grace window)
+});
+
+const REJOIN_RULE_LIMITS = Object.freeze({
+  maxRejoins: [0, 20],
+  maxAbsenceSec: [0, 1800],
+});
+
+/**
+ * Fills in any rules missing from stored settings with the defaults.
+ * @param {object} [rules]
+ * @returns {object} A complete rule set.
+ */
+export function resolveRejoinRules(rules) {
+  return { ...DEFAULT_REJOIN_RULES, ...rules };
+}
+
+/**
+ * Validates a partial rule update and merges it over the current rules.
+ * @param {object} rulesToUpdate - Partial rejoin rules from game settings.
+ * @param {object} [currentRules] - Rules currently stored for the room.
+ * @returns {object} The complete, validated rule set.
+ */
+export function validateRejoinRules(rulesToUpdate, currentRules) {
+  if (!rulesToUpdate || typeof rulesToUpdate !== "object") {
+    throw new Error("Rejoin rules must be an object.");
+  }
+  const validatedRules = resolveRejoinRules(currentRules);
+
+  if (rulesToUpdate.policy !== undefined) {
+    if (Object.values(REJOIN_POLICIES).includes(rulesToUpdate.policy))
+      validatedRules.policy = rulesToUpdate.policy;
+    else throw new Error(`Unknown rejoin policy: ${rulesToUpdate.policy}.`);
+  }
+  for (const [rule, [min, max]] of Object.entries(REJOIN_RULE_LIMITS)) {
+    if (rulesToUpdate[rule] === undefined) continue;
+    const value = parseInt(rulesToUpdate[rule], 10);
+    if (value >= min && value <= max) validatedRules[rule] = value;
+    else
+      throw new Error(`Rejoin rule ${rule} must be between ${min} and ${max}.`);
+  }
+  return validatedRules;
+}
+
+/**
+ * How many times a player has already rejoined the room's current game.
+ * @param {object} roomData - The room document data.
+ * @param {object} playerDoc - The player's document data.
+ * @returns {number}
+ */
+export function getRejoinCount(roomData, playerDoc) {
+  return playerDoc.rejoinGameId === roomData.gameId
+    ? playerDoc.rejoinCount || 0
+    : 0;
+}
+
+/**
+ * Decides whether a player returning to an active game after being marked
+ * offline resumes as a player. Their seat in `activeTurnOrderUids` and their
+ * score are never taken away, so resuming needs no reinsertion: the turn
+ * rotation simply stops skipping them.
+ * @param {object} params
+ * @param {object} params.roomData - The room document data.
+ * @param {object} params.playerDoc - The returning player's document data.
+ * @param {number} params.playerIndexInActiveOrder - Their index in `activeTurnOrderUids`.
+ * @param {number} [params.now=Date.now()]
+ * @returns {{ role: string, reason: string|null }} The role and, for spectators, why.
+ */
+export function decideRejoinRole({
+  roomData,
+  playerDoc,
+  playerIndexInActiveOrder,
+  now = Date.now(),
+}) {
+  const rules = resolveRejoinRules(roomData.gameSettings?.rejoin);
+
+  if (rules.policy === REJOIN_POLICIES.SPECTATE) {
+    return { role: "spectator", reason: "policy" };
+  }
+  if (
+    rules.maxRejoins > 0 &&
+    getRejoinCount(roomData, playerDoc) >= rules.maxRejoins
+  ) {
+    return { role: "spectator", reason: "max_rejoins" };
+  }
+  if (
+    rules.maxAbsenceSec > 0 &&
+    playerDoc.offlineSince &&
+    now - playerDoc.offlineSince > rules.maxAbsenceSec * 1000
+  ) {
+    return { role: "spectator", reason: "absence_too_long" };
+  }
+  if (rules.policy === REJOIN_POLICIES.NEXT_TURN_ONLY) {
+    const theirTurnInCurrentRoundPassed =
+      playerIndexInActiveOrder < roomData.currentPlayerIndexInOrder ||
+      (playerIndexInActiveOrder === roomData.currentPlayerIndexInOrder &&
+        roomData.currentTurnUid !== playerDoc.id);
+    if (theirTurnInCurrentRoundPassed) {
+      return { role: "spectator", reason: "turn_passed" };
+    }
+  }
+  return { role: "player", reason: null };
+}
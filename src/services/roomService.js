@@ -7,6 +7,7 @@ import {
   updateRoom as updateRoomModel,
   deleteRoom as deleteRoomModel,
   getRoomByCode as getRoomByCodeModel,
+  getPublicRooms as getPublicRoomsModel,
   createRoomWithHost as createRoomWithHostModel, // Consolidated model function
 } from "../models/roomModel.js";
 import {
@@ -17,19 +18,186 @@ import {
   getPlayersByRoomSorted as getPlayersByRoomSortedModel,
   getPlayersInRoomForTransaction, // For use within transactions
   setPlayerInTransaction, // For use within transactions
+  batchUpdatePlayer as batchUpdatePlayerModel,
 } from "../models/playerModel.js";
+import { getUser as getUserModel } from "../models/userModel.js";
 import {
   db,
   FieldValue,
   ROOMS_COLLECTION,
   PLAYERS_COLLECTION,
 } from "../models/dbConfig.js";
+import {
+  DEFAULT_QUESTION_PROVIDERS,
+  validateQuestionProviders,
+} from "./questionService.js";
+import { DEFAULT_GAME_MODE, isValidGameMode } from "./gameModes.js";
+import {
+  DEFAULT_BLITZ_DURATION_SEC,
+  DEFAULT_BLITZ_SKIPS_ALLOWED,
+} from "./blitzService.js";
+import {
+  DEFAULT_SURVIVAL_ROUND_TIMEOUT_SEC,
+  DEFAULT_SURVIVAL_ELIMINATION_RULE,
+  isValidEliminationRule,
+} from "./survivalService.js";
+import {
+  DEFAULT_TEAM_COUNT,
+  MAX_TEAM_COUNT,
+  balanceTeams,
+  isValidTeamId,
+} from "./teamService.js";
+import {
+  DEFAULT_CONQUEST_CATEGORIES,
+  DEFAULT_CONQUEST_WIN_THRESHOLD,
+  DEFAULT_CONQUEST_PICK_TIMEOUT_SEC,
+  validateConquestCategories,
+} from "./conquestService.js";
+import {
+  DEFAULT_SCORING_RULES,
+  validateScoringRules,
+} from "./scoringService.js";
+import {
+  DEFAULT_REJOIN_RULES,
+  validateRejoinRules,
+} from "./rejoinService.js";
 
 const MAX_PLAYERS_ROLE_COUNT = 8; // Max users with 'player' role
 const MAX_SPECTATORS_COUNT = 5; // Max users with 'spectator' role
 const MAX_TOTAL_USERS_IN_ROOM = MAX_PLAYERS_ROLE_COUNT + MAX_SPECTATORS_COUNT;
+const DEFAULT_PUBLIC_ROOMS_LIMIT = 20;
+const MAX_PUBLIC_ROOMS_LIMIT = 50;
+
+/**
+ * Who can find a room. Private rooms are joined by code only; public rooms are
+ * also listed in the lobby and filled by quick match.
+ */
+export const ROOM_VISIBILITIES = Object.freeze({
+  PUBLIC: "public",
+  PRIVATE: "private",
+});
+
+/**
+ * Actions in a room that require elevated permissions.
+ * The host can perform all of them; co-hosts can perform those in CO_HOST_ACTIONS.
+ */
+export const ROOM_ACTIONS = Object.freeze({
+  START_GAME: "startGame",
+  UPDATE_SETTINGS: "updateSettings",
+  KICK_PLAYER: "kickPlayer",
+  BAN_PLAYER: "banPlayer",
+  LOCK_ROOM: "lockRoom",
+  CHANGE_ROLE: "changeRole",
+  TRANSFER_HOST: "transferHost",
+  MANAGE_CO_HOSTS: "manageCoHosts",
+  MANAGE_TEAMS: "manageTeams",
+  SET_VISIBILITY: "setVisibility",
+});
+
+const CO_HOST_ACTIONS = new Set([
+  ROOM_ACTIONS.START_GAME,
+  ROOM_ACTIONS.UPDATE_SETTINGS,
+  ROOM_ACTIONS.KICK_PLAYER,
+  ROOM_ACTIONS.BAN_PLAYER,
+  ROOM_ACTIONS.LOCK_ROOM,
+  ROOM_ACTIONS.CHANGE_ROLE,
+  ROOM_ACTIONS.MANAGE_TEAMS,
+  ROOM_ACTIONS.SET_VISIBILITY,
+]);
+
+/**
+ * Checks whether a user may perform a privileged action in a room.
+ * @param {object} roomData - The room document data.
+ * @param {string} uid - UID of the acting user.
+ * @param {string} action - One of ROOM_ACTIONS.
+ * @returns {boolean}
+ */
+export function hasRoomPermission(roomData, uid, action) {
+  if (!roomData || !uid) return false;
+  if (roomData.hostUid === uid) return true;
+  return (
+    (roomData.coHostUids || []).includes(uid) && CO_HOST_ACTIONS.has(action)
+  );
+}
+
+/**
+ * The member counts and host name stored on a room, so that the lobby can list
+ * and filter rooms without reading their players.
+ * @param {Array<object>} members - The room's players, each with 'id' and 'role'.
+ * @param {string} hostUid - UID of the room's host.
+ * @returns {object} `{ playerCount, spectatorCount, hostName }`.
+ */
+function summarizeRoomMembers(members, hostUid) {
+  const playerCount = members.filter(
+    (p) => (p.role || "player") === "player"
+  ).length;
+  return {
+    playerCount,
+    spectatorCount: members.length - playerCount,
+    hostName: members.find((p) => p.id === hostUid)?.name || null,
+  };
+}
+
+/**
+ * Recounts a room's members after players left, changed role or took over as host.
+ * @param {string} roomId - ID of the room.
+ * @returns {Promise<void>}
+ */
+export async function refreshRoomMemberSummary(roomId) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists) return;
+  const members = await getPlayersByRoomSortedModel(roomId);
+  await updateRoomModel(
+    roomId,
+    summarizeRoomMembers(members, roomDoc.data().hostUid)
+  );
+}
 
-export async function createRoom({ uid, name }) {
+/**
+ * Loads a room and verifies the acting user may perform the given action.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.uid - UID of the acting user.
+ * @param {string} params.action - One of ROOM_ACTIONS.
+ * @returns {Promise<object>} The room document data.
+ */
+export async function assertRoomPermission({ roomId, uid, action }) {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists) throw new Error("Room not found.");
+  const roomData = roomDoc.data();
+  if (!hasRoomPermission(roomData, uid, action)) {
+    const hostOnly = !CO_HOST_ACTIONS.has(action);
+    throw new Error(
+      hostOnly
+        ? "Only the host can perform this action."
+        : "Only the host or a co-host can perform this action."
+    );
+  }
+  return roomData;
+}
+
+/**
+ * Creates a room with the given user as host.
+ * @param {object} params
+ * @param {string} params.uid - UID of the host.
+ * @param {string} params.name - Fallback display name of the host.
+ * @param {string} [params.visibility='private'] - One of ROOM_VISIBILITIES.
+ * @param {string} [params.mode] - Initial game mode; the default mode when omitted.
+ * @param {boolean} [params.reserved=false] - Only reserve the host's seat: they
+ *   are offline until they join the room (see joinRoom).
+ * @returns {Promise<object>} `{ id, code, hostUid }`.
+ */
+export async function createRoom({
+  uid,
+  name,
+  visibility = ROOM_VISIBILITIES.PRIVATE,
+  mode = DEFAULT_GAME_MODE,
+  reserved = false,
+}) {
+  if (!Object.values(ROOM_VISIBILITIES).includes(visibility)) {
+    throw new Error(`Unknown room visibility: ${visibility}.`);
+  }
+  if (!isValidGameMode(mode)) throw new Error(`Unknown game mode: ${mode}.`);
   const code = generateRoomCode();
   const roomId = db.collection(ROOMS_COLLECTION).doc().id; // Generate ID upfront
 
@@ -37,9 +205,8 @@ export async function createRoom({ uid, name }) {
   let displayName = name;
   let avatarUrl = null;
   try {
-    const userProfileDoc = await db.collection('users').doc(uid).get();
-    if (userProfileDoc.exists) {
-      const userProfile = userProfileDoc.data();
+    const userProfile = await getUserModel(uid);
+    if (userProfile) {
       displayName = userProfile.displayName || name;
       avatarUrl = userProfile.avatarUrl || null;
     }
@@ -59,12 +226,31 @@ export async function createRoom({ uid, name }) {
     activeTurnOrderUids: [],
     currentPlayerIndexInOrder: -1, // -1 indicates not yet started or no one's turn
     currentStealAttempt: null,
+    coHostUids: [],
+    bannedUids: [],
+    locked: false,
+    visibility,
+    playerCount: 1,
+    spectatorCount: 0,
+    hostName: displayName,
     gameSettings: {
       questionsPerPlayer: 5,
       turnTimeoutSec: 30, // User's updated default
       stealTimeoutSec: 15, // User's updated default
       allowSteal: true,
       bonusForSteal: 1,
+      questionProviders: DEFAULT_QUESTION_PROVIDERS,
+      mode,
+      blitzDurationSec: DEFAULT_BLITZ_DURATION_SEC,
+      blitzSkipsAllowed: DEFAULT_BLITZ_SKIPS_ALLOWED,
+      survivalRoundTimeoutSec: DEFAULT_SURVIVAL_ROUND_TIMEOUT_SEC,
+      survivalEliminationRule: DEFAULT_SURVIVAL_ELIMINATION_RULE,
+      teamCount: DEFAULT_TEAM_COUNT,
+      conquestCategories: DEFAULT_CONQUEST_CATEGORIES,
+      conquestWinThreshold: DEFAULT_CONQUEST_WIN_THRESHOLD,
+      conquestPickTimeoutSec: DEFAULT_CONQUEST_PICK_TIMEOUT_SEC,
+      scoring: DEFAULT_SCORING_RULES,
+      rejoin: DEFAULT_REJOIN_RULES,
     },
   };
 
@@ -74,7 +260,7 @@ export async function createRoom({ uid, name }) {
     avatarUrl,
     joinOrder: 1,
     score: 0,
-    online: true,
+    online: !reserved,
     role: "player", // Host is always a 'player'
     joinedAt: FieldValue.serverTimestamp(),
   };
@@ -82,11 +268,24 @@ export async function createRoom({ uid, name }) {
   // Use a model function to perform the batched/transactional creation
   await createRoomWithHostModel(roomId, roomData, hostPlayerData);
 
-  console.log(`Room created: ${roomId} with code ${code} by host ${uid}`);
+  console.log(
+    `Room created: ${roomId} (${visibility}) with code ${code} by host ${uid}`
+  );
   return { id: roomId, code, hostUid: uid };
 }
 
-export async function joinRoom({ uid, name, code }) {
+/**
+ * Joins a user to a room by code, as a player or, when players are full or a
+ * game is running, a spectator. A user already in the room rejoins it.
+ * @param {object} params
+ * @param {string} params.uid - UID of the user.
+ * @param {string} params.name - Fallback display name of the user.
+ * @param {string} params.code - The room's join code.
+ * @param {boolean} [params.reserved=false] - Only reserve the user's seat, e.g.
+ *   for a quick match: they are offline until they join themselves.
+ * @returns {Promise<object>} `{ id, code, role, roomState }`.
+ */
+export async function joinRoom({ uid, name, code, reserved = false }) {
   const roomQueryResult = await getRoomByCodeModel(code);
   if (!roomQueryResult || roomQueryResult.empty) {
     throw new Error("Room not found with that code.");
@@ -94,22 +293,30 @@ export async function joinRoom({ uid, name, code }) {
   const roomDocSnapshot = roomQueryResult.docs[0];
   const roomRef = roomDocSnapshot.ref; // Firestore DocumentReference
   const roomId = roomRef.id;
-  let roomData = roomDocSnapshot.data();
-
-  if (roomData.state === "ended") {
-    throw new Error("This game has ended and cannot be joined for now.");
-    // Future: Could allow rejoining 'ended' rooms to see scores or trigger 'play again'
-  }
 
   return db.runTransaction(async (tx) => {
     const freshRoomDoc = await tx.get(roomRef); // Re-fetch room data inside transaction
     if (!freshRoomDoc.exists)
       throw new Error("Room disappeared during transaction.");
-    roomData = freshRoomDoc.data(); // Use freshest room data
+    // Every check uses the freshest room data: a ban, lock or game end
+    // committed while this join was on its way must refuse it
+    const roomData = freshRoomDoc.data();
+    if (roomData.state === "ended") {
+      throw new Error("This game has ended and cannot be joined for now.");
+      // Future: Could allow rejoining 'ended' rooms to see scores or trigger 'play again'
+    }
+    if ((roomData.bannedUids || []).includes(uid)) {
+      throw new Error("You have been banned from this room.");
+    }
 
     const playerCollectionRef = roomRef.collection(PLAYERS_COLLECTION);
     const playerDocRef = playerCollectionRef.doc(uid);
     const existingPlayerDoc = await tx.get(playerDocRef);
+    const allPlayersInRoomSnap = await tx.get(playerCollectionRef);
+    const members = allPlayersInRoomSnap.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
 
     let playerRole = roomData.state === "active" ? "spectator" : "player";
     let assignedJoinOrder;
@@ -122,6 +329,13 @@ export async function joinRoom({ uid, name, code }) {
           ? "spectator"
           : existingPlayerData.role || "player";
       tx.update(playerDocRef, { online: true, role: playerRole }); // Keep original role if possible, unless forced spectator
+      tx.update(
+        roomRef,
+        summarizeRoomMembers(
+          members.map((p) => (p.id === uid ? { ...p, role: playerRole } : p)),
+          roomData.hostUid
+        )
+      );
       console.log(
         `Player ${uid} rejoining room ${roomId}. Existing Role: ${existingPlayerData.role}, New/Confirmed Role: ${playerRole}.`
       );
@@ -134,7 +348,9 @@ export async function joinRoom({ uid, name, code }) {
     }
 
     // New player joining
-    const allPlayersInRoomSnap = await tx.get(playerCollectionRef);
+    if (roomData.locked) {
+      throw new Error("This room is locked by the host.");
+    }
     const currentTotalUsers = allPlayersInRoomSnap.size;
 
     if (currentTotalUsers >= MAX_TOTAL_USERS_IN_ROOM) {
@@ -177,9 +393,8 @@ export async function joinRoom({ uid, name, code }) {
     let displayName = name;
     let avatarUrl = null;
     try {
-      const userProfileDoc = await db.collection('users').doc(uid).get();
-      if (userProfileDoc.exists) {
-        const userProfile = userProfileDoc.data();
+      const userProfile = await getUserModel(uid);
+      if (userProfile) {
         displayName = userProfile.displayName || name;
         avatarUrl = userProfile.avatarUrl || null;
       }
@@ -193,11 +408,18 @@ export async function joinRoom({ uid, name, code }) {
       avatarUrl,
       joinOrder: assignedJoinOrder,
       score: 0,
-      online: true,
+      online: !reserved,
       role: playerRole,
       joinedAt: FieldValue.serverTimestamp(),
     };
     setPlayerInTransaction(tx, roomId, uid, newPlayerData); // Use model func
+    tx.update(
+      roomRef,
+      summarizeRoomMembers(
+        [...members, { id: uid, ...newPlayerData }],
+        roomData.hostUid
+      )
+    );
 
     console.log(
       `Player ${uid} successfully joined room ${roomId} as ${playerRole}.`
@@ -236,6 +458,9 @@ export async function leaveRoom({ uid, roomId }) {
     roomDeleted = true;
     console.log(`Room ${roomId} deleted as it became empty.`);
   } else {
+    if ((roomData.coHostUids || []).includes(uid)) {
+      await updateRoomModel(roomId, { coHostUids: FieldValue.arrayRemove(uid) });
+    }
     if (roomData.hostUid === uid) {
       // If the leaving player was the host
       // Find next host:
@@ -251,7 +476,10 @@ export async function leaveRoom({ uid, roomId }) {
 
       if (nextHostCandidate) {
         newHostUid = nextHostCandidate.id; // UID of player model is 'id'
-        const updateData = { hostUid: newHostUid };
+        const updateData = {
+          hostUid: newHostUid,
+          coHostUids: FieldValue.arrayRemove(newHostUid), // Host is implicitly privileged
+        };
         await updateRoomModel(roomId, updateData);
         hostChanged = true;
         console.log(
@@ -276,6 +504,7 @@ export async function leaveRoom({ uid, roomId }) {
       }
     }
   }
+  if (!roomDeleted) await refreshRoomMemberSummary(roomId);
   return { hostChanged, newHostUid, roomDeleted };
 }
 
@@ -286,37 +515,59 @@ export async function getRoomPlayers(roomId) {
     name: p.name,
     score: p.score || 0,
     online: p.online === true,
+    reconnecting: p.reconnecting === true,
     joinOrder: p.joinOrder,
     role: p.role || "player", // Default for older data, ensure role is always present
+    teamId: p.teamId || null,
   }));
 }
 
 /**
- * Allows the host to update game settings for a room in 'waiting' state.
- * @param {object} params
- * @param {string} params.roomId - ID of the room.
- * @param {string} params.hostUid - UID of the user attempting the change (must be host).
- * @param {object} params.newSettings - Object with game settings to update.
- * @returns {Promise<object>} The updated game settings.
+ * Lists the public rooms that can still be joined: waiting, unlocked, not full.
+ * Reads the rooms only, using the member counts stored on them.
+ * @param {object} [params]
+ * @param {string} [params.mode] - Only rooms set to this game mode.
+ * @param {number} [params.limit=20] - Maximum number of rooms (at most 50).
+ * @returns {Promise<Array<object>>} Room summaries, newest first.
  */
-export async function updateGameSettings({
-  roomId,
-  hostUid,
-  settingsToUpdate,
-}) {
-  const roomDoc = await getRoomModel(roomId);
-  if (!roomDoc.exists) throw new Error("Room not found.");
-
-  const roomData = roomDoc.data();
-  if (roomData.hostUid !== hostUid)
-    throw new Error("Only the host can change game settings.");
-  if (roomData.state !== "waiting")
-    throw new Error(
-      "Game settings can only be changed before the game starts."
-    );
+export async function listPublicRooms({ mode, limit } = {}) {
+  if (mode !== undefined && !isValidGameMode(mode)) {
+    throw new Error(`Unknown game mode: ${mode}.`);
+  }
+  const roomLimit = Math.min(
+    parseInt(limit, 10) || DEFAULT_PUBLIC_ROOMS_LIMIT,
+    MAX_PUBLIC_ROOMS_LIMIT
+  );
+  const roomsSnap = await getPublicRoomsModel({
+    state: "waiting",
+    mode,
+    maxPlayers: MAX_PLAYERS_ROLE_COUNT,
+    limit: roomLimit,
+  });
+  return roomsSnap.docs.map((roomDoc) => {
+    const roomData = roomDoc.data();
+    return {
+      roomId: roomDoc.id,
+      code: roomData.code,
+      hostUid: roomData.hostUid,
+      hostName: roomData.hostName || null,
+      mode: roomData.gameSettings?.mode || DEFAULT_GAME_MODE,
+      playerCount: roomData.playerCount,
+      spectatorCount: roomData.spectatorCount || 0,
+      maxPlayers: MAX_PLAYERS_ROLE_COUNT,
+      gameSettings: roomData.gameSettings,
+    };
+  });
+}
 
-  // Validate and merge settings
-  const currentSettings = roomData.gameSettings || {};
+/**
+ * Validates game settings changes and merges them into a room's settings.
+ * @param {object} settingsToUpdate - The settings to change.
+ * @param {object} [currentSettings={}] - The room's current game settings.
+ * @returns {object} The merged game settings.
+ * @throws {Error} If any setting is out of range or unknown.
+ */
+export function validateGameSettings(settingsToUpdate, currentSettings = {}) {
   const validatedNewSettings = { ...currentSettings };
 
   if (settingsToUpdate.questionsPerPlayer !== undefined) {
@@ -342,8 +593,118 @@ export async function updateGameSettings({
     if (bfs >= 0 && bfs <= 5) validatedNewSettings.bonusForSteal = bfs;
     else throw new Error("Bonus for steal must be between 0 and 5.");
   }
+  if (settingsToUpdate.questionProviders !== undefined) {
+    validatedNewSettings.questionProviders = validateQuestionProviders(
+      settingsToUpdate.questionProviders
+    );
+  }
+  if (settingsToUpdate.mode !== undefined) {
+    if (isValidGameMode(settingsToUpdate.mode))
+      validatedNewSettings.mode = settingsToUpdate.mode;
+    else throw new Error(`Unknown game mode: ${settingsToUpdate.mode}.`);
+  }
+  if (settingsToUpdate.blitzDurationSec !== undefined) {
+    const bds = parseInt(settingsToUpdate.blitzDurationSec, 10);
+    if (bds >= 30 && bds <= 300) validatedNewSettings.blitzDurationSec = bds;
+    else
+      throw new Error(
+        "Speed Challenge duration must be between 30 and 300 seconds."
+      );
+  }
+  if (settingsToUpdate.blitzSkipsAllowed !== undefined) {
+    const bsa = parseInt(settingsToUpdate.blitzSkipsAllowed, 10);
+    if (bsa >= 0 && bsa <= 10) validatedNewSettings.blitzSkipsAllowed = bsa;
+    else throw new Error("Speed Challenge skips must be between 0 and 10.");
+  }
+  if (settingsToUpdate.survivalRoundTimeoutSec !== undefined) {
+    const srt = parseInt(settingsToUpdate.survivalRoundTimeoutSec, 10);
+    if (srt >= 5 && srt <= 60)
+      validatedNewSettings.survivalRoundTimeoutSec = srt;
+    else
+      throw new Error(
+        "Survival round timeout must be between 5 and 60 seconds."
+      );
+  }
+  if (settingsToUpdate.survivalEliminationRule !== undefined) {
+    if (isValidEliminationRule(settingsToUpdate.survivalEliminationRule))
+      validatedNewSettings.survivalEliminationRule =
+        settingsToUpdate.survivalEliminationRule;
+    else
+      throw new Error(
+        `Unknown elimination rule: ${settingsToUpdate.survivalEliminationRule}.`
+      );
+  }
+  if (settingsToUpdate.teamCount !== undefined) {
+    const tc = parseInt(settingsToUpdate.teamCount, 10);
+    if (tc >= 2 && tc <= MAX_TEAM_COUNT) validatedNewSettings.teamCount = tc;
+    else throw new Error(`Team count must be between 2 and ${MAX_TEAM_COUNT}.`);
+  }
+  if (settingsToUpdate.conquestCategories !== undefined) {
+    validatedNewSettings.conquestCategories = validateConquestCategories(
+      settingsToUpdate.conquestCategories
+    );
+  }
+  if (settingsToUpdate.conquestWinThreshold !== undefined) {
+    const cwt = parseInt(settingsToUpdate.conquestWinThreshold, 10);
+    const categoryCount = (
+      validatedNewSettings.conquestCategories || DEFAULT_CONQUEST_CATEGORIES
+    ).length;
+    if (cwt >= 1 && cwt <= categoryCount)
+      validatedNewSettings.conquestWinThreshold = cwt;
+    else
+      throw new Error(
+        `Conquest win threshold must be between 1 and ${categoryCount} categories.`
+      );
+  }
+  if (settingsToUpdate.conquestPickTimeoutSec !== undefined) {
+    const cpt = parseInt(settingsToUpdate.conquestPickTimeoutSec, 10);
+    if (cpt >= 5 && cpt <= 60)
+      validatedNewSettings.conquestPickTimeoutSec = cpt;
+    else throw new Error("Tile pick timeout must be between 5 and 60 seconds.");
+  }
+  if (settingsToUpdate.scoring !== undefined) {
+    validatedNewSettings.scoring = validateScoringRules(
+      settingsToUpdate.scoring,
+      currentSettings.scoring
+    );
+  }
+  if (settingsToUpdate.rejoin !== undefined) {
+    validatedNewSettings.rejoin = validateRejoinRules(
+      settingsToUpdate.rejoin,
+      currentSettings.rejoin
+    );
+  }
   // Add any other settings you want to allow updating
+  return validatedNewSettings;
+}
 
+/**
+ * Allows the host (or a co-host) to update game settings for a room in 'waiting' state.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.hostUid - UID of the user attempting the change (must be host or co-host).
+ * @param {object} params.newSettings - Object with game settings to update.
+ * @returns {Promise<object>} The updated game settings.
+ */
+export async function updateGameSettings({
+  roomId,
+  hostUid,
+  settingsToUpdate,
+}) {
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: hostUid,
+    action: ROOM_ACTIONS.UPDATE_SETTINGS,
+  });
+  if (roomData.state !== "waiting")
+    throw new Error(
+      "Game settings can only be changed before the game starts."
+    );
+
+  const validatedNewSettings = validateGameSettings(
+    settingsToUpdate,
+    roomData.gameSettings
+  );
   await updateRoomModel(roomId, { gameSettings: validatedNewSettings });
   console.log(
     `Game settings updated for room ${roomId} by host ${hostUid}. New settings:`,
@@ -351,3 +712,277 @@ export async function updateGameSettings({
   );
   return validatedNewSettings;
 }
+
+/**
+ * Removes a player from a room on behalf of the host or a co-host, optionally banning them.
+ * Co-hosts cannot remove the host or other co-hosts.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the user performing the kick.
+ * @param {string} params.targetUid - UID of the player to remove.
+ * @param {boolean} [params.ban=false] - Also prevent the player from rejoining.
+ * @returns {Promise<object>} `{ targetName, roomWasActive }`.
+ */
+export async function kickPlayer({ roomId, actorUid, targetUid, ban = false }) {
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ban ? ROOM_ACTIONS.BAN_PLAYER : ROOM_ACTIONS.KICK_PLAYER,
+  });
+  if (targetUid === actorUid) throw new Error("You cannot kick yourself.");
+  if (targetUid === roomData.hostUid) throw new Error("The host cannot be kicked.");
+  if (
+    actorUid !== roomData.hostUid &&
+    (roomData.coHostUids || []).includes(targetUid)
+  ) {
+    throw new Error("Only the host can kick a co-host.");
+  }
+
+  const targetPlayer = await getPlayerModel(roomId, targetUid);
+  if (!targetPlayer && !ban) throw new Error("Player is not in this room.");
+
+  if (ban) {
+    await updateRoomModel(roomId, {
+      bannedUids: FieldValue.arrayUnion(targetUid),
+    });
+  }
+  if (targetPlayer) {
+    await leaveRoom({ uid: targetUid, roomId });
+  }
+
+  console.log(
+    `Player ${targetUid} ${ban ? "banned" : "kicked"} from room ${roomId} by ${actorUid}.`
+  );
+  return {
+    targetName: targetPlayer?.name || targetUid,
+    roomWasActive: roomData.state === "active",
+  };
+}
+
+/**
+ * Lifts a ban so the user can join the room again.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host or co-host.
+ * @param {string} params.targetUid - UID of the banned user.
+ * @returns {Promise<void>}
+ */
+export async function unbanPlayer({ roomId, actorUid, targetUid }) {
+  await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.BAN_PLAYER,
+  });
+  await updateRoomModel(roomId, {
+    bannedUids: FieldValue.arrayRemove(targetUid),
+  });
+  console.log(`Player ${targetUid} unbanned from room ${roomId} by ${actorUid}.`);
+}
+
+/**
+ * Hands the host role to another member of the room. Host only.
+ * A spectator receiving host is promoted to player, as in host migration.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the current host.
+ * @param {string} params.newHostUid - UID of the member becoming host.
+ * @returns {Promise<void>}
+ */
+export async function transferHost({ roomId, actorUid, newHostUid }) {
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.TRANSFER_HOST,
+  });
+  if (newHostUid === roomData.hostUid) throw new Error("That user is already the host.");
+
+  const newHost = await getPlayerModel(roomId, newHostUid);
+  if (!newHost) throw new Error("New host must be in the room.");
+  if (newHost.role === "spectator" && roomData.state === "active") {
+    throw new Error("Cannot transfer host to a spectator during an active game.");
+  }
+
+  await updateRoomModel(roomId, {
+    hostUid: newHostUid,
+    coHostUids: FieldValue.arrayRemove(newHostUid),
+  });
+  if (newHost.role === "spectator") {
+    await updatePlayerModel(roomId, newHostUid, { role: "player" });
+  }
+  await refreshRoomMemberSummary(roomId);
+  console.log(`Host of room ${roomId} transferred from ${actorUid} to ${newHostUid}.`);
+}
+
+/**
+ * Grants or revokes co-host privileges. Host only.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host.
+ * @param {string} params.targetUid - UID of the member.
+ * @param {boolean} params.isCoHost - Whether the member should be a co-host.
+ * @returns {Promise<void>}
+ */
+export async function setCoHost({ roomId, actorUid, targetUid, isCoHost }) {
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.MANAGE_CO_HOSTS,
+  });
+  if (targetUid === roomData.hostUid) throw new Error("The host cannot be a co-host.");
+  if (isCoHost && !(await getPlayerModel(roomId, targetUid))) {
+    throw new Error("Co-host must be in the room.");
+  }
+  await updateRoomModel(roomId, {
+    coHostUids: isCoHost
+      ? FieldValue.arrayUnion(targetUid)
+      : FieldValue.arrayRemove(targetUid),
+  });
+  console.log(
+    `Player ${targetUid} ${isCoHost ? "granted" : "revoked"} co-host in room ${roomId} by ${actorUid}.`
+  );
+}
+
+/**
+ * Locks or unlocks a room. A locked room rejects new joiners; existing members can still rejoin.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host or co-host.
+ * @param {boolean} params.locked - New lock state.
+ * @returns {Promise<void>}
+ */
+export async function setRoomLocked({ roomId, actorUid, locked }) {
+  await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.LOCK_ROOM,
+  });
+  await updateRoomModel(roomId, { locked: !!locked });
+  console.log(`Room ${roomId} ${locked ? "locked" : "unlocked"} by ${actorUid}.`);
+}
+
+/**
+ * Makes a room public (listed in the lobby, open to quick match) or private.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host or co-host.
+ * @param {string} params.visibility - One of ROOM_VISIBILITIES.
+ * @returns {Promise<void>}
+ */
+export async function setRoomVisibility({ roomId, actorUid, visibility }) {
+  if (!Object.values(ROOM_VISIBILITIES).includes(visibility)) {
+    throw new Error(`Unknown room visibility: ${visibility}.`);
+  }
+  await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.SET_VISIBILITY,
+  });
+  await updateRoomModel(roomId, { visibility });
+  console.log(`Room ${roomId} made ${visibility} by ${actorUid}.`);
+}
+
+/**
+ * Moves a member between the 'player' and 'spectator' roles while the room is waiting.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host or co-host.
+ * @param {string} params.targetUid - UID of the member to move.
+ * @param {string} params.role - 'player' or 'spectator'.
+ * @returns {Promise<void>}
+ */
+export async function setPlayerRole({ roomId, actorUid, targetUid, role }) {
+  if (role !== "player" && role !== "spectator") {
+    throw new Error("Role must be 'player' or 'spectator'.");
+  }
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.CHANGE_ROLE,
+  });
+  if (roomData.state !== "waiting") {
+    throw new Error("Roles can only be changed before the game starts.");
+  }
+  if (targetUid === roomData.hostUid && role === "spectator") {
+    throw new Error("The host must remain a player.");
+  }
+
+  const players = await getPlayersByRoomSortedModel(roomId);
+  const target = players.find((p) => p.id === targetUid);
+  if (!target) throw new Error("Player is not in this room.");
+  if (target.role === role) return;
+
+  const countWithRole = players.filter((p) => p.role === role).length;
+  const limit = role === "player" ? MAX_PLAYERS_ROLE_COUNT : MAX_SPECTATORS_COUNT;
+  if (countWithRole >= limit) {
+    throw new Error(`Room is full for ${role}s.`);
+  }
+
+  await updatePlayerModel(roomId, targetUid, { role });
+  await refreshRoomMemberSummary(roomId);
+  console.log(`Player ${targetUid} moved to ${role} in room ${roomId} by ${actorUid}.`);
+}
+
+/**
+ * Puts a member on a team (or clears their team with `teamId: null`) while the room is waiting.
+ * Unassigned players are placed on the smallest team when a Team Battle starts.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host or co-host.
+ * @param {string} params.targetUid - UID of the member to assign.
+ * @param {string|null} params.teamId - One of the room's team IDs, or null.
+ * @returns {Promise<void>}
+ */
+export async function assignTeam({ roomId, actorUid, targetUid, teamId }) {
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.MANAGE_TEAMS,
+  });
+  if (roomData.state !== "waiting") {
+    throw new Error("Teams can only be changed before the game starts.");
+  }
+  if (
+    teamId !== null &&
+    !isValidTeamId(teamId, roomData.gameSettings?.teamCount)
+  ) {
+    throw new Error(`Unknown team: ${teamId}.`);
+  }
+  if (!(await getPlayerModel(roomId, targetUid))) {
+    throw new Error("Player is not in this room.");
+  }
+
+  await updatePlayerModel(roomId, targetUid, { teamId });
+  console.log(
+    `Player ${targetUid} assigned to team ${teamId} in room ${roomId} by ${actorUid}.`
+  );
+}
+
+/**
+ * Reassigns every member with the 'player' role to evenly sized teams, in join order.
+ * @param {object} params
+ * @param {string} params.roomId - ID of the room.
+ * @param {string} params.actorUid - UID of the host or co-host.
+ * @returns {Promise<object>} `{ assignments }`, a map of uid -> teamId.
+ */
+export async function autoBalanceTeams({ roomId, actorUid }) {
+  const roomData = await assertRoomPermission({
+    roomId,
+    uid: actorUid,
+    action: ROOM_ACTIONS.MANAGE_TEAMS,
+  });
+  if (roomData.state !== "waiting") {
+    throw new Error("Teams can only be changed before the game starts.");
+  }
+
+  const players = (await getPlayersByRoomSortedModel(roomId)).filter(
+    (p) => p.role === "player"
+  );
+  const assignments = balanceTeams(players, roomData.gameSettings?.teamCount);
+  const batch = db.batch();
+  for (const [uid, teamId] of Object.entries(assignments)) {
+    batchUpdatePlayerModel(batch, roomId, uid, { teamId });
+  }
+  await batch.commit();
+  console.log(`Teams auto-balanced in room ${roomId} by ${actorUid}.`);
+  return { assignments };
+}
@@ -0,0 +1,145 @@
+// server/src/services/scoringService.js
+
+/**
+ * Default scoring rules (`gameSettings.scoring`). They reproduce flat scoring:
+ * one point per correct answer, no speed or streak bonuses and no penalties.
+ */
+export const DEFAULT_SCORING_RULES = Object.freeze({
+  basePoints: 1,
+  difficultyMultipliers: Object.freeze({ easy: 1, medium: 1, hard: 1 }),
+  speedBonusMax: 0, // Extra points for an instant answer, falling linearly to 0 at the deadline
+  streakBonusPerAnswer: 0, // Extra points per consecutive correct answer after the first
+  streakBonusMax: 5, // Cap on the streak bonus
+  wrongAnswerPenalty: 0, // Points deducted for a wrong answer (timeouts are not penalized)
+});
+
+const SCORING_RULE_LIMITS = Object.freeze({
+  basePoints: [1, 10],
+  speedBonusMax: [0, 10],
+  streakBonusPerAnswer: [0, 5],
+  streakBonusMax: [0, 20],
+  wrongAnswerPenalty: [0, 10],
+});
+const DIFFICULTY_MULTIPLIER_LIMITS = [0.5, 5];
+
+/**
+ * Fills in any rules missing from stored settings with the defaults.
+ * @param {object} [rules]
+ * @returns {object} A complete rule set.
+ */
+export function resolveScoringRules(rules) {
+  return {
+    ...DEFAULT_SCORING_RULES,
+    ...rules,
+    difficultyMultipliers: {
+      ...DEFAULT_SCORING_RULES.difficultyMultipliers,
+      ...rules?.difficultyMultipliers,
+    },
+  };
+}
+
+/**
+ * Validates a partial rule update and merges it over the current rules.
+ * @param {object} rulesToUpdate - Partial scoring rules from game settings.
+ * @param {object} [currentRules] - Rules currently stored for the room.
+ * @returns {object} The complete, validated rule set.
+ */
+export function validateScoringRules(rulesToUpdate, currentRules) {
+  if (!rulesToUpdate || typeof rulesToUpdate !== "object") {
+    throw new Error("Scoring rules must be an object.");
+  }
+  const validatedRules = resolveScoringRules(currentRules);
+
+  for (const [rule, [min, max]] of Object.entries(SCORING_RULE_LIMITS)) {
+    if (rulesToUpdate[rule] === undefined) continue;
+    const value = parseInt(rulesToUpdate[rule], 10);
+    if (value >= min && value <= max) validatedRules[rule] = value;
+    else
+      throw new Error(
+        `Scoring rule ${rule} must be between ${min} and ${max}.`
+      );
+  }
+
+  if (rulesToUpdate.difficultyMultipliers !== undefined) {
+    const [min, max] = DIFFICULTY_MULTIPLIER_LIMITS;
+    for (const [difficulty, multiplier] of Object.entries(
+      rulesToUpdate.difficultyMultipliers || {}
+    )) {
+      if (!(difficulty in DEFAULT_SCORING_RULES.difficultyMultipliers)) {
+        throw new Error(`Unknown difficulty: ${difficulty}.`);
+      }
+      const value = Number(multiplier);
+      if (value >= min && value <= max)
+        validatedRules.difficultyMultipliers[difficulty] = value;
+      else
+        throw new Error(
+          `Difficulty multiplier for ${difficulty} must be between ${min} and ${max}.`
+        );
+    }
+  }
+  return validatedRules;
+}
+
+/**
+ * Works out the points for one answer.
+ * @param {object} params
+ * @param {object} [params.rules] - `gameSettings.scoring`.
+ * @param {boolean} params.correct
+ * @param {boolean} [params.isTimeout=false] - The answer was never given.
+ * @param {string} [params.difficulty] - Question difficulty.
+ * @param {number} [params.basePoints] - Overrides `rules.basePoints` (e.g. Conquest tile points).
+ * @param {number} [params.elapsedMs] - Time from the start of the turn to the answer.
+ * @param {number} [params.timeLimitMs] - Length of the turn.
+ * @param {number} [params.streak=0] - Consecutive correct answers including this one.
+ * @param {number} [params.stealBonus=0] - Flat bonus for a successful steal.
+ * @returns {object} `{ base, difficultyMultiplier, speedBonus, streakBonus, stealBonus, penalty, total }`.
+ */
+export function calculateAnswerPoints({
+  rules,
+  correct,
+  isTimeout = false,
+  difficulty,
+  basePoints,
+  elapsedMs,
+  timeLimitMs,
+  streak = 0,
+  stealBonus = 0,
+}) {
+  const resolvedRules = resolveScoringRules(rules);
+  const breakdown = {
+    base: 0,
+    difficultyMultiplier: 1,
+    speedBonus: 0,
+    streakBonus: 0,
+    stealBonus: 0,
+    penalty: 0,
+    total: 0,
+  };
+
+  if (!correct) {
+    breakdown.penalty = isTimeout ? 0 : resolvedRules.wrongAnswerPenalty;
+    breakdown.total = -breakdown.penalty;
+    return breakdown;
+  }
+
+  breakdown.base = basePoints ?? resolvedRules.basePoints;
+  breakdown.difficultyMultiplier =
+    resolvedRules.difficultyMultipliers[difficulty] ?? 1;
+  if (timeLimitMs > 0 && elapsedMs !== undefined) {
+    const remainingShare = Math.max(0, 1 - elapsedMs / timeLimitMs);
+    breakdown.speedBonus = Math.round(
+      resolvedRules.speedBonusMax * remainingShare
+    );
+  }
+  breakdown.streakBonus = Math.min(
+    Math.max(0, streak - 1) * resolvedRules.streakBonusPerAnswer,
+    resolvedRules.streakBonusMax
+  );
+  breakdown.stealBonus = stealBonus;
+  breakdown.total =
+    Math.round(breakdown.base * breakdown.difficultyMultiplier) +
+    breakdown.speedBonus +
+    breakdown.streakBonus +
+    breakdown.stealBonus;
+  return breakdown;
+}
@@ -0,0 +1,127 @@
+// server/src/services/statsService.js
+
+// Stats kept as a running maximum rather than a running total.
+const MAX_STAT_FIELDS = new Set(["longestStreak"]);
+
+/**
+ * Adds stats together, field by field: counters are summed, maximums
+ * (longestStreak) keep the larger value, nested maps are merged the same way.
+ * @param {object} [baseStats] - Stats to add to (e.g. a user's globalStats).
+ * @param {object} [addedStats] - Stats to add (e.g. one game's, or a guest's).
+ * @returns {object} The combined stats; neither input is modified.
+ */
+export function mergeStats(baseStats = {}, addedStats = {}) {
+  const merged = { ...baseStats };
+  for (const [key, value] of Object.entries(addedStats)) {
+    if (typeof value === "number") {
+      const current = typeof merged[key] === "number" ? merged[key] : 0;
+      merged[key] = MAX_STAT_FIELDS.has(key)
+        ? Math.max(current, value)
+        : current + value;
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      merged[key] = mergeStats(merged[key], value);
+    } else if (merged[key] === undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds each participant's stats for one finished game from its answer log.
+ * @param {object} params
+ * @param {string} params.mode - The game mode.
+ * @param {Array<{ uid: string, rank: number }>} params.standings - Final standings.
+ * @param {Array<object>} params.answers - The game's answer records.
+ * @returns {object} uid -> stats in the shape of `users/{uid}.globalStats`.
+ */
+export function buildGameStats({ mode, standings, answers }) {
+  const statsByUid = {};
+  // Winning takes finishing first ahead of someone: an all-way tie is a draw
+  const decided = standings.some(({ rank }) => rank > 1);
+  for (const { uid, rank } of standings) {
+    const won = rank === 1 && decided ? 1 : 0;
+    statsByUid[uid] = {
+      gamesPlayed: 1,
+      gamesWon: won,
+      modes: { [mode]: { gamesPlayed: 1, gamesWon: won } },
+    };
+  }
+
+  for (const answer of answers) {
+    const stats = statsByUid[answer.uid];
+    if (!stats) continue; // Not a participant (e.g. joined as a spectator)
+    const correct = answer.correct ? 1 : 0;
+    if (answer.isTimeout) {
+      stats.timeouts = (stats.timeouts || 0) + 1;
+    } else {
+      stats.questionsAnswered = (stats.questionsAnswered || 0) + 1;
+      stats.correctAnswers = (stats.correctAnswers || 0) + correct;
+      if (typeof answer.elapsedMs === "number") {
+        stats.timedAnswers = (stats.timedAnswers || 0) + 1;
+        stats.totalAnswerTimeMs =
+          (stats.totalAnswerTimeMs || 0) + answer.elapsedMs;
+      }
+      if (answer.category) {
+        stats.categories = mergeStats(stats.categories, {
+          [answer.category]: { answered: 1, correct },
+        });
+      }
+      if (answer.isSteal) {
+        stats.stealsAttempted = (stats.stealsAttempted || 0) + 1;
+        stats.stealsSucceeded = (stats.stealsSucceeded || 0) + correct;
+      }
+    }
+    stats.longestStreak = Math.max(
+      stats.longestStreak || 0,
+      answer.streak || 0
+    );
+  }
+  return statsByUid;
+}
+
+function getRatio(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+/**
+ * The stats a client shows: the stored counters plus the rates derived from
+ * them (null where nothing was played yet).
+ * @param {object} [globalStats] - A user's `globalStats`.
+ * @returns {object}
+ */
+export function summarizeStats(globalStats = {}) {
+  const stats = {
+    gamesPlayed: 0,
+    gamesWon: 0,
+    questionsAnswered: 0,
+    correctAnswers: 0,
+    timeouts: 0,
+    stealsAttempted: 0,
+    stealsSucceeded: 0,
+    longestStreak: 0,
+    ...globalStats,
+  };
+  const categories = Object.fromEntries(
+    Object.entries(stats.categories || {}).map(([category, counts]) => [
+      category,
+      { ...counts, accuracy: getRatio(counts.correct, counts.answered) },
+    ])
+  );
+  return {
+    gamesPlayed: stats.gamesPlayed,
+    gamesWon: stats.gamesWon,
+    winRate: getRatio(stats.gamesWon, stats.gamesPlayed),
+    questionsAnswered: stats.questionsAnswered,
+    correctAnswers: stats.correctAnswers,
+    timeouts: stats.timeouts,
+    accuracy: getRatio(stats.correctAnswers, stats.questionsAnswered),
+    stealsAttempted: stats.stealsAttempted,
+    stealsSucceeded: stats.stealsSucceeded,
+    stealSuccessRate: getRatio(stats.stealsSucceeded, stats.stealsAttempted),
+    longestStreak: stats.longestStreak,
+    averageAnswerTimeMs: getRatio(stats.totalAnswerTimeMs, stats.timedAnswers),
+    categories,
+    modes: stats.modes || {},
+  };
+}
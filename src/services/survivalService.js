@@ -0,0 +1,544 @@
+// server/src/services/survivalService.js
+import { randomUUID } from "crypto";
+import {
+  getRoom as getRoomModel,
+  getRoomRef,
+  batchUpdateRoom as batchUpdateRoomModel,
+} from "../models/roomModel.js";
+import {
+  getPlayerRef,
+  getPlayer as getPlayerModel,
+  updatePlayer as updatePlayerModel,
+  batchUpdatePlayer as batchUpdatePlayerModel,
+  getRoomScores as getRoomScoresModel,
+} from "../models/playerModel.js";
+import {
+  getQuestion as getQuestionModel,
+  batchStoreQuestions as batchStoreQuestionsModel,
+} from "../models/questionModel.js";
+import { FieldValue, db } from "../models/dbConfig.js";
+import { fetchQuestions, toClientQuestion } from "./questionService.js";
+import {
+  setRoomTimer,
+  clearRoomTimer,
+  clearAllRoomTimers,
+} from "./gameTimerService.js";
+import { GAME_MODES, toScorePayload } from "./gameModes.js";
+import { recordGameResult } from "./gameResultService.js";
+
+let ioServer;
+
+/**
+ * How players are eliminated at the end of each Survival round.
+ * In every rule, a round that would eliminate all remaining players eliminates nobody.
+ */
+export const SURVIVAL_ELIMINATION_RULES = Object.freeze({
+  WRONG: "wrong", // Everyone who answered wrong or not at all
+  WRONG_AND_SLOWEST: "wrongAndSlowest", // As WRONG, plus the slowest correct answer
+  WEAKEST_ONE: "weakestOne", // Exactly one player: the worst answer, ties broken by time
+});
+
+export const DEFAULT_SURVIVAL_ROUND_TIMEOUT_SEC = 20;
+export const DEFAULT_SURVIVAL_ELIMINATION_RULE =
+  SURVIVAL_ELIMINATION_RULES.WRONG;
+const SURVIVAL_QUESTION_POOL_SIZE = 30;
+const SURVIVAL_TIMER_PHASE = "survivalRound";
+
+export function initSurvivalService(io) {
+  ioServer = io;
+}
+
+export function isValidEliminationRule(rule) {
+  return Object.values(SURVIVAL_ELIMINATION_RULES).includes(rule);
+}
+
+/**
+ * Scores one player's round: correct answers beat wrong ones, which beat no answer;
+ * faster beats slower. Lower is better.
+ */
+function roundPerformanceKey(answer, question) {
+  if (!answer) return [2, Infinity];
+  const correct = answer.answerIndex === question.correctIndex;
+  return [correct ? 0 : 1, answer.elapsedMs];
+}
+
+function comparePerformance(a, b) {
+  return a.key[0] - b.key[0] || a.key[1] - b.key[1];
+}
+
+/**
+ * Decides who is eliminated this round.
+ * @param {Array<string>} aliveUids - Players still in the game.
+ * @param {object} answers - Map of uid -> { answerIndex, elapsedMs }.
+ * @param {object} question - Answer-bearing question record.
+ * @param {string} rule - One of SURVIVAL_ELIMINATION_RULES.
+ * @returns {Array<string>} UIDs to eliminate.
+ */
+function selectEliminations(aliveUids, answers, question, rule) {
+  const performances = aliveUids
+    .map((uid) => ({ uid, key: roundPerformanceKey(answers[uid], question) }))
+    .sort(comparePerformance);
+  const failed = performances.filter((p) => p.key[0] !== 0).map((p) => p.uid);
+  const correct = performances.filter((p) => p.key[0] === 0);
+
+  let eliminated;
+  if (rule === SURVIVAL_ELIMINATION_RULES.WEAKEST_ONE) {
+    eliminated = [performances[performances.length - 1].uid];
+  } else if (
+    rule === SURVIVAL_ELIMINATION_RULES.WRONG_AND_SLOWEST &&
+    correct.length > 1
+  ) {
+    eliminated = [...failed, correct[correct.length - 1].uid];
+  } else {
+    eliminated = failed;
+  }
+  return eliminated.length >= aliveUids.length ? [] : eliminated;
+}
+
+/**
+ * Starts a Survival game: all players answer each question simultaneously and
+ * the weakest are eliminated each round until one remains.
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {object} params.roomData - Current room document data.
+ * @param {Array<object>} params.players - Online participating players (sorted by joinOrder).
+ * @param {object} params.gameSettings - Effective game settings.
+ * @returns {Promise<object>} Initial game state broadcast with 'gameStarted'.
+ */
+export async function startSurvivalGame({
+  roomId,
+  roomData,
+  players,
+  gameSettings,
+}) {
+  const questionItems = await fetchQuestions({
+    amount: SURVIVAL_QUESTION_POOL_SIZE,
+    providerNames: gameSettings.questionProviders,
+  });
+
+  const batch = db.batch();
+  batchStoreQuestionsModel(
+    batch,
+    roomId,
+    questionItems.map((item, idx) => ({ id: String(idx), ...item }))
+  );
+
+  const participantUids = players.map((p) => p.id);
+  const roundStartedAt = Date.now();
+  const roundEndsAt =
+    roundStartedAt + gameSettings.survivalRoundTimeoutSec * 1000;
+  batchUpdateRoomModel(batch, roomId, {
+    state: "active",
+    currentQuestionDbIndex: 0,
+    questionCount: SURVIVAL_QUESTION_POOL_SIZE,
+    currentTurnUid: null,
+    activeTurnOrderUids: participantUids,
+    participantUids,
+    currentPlayerIndexInOrder: -1,
+    currentStealAttempt: null,
+    gameSettings,
+    survival: {
+      round: 1,
+      roundStartedAt,
+      roundEndsAt,
+      answers: {},
+      aliveUids: participantUids,
+      eliminationOrder: [],
+    },
+    gameId: randomUUID(),
+    startedAt: FieldValue.serverTimestamp(),
+  });
+  for (const uid of participantUids) {
+    batchUpdatePlayerModel(batch, roomId, uid, {
+      score: 0,
+      survivalEliminated: false,
+    });
+  }
+  await batch.commit();
+
+  const firstQuestion = await getQuestionModel(roomId, 0);
+  if (!firstQuestion) throw new Error("Failed to load first question.");
+  scheduleRoundTimeout(roomId, 1, roundEndsAt);
+  console.log(
+    `Survival game started in room ${roomId} for ${participantUids.length} players.`
+  );
+
+  const scores = await getRoomScoresModel(roomId);
+  return {
+    mode: GAME_MODES.SURVIVAL,
+    turnUid: null,
+    question: toClientQuestion(firstQuestion),
+    round: 1,
+    roundEndsAt,
+    turnTimeout: gameSettings.survivalRoundTimeoutSec,
+    aliveUids: participantUids,
+    scores,
+    players: players.map((p) => ({
+      uid: p.id,
+      name: p.name,
+      score: scores[p.id] || 0,
+      online: p.online,
+      role: p.role || "player",
+    })),
+    totalQuestions: SURVIVAL_QUESTION_POOL_SIZE,
+    currentQuestionNum: 1,
+    gameSettings,
+    hostId: roomData.hostUid,
+  };
+}
+
+function scheduleRoundTimeout(roomId, round, roundEndsAt) {
+  setRoomTimer(roomId, SURVIVAL_TIMER_PHASE, roundEndsAt - Date.now(), () => {
+    resolveSurvivalRound(roomId, round).catch((err) =>
+      console.error(
+        `Error resolving Survival round ${round} in room ${roomId}:`,
+        err
+      )
+    );
+  });
+}
+
+/**
+ * Re-arms the current round's timer after a server restart. A round whose
+ * deadline passed while the server was down resolves right away.
+ * @param {string} roomId - The ID of the room.
+ * @param {object} roomData - Current room document data.
+ * @returns {boolean} Whether the timer was re-armed.
+ */
+export function resumeSurvivalTimer(roomId, roomData) {
+  if (!roomData.survival) return false;
+  const { round, roundEndsAt } = roomData.survival;
+  scheduleRoundTimeout(roomId, round, roundEndsAt);
+  return true;
+}
+
+/**
+ * Records a surviving player's answer for the current round and tells the room
+ * ('survivalAnswerReceived'). The answer is not judged until the round resolves
+ * (everyone answered or the round timed out).
+ * @param {object} params
+ * @param {string} params.roomId - The ID of the room.
+ * @param {string} params.uid - The UID of the player.
+ * @param {string} params.questionId - The current question's ID.
+ * @param {number} params.answerIndex - Chosen option index.
+ * @returns {Promise<object>} `{ accepted, round }` or `{ noActionTaken, message }`.
+ */
+export async function submitSurvivalAnswer({
+  roomId,
+  uid,
+  questionId,
+  answerIndex,
+}) {
+  const roomRef = getRoomRef(roomId);
+  const outcome = await db.runTransaction(async (tx) => {
+    const roomDoc = await tx.get(roomRef);
+    if (!roomDoc.exists) throw new Error(`Room ${roomId} not found.`);
+    const roomData = roomDoc.data();
+    if (
+      roomData.state !== "active" ||
+      roomData.gameSettings?.mode !== GAME_MODES.SURVIVAL
+    ) {
+      throw new Error("No Survival game is running in this room.");
+    }
+    const survival = roomData.survival;
+    if (!survival.aliveUids.includes(uid)) {
+      throw new Error("You have been eliminated.");
+    }
+    if (String(roomData.currentQuestionDbIndex) !== String(questionId)) {
+      return { noActionTaken: true, message: "Round already over." };
+    }
+    if (survival.answers[uid]) {
+      return { noActionTaken: true, message: "Already answered this round." };
+    }
+    const now = Date.now();
+    if (now > survival.roundEndsAt) {
+      return { noActionTaken: true, message: "Round already over." };
+    }
+
+    const answers = {
+      ...survival.answers,
+      [uid]: { answerIndex, elapsedMs: now - survival.roundStartedAt },
+    };
+    tx.update(roomRef, { "survival.answers": answers });
+    return {
+      accepted: true,
+      round: survival.round,
+      allAnswered: survival.aliveUids.every((aliveUid) => answers[aliveUid]),
+    };
+  });
+
+  // Sent before the round can resolve, so clients never see it after the result
+  if (outcome.accepted) {
+    ioServer?.in(roomId).emit("survivalAnswerReceived", {
+      uid,
+      round: outcome.round,
+    });
+  }
+  if (outcome.allAnswered) {
+    await resolveSurvivalRound(roomId, outcome.round);
+  }
+  return outcome;
+}
+
+/**
+ * Judges a round, eliminates players, and either starts the next round or ends the game.
+ * Only the first call for a given round has any effect.
+ * @param {string} roomId - The ID of the room.
+ * @param {number} round - The round being resolved.
+ * @returns {Promise<void>}
+ */
+export async function resolveSurvivalRound(roomId, round) {
+  const roomSnapshot = await getRoomModel(roomId);
+  if (!roomSnapshot.exists) return;
+  const question = await getQuestionModel(
+    roomId,
+    roomSnapshot.data().currentQuestionDbIndex
+  );
+  if (!question) throw new Error("Survival question not found.");
+
+  const roomRef = getRoomRef(roomId);
+  const outcome = await db.runTransaction(async (tx) => {
+    const roomDoc = await tx.get(roomRef);
+    if (!roomDoc.exists) return null;
+    const roomData = roomDoc.data();
+    const survival = roomData.survival;
+    if (
+      roomData.state !== "active" ||
+      roomData.gameSettings?.mode !== GAME_MODES.SURVIVAL ||
+      survival.round !== round ||
+      String(roomData.currentQuestionDbIndex) !== question.id
+    ) {
+      return null;
+    }
+
+    const eliminatedUids = selectEliminations(
+      survival.aliveUids,
+      survival.answers,
+      question,
+      roomData.gameSettings.survivalEliminationRule
+    );
+    const aliveUids = survival.aliveUids.filter(
+      (uid) => !eliminatedUids.includes(uid)
+    );
+    const eliminationOrder = [
+      ...survival.eliminationOrder,
+      ...eliminatedUids.map((uid) => ({ uid, round, reason: "eliminated" })),
+    ];
+    const results = survival.aliveUids.map((uid) => {
+      const answer = survival.answers[uid];
+      return {
+        uid,
+        answerIndex: answer ? answer.answerIndex : null,
+        elapsedMs: answer ? answer.elapsedMs : null,
+        correct: !!answer && answer.answerIndex === question.correctIndex,
+      };
+    });
+
+    for (const result of results) {
+      const playerUpdate = {};
+      if (result.correct) playerUpdate.score = FieldValue.increment(1);
+      if (eliminatedUids.includes(result.uid)) {
+        playerUpdate.role = "spectator";
+        playerUpdate.survivalEliminated = true;
+      }
+      if (Object.keys(playerUpdate).length > 0) {
+        tx.update(getPlayerRef(roomId, result.uid), playerUpdate);
+      }
+    }
+
+    const nextQuestionDbIndex = roomData.currentQuestionDbIndex + 1;
+    const gameOver =
+      aliveUids.length <= 1 || nextQuestionDbIndex >= roomData.questionCount;
+    const roundStartedAt = Date.now();
+    const roundEndsAt =
+      roundStartedAt + roomData.gameSettings.survivalRoundTimeoutSec * 1000;
+
+    tx.update(roomRef, {
+      ...(gameOver
+        ? { state: "ended" }
+        : { currentQuestionDbIndex: nextQuestionDbIndex }),
+      survival: {
+        round: gameOver ? round : round + 1,
+        roundStartedAt,
+        roundEndsAt,
+        answers: {},
+        aliveUids,
+        eliminationOrder,
+      },
+    });
+    return {
+      gameOver,
+      results,
+      eliminatedUids,
+      aliveUids,
+      eliminationOrder,
+      nextQuestionDbIndex,
+      roundEndsAt,
+      participantUids: roomData.activeTurnOrderUids || [],
+      gameSettings: roomData.gameSettings,
+      totalQuestions: roomData.questionCount,
+    };
+  });
+  if (!outcome) return;
+  clearRoomTimer(roomId, SURVIVAL_TIMER_PHASE);
+
+  ioServer?.in(roomId).emit("survivalRoundResult", {
+    round,
+    questionId: question.id,
+    correctIndex: question.correctIndex,
+    results: outcome.results,
+    eliminatedUids: outcome.eliminatedUids,
+    aliveUids: outcome.aliveUids,
+  });
+  const scoreUpdate = toScorePayload(
+    GAME_MODES.SURVIVAL,
+    await getRoomScoresModel(roomId)
+  );
+  ioServer?.in(roomId).emit("scoreUpdate", scoreUpdate);
+  console.log(
+    `Survival round ${round} resolved in room ${roomId}. Eliminated: ${
+      outcome.eliminatedUids.join(", ") || "none"
+    }. Alive: ${outcome.aliveUids.length}.`
+  );
+
+  if (outcome.gameOver) {
+    await finishSurvivalGame(roomId, outcome, "lastPlayerStanding");
+    return;
+  }
+
+  const nextQuestion = await getQuestionModel(
+    roomId,
+    outcome.nextQuestionDbIndex
+  );
+  scheduleRoundTimeout(roomId, round + 1, outcome.roundEndsAt);
+  ioServer?.in(roomId).emit("survivalRound", {
+    round: round + 1,
+    question: toClientQuestion(nextQuestion),
+    roundEndsAt: outcome.roundEndsAt,
+    timeout: outcome.gameSettings.survivalRoundTimeoutSec,
+    aliveUids: outcome.aliveUids,
+    currentQuestionNum: outcome.nextQuestionDbIndex + 1,
+    totalQuestions: outcome.totalQuestions,
+  });
+}
+
+/**
+ * Removes a leaving player from the survivors. Ends the game if at most one remains,
+ * or resolves the round early if everyone left has already answered.
+ * @param {string} roomId - The ID of the room.
+ * @param {string} uid - The UID of the leaving player.
+ * @returns {Promise<void>}
+ */
+export async function handleSurvivalPlayerLeave(roomId, uid) {
+  const roomRef = getRoomRef(roomId);
+  const outcome = await db.runTransaction(async (tx) => {
+    const roomDoc = await tx.get(roomRef);
+    if (!roomDoc.exists) return null;
+    const roomData = roomDoc.data();
+    const survival = roomData.survival;
+    if (roomData.state !== "active" || !survival.aliveUids.includes(uid)) {
+      return null;
+    }
+    const aliveUids = survival.aliveUids.filter((aliveUid) => aliveUid !== uid);
+    const eliminationOrder = [
+      ...survival.eliminationOrder,
+      { uid, round: survival.round, reason: "left" },
+    ];
+    const gameOver = aliveUids.length <= 1;
+    tx.update(roomRef, {
+      ...(gameOver && { state: "ended" }),
+      "survival.aliveUids": aliveUids,
+      "survival.eliminationOrder": eliminationOrder,
+    });
+    return {
+      gameOver,
+      aliveUids,
+      eliminationOrder,
+      round: survival.round,
+      participantUids: roomData.activeTurnOrderUids || [],
+      allAnswered:
+        aliveUids.length > 0 &&
+        aliveUids.every((aliveUid) => survival.answers[aliveUid]),
+    };
+  });
+  if (!outcome) return;
+
+  if (outcome.gameOver) {
+    await finishSurvivalGame(roomId, outcome, "playersLeft");
+  } else if (outcome.allAnswered) {
+    await resolveSurvivalRound(roomId, outcome.round);
+  }
+}
+
+/**
+ * Broadcasts the final Survival standings and restores eliminated players to the
+ * 'player' role so they can take part in the next game.
+ */
+async function finishSurvivalGame(roomId, outcome, reason) {
+  clearAllRoomTimers(roomId);
+  const { aliveUids, eliminationOrder, participantUids } = outcome;
+
+  // One player at a time: a player who left the room after elimination no
+  // longer has a doc, and must not keep the others eliminated.
+  const eliminatedUids = eliminationOrder
+    .filter(
+      (entry) =>
+        entry.reason === "eliminated" && participantUids.includes(entry.uid)
+    )
+    .map((entry) => entry.uid);
+  await Promise.all(
+    eliminatedUids.map(async (uid) => {
+      try {
+        if (!(await getPlayerModel(roomId, uid))) return;
+        await updatePlayerModel(roomId, uid, {
+          role: "player",
+          survivalEliminated: false,
+        });
+      } catch (err) {
+        console.warn(
+          `Could not restore ${uid}'s role after Survival in room ${roomId}:`,
+          err
+        );
+      }
+    })
+  );
+
+  const scores = await getRoomScoresModel(roomId);
+  // Survivors share first place; then players in reverse order of elimination,
+  // sharing a rank when eliminated in the same round.
+  const rankings = aliveUids
+    .map((uid) => ({ uid, rank: 1, eliminatedInRound: null }))
+    .sort((a, b) => (scores[b.uid] || 0) - (scores[a.uid] || 0));
+  const eliminatedNewestFirst = [...eliminationOrder].reverse();
+  let nextRank = aliveUids.length + 1;
+  eliminatedNewestFirst.forEach((entry, idx) => {
+    const previous = eliminatedNewestFirst[idx - 1];
+    const rank =
+      previous && previous.round === entry.round
+        ? rankings[rankings.length - 1].rank
+        : nextRank;
+    rankings.push({ uid: entry.uid, rank, eliminatedInRound: entry.round });
+    nextRank++;
+  });
+
+  const payload = toScorePayload(GAME_MODES.SURVIVAL, scores, {
+    winnerUids: aliveUids,
+    eliminationOrder,
+    rankings,
+    reason,
+  });
+  ioServer?.in(roomId).emit("gameEnded", payload);
+  const roomDoc = await getRoomModel(roomId);
+  if (roomDoc.exists) {
+    await recordGameResult({
+      roomId,
+      roomData: roomDoc.data(),
+      finalScores: payload,
+    });
+  }
+  console.log(
+    `Survival game ended in room ${roomId} (${reason}). Winner(s): ${
+      aliveUids.join(", ") || "none"
+    }.`
+  );
+}
@@ -0,0 +1,234 @@
+// server/src/services/teamService.js
+import {
+  getPlayer as getPlayerModel,
+  getPlayersByRoomSorted,
+} from "../models/playerModel.js";
+
+export const TEAM_IDS = Object.freeze(["red", "blue", "green", "yellow"]);
+export const DEFAULT_TEAM_COUNT = 2;
+export const MAX_TEAM_COUNT = TEAM_IDS.length;
+
+/**
+ * Returns the team IDs in play for a given team count.
+ * @param {number} [teamCount]
+ * @returns {Array<string>}
+ */
+export function getTeamIds(teamCount) {
+  return TEAM_IDS.slice(0, teamCount || DEFAULT_TEAM_COUNT);
+}
+
+export function isValidTeamId(teamId, teamCount) {
+  return getTeamIds(teamCount).includes(teamId);
+}
+
+/**
+ * Spreads players across teams, always filling the smallest team first.
+ * With players in join order this yields a round-robin split.
+ * @param {Array<object>} players - Players sorted by joinOrder (`{ id, teamId }`).
+ * @param {number} teamCount
+ * @param {object} [options]
+ * @param {boolean} [options.keepExisting=false] - Keep valid assignments and only place the rest.
+ * @returns {object} Map of uid -> teamId for every given player.
+ */
+export function balanceTeams(
+  players,
+  teamCount,
+  { keepExisting = false } = {}
+) {
+  const teamIds = getTeamIds(teamCount);
+  const teamSizes = Object.fromEntries(teamIds.map((teamId) => [teamId, 0]));
+  const assignments = {};
+
+  if (keepExisting) {
+    for (const player of players) {
+      if (teamIds.includes(player.teamId)) {
+        assignments[player.id] = player.teamId;
+        teamSizes[player.teamId]++;
+      }
+    }
+  }
+  for (const player of players) {
+    if (assignments[player.id]) continue;
+    const smallestTeam = teamIds.reduce((best, teamId) =>
+      teamSizes[teamId] < teamSizes[best] ? teamId : best
+    );
+    assignments[player.id] = smallestTeam;
+    teamSizes[smallestTeam]++;
+  }
+  return assignments;
+}
+
+/**
+ * Builds the Team Battle turn structure for the players starting a game.
+ * @param {Array<object>} players - Participating players sorted by joinOrder.
+ * @param {object} assignments - Map of uid -> teamId.
+ * @param {number} teamCount
+ * @returns {object} `{ teamTurnOrder, teamRosters, activeTurnOrderUids }`. Teams without
+ *   players are left out of `teamTurnOrder`; `activeTurnOrderUids` interleaves the rosters.
+ */
+export function buildTeamTurnOrder(players, assignments, teamCount) {
+  const teamRosters = {};
+  for (const teamId of getTeamIds(teamCount)) {
+    const roster = players
+      .filter((p) => assignments[p.id] === teamId)
+      .map((p) => p.id);
+    if (roster.length > 0) teamRosters[teamId] = roster;
+  }
+  const teamTurnOrder = Object.keys(teamRosters);
+
+  const activeTurnOrderUids = [];
+  const longestRoster = Math.max(
+    0,
+    ...teamTurnOrder.map((teamId) => teamRosters[teamId].length)
+  );
+  for (let i = 0; i < longestRoster; i++) {
+    for (const teamId of teamTurnOrder) {
+      if (teamRosters[teamId][i])
+        activeTurnOrderUids.push(teamRosters[teamId][i]);
+    }
+  }
+  return { teamTurnOrder, teamRosters, activeTurnOrderUids };
+}
+
+/**
+ * Finds which team a player is playing for in the current game.
+ * @param {object} roomData - The room document data.
+ * @param {string} uid
+ * @returns {string|null}
+ */
+export function getPlayerTeamId(roomData, uid) {
+  const teamRosters = roomData.teamRosters || {};
+  return (
+    Object.keys(teamRosters).find((teamId) =>
+      teamRosters[teamId].includes(uid)
+    ) || null
+  );
+}
+
+export function areTeammates(roomData, uidA, uidB) {
+  const teamId = getPlayerTeamId(roomData, uidA);
+  return teamId !== null && teamId === getPlayerTeamId(roomData, uidB);
+}
+
+/**
+ * Finds the next turn-taker in Team Battle. Turns pass to the next team in
+ * `teamTurnOrder`, and within a team to the member after its last turn-taker.
+ * Offline players and spectators are skipped. Falls back to the starting team
+ * only when no other team has an eligible player.
+ * @param {string} roomId
+ * @param {object} roomData - The room document data.
+ * @param {string} startAfterUid - Player whose turn (or answer) comes before.
+ * @returns {Promise<object>} `{ nextPlayerUid, nextPlayerIndexInOrder }`, both null/-1 if none.
+ */
+export async function findNextTeamTurnPlayer(roomId, roomData, startAfterUid) {
+  const teamTurnOrder = roomData.teamTurnOrder || [];
+  const teamRosters = roomData.teamRosters || {};
+  const teamCursors = roomData.teamCursors || {};
+  const startTeamIndex = teamTurnOrder.indexOf(
+    getPlayerTeamId(roomData, startAfterUid)
+  );
+
+  for (let i = 1; i <= teamTurnOrder.length; i++) {
+    const teamId = teamTurnOrder[(startTeamIndex + i) % teamTurnOrder.length];
+    const roster = teamRosters[teamId] || [];
+    const cursor = teamCursors[teamId] ?? -1;
+    for (let j = 1; j <= roster.length; j++) {
+      const candidateUid = roster[(cursor + j) % roster.length];
+      const player = await getPlayerModel(roomId, candidateUid);
+      if (
+        player &&
+        player.online &&
+        (player.role === "player" || !player.role)
+      ) {
+        return {
+          nextPlayerUid: candidateUid,
+          nextPlayerIndexInOrder: (roomData.activeTurnOrderUids || []).indexOf(
+            candidateUid
+          ),
+        };
+      }
+    }
+  }
+  console.log(
+    `No next online team player found for room ${roomId} after ${startAfterUid}.`
+  );
+  return { nextPlayerUid: null, nextPlayerIndexInOrder: -1 };
+}
+
+/**
+ * Room update recording that a player has taken their team's turn.
+ * @param {object} roomData - The room document data.
+ * @param {string} uid - Player taking the turn.
+ * @returns {object} Dotted-path update for `teamCursors`, or an empty object.
+ */
+export function getTeamCursorUpdate(roomData, uid) {
+  const teamId = getPlayerTeamId(roomData, uid);
+  if (!teamId) return {};
+  return {
+    [`teamCursors.${teamId}`]: roomData.teamRosters[teamId].indexOf(uid),
+  };
+}
+
+/**
+ * Room update removing a departed player from their team roster.
+ * @param {object} roomData - The room document data.
+ * @param {string} uid
+ * @returns {object} Dotted-path update for `teamRosters`, or an empty object.
+ */
+export function getTeamRosterRemoval(roomData, uid) {
+  const teamId = getPlayerTeamId(roomData, uid);
+  if (!teamId) return {};
+  return {
+    [`teamRosters.${teamId}`]: roomData.teamRosters[teamId].filter(
+      (memberUid) => memberUid !== uid
+    ),
+  };
+}
+
+/**
+ * Aggregates per-player scores into team totals.
+ * @param {string} roomId
+ * @param {number} teamCount
+ * @returns {Promise<object>} Map of teamId -> total score.
+ */
+export async function getTeamScores(roomId, teamCount) {
+  const players = await getPlayersByRoomSorted(roomId);
+  const teamScores = Object.fromEntries(
+    getTeamIds(teamCount).map((teamId) => [teamId, 0])
+  );
+  for (const player of players) {
+    if (teamScores[player.teamId] !== undefined) {
+      teamScores[player.teamId] += player.score || 0;
+    }
+  }
+  return teamScores;
+}
+
+/**
+ * Summarizes teams for `updatePlayerList` payloads.
+ * @param {Array<object>} players - Client-shaped players (`{ uid, teamId, score }`).
+ * @param {number} teamCount
+ * @returns {Array<object>} `[{ teamId, score, memberUids }]`.
+ */
+export function buildTeamSummaries(players, teamCount) {
+  return getTeamIds(teamCount).map((teamId) => {
+    const members = players.filter((p) => p.teamId === teamId);
+    return {
+      teamId,
+      score: members.reduce((sum, p) => sum + (p.score || 0), 0),
+      memberUids: members.map((p) => p.uid),
+    };
+  });
+}
+
+/**
+ * Picks the winning team(s) from team totals. Ties share the win.
+ * @param {object} teamScores - Map of teamId -> total score.
+ * @returns {Array<string>}
+ */
+export function getWinningTeamIds(teamScores) {
+  const best = Math.max(...Object.values(teamScores));
+  return Object.keys(teamScores).filter(
+    (teamId) => teamScores[teamId] === best
+  );
+}
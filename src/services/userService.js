@@ -1,31 +1,86 @@
 import { db } from '../models/dbConfig.js';
+import { getUser, createUser, mergeUser, getUserRef } from '../models/userModel.js';
+import { isGuestUid } from './authService.js';
+import { mergeStats } from './statsService.js';
+
+function createStatusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
 /**
  * Ensures a user profile exists in the global users collection.
  * If it doesn't exist, creates it. If it exists, updates lastLogin and optionally displayName/avatarUrl.
- * @param {string} uid - Firebase Auth UID
+ * @param {string} uid - Firebase Auth UID (or guest UID)
  * @param {string} displayName - User's display name
  * @param {string|null} avatarUrl - User's avatar URL (optional)
+ * @param {object} [options]
+ * @param {boolean} [options.isGuest=false] - Whether this is a guest session's profile
  */
-export async function ensureUserProfile(uid, displayName, avatarUrl = null) {
-  const userRef = db.collection('users').doc(uid);
-  const userDoc = await userRef.get();
-  if (!userDoc.exists) {
-    await userRef.set({
+export async function ensureUserProfile(
+  uid,
+  displayName,
+  avatarUrl = null,
+  { isGuest = false } = {}
+) {
+  const existing = await getUser(uid);
+  if (!existing) {
+    await createUser(uid, {
       displayName,
       avatarUrl,
+      isGuest,
       createdAt: new Date(),
       lastLogin: new Date(),
       globalStats: {},
     });
   } else {
-    await userRef.set(
-      {
-        lastLogin: new Date(),
-        ...(displayName && { displayName }),
-        ...(avatarUrl && { avatarUrl }),
-      },
-      { merge: true }
-    );
+    await mergeUser(uid, {
+      lastLogin: new Date(),
+      ...(displayName && { displayName }),
+      ...(avatarUrl && { avatarUrl }),
+    });
+  }
+}
+
+/**
+ * Moves a guest's profile onto a full account: the guest's stats are added to
+ * the account's and the guest profile is marked as upgraded, so it can only be
+ * claimed once.
+ * @param {object} params
+ * @param {string} params.guestUid - UID of the guest session being upgraded
+ * @param {string} params.uid - Firebase Auth UID of the full account
+ * @param {string|null} [params.displayName] - Account display name, used if it has no profile yet
+ * @returns {Promise<object>} The account's updated profile
+ */
+export async function upgradeGuestAccount({ guestUid, uid, displayName = null }) {
+  if (!isGuestUid(guestUid) || isGuestUid(uid)) {
+    throw createStatusError(400, 'A guest can only be upgraded to a full account.');
   }
-} 
\ No newline at end of file
+  const guestRef = getUserRef(guestUid);
+  const accountRef = getUserRef(uid);
+  return db.runTransaction(async (tx) => {
+    const [guestDoc, accountDoc] = await Promise.all([tx.get(guestRef), tx.get(accountRef)]);
+    if (!guestDoc.exists) {
+      throw createStatusError(404, 'Guest profile not found.');
+    }
+    const guest = guestDoc.data();
+    if (guest.upgradedTo) {
+      throw createStatusError(409, 'This guest has already been upgraded.');
+    }
+    const account = accountDoc.exists ? accountDoc.data() : null;
+    const profile = {
+      displayName: account?.displayName || displayName || guest.displayName,
+      avatarUrl: account?.avatarUrl ?? guest.avatarUrl ?? null,
+      isGuest: false,
+      createdAt: account?.createdAt ?? new Date(),
+      lastLogin: new Date(),
+      globalStats: mergeStats(account?.globalStats, guest.globalStats),
+      upgradedFromGuestUids: [...(account?.upgradedFromGuestUids || []), guestUid],
+    };
+    tx.set(accountRef, profile, { merge: true });
+    tx.update(guestRef, { upgradedTo: uid, upgradedAt: new Date() });
+    console.log(`Guest ${guestUid} upgraded to account ${uid}.`);
+    return { ...account, ...profile };
+  });
+}
@@ -0,0 +1,141 @@
+// server/src/socket/authHandlers.js
+import {
+  verifyAuthToken,
+  getTokenExpiresAt,
+  getSessionEndReason,
+} from "../services/authService.js";
+import { getUserRoom } from "./index.js";
+
+const AUTH_REVALIDATION_INTERVAL_MS = 5 * 60 * 1000; // Revocation check for every socket
+const TOKEN_EXPIRY_GRACE_MS = 30 * 1000; // Clock skew / refresh in flight
+
+const SESSION_END_MESSAGES = {
+  token_expired: "Your session expired. Please sign in again.",
+  token_revoked: "Your session was revoked. Please sign in again.",
+  account_disabled: "Your account has been disabled.",
+  account_deleted: "Your account no longer exists.",
+};
+
+// Expiry timers of sockets connected to this instance, keyed by socket ID.
+const tokenExpiryTimers = new Map();
+
+function clearTokenExpiryTimer(socket) {
+  clearTimeout(tokenExpiryTimers.get(socket.id));
+  tokenExpiryTimers.delete(socket.id);
+}
+
+/**
+ * Tells a socket why its session is over, then disconnects it.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} reason - A SESSION_END_REASONS value from authService.
+ */
+function endSocketSession(socket, reason) {
+  clearTokenExpiryTimer(socket);
+  console.log(
+    `🔒 Ending session of socket ${socket.id} (uid: ${socket.user?.uid}): ${reason}`
+  );
+  socket.emit("auth:revoked", {
+    reason,
+    message: SESSION_END_MESSAGES[reason] || "Please sign in again.",
+  });
+  socket.disconnect(true);
+}
+
+/**
+ * Ends every session of a user, on all server instances (e.g. when a token is
+ * revoked, all of the account's devices are signed out).
+ * @param {import('socket.io').Server} io
+ * @param {string} uid
+ * @param {string} reason - A SESSION_END_REASONS value from authService.
+ */
+export function endUserSessions(io, uid, reason) {
+  io.to(getUserRoom(uid)).emit("auth:revoked", {
+    reason,
+    message: SESSION_END_MESSAGES[reason] || "Please sign in again.",
+  });
+  io.in(getUserRoom(uid)).disconnectSockets(true);
+}
+
+/**
+ * Records a verified token on a socket and (re)arms the timer that ends the
+ * session if the token expires without being refreshed.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} token - The raw token, kept for revocation checks.
+ * @param {object} decoded - Its claims, from verifyAuthToken.
+ */
+export function applySocketAuth(socket, token, decoded) {
+  socket.authToken = token;
+  socket.user.tokenExpiresAt = getTokenExpiresAt(decoded);
+  clearTokenExpiryTimer(socket);
+  if (socket.user.tokenExpiresAt === null) return;
+  const timer = setTimeout(
+    () => endSocketSession(socket, "token_expired"),
+    socket.user.tokenExpiresAt - Date.now() + TOKEN_EXPIRY_GRACE_MS
+  );
+  timer.unref();
+  tokenExpiryTimers.set(socket.id, timer);
+}
+
+/**
+ * Re-verifies each socket on this instance with a revocation check, ending
+ * the sessions whose token was revoked or whose account was disabled.
+ * @param {import('socket.io').Server} io
+ */
+async function revalidateConnectedSockets(io) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (!socket.authToken) continue;
+    try {
+      await verifyAuthToken(socket.authToken, { checkRevoked: true });
+    } catch (error) {
+      const reason = getSessionEndReason(error);
+      if (reason === "token_expired") endSocketSession(socket, reason);
+      else if (reason) endUserSessions(io, socket.user.uid, reason);
+      else console.error(`Auth revalidation failed for ${socket.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Starts the periodic revocation check of connected sockets.
+ * @param {import('socket.io').Server} io
+ */
+export function startAuthRevalidation(io) {
+  setInterval(
+    () => revalidateConnectedSockets(io),
+    AUTH_REVALIDATION_INTERVAL_MS
+  ).unref();
+}
+
+export default function registerAuthHandlers(io, socket) {
+  // Swap in a fresh token (e.g. Firebase's hourly one) without reconnecting
+  socket.on("auth:refresh", async ({ token } = {}, callback) => {
+    if (!token) {
+      return callback?.({ status: "error", message: "Token is required." });
+    }
+    try {
+      const decoded = await verifyAuthToken(token, { checkRevoked: true });
+      if (decoded.uid !== socket.user.uid) {
+        return callback?.({
+          status: "error",
+          message: "Token belongs to a different user.",
+        });
+      }
+      applySocketAuth(socket, token, decoded);
+      callback?.({ status: "ok", expiresAt: socket.user.tokenExpiresAt });
+    } catch (error) {
+      const reason = getSessionEndReason(error);
+      callback?.({
+        status: "error",
+        message: "Token is invalid or expired.",
+        code: reason,
+      });
+      // A revoked token or disabled account ends the session; a bad refresh
+      // token alone does not, the current one may still be valid.
+      if (reason && reason !== "token_expired") {
+        endUserSessions(io, socket.user.uid, reason);
+      }
+    }
+  });
+
+  socket.on("disconnect", () => clearTokenExpiryTimer(socket));
+}
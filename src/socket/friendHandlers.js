@@ -0,0 +1,90 @@
+// server/src/socket/friendHandlers.js
+import {
+  getFriendList,
+  getFriendUids,
+  createRoomInvite,
+} from "../services/friendService.js";
+import { GUEST_RESTRICTED_MESSAGE } from "../services/authService.js";
+import { getUserRoom } from "./index.js";
+import { getUserSessions, isUserOnline } from "./sessionRegistry.js";
+
+// Tells the user's friends they came online or went offline
+async function announcePresence(io, uid, online) {
+  const friendUids = await getFriendUids(uid);
+  if (friendUids.length === 0) return;
+  io.to(friendUids.map(getUserRoom)).emit(
+    online ? "friend:online" : "friend:offline",
+    { uid }
+  );
+}
+
+export default function registerFriendHandlers(io, socket) {
+  const uid = socket.user.uid;
+  if (socket.user.isGuest) {
+    // Guests cannot have friends
+    const refuseGuest = (_payload, callback) =>
+      callback?.({
+        status: "error",
+        message: GUEST_RESTRICTED_MESSAGE,
+        code: "GUEST_RESTRICTED",
+      });
+    socket.on("friends:list", refuseGuest);
+    socket.on("friends:invite", refuseGuest);
+    return;
+  }
+
+  // Only the user's first socket brings them online
+  getUserSessions(io, uid)
+    .then((sessions) =>
+      sessions.length === 1 ? announcePresence(io, uid, true) : null
+    )
+    .catch((err) =>
+      console.error(`Error announcing ${uid} online to friends:`, err)
+    );
+
+  socket.on("friends:list", async (_payload, callback) => {
+    try {
+      callback?.({ status: "ok", ...(await getFriendList(uid)) });
+    } catch (error) {
+      console.error(`Error listing friends of ${uid}:`, error);
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  /**
+   * Invites a friend into a room the user is in. Payload: { roomId, friendUid }.
+   * The friend's sockets receive 'roomInvite' with
+   * `{ roomId, roomCode, mode, fromUid, fromName }` and join with 'joinRoom'.
+   */
+  socket.on("friends:invite", async ({ roomId, friendUid } = {}, callback) => {
+    try {
+      const invite = await createRoomInvite({
+        uid,
+        fromName: socket.user.name || "Player",
+        friendUid,
+        roomId,
+      });
+      if (!(await isUserOnline(io, friendUid))) {
+        return callback?.({
+          status: "error",
+          message: "Your friend is not online.",
+        });
+      }
+      io.to(getUserRoom(friendUid)).emit("roomInvite", invite);
+      callback?.({ status: "ok" });
+    } catch (error) {
+      console.error(`Error inviting ${friendUid} to room ${roomId}:`, error);
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  socket.on("disconnect", async () => {
+    try {
+      if (!(await isUserOnline(io, uid))) {
+        await announcePresence(io, uid, false);
+      }
+    } catch (err) {
+      console.error(`Error announcing ${uid} offline to friends:`, err);
+    }
+  });
+}
@@ -5,20 +5,41 @@ import {
   handleSteal as serviceHandleSteal,
   cleanupOnDisconnect, // gameService handles marking players offline in active games & advancing state
   handleRejoinGame as serviceHandleRejoinGame, // Import the new rejoin handler
+  pickTile as servicePickTile,
 } from "../services/gameService.js";
-// Assuming you might use getRoomModel for host validation eventually
-// import { getRoom as getRoomModel } from '../models/roomModel.js';
-
-// In-memory play again votes and timers
-const playAgainVotes = {}; // { [roomId]: Set<uid> }
-const playAgainRoomTimers = new Map(); // { [roomId]: NodeJS.Timeout }
+import {
+  getBlitzQuestion as serviceGetBlitzQuestion,
+  submitBlitzAnswer as serviceSubmitBlitzAnswer,
+} from "../services/blitzService.js";
+import {
+  submitSurvivalAnswer as serviceSubmitSurvivalAnswer,
+} from "../services/survivalService.js";
+import {
+  assertRoomPermission,
+  ROOM_ACTIONS,
+} from "../services/roomService.js";
+import { STALE_STATE_ERROR_CODE } from "../services/gameStateService.js";
+import { GAME_MODES, toScorePayload } from "../services/gameModes.js";
+import { store } from "../store/index.js";
+import { getJoinedRoomIds } from "./index.js";
+import { hasOtherSessionInRoom } from "./sessionRegistry.js";
+import { scheduleLobbyUpdate } from "./lobbyHandlers.js";
+import { randomUUID } from "crypto";
+
+// Play again votes live in the shared store so that voters on any instance
+// count towards the same round. A voting round is identified by a session ID,
+// so a timer armed on one instance can tell whether its round is still open.
+const playAgainRoomTimers = new Map(); // { [roomId]: NodeJS.Timeout } armed on this instance
 const PLAY_AGAIN_VOTE_TIMEOUT_MS = 30000; // 30 seconds for voting
 const PLAY_AGAIN_REQUIRED_VOTES = 2; // Minimum votes to start
+const PLAY_AGAIN_STATE_TTL_MS = PLAY_AGAIN_VOTE_TIMEOUT_MS * 2; // Outlives the voting timer
 
-function clearPlayAgainStateForRoom(roomId) {
-  if (playAgainVotes[roomId]) {
-    delete playAgainVotes[roomId];
-  }
+const playAgainVotesKey = (roomId) => `playAgain:${roomId}:votes`;
+const playAgainSessionKey = (roomId) => `playAgain:${roomId}:session`;
+
+async function clearPlayAgainStateForRoom(roomId) {
+  await store.del(playAgainVotesKey(roomId));
+  await store.del(playAgainSessionKey(roomId));
   if (playAgainRoomTimers.has(roomId)) {
     clearTimeout(playAgainRoomTimers.get(roomId));
     playAgainRoomTimers.delete(roomId);
@@ -26,6 +47,58 @@ function clearPlayAgainStateForRoom(roomId) {
   console.log(`[PlayAgain] State cleared for room ${roomId}`);
 }
 
+async function startPlayAgainVoteTimer(io, roomId) {
+  const sessionId = randomUUID();
+  const opened = await store.setIfAbsent(
+    playAgainSessionKey(roomId),
+    sessionId,
+    PLAY_AGAIN_STATE_TTL_MS
+  );
+  if (!opened) return; // Another voter already opened this round
+
+  const timerId = setTimeout(async () => {
+    playAgainRoomTimers.delete(roomId);
+    try {
+      // Fails if the round already ended (game started or everyone left)
+      const stillOpen = await store.compareAndDelete(
+        playAgainSessionKey(roomId),
+        sessionId
+      );
+      if (!stillOpen) return;
+      const votes = (await store.getSetMembers(playAgainVotesKey(roomId)))
+        .length;
+      if (votes < PLAY_AGAIN_REQUIRED_VOTES) {
+        console.log(`[PlayAgain] Voting for room ${roomId} timed out.`);
+        io.in(roomId).emit("playAgainFailed", {
+          message: "Not enough votes for Play Again in time.",
+        });
+      }
+      await clearPlayAgainStateForRoom(roomId);
+    } catch (error) {
+      console.error(
+        `[PlayAgain] Error closing voting for room ${roomId}:`,
+        error
+      );
+    }
+  }, PLAY_AGAIN_VOTE_TIMEOUT_MS);
+  playAgainRoomTimers.set(roomId, timerId);
+  console.log(`[PlayAgain] Voting timer started for room ${roomId}.`);
+}
+
+/**
+ * The 'scoreUpdate' payload after a turn or steal (see toScorePayload); Team
+ * Battle adds the team totals.
+ * @param {object} result - Result of submitAnswer/handleSteal.
+ * @returns {object} `{ mode, scores }`, plus `teamScores` in Team Battle.
+ */
+function toScoreUpdatePayload(result) {
+  return toScorePayload(
+    result.mode,
+    result.scores,
+    result.teamScores ? { teamScores: result.teamScores } : {}
+  );
+}
+
 /**
  * Register socket handlers for game events.
  * @param {import('socket.io').Server} io
@@ -37,7 +110,7 @@ export default function registerGameHandlers(io, socket) {
   };
 
   const isInRoom = (roomId) => {
-    return socket.rooms.has(roomId) && roomId !== socket.id;
+    return getJoinedRoomIds(socket).includes(roomId);
   };
 
   socket.on("game:start", async ({ roomId, settings }, callback) => {
@@ -48,24 +121,35 @@ export default function registerGameHandlers(io, socket) {
       });
     }
 
-    // TODO: Implement host validation if needed:
-    // try {
-    //   const roomDoc = await getRoomModel(roomId); // Conceptual
-    //   if (!roomDoc.exists || roomDoc.data().hostUid !== socket.user.uid) {
-    //     return callback?.({ status: "error", message: "Only the host can start the game." });
-    //   }
-    // } catch (e) {
-    //    return callback?.({ status: "error", message: "Error validating host." });
-    // }
+    const hasSettings = settings && Object.keys(settings).length > 0;
+    try {
+      await assertRoomPermission({
+        roomId,
+        uid: socket.user.uid,
+        action: ROOM_ACTIONS.START_GAME,
+      });
+      if (hasSettings) {
+        await assertRoomPermission({
+          roomId,
+          uid: socket.user.uid,
+          action: ROOM_ACTIONS.UPDATE_SETTINGS,
+        });
+      }
+    } catch (error) {
+      return callback?.({ status: "error", message: error.message });
+    }
 
     const emit = emitToRoom(roomId);
     try {
+      // Settings passed with game:start go through the same validation as
+      // room:updateSettings, inside the start (a restart is not 'waiting')
       const initialState = await serviceStartGame({
         roomId,
-        settings: settings || {},
+        settings: hasSettings ? settings : {},
       });
       emit("gameStarted", initialState);
       callback?.({ status: "ok", initialState }); // Send initial state back to host too
+      scheduleLobbyUpdate(io); // A started room is no longer open
       console.log(
         `Game started in room ${roomId} by ${socket.user.uid}. Effective Settings:`,
         initialState.gameSettings
@@ -81,7 +165,7 @@ export default function registerGameHandlers(io, socket) {
   });
 
   socket.on("submitAnswer", async (data, callback) => {
-    const { roomId, questionId, answerIndex } = data;
+    const { roomId, questionId, answerIndex, stateVersion } = data;
     const emit = emitToRoom(roomId);
 
     if (!roomId || !questionId || typeof answerIndex !== "number") {
@@ -104,6 +188,7 @@ export default function registerGameHandlers(io, socket) {
         questionId,
         answerIndex,
         isTimeout: false,
+        stateVersion,
       });
 
       if (result.noActionTaken) {
@@ -125,14 +210,17 @@ export default function registerGameHandlers(io, socket) {
         correctIndex: result.correctIndex,
         questionId: result.questionId,
         uidOfAnswerer: result.uidOfAnswerer,
+        scoreBreakdown: result.scoreBreakdown,
+        stateVersion: result.stateVersion,
       });
-      emit("scoreUpdate", result.scores);
+      emit("scoreUpdate", toScoreUpdatePayload(result));
 
       if (result.nextPhase === "steal") {
         emit("stealOpportunity", {
           questionId: result.questionId,
           nextUid: result.nextUid,
           stealTimeout: result.stealTimeout,
+          stateVersion: result.stateVersion,
         });
       } else if (result.nextPhase === "nextTurn") {
         emit("nextTurn", {
@@ -141,9 +229,8 @@ export default function registerGameHandlers(io, socket) {
           timeout: result.turnTimeout,
           currentQuestionNum: result.currentQuestionNum,
           totalQuestions: result.totalQuestions,
+          stateVersion: result.stateVersion,
         });
-      } else if (result.nextPhase === "endGame") {
-        emit("gameEnded", result.finalScores);
       }
       callback?.({ status: "ok", ...result });
     } catch (error) {
@@ -151,7 +238,13 @@ export default function registerGameHandlers(io, socket) {
         `Error in submitAnswer for room ${roomId}, user ${socket.user.uid}:`,
         error
       );
-      callback?.({ status: "error", message: error.message });
+      callback?.({
+        status: "error",
+        message: error.message,
+        code: error.code,
+      });
+      // A stale answer only concerns its sender
+      if (error.code === STALE_STATE_ERROR_CODE) return;
       emit("gameError", {
         message: `Error submitting answer: ${error.message}`,
       });
@@ -159,7 +252,7 @@ export default function registerGameHandlers(io, socket) {
   });
 
   socket.on("submitSteal", async (data, callback) => {
-    const { roomId, questionId, answerIndex } = data;
+    const { roomId, questionId, answerIndex, stateVersion } = data;
     const emit = emitToRoom(roomId);
 
     if (!roomId || !questionId || typeof answerIndex !== "number") {
@@ -182,6 +275,7 @@ export default function registerGameHandlers(io, socket) {
         questionId,
         answerIndex,
         isTimeout: false,
+        stateVersion,
       });
 
       if (stealResult.noActionTaken) {
@@ -202,8 +296,10 @@ export default function registerGameHandlers(io, socket) {
         questionId: stealResult.questionId,
         correctIndex: stealResult.correctIndex,
         uidOfAnswerer: stealResult.uidOfAnswerer,
+        scoreBreakdown: stealResult.scoreBreakdown,
+        stateVersion: stealResult.stateVersion,
       });
-      emit("scoreUpdate", stealResult.scores);
+      emit("scoreUpdate", toScoreUpdatePayload(stealResult));
 
       if (stealResult.nextPhase === "nextTurn") {
         emit("nextTurn", {
@@ -212,9 +308,8 @@ export default function registerGameHandlers(io, socket) {
           timeout: stealResult.turnTimeout,
           currentQuestionNum: stealResult.currentQuestionNum,
           totalQuestions: stealResult.totalQuestions,
+          stateVersion: stealResult.stateVersion,
         });
-      } else if (stealResult.nextPhase === "endGame") {
-        emit("gameEnded", stealResult.finalScores);
       }
       callback?.({ status: "ok", ...stealResult });
     } catch (error) {
@@ -222,13 +317,185 @@ export default function registerGameHandlers(io, socket) {
         `Error in submitSteal for room ${roomId}, user ${socket.user.uid}:`,
         error
       );
-      callback?.({ status: "error", message: error.message });
+      callback?.({
+        status: "error",
+        message: error.message,
+        code: error.code,
+      });
+      if (error.code === STALE_STATE_ERROR_CODE) return;
       emit("gameError", {
         message: `Error submitting steal: ${error.message}`,
       });
     }
   });
 
+  /**
+   * Category Conquest: the current player picks a tile. Payload: { roomId, tileId, stateVersion }.
+   * Room receives 'tilePicked' with the tile's question; answers go through submitAnswer.
+   */
+  socket.on("game:pickTile", async (data = {}, callback) => {
+    const { roomId, tileId, stateVersion } = data;
+    if (!roomId || tileId === undefined || tileId === null) {
+      return callback?.({
+        status: "error",
+        message: "Missing roomId or tileId.",
+      });
+    }
+    if (!isInRoom(roomId) || !socket.user?.uid) {
+      return callback?.({
+        status: "error",
+        message: "Unauthorized or not in room.",
+      });
+    }
+    try {
+      const result = await servicePickTile({
+        roomId,
+        uid: socket.user.uid,
+        tileId: String(tileId),
+        stateVersion,
+      });
+      callback?.({ status: "ok", ...result });
+    } catch (error) {
+      console.error(
+        `Error in game:pickTile for room ${roomId}, user ${socket.user.uid}:`,
+        error
+      );
+      callback?.({
+        status: "error",
+        message: error.message,
+        code: error.code,
+      });
+    }
+  });
+
+  /**
+   * Speed Challenge: returns the caller's current question.
+   * Payload: { roomId }. Callback: { status, question, questionNum, skipsRemaining, gameEndsAt, finished }.
+   */
+  socket.on("blitz:getQuestion", async ({ roomId } = {}, callback) => {
+    if (!roomId || !isInRoom(roomId) || !socket.user?.uid) {
+      return callback?.({
+        status: "error",
+        message: "Unauthorized or not in room.",
+      });
+    }
+    try {
+      const current = await serviceGetBlitzQuestion({
+        roomId,
+        uid: socket.user.uid,
+      });
+      callback?.({ status: "ok", ...current });
+    } catch (error) {
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  const handleBlitzSubmission = async (data, callback, skip) => {
+    const { roomId, questionId, answerIndex } = data || {};
+    if (!roomId || !questionId || (!skip && typeof answerIndex !== "number")) {
+      return callback?.({
+        status: "error",
+        message: "Missing or invalid answer data.",
+      });
+    }
+    if (!isInRoom(roomId) || !socket.user?.uid) {
+      return callback?.({
+        status: "error",
+        message: "Unauthorized or not in room.",
+      });
+    }
+    try {
+      const result = await serviceSubmitBlitzAnswer({
+        roomId,
+        uid: socket.user.uid,
+        questionId,
+        answerIndex,
+        skip,
+      });
+      if (result.noActionTaken) {
+        return callback?.({ status: "ok", ...result });
+      }
+      // The answer and next question go only to the submitting player;
+      // the room only sees progress counts.
+      callback?.({ status: "ok", ...result });
+      const emit = emitToRoom(roomId);
+      emit("blitzProgress", {
+        uid: socket.user.uid,
+        name: socket.user.name || socket.user.uid,
+        answered: result.answered,
+        correct: result.correctCount,
+        finished: result.finished,
+      });
+      emit("scoreUpdate", toScorePayload(GAME_MODES.BLITZ, result.scores));
+    } catch (error) {
+      console.error(
+        `Error in Speed Challenge submission for room ${roomId}, user ${socket.user.uid}:`,
+        error
+      );
+      callback?.({ status: "error", message: error.message });
+    }
+  };
+
+  /**
+   * Speed Challenge: answers the caller's current question.
+   * Payload: { roomId, questionId, answerIndex }.
+   * Callback: { status, correct, correctIndex, nextQuestion, questionNum, skipsRemaining, finished, ... }.
+   * Room receives 'blitzProgress' and 'scoreUpdate'.
+   */
+  socket.on("blitz:submitAnswer", (data, callback) =>
+    handleBlitzSubmission(data, callback, false)
+  );
+
+  /**
+   * Speed Challenge: skips the caller's current question (limited by gameSettings.blitzSkipsAllowed).
+   * Payload: { roomId, questionId }. Callback as for 'blitz:submitAnswer'.
+   */
+  socket.on("blitz:skip", (data, callback) =>
+    handleBlitzSubmission(data, callback, true)
+  );
+
+  /**
+   * Survival: submits the caller's answer for the current round. Answers are judged
+   * when the round resolves ('survivalRoundResult', then 'survivalRound' or 'gameEnded').
+   * Payload: { roomId, questionId, answerIndex }. Callback: { status, accepted, round }.
+   * Room receives 'survivalAnswerReceived' (before any round result) so clients can show who has answered.
+   */
+  socket.on("survival:submitAnswer", async (data, callback) => {
+    const { roomId, questionId, answerIndex } = data || {};
+    if (!roomId || !questionId || typeof answerIndex !== "number") {
+      return callback?.({
+        status: "error",
+        message: "Missing or invalid answer data.",
+      });
+    }
+    if (!isInRoom(roomId) || !socket.user?.uid) {
+      return callback?.({
+        status: "error",
+        message: "Unauthorized or not in room.",
+      });
+    }
+    try {
+      const result = await serviceSubmitSurvivalAnswer({
+        roomId,
+        uid: socket.user.uid,
+        questionId,
+        answerIndex,
+      });
+      callback?.({
+        status: "ok",
+        accepted: !!result.accepted,
+        round: result.round,
+        message: result.message,
+      });
+    } catch (error) {
+      console.error(
+        `Error in survival:submitAnswer for room ${roomId}, user ${socket.user.uid}:`,
+        error
+      );
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
   socket.on("playAgainRequest", async ({ roomId }, callback) => {
     if (!roomId || !isInRoom(roomId) || !socket.user?.uid) {
       return callback?.({
@@ -239,38 +506,36 @@ export default function registerGameHandlers(io, socket) {
     const uid = socket.user.uid;
     const displayName = socket.user.name || uid;
 
-    if (!playAgainVotes[roomId]) playAgainVotes[roomId] = new Set();
-    if (playAgainVotes[roomId].has(uid))
-      return callback?.({ status: "ok", message: "You have already voted." });
-
-    playAgainVotes[roomId].add(uid);
-    const votes = playAgainVotes[roomId].size;
-    const roomSockets = await io.in(roomId).allSockets();
-    const totalOnlineInRoom = roomSockets.size;
+    let votes;
+    let totalOnlineInRoom;
+    try {
+      const vote = await store.addToSet(
+        playAgainVotesKey(roomId),
+        uid,
+        PLAY_AGAIN_STATE_TTL_MS
+      );
+      if (!vote.added)
+        return callback?.({
+          status: "ok",
+          message: "You have already voted.",
+        });
+      votes = vote.size;
+      const roomSockets = await io.in(roomId).allSockets();
+      totalOnlineInRoom = roomSockets.size;
 
-    console.log(
-      `[PlayAgain] Room: ${roomId}, Voter: ${displayName} (${uid}), Votes: ${votes}/${totalOnlineInRoom} (Required: ${PLAY_AGAIN_REQUIRED_VOTES})`
-    );
+      console.log(
+        `[PlayAgain] Room: ${roomId}, Voter: ${displayName} (${uid}), Votes: ${votes}/${totalOnlineInRoom} (Required: ${PLAY_AGAIN_REQUIRED_VOTES})`
+      );
 
-    if (
-      votes === 1 &&
-      !playAgainRoomTimers.has(roomId) &&
-      totalOnlineInRoom >= PLAY_AGAIN_REQUIRED_VOTES
-    ) {
-      const timerId = setTimeout(() => {
-        if (
-          playAgainVotes[roomId] &&
-          playAgainVotes[roomId].size < PLAY_AGAIN_REQUIRED_VOTES
-        ) {
-          console.log(`[PlayAgain] Voting for room ${roomId} timed out.`);
-          io.in(roomId).emit("playAgainFailed", {
-            message: "Not enough votes for Play Again in time.",
-          });
-        }
-        clearPlayAgainStateForRoom(roomId);
-      }, PLAY_AGAIN_VOTE_TIMEOUT_MS);
-      playAgainRoomTimers.set(roomId, timerId);
-      console.log(`[PlayAgain] Voting timer started for room ${roomId}.`);
+      if (votes === 1 && totalOnlineInRoom >= PLAY_AGAIN_REQUIRED_VOTES) {
+        await startPlayAgainVoteTimer(io, roomId);
+      }
+    } catch (error) {
+      console.error(
+        `[PlayAgain] Error recording vote in room ${roomId}:`,
+        error
+      );
+      return callback?.({ status: "error", message: error.message });
     }
 
     io.in(roomId).emit("playAgainStatus", {
@@ -285,11 +550,16 @@ export default function registerGameHandlers(io, socket) {
       votes >= PLAY_AGAIN_REQUIRED_VOTES &&
       totalOnlineInRoom >= PLAY_AGAIN_REQUIRED_VOTES
     ) {
-      console.log(
-        `[PlayAgain] Condition met for room ${roomId}. Starting new game.`
-      );
-      clearPlayAgainStateForRoom(roomId);
       try {
+        // Concurrent deciding votes (possibly on other instances) race to
+        // delete the votes; only the one that deletes them starts the game.
+        if (!(await store.del(playAgainVotesKey(roomId)))) {
+          return callback?.({ status: "ok", gameStarted: false });
+        }
+        console.log(
+          `[PlayAgain] Condition met for room ${roomId}. Starting new game.`
+        );
+        await clearPlayAgainStateForRoom(roomId);
         // For "Play Again", settings from the previous game in that room could be fetched and reused,
         // or new settings could be passed if host initiates. Defaulting to new game with defaults for now.
         const initialState = await serviceStartGame({ roomId, settings: {} });
@@ -356,15 +626,18 @@ export default function registerGameHandlers(io, socket) {
     const uid = socket.user?.uid;
     if (!uid) return;
 
-    const roomsPlayerIsIn = Array.from(socket.rooms).filter(
-      (r) => r !== socket.id && r
-    );
+    const roomsPlayerIsIn = getJoinedRoomIds(socket);
     if (roomsPlayerIsIn.length > 0) {
       // console.log(`Player ${uid} (socket ${socket.id}) disconnecting from rooms: ${roomsPlayerIsIn.join(", ")}.`);
       try {
         // gameService.cleanupOnDisconnect handles marking player offline in active games
         // and advancing game state if necessary. It also emits 'updatePlayerList'.
-        await cleanupOnDisconnect({ roomIdList: roomsPlayerIsIn, uid });
+        await cleanupOnDisconnect({
+          roomIdList: roomsPlayerIsIn,
+          uid,
+          hasOtherSession: (roomId) =>
+            hasOtherSessionInRoom(io, socket, roomId),
+        });
       } catch (error) {
         console.error(
           `Error during gameService.cleanupOnDisconnect for ${uid} on socket ${socket.id}:`,
@@ -373,32 +646,35 @@ export default function registerGameHandlers(io, socket) {
       }
 
       for (const roomId of roomsPlayerIsIn) {
-        if (playAgainVotes[roomId] && playAgainVotes[roomId].has(uid)) {
-          playAgainVotes[roomId].delete(uid);
+        try {
+          // Added try-catch for safety during disconnect
+          // Their vote stands while another of their tabs is in the room
+          if (await hasOtherSessionInRoom(io, socket, roomId)) continue;
+          const { removed, size: remainingVotes } = await store.removeFromSet(
+            playAgainVotesKey(roomId),
+            uid
+          );
+          if (!removed) continue;
           console.log(
             `[PlayAgain] Player ${uid} removed from votes for room ${roomId} due to disconnect.`
           );
-          const remainingVotes = playAgainVotes[roomId].size;
           if (remainingVotes === 0) {
-            clearPlayAgainStateForRoom(roomId);
+            await clearPlayAgainStateForRoom(roomId);
           } else {
-            try {
-              // Added try-catch for safety during disconnect
-              const roomSockets = await io.in(roomId).allSockets();
-              const totalOnlineInRoomAfterDisconnect =
-                roomSockets.size > 0 ? Math.max(0, roomSockets.size - 1) : 0;
-              io.in(roomId).emit("playAgainStatus", {
-                votes: remainingVotes,
-                totalOnline: totalOnlineInRoomAfterDisconnect,
-                requiredToStart: PLAY_AGAIN_REQUIRED_VOTES,
-              });
-            } catch (e) {
-              console.error(
-                `[PlayAgain] Error emitting status update for room ${roomId} during disconnect:`,
-                e
-              );
-            }
+            const roomSockets = await io.in(roomId).allSockets();
+            const totalOnlineInRoomAfterDisconnect =
+              roomSockets.size > 0 ? Math.max(0, roomSockets.size - 1) : 0;
+            io.in(roomId).emit("playAgainStatus", {
+              votes: remainingVotes,
+              totalOnline: totalOnlineInRoomAfterDisconnect,
+              requiredToStart: PLAY_AGAIN_REQUIRED_VOTES,
+            });
           }
+        } catch (e) {
+          console.error(
+            `[PlayAgain] Error updating votes for room ${roomId} during disconnect:`,
+            e
+          );
         }
       }
     }
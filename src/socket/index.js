@@ -1,12 +1,54 @@
 // server/src/socket/index.js
-import registerRoomHandlers from './roomHandlers.js';
+import registerRoomHandlers, { handleLobbySeatHoldExpiry } from './roomHandlers.js';
 import registerGameHandlers from './gameHandlers.js';
+import registerLobbyHandlers, { startQuickMatchSweep } from './lobbyHandlers.js';
+import registerLeaderboardHandlers from './leaderboardHandlers.js';
+import registerFriendHandlers from './friendHandlers.js';
+import registerAuthHandlers, {
+  applySocketAuth,
+  startAuthRevalidation,
+} from './authHandlers.js';
+import { enforceSessionPolicy, getOnlineUids } from './sessionRegistry.js';
 import { initGameService } from '../services/gameService.js';
-import admin from '../config/firebaseAdmin.js';
+import { initAchievementService } from '../services/achievementService.js';
+import { initFriendService } from '../services/friendService.js';
+import {
+  LEADERBOARD_ROOM_PREFIX,
+  startLeaderboardResetSchedule,
+} from '../services/leaderboardService.js';
+import { verifyAuthToken } from '../services/authService.js';
 import { ensureUserProfile } from '../services/userService.js';
 
-// Map to track user UID to their socket.id
-const uidToSocketId = new Map();
+const USER_ROOM_PREFIX = 'user:';
+// Sockets browsing the public room list
+export const LOBBY_ROOM = 'lobby';
+
+/**
+ * Every socket joins a personal room for its user, so a user can be reached
+ * with io.to(getUserRoom(uid)) whichever server instance their sockets are on.
+ * @param {string} uid
+ * @returns {string}
+ */
+export function getUserRoom(uid) {
+  return `${USER_ROOM_PREFIX}${uid}`;
+}
+
+/**
+ * The game rooms a socket has joined, leaving out its own ID, user room, the
+ * lobby and the leaderboards it follows.
+ * @param {import('socket.io').Socket} socket
+ * @returns {Array<string>}
+ */
+export function getJoinedRoomIds(socket) {
+  return Array.from(socket.rooms).filter(
+    (r) =>
+      r &&
+      r !== socket.id &&
+      r !== LOBBY_ROOM &&
+      !r.startsWith(USER_ROOM_PREFIX) &&
+      !r.startsWith(LEADERBOARD_ROOM_PREFIX)
+  );
+}
 
 /**
  * Initializes socket.io handlers with Firebase Auth and game service setup.
@@ -15,29 +57,49 @@ const uidToSocketId = new Map();
 export default function initializeSocketHandlers(io) {
   // Initialize gameService with the io instance for server-authoritative timeouts
   initGameService(io);
+  initAchievementService((uid, achievement) =>
+    io.to(getUserRoom(uid)).emit('achievementUnlocked', achievement)
+  );
+  initFriendService({
+    getOnlineUids: (uids) => getOnlineUids(io, uids),
+    emitToUser: (uid, event, payload) => io.to(getUserRoom(uid)).emit(event, payload),
+  });
+  // Remove players from lobbies once their grace window or quick-match reservation ends
+  handleLobbySeatHoldExpiry(io);
+  // Periodically re-check tokens: a socket outlives the token it connected with
+  startAuthRevalidation(io);
+  // Match queued players whose rating bands have widened
+  startQuickMatchSweep(io);
+  // Start new daily and weekly leaderboards at UTC midnight
+  startLeaderboardResetSchedule();
 
   // Firebase Auth middleware: verify Firebase ID token on connection
   io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token;
     if (!token) {
       const err = new Error('Authentication error: token missing');
-      err.data = { content: 'Please provide a valid Firebase ID token.' };
+      err.data = { content: 'Please provide a valid Firebase ID token or guest token.' };
       return next(err);
     }
     try {
-      const decoded = await admin.auth().verifyIdToken(token);
+      const decoded = await verifyAuthToken(token);
       socket.user = {
         uid: decoded.uid,
         name: decoded.name || decoded.email,
         picture: decoded.picture || null,
+        isGuest: decoded.guest === true,
       };
       // Ensure user profile exists/updated
       await ensureUserProfile(
         decoded.uid,
         decoded.name || decoded.email,
-        decoded.picture || null
+        decoded.picture || null,
+        { isGuest: decoded.guest === true }
       );
-      return next();
+      applySocketAuth(socket, token, decoded);
+      // Other tabs/devices of the same user: allowed, replaced or refused
+      const sessionError = await enforceSessionPolicy(io, socket);
+      return next(sessionError || undefined);
     } catch (error) {
       console.error('Socket auth error:', error);
       const err = new Error('Authentication error: token invalid');
@@ -49,26 +111,24 @@ export default function initializeSocketHandlers(io) {
   io.on('connection', (socket) => {
     console.log(`✅ Client connected: ${socket.id} (uid: ${socket.user.uid})`);
 
-    // Track UID to socket.id mapping
-    uidToSocketId.set(socket.user.uid, socket.id);
+    socket.join(getUserRoom(socket.user.uid));
 
     // Welcome message
     socket.emit('message', `Welcome, ${socket.user.name}!`);
 
     // Register handlers
+    registerAuthHandlers(io, socket);
     registerRoomHandlers(io, socket);
+    registerLobbyHandlers(io, socket);
+    registerLeaderboardHandlers(io, socket);
+    registerFriendHandlers(io, socket);
     registerGameHandlers(io, socket);
 
     // General disconnect handler (not per-room cleanup)
     socket.on('disconnect', (reason) => {
       console.log(`🚪 Client disconnected: ${socket.id}. Reason: ${reason}`);
-      // Remove UID mapping on disconnect
-      uidToSocketId.delete(socket.user.uid);
       // Room-specific cleanup is handled in 'disconnecting' events in roomHandlers.js / gameHandlers.js
     });
   });
 }
 
-// Export the map for use in other handlers
-export { uidToSocketId };
-
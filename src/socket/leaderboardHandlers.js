@@ -0,0 +1,48 @@
+// server/src/socket/leaderboardHandlers.js
+import {
+  getLeaderboard,
+  getLeaderboardRoom,
+} from "../services/leaderboardService.js";
+import { GUEST_RESTRICTED_MESSAGE } from "../services/authService.js";
+
+export default function registerLeaderboardHandlers(io, socket) {
+  /**
+   * Follows a mode's current leaderboard for a window. Payload:
+   * { mode, window, limit }. Acknowledges with the board (with the caller's own
+   * entry as `me`); the top of it is re-sent as 'leaderboard:updated' after
+   * games of the mode, and 'leaderboard:reset' announces a new period.
+   */
+  socket.on(
+    "leaderboard:subscribe",
+    async ({ mode, window, limit } = {}, callback) => {
+      if (socket.user.isGuest) {
+        return callback?.({
+          status: "error",
+          message: GUEST_RESTRICTED_MESSAGE,
+          code: "GUEST_RESTRICTED",
+        });
+      }
+      try {
+        const board = await getLeaderboard({
+          mode,
+          window,
+          limit,
+          uid: socket.user.uid,
+        });
+        socket.join(getLeaderboardRoom(mode, window));
+        callback?.({ status: "ok", ...board });
+      } catch (error) {
+        console.error(
+          `Error subscribing ${socket.id} to the ${window} ${mode} leaderboard:`,
+          error
+        );
+        callback?.({ status: "error", message: error.message });
+      }
+    }
+  );
+
+  socket.on("leaderboard:unsubscribe", ({ mode, window } = {}, callback) => {
+    socket.leave(getLeaderboardRoom(mode, window));
+    callback?.({ status: "ok" });
+  });
+}
@@ -0,0 +1,147 @@
+// server/src/socket/lobbyHandlers.js
+import { listPublicRooms } from "../services/roomService.js";
+import {
+  joinQuickMatch as serviceJoinQuickMatch,
+  leaveQuickMatch as serviceLeaveQuickMatch,
+  sweepQuickMatchQueues,
+} from "../services/matchmakingService.js";
+import { getUserRoom, LOBBY_ROOM } from "./index.js";
+
+const LOBBY_UPDATE_DELAY_MS = 500; // Coalesces bursts of room changes
+const LOBBY_ROOMS_LIMIT = 50;
+const QUICK_MATCH_SWEEP_INTERVAL_MS = 5 * 1000; // Rating bands widen over time
+
+let lobbyUpdateTimer = null;
+
+async function getLobbyRooms() {
+  return listPublicRooms({ limit: LOBBY_ROOMS_LIMIT });
+}
+
+/**
+ * Schedules a 'lobby:rooms' broadcast of the open public rooms to every lobby
+ * subscriber. Called after anything that may change the list (a room created,
+ * joined, left, started, locked, made public or private, ...).
+ * @param {import('socket.io').Server} io
+ */
+export function scheduleLobbyUpdate(io) {
+  if (lobbyUpdateTimer) return;
+  lobbyUpdateTimer = setTimeout(async () => {
+    lobbyUpdateTimer = null;
+    try {
+      io.to(LOBBY_ROOM).emit("lobby:rooms", { rooms: await getLobbyRooms() });
+    } catch (err) {
+      console.error("Failed to broadcast the lobby room list:", err);
+    }
+  }, LOBBY_UPDATE_DELAY_MS);
+}
+
+/**
+ * Tells the players of a quick match which room they were placed in.
+ * @param {import('socket.io').Server} io
+ * @param {string} mode
+ * @param {{ roomId: string, roomCode: string, uids: Array<string> }} match
+ */
+function emitQuickMatchFound(io, mode, { roomId, roomCode, uids }) {
+  io.to(uids.map(getUserRoom)).emit("quickMatch:found", {
+    roomId,
+    roomCode,
+    mode,
+  });
+  scheduleLobbyUpdate(io);
+}
+
+/**
+ * Starts periodically matching queued players, whose rating bands widen while
+ * they wait.
+ * @param {import('socket.io').Server} io
+ */
+export function startQuickMatchSweep(io) {
+  setInterval(async () => {
+    try {
+      for (const { mode, ...match } of await sweepQuickMatchQueues()) {
+        emitQuickMatchFound(io, mode, match);
+      }
+    } catch (err) {
+      console.error("Quick match sweep failed:", err);
+    }
+  }, QUICK_MATCH_SWEEP_INTERVAL_MS).unref();
+}
+
+export default function registerLobbyHandlers(io, socket) {
+  let queuedMode = null; // Quick-match queue this socket is waiting in
+
+  /**
+   * Subscribes to the public room list. Acknowledges with the current list;
+   * later changes arrive as 'lobby:rooms' events.
+   */
+  socket.on("lobby:subscribe", async (_payload, callback) => {
+    try {
+      socket.join(LOBBY_ROOM);
+      callback?.({ status: "ok", rooms: await getLobbyRooms() });
+    } catch (error) {
+      console.error(`Error subscribing ${socket.id} to the lobby:`, error);
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  socket.on("lobby:unsubscribe", (_payload, callback) => {
+    socket.leave(LOBBY_ROOM);
+    callback?.({ status: "ok" });
+  });
+
+  /**
+   * Looks for a game. Payload: { mode }. Acknowledges with `{ queued, queueSize }`;
+   * every player placed in a room receives 'quickMatch:found' with
+   * `{ roomId, roomCode, mode }` and joins it with 'joinRoom'.
+   */
+  socket.on("quickMatch:join", async ({ mode } = {}, callback) => {
+    const uid = socket.user.uid;
+    try {
+      if (queuedMode && queuedMode !== mode) {
+        await serviceLeaveQuickMatch({ uid, mode: queuedMode });
+      }
+      const result = await serviceJoinQuickMatch({
+        uid,
+        name: socket.user.name || "Player",
+        mode,
+      });
+      const matchedHere = result.matches.some((m) => m.uids.includes(uid));
+      queuedMode = matchedHere ? null : result.mode;
+      callback?.({
+        status: "ok",
+        queued: !matchedHere,
+        queueSize: result.queueSize,
+      });
+      for (const match of result.matches) {
+        emitQuickMatchFound(io, result.mode, match);
+      }
+    } catch (error) {
+      console.error(`Error joining quick match for ${uid}:`, error);
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  socket.on("quickMatch:leave", async (_payload, callback) => {
+    if (!queuedMode) return callback?.({ status: "ok", wasQueued: false });
+    try {
+      const wasQueued = await serviceLeaveQuickMatch({
+        uid: socket.user.uid,
+        mode: queuedMode,
+      });
+      queuedMode = null;
+      callback?.({ status: "ok", wasQueued });
+    } catch (error) {
+      console.error(`Error leaving quick match for ${socket.user.uid}:`, error);
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  socket.on("disconnect", async () => {
+    if (!queuedMode) return;
+    try {
+      await serviceLeaveQuickMatch({ uid: socket.user.uid, mode: queuedMode });
+    } catch (err) {
+      console.error(`Error dropping ${socket.user.uid} from quick match:`, err);
+    }
+  });
+}
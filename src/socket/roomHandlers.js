@@ -9,16 +9,35 @@ import {
   leaveRoom as serviceLeaveRoom,
   getRoomPlayers,
   updateGameSettings as serviceUpdateGameSettings, // Import new service function
+  kickPlayer as serviceKickPlayer,
+  unbanPlayer as serviceUnbanPlayer,
+  transferHost as serviceTransferHost,
+  setCoHost as serviceSetCoHost,
+  setRoomLocked as serviceSetRoomLocked,
+  setRoomVisibility as serviceSetRoomVisibility,
+  setPlayerRole as serviceSetPlayerRole,
+  assignTeam as serviceAssignTeam,
+  autoBalanceTeams as serviceAutoBalanceTeams,
 } from "../services/roomService.js";
+import { buildTeamSummaries } from "../services/teamService.js";
+import { GAME_MODES } from "../services/gameModes.js";
 
 import {
   handlePlayerLeave as handlePlayerLeaveGameConsequences,
-  // Import if you want to send spectator game state from gameService
-  // getActiveGameStateForSpectator as serviceGetActiveGameStateForSpectator
+  getGameSnapshot as serviceGetGameSnapshot,
 } from "../services/gameService.js";
-import { uidToSocketId } from "./index.js";
+import { getUserRoom, getJoinedRoomIds } from "./index.js";
+import { hasOtherSessionInRoom } from "./sessionRegistry.js";
+import { scheduleLobbyUpdate } from "./lobbyHandlers.js";
+import {
+  SEAT_HOLD_KINDS,
+  holdPlayerSeat,
+  releasePlayerSeat,
+  onSeatHoldExpired,
+} from "../services/reconnectService.js";
 
 const emitPlayerListUpdate = async (io, roomId) => {
+  scheduleLobbyUpdate(io); // Player counts or settings shown in the lobby may have changed
   try {
     const players = await getRoomPlayers(roomId); // Should include role, online status
     const roomDoc = await getRoomModel(roomId);
@@ -27,10 +46,19 @@ const emitPlayerListUpdate = async (io, roomId) => {
     const currentGameSettings = roomDoc.exists
       ? roomDoc.data().gameSettings
       : {};
+    const coHostUids = roomDoc.exists ? roomDoc.data().coHostUids || [] : [];
+    const locked = roomDoc.exists ? roomDoc.data().locked === true : false;
+    const teams =
+      currentGameSettings?.mode === GAME_MODES.TEAM
+        ? buildTeamSummaries(players, currentGameSettings.teamCount)
+        : null;
 
     io.in(roomId).emit("updatePlayerList", {
       players,
+      teams,
       hostId: currentHostUid,
+      coHostIds: coHostUids,
+      locked,
       roomState: currentRoomState,
       gameSettings: currentGameSettings, // Also emit current game settings with player list
     });
@@ -39,13 +67,50 @@ const emitPlayerListUpdate = async (io, roomId) => {
   }
 };
 
+/**
+ * Removes a player who dropped from a room and did not come back, with the
+ * same consequences as leaving voluntarily.
+ */
+const removeDisconnectedPlayer = async (io, roomId, uid, displayName) => {
+  const roomDoc = await getRoomModel(roomId);
+  if (!roomDoc.exists) return;
+  const leaveResult = await serviceLeaveRoom({ uid, roomId }); // Full removal by service
+  if (roomDoc.data().state === "active") {
+    // The game started while their lobby slot was held
+    await handlePlayerLeaveGameConsequences({ roomId, uid });
+  }
+  if (!leaveResult.roomDeleted) {
+    io.in(roomId).emit("playerLeft", {
+      uid,
+      name: displayName,
+      newHostUid: leaveResult.newHostUid,
+    });
+    await emitPlayerListUpdate(io, roomId);
+  } else {
+    scheduleLobbyUpdate(io);
+  }
+};
+
+/**
+ * Removes players whose lobby seat was held for them but who did not come
+ * back, or whose quick-match seat was reserved but who never arrived.
+ * @param {import('socket.io').Server} io
+ */
+export function handleLobbySeatHoldExpiry(io) {
+  for (const kind of [SEAT_HOLD_KINDS.LOBBY, SEAT_HOLD_KINDS.RESERVATION]) {
+    onSeatHoldExpired(kind, ({ roomId, uid, name }) =>
+      removeDisconnectedPlayer(io, roomId, uid, name)
+    );
+  }
+}
+
 export default function registerRoomHandlers(io, socket) {
   const emitToRoom = (roomId, event, payload) => {
     io.in(roomId).emit(event, payload);
   };
 
   const isInRoom = (roomId) => {
-    return socket.rooms.has(roomId) && roomId !== socket.id;
+    return getJoinedRoomIds(socket).includes(roomId);
   };
 
   socket.on("createRoom", async (data, callback) => {
@@ -61,6 +126,8 @@ export default function registerRoomHandlers(io, socket) {
       const { id: roomId, code: roomCode } = await serviceCreateRoom({
         uid: hostUid,
         name: hostName,
+        visibility: data.visibility, // 'public' or 'private' (default)
+        mode: data.mode,
       });
 
       socket.join(roomId);
@@ -109,6 +176,14 @@ export default function registerRoomHandlers(io, socket) {
         roomState,
       });
 
+      const releasedHoldKind = await releasePlayerSeat(roomId, uid);
+      // A quick-match seat taken up is an arrival, not a reconnection
+      if (
+        releasedHoldKind !== null &&
+        releasedHoldKind !== SEAT_HOLD_KINDS.RESERVATION
+      ) {
+        io.in(roomId).emit("playerReconnected", { uid, name });
+      }
       io.in(roomId).emit("playerJoined", { uid, name, role: playerRole });
       await emitPlayerListUpdate(io, roomId);
 
@@ -120,9 +195,8 @@ export default function registerRoomHandlers(io, socket) {
         socket.emit("spectatingActiveGame", {
           roomId,
           message: "You are spectating an active game.",
-          // Consider fetching and sending current game state for spectators.
-          // e.g., const gameState = await serviceGetActiveGameStateForSpectator(roomId);
-          // socket.emit('currentGameState', gameState); // For the joining spectator only
+          // Lets the spectator render the game right away, for this socket only
+          gameState: await serviceGetGameSnapshot(roomId),
         });
       }
     } catch (error) {
@@ -158,7 +232,8 @@ export default function registerRoomHandlers(io, socket) {
         await handlePlayerLeaveGameConsequences({ roomId, uid });
       }
 
-      socket.leave(roomId);
+      // The player left, not just this tab: take their other sockets out too
+      io.in(getUserRoom(uid)).socketsLeave(roomId);
       callback?.({ status: "ok", ...leaveResult }); // Send back {hostChanged, newHostUid, roomDeleted}
 
       if (!leaveResult.roomDeleted) {
@@ -169,6 +244,8 @@ export default function registerRoomHandlers(io, socket) {
           newHostUid: leaveResult.newHostUid,
         });
         await emitPlayerListUpdate(io, roomId);
+      } else {
+        scheduleLobbyUpdate(io);
       }
       console.log(
         `Player ${displayName} (${uid}) voluntarily left room ${roomId}. Room deleted: ${leaveResult.roomDeleted}`
@@ -220,24 +297,200 @@ export default function registerRoomHandlers(io, socket) {
     }
   );
 
+  /**
+   * Registers a host/co-host lobby control event. Each event expects `{ roomId, ... }`,
+   * runs `action(payload)` (which enforces permissions in roomService), acknowledges
+   * with `{ status: "ok" }` and re-broadcasts the player list.
+   */
+  const registerLobbyControl = (eventName, action) => {
+    socket.on(eventName, async (payload = {}, callback) => {
+      const { roomId } = payload;
+      if (!socket.user?.uid || !roomId || !isInRoom(roomId)) {
+        return callback?.({
+          status: "error",
+          message: "Invalid request or not in room.",
+        });
+      }
+      try {
+        const result = await action(payload);
+        callback?.({ status: "ok", ...result });
+        await emitPlayerListUpdate(io, roomId);
+      } catch (error) {
+        console.error(
+          `Error handling ${eventName} in room ${roomId} by ${socket.user.uid}:`,
+          error
+        );
+        callback?.({ status: "error", message: error.message });
+      }
+    });
+  };
+
+  const removeTargetFromRoom = async ({ roomId, targetUid, ban }) => {
+    const { targetName, roomWasActive } = await serviceKickPlayer({
+      roomId,
+      actorUid: socket.user.uid,
+      targetUid,
+      ban,
+    });
+    if (roomWasActive) {
+      await handlePlayerLeaveGameConsequences({ roomId, uid: targetUid });
+    }
+    io.to(getUserRoom(targetUid)).emit("kickedFromRoom", {
+      roomId,
+      banned: !!ban,
+      byUid: socket.user.uid,
+    });
+    io.in(getUserRoom(targetUid)).socketsLeave(roomId);
+    emitToRoom(roomId, "playerKicked", {
+      uid: targetUid,
+      name: targetName,
+      banned: !!ban,
+    });
+    return {};
+  };
+
+  /**
+   * Host/co-host removes a player. Payload: { roomId, targetUid }.
+   * The kicked player receives 'kickedFromRoom'; the room receives 'playerKicked'.
+   */
+  registerLobbyControl("room:kickPlayer", ({ roomId, targetUid }) =>
+    removeTargetFromRoom({ roomId, targetUid, ban: false })
+  );
+
+  /**
+   * Host/co-host removes a player and prevents them from rejoining. Payload: { roomId, targetUid }.
+   */
+  registerLobbyControl("room:banPlayer", ({ roomId, targetUid }) =>
+    removeTargetFromRoom({ roomId, targetUid, ban: true })
+  );
+
+  /**
+   * Host/co-host lifts a ban. Payload: { roomId, targetUid }.
+   */
+  registerLobbyControl("room:unbanPlayer", async ({ roomId, targetUid }) => {
+    await serviceUnbanPlayer({ roomId, actorUid: socket.user.uid, targetUid });
+    return {};
+  });
+
+  /**
+   * Host hands the host role to another member. Payload: { roomId, newHostUid }.
+   * Emits 'hostChanged' to the room.
+   */
+  registerLobbyControl("room:transferHost", async ({ roomId, newHostUid }) => {
+    await serviceTransferHost({
+      roomId,
+      actorUid: socket.user.uid,
+      newHostUid,
+    });
+    emitToRoom(roomId, "hostChanged", {
+      previousHostUid: socket.user.uid,
+      newHostUid,
+    });
+    return {};
+  });
+
+  /**
+   * Host grants or revokes co-host privileges. Payload: { roomId, targetUid, isCoHost }.
+   */
+  registerLobbyControl(
+    "room:setCoHost",
+    async ({ roomId, targetUid, isCoHost }) => {
+      await serviceSetCoHost({
+        roomId,
+        actorUid: socket.user.uid,
+        targetUid,
+        isCoHost: !!isCoHost,
+      });
+      return {};
+    }
+  );
+
+  /**
+   * Host/co-host locks or unlocks the room to new joiners. Payload: { roomId, locked }.
+   */
+  registerLobbyControl("room:setLocked", async ({ roomId, locked }) => {
+    await serviceSetRoomLocked({
+      roomId,
+      actorUid: socket.user.uid,
+      locked: !!locked,
+    });
+    return {};
+  });
+
+  /**
+   * Host/co-host lists the room publicly or hides it again.
+   * Payload: { roomId, visibility: 'public' | 'private' }.
+   */
+  registerLobbyControl("room:setVisibility", async ({ roomId, visibility }) => {
+    await serviceSetRoomVisibility({
+      roomId,
+      actorUid: socket.user.uid,
+      visibility,
+    });
+    return {};
+  });
+
+  /**
+   * Host/co-host moves a member between roles in the lobby.
+   * Payload: { roomId, targetUid, role: 'player' | 'spectator' }.
+   */
+  registerLobbyControl(
+    "room:setPlayerRole",
+    async ({ roomId, targetUid, role }) => {
+      await serviceSetPlayerRole({
+        roomId,
+        actorUid: socket.user.uid,
+        targetUid,
+        role,
+      });
+      return {};
+    }
+  );
+
+  /**
+   * Host/co-host puts a member on a team, or clears it with teamId null.
+   * Payload: { roomId, targetUid, teamId }.
+   */
+  registerLobbyControl(
+    "room:assignTeam",
+    async ({ roomId, targetUid, teamId }) => {
+      await serviceAssignTeam({
+        roomId,
+        actorUid: socket.user.uid,
+        targetUid,
+        teamId: teamId ?? null,
+      });
+      return {};
+    }
+  );
+
+  /**
+   * Host/co-host splits all players evenly across teams. Payload: { roomId }.
+   */
+  registerLobbyControl("room:autoBalanceTeams", ({ roomId }) =>
+    serviceAutoBalanceTeams({ roomId, actorUid: socket.user.uid })
+  );
+
   socket.on("disconnecting", async () => {
     const uid = socket.user?.uid;
     if (!uid) return;
 
     const displayName = socket.user.name || uid;
-    const roomsPlayerIsIn = Array.from(socket.rooms).filter(
-      (r) => r !== socket.id && r
-    );
+    const roomsPlayerIsIn = getJoinedRoomIds(socket);
 
     // console.log(`Player ${displayName} (${uid}) disconnecting from rooms: ${roomsPlayerIsIn.join(", ")}.`);
 
     // `gameService.cleanupOnDisconnect` is called by `gameHandler.js`'s `disconnecting` event.
-    // That function marks player `online: false` in *active* games and handles game state advancement.
-    // The `roomHandler.js` `disconnecting` event should only call `serviceLeaveRoom` (full deletion)
-    // for rooms that are *not* currently active.
+    // That function holds the player's seat in *active* games, then marks them offline.
+    // The `roomHandler.js` `disconnecting` event should only remove players (after the
+    // reconnect grace window) from rooms that are *not* currently active.
 
     for (const roomId of roomsPlayerIsIn) {
       try {
+        if (await hasOtherSessionInRoom(io, socket, roomId)) {
+          // Still here from another tab or device: keep their place.
+          continue;
+        }
         const roomDoc = await getRoomModel(roomId); // Check current room state
         if (!roomDoc.exists) {
           // console.log(`Room ${roomId} not found during disconnect for ${uid}.`);
@@ -246,17 +499,23 @@ export default function registerRoomHandlers(io, socket) {
         const roomData = roomDoc.data();
 
         if (roomData.state !== "active") {
-          // If room is 'waiting' or 'ended', player can be fully removed by roomService.
+          // If room is 'waiting' or 'ended', the player is fully removed once the grace window ends.
           console.log(
-            `Player ${displayName} (${uid}) disconnecting from NON-ACTIVE room ${roomId}. Performing full leave from room service.`
+            `Player ${displayName} (${uid}) disconnecting from NON-ACTIVE room ${roomId}. Holding their slot before leaving.`
           );
-          const leaveResult = await serviceLeaveRoom({ uid, roomId }); // Full removal by service
-
-          if (!leaveResult.roomDeleted) {
-            io.in(roomId).emit("playerLeft", {
+          const reconnectDeadlineAt = await holdPlayerSeat({
+            roomId,
+            uid,
+            kind: SEAT_HOLD_KINDS.LOBBY,
+          });
+          if (reconnectDeadlineAt === null) {
+            // No grace window configured
+            await removeDisconnectedPlayer(io, roomId, uid, displayName);
+          } else {
+            io.in(roomId).emit("playerReconnecting", {
               uid,
               name: displayName,
-              newHostUid: leaveResult.newHostUid,
+              reconnectDeadlineAt,
             });
             await emitPlayerListUpdate(io, roomId);
           }
@@ -309,7 +568,57 @@ export default function registerRoomHandlers(io, socket) {
     callback?.({ status: "ok" });
   });
 
-  socket.on("privateMessage", ({ roomId, toUid, message }, callback) => {
+  /**
+   * Chat visible only to the sender's teammates. Payload: { roomId, message }.
+   */
+  socket.on("teamMessage", async ({ roomId, message }, callback) => {
+    if (!socket.user?.uid || !roomId || !isInRoom(roomId)) {
+      return callback?.({
+        status: "error",
+        message: "Cannot send team message.",
+      });
+    }
+    if (
+      !message ||
+      typeof message !== "string" ||
+      message.trim().length === 0 ||
+      message.length > 500
+    ) {
+      return callback?.({
+        status: "error",
+        message: "Invalid message content.",
+      });
+    }
+    try {
+      const fromUid = socket.user.uid;
+      const players = await getRoomPlayers(roomId);
+      const teamId = players.find((p) => p.uid === fromUid)?.teamId;
+      if (!teamId) {
+        return callback?.({
+          status: "error",
+          message: "You are not on a team.",
+        });
+      }
+      const messageData = {
+        fromUid,
+        fromName: socket.user.name || fromUid,
+        teamId,
+        message: message.trim(),
+        timestamp: Date.now(),
+        type: "team",
+      };
+      const teammateRooms = players
+        .filter((p) => p.teamId === teamId)
+        .map((p) => getUserRoom(p.uid));
+      io.to(teammateRooms).emit("teamMessage", messageData);
+      callback?.({ status: "ok" });
+    } catch (error) {
+      console.error(`Error sending team message in room ${roomId}:`, error);
+      callback?.({ status: "error", message: error.message });
+    }
+  });
+
+  socket.on("privateMessage", async ({ roomId, toUid, message }, callback) => {
     if (!socket.user?.uid || !toUid || !message) {
       return callback?.({
         status: "error",
@@ -323,25 +632,30 @@ export default function registerRoomHandlers(io, socket) {
 
     const fromUid = socket.user.uid;
     const fromName = socket.user.name || fromUid;
-    const toSocketId = uidToSocketId.get(toUid);
-
-    if (!toSocketId) {
-      return callback?.({
-        status: "error",
-        message: "Recipient not online or not found.",
-      });
+    try {
+      // Looks across all instances when a shared adapter is configured
+      const recipientSockets = await io.in(getUserRoom(toUid)).fetchSockets();
+      if (recipientSockets.length === 0) {
+        return callback?.({
+          status: "error",
+          message: "Recipient not online or not found.",
+        });
+      }
+      const messageData = {
+        fromUid,
+        fromName,
+        toUid,
+        message,
+        timestamp: Date.now(),
+        type: "private",
+      };
+      io.to(getUserRoom(toUid)).emit("privateMessage", messageData);
+      socket.emit("privateMessage", { ...messageData, isOwnMessage: true }); // For sender's UI
+      // console.log(`PM from ${fromName} to ${toUid} (context room ${roomId || 'N/A'}): ${message}`);
+      callback?.({ status: "ok" });
+    } catch (error) {
+      console.error(`Error sending private message to ${toUid}:`, error);
+      callback?.({ status: "error", message: error.message });
     }
-    const messageData = {
-      fromUid,
-      fromName,
-      toUid,
-      message,
-      timestamp: Date.now(),
-      type: "private",
-    };
-    io.to(toSocketId).emit("privateMessage", messageData);
-    socket.emit("privateMessage", { ...messageData, isOwnMessage: true }); // For sender's UI
-    // console.log(`PM from ${fromName} to ${toUid} (context room ${roomId || 'N/A'}): ${message}`);
-    callback?.({ status: "ok" });
   });
 }
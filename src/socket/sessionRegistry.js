@@ -0,0 +1,99 @@
+// server/src/socket/sessionRegistry.js
+import { SESSION_POLICY } from "../config/index.js";
+import { getUserRoom } from "./index.js";
+
+/**
+ * What happens when a user who is already connected opens another socket
+ * (a second tab or device).
+ */
+export const SESSION_POLICIES = {
+  ALLOW_ALL: "allow_all", // Every tab stays connected
+  NEWEST_WINS: "newest_wins", // Older sockets are disconnected
+  REJECT_DUPLICATES: "reject_duplicates", // The new socket is refused
+};
+
+const sessionPolicy = Object.values(SESSION_POLICIES).includes(SESSION_POLICY)
+  ? SESSION_POLICY
+  : SESSION_POLICIES.ALLOW_ALL;
+
+// A user's sessions are the sockets in their user room, so the registry spans
+// every server instance through the Socket.IO adapter and never goes stale.
+
+/**
+ * The sockets a user currently has open, on any instance.
+ * @param {import('socket.io').Server} io
+ * @param {string} uid
+ * @returns {Promise<Array<{ id: string, rooms: Set<string> }>>}
+ */
+export async function getUserSessions(io, uid) {
+  return io.in(getUserRoom(uid)).fetchSockets();
+}
+
+/**
+ * Whether a user has at least one socket open.
+ * @param {import('socket.io').Server} io
+ * @param {string} uid
+ * @returns {Promise<boolean>}
+ */
+export async function isUserOnline(io, uid) {
+  return (await getUserSessions(io, uid)).length > 0;
+}
+
+/**
+ * Which of the given users have at least one socket open, found with a single
+ * fetch across every instance.
+ * @param {import('socket.io').Server} io
+ * @param {Array<string>} uids
+ * @returns {Promise<Set<string>>}
+ */
+export async function getOnlineUids(io, uids) {
+  const online = new Set();
+  if (uids.length === 0) return online;
+  const uidsByUserRoom = new Map(uids.map((uid) => [getUserRoom(uid), uid]));
+  const sockets = await io.in([...uidsByUserRoom.keys()]).fetchSockets();
+  for (const socket of sockets) {
+    for (const room of socket.rooms) {
+      if (uidsByUserRoom.has(room)) online.add(uidsByUserRoom.get(room));
+    }
+  }
+  return online;
+}
+
+/**
+ * Whether the user behind `socket` is still in a game room through another
+ * of their sockets. A closing tab must not take the user offline there.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket - The socket going away.
+ * @param {string} roomId - The ID of the game room.
+ * @returns {Promise<boolean>}
+ */
+export async function hasOtherSessionInRoom(io, socket, roomId) {
+  const sessions = await getUserSessions(io, socket.user.uid);
+  return sessions.some((s) => s.id !== socket.id && s.rooms.has(roomId));
+}
+
+/**
+ * Applies the session policy to a socket that just authenticated, before it
+ * joins its user room.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket
+ * @returns {Promise<Error|null>} An error to refuse the connection with, if any.
+ */
+export async function enforceSessionPolicy(io, socket) {
+  if (sessionPolicy === SESSION_POLICIES.ALLOW_ALL) return null;
+  const uid = socket.user.uid;
+  if (sessionPolicy === SESSION_POLICIES.REJECT_DUPLICATES) {
+    if (!(await isUserOnline(io, uid))) return null;
+    const err = new Error("Session error: already connected");
+    err.data = {
+      content: "You are already connected from another tab or device.",
+    };
+    return err;
+  }
+  // NEWEST_WINS
+  io.to(getUserRoom(uid)).emit("session:replaced", {
+    message: "You connected from another tab or device.",
+  });
+  io.in(getUserRoom(uid)).disconnectSockets(true);
+  return null;
+}
@@ -0,0 +1,62 @@
+// server/src/store/index.js
+import { REDIS_URL } from "../config/index.js";
+import { createMemoryStore } from "./memoryStore.js";
+
+const STORE_KEY_PREFIX = "quiz:";
+
+/**
+ * Shared key-value store for state that must be visible to every server
+ * instance (room leases, play-again votes, ...). Backed by Redis when
+ * REDIS_URL is set, otherwise by process memory (single instance only).
+ *
+ * Interface (all async):
+ * - get(key) -> value|null
+ * - set(key, value, [ttlMs])
+ * - setIfAbsent(key, value, ttlMs) -> boolean
+ * - del(key) -> boolean (whether the key existed)
+ * - compareAndExpire(key, expectedValue, ttlMs) -> boolean
+ * - compareAndDelete(key, expectedValue) -> boolean
+ * - addToSet(key, member, [ttlMs]) -> { added, size }
+ * - removeFromSet(key, member) -> { removed, size }
+ * - getSetMembers(key) -> Array<string>
+ * - setSortedSetScore(key, member, score)
+ * - removeFromSortedSet(key, member) -> boolean
+ * - getSortedSetMembers(key, [{ maxScore, limit }]) -> Array<string>, lowest score first
+ *
+ * Set and sorted set members are strings. A TTL given when adding to a set
+ * applies to the whole set and is refreshed on every add.
+ */
+let store;
+let redisClient = null;
+
+if (REDIS_URL) {
+  // Loaded lazily so single-instance setups do not need Redis at all.
+  const { default: Redis } = await import("ioredis");
+  const { createRedisStore } = await import("./redisStore.js");
+  redisClient = new Redis(REDIS_URL, { keyPrefix: STORE_KEY_PREFIX });
+  redisClient.on("error", (err) => console.error("Redis store error:", err));
+  store = createRedisStore(redisClient);
+  console.log("Shared store: Redis.");
+} else {
+  store = createMemoryStore();
+  console.log("Shared store: in-memory (single instance).");
+}
+
+/**
+ * Builds the Socket.IO adapter that relays broadcasts between instances.
+ * @returns {Promise<Function|null>} A Redis adapter, or null when running in-memory
+ *   (Socket.IO's default adapter is then used).
+ */
+export async function createSocketAdapter() {
+  if (!redisClient) return null;
+  const { createAdapter } = await import("@socket.io/redis-adapter");
+  // The adapter needs its own connections: a subscribed client can't issue commands.
+  const pubClient = redisClient.duplicate({ keyPrefix: "" });
+  const subClient = redisClient.duplicate({ keyPrefix: "" });
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (err) => console.error("Redis adapter error:", err));
+  }
+  return createAdapter(pubClient, subClient, { key: `${STORE_KEY_PREFIX}io` });
+}
+
+export { store };
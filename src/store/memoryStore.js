@@ -0,0 +1,105 @@
+// server/src/store/memoryStore.js
+
+/**
+ * Process-local store backend. Only suitable for a single server instance.
+ * Values are kept as-is; sets are kept as `Set`s and sorted sets as `Map`s of
+ * member -> score. Expired keys are dropped lazily when next accessed.
+ * @returns {object} A store implementing the interface documented in store/index.js.
+ */
+export function createMemoryStore() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function write(key, value, ttlMs) {
+    entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  return {
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key)) return false;
+      write(key, value, ttlMs);
+      return true;
+    },
+
+    async del(key) {
+      const existed = read(key) !== undefined;
+      entries.delete(key);
+      return existed;
+    },
+
+    async compareAndExpire(key, expectedValue, ttlMs) {
+      const entry = read(key);
+      if (!entry || entry.value !== expectedValue) return false;
+      entry.expiresAt = Date.now() + ttlMs;
+      return true;
+    },
+
+    async compareAndDelete(key, expectedValue) {
+      const entry = read(key);
+      if (!entry || entry.value !== expectedValue) return false;
+      entries.delete(key);
+      return true;
+    },
+
+    async addToSet(key, member, ttlMs) {
+      const entry = read(key);
+      const members = entry?.value || new Set();
+      // As with Redis, every add given a TTL refreshes it
+      if (!entry || ttlMs) write(key, members, ttlMs);
+      const added = !members.has(member);
+      members.add(member);
+      return { added, size: members.size };
+    },
+
+    async removeFromSet(key, member) {
+      const entry = read(key);
+      if (!entry) return { removed: false, size: 0 };
+      const removed = entry.value.delete(member);
+      if (entry.value.size === 0) entries.delete(key);
+      return { removed, size: entry.value.size };
+    },
+
+    async getSetMembers(key) {
+      return [...(read(key)?.value || [])];
+    },
+
+    async setSortedSetScore(key, member, score) {
+      const entry = read(key);
+      if (entry) entry.value.set(member, score);
+      else write(key, new Map([[member, score]]));
+    },
+
+    async removeFromSortedSet(key, member) {
+      const entry = read(key);
+      if (!entry) return false;
+      const removed = entry.value.delete(member);
+      if (entry.value.size === 0) entries.delete(key);
+      return removed;
+    },
+
+    async getSortedSetMembers(key, { maxScore = Infinity, limit } = {}) {
+      const members = [...(read(key)?.value || [])]
+        .filter(([, score]) => score <= maxScore)
+        .sort(([, a], [, b]) => a - b)
+        .map(([member]) => member);
+      return limit === undefined ? members : members.slice(0, limit);
+    },
+  };
+}
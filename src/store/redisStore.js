@@ -0,0 +1,105 @@
+// server/src/store/redisStore.js
+
+// Atomic check-then-act operations, run server-side so that two instances
+// can never both succeed.
+const COMPARE_AND_EXPIRE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0`;
+const COMPARE_AND_DELETE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
+/**
+ * Store backend for any Redis-compatible server, shared by every instance.
+ * Values are JSON-encoded; sets and sorted sets hold plain strings.
+ * @param {import('ioredis').Redis} redis - A connected ioredis client.
+ * @returns {object} A store implementing the interface documented in store/index.js.
+ */
+export function createRedisStore(redis) {
+  return {
+    async get(key) {
+      const raw = await redis.get(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      const raw = JSON.stringify(value);
+      if (ttlMs) await redis.set(key, raw, "PX", ttlMs);
+      else await redis.set(key, raw);
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const result = await redis.set(
+        key,
+        JSON.stringify(value),
+        "PX",
+        ttlMs,
+        "NX"
+      );
+      return result === "OK";
+    },
+
+    async del(key) {
+      return (await redis.del(key)) > 0;
+    },
+
+    async compareAndExpire(key, expectedValue, ttlMs) {
+      const result = await redis.eval(
+        COMPARE_AND_EXPIRE_SCRIPT,
+        1,
+        key,
+        JSON.stringify(expectedValue),
+        ttlMs
+      );
+      return result === 1;
+    },
+
+    async compareAndDelete(key, expectedValue) {
+      const result = await redis.eval(
+        COMPARE_AND_DELETE_SCRIPT,
+        1,
+        key,
+        JSON.stringify(expectedValue)
+      );
+      return result === 1;
+    },
+
+    async addToSet(key, member, ttlMs) {
+      const pipeline = redis.multi().sadd(key, member).scard(key);
+      if (ttlMs) pipeline.pexpire(key, ttlMs);
+      const [[, added], [, size]] = await pipeline.exec();
+      return { added: added === 1, size };
+    },
+
+    async removeFromSet(key, member) {
+      const [[, removed], [, size]] = await redis
+        .multi()
+        .srem(key, member)
+        .scard(key)
+        .exec();
+      return { removed: removed === 1, size };
+    },
+
+    async getSetMembers(key) {
+      return redis.smembers(key);
+    },
+
+    async setSortedSetScore(key, member, score) {
+      await redis.zadd(key, score, member);
+    },
+
+    async removeFromSortedSet(key, member) {
+      return (await redis.zrem(key, member)) > 0;
+    },
+
+    async getSortedSetMembers(key, { maxScore = Infinity, limit } = {}) {
+      const max = maxScore === Infinity ? "+inf" : maxScore;
+      if (limit === undefined) return redis.zrangebyscore(key, "-inf", max);
+      return redis.zrangebyscore(key, "-inf", max, "LIMIT", 0, limit);
+    },
+  };
+}
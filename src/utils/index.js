@@ -19,3 +19,22 @@ export function generateRoomCode(length = 6) {
   }
   return code;
 }
+
+const GUEST_NAME_ADJECTIVES = [
+  'Brave', 'Clever', 'Curious', 'Swift', 'Witty', 'Lucky', 'Bold', 'Sharp',
+  'Quiet', 'Jolly', 'Mighty', 'Nimble',
+];
+const GUEST_NAME_ANIMALS = [
+  'Otter', 'Falcon', 'Panda', 'Fox', 'Owl', 'Tiger', 'Koala', 'Lynx',
+  'Heron', 'Badger', 'Dolphin', 'Gecko',
+];
+
+/**
+ * Generate a friendly display name for a guest, e.g. "Curious Otter 42".
+ * @returns {string}
+ */
+export function generateGuestName() {
+  const adjective = GUEST_NAME_ADJECTIVES[crypto.randomInt(GUEST_NAME_ADJECTIVES.length)];
+  const animal = GUEST_NAME_ANIMALS[crypto.randomInt(GUEST_NAME_ANIMALS.length)];
+  return `${adjective} ${animal} ${crypto.randomInt(10, 100)}`;
+}
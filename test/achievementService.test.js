@@ -0,0 +1,148 @@
+// server/test/achievementService.test.js
+// Evaluates the shipped rules (src/data/achievements.json) against the
+// in-memory database.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createUser, getUser } from "../src/models/userModel.js";
+import {
+  ACHIEVEMENT_EVENTS,
+  getAchievementProgress,
+  recordAchievementEvent,
+} from "../src/services/achievementService.js";
+
+const answer = (facts) => ({
+  mode: "classic",
+  correct: true,
+  isTimeout: false,
+  elapsedMs: 5000,
+  streak: 1,
+  difficulty: "easy",
+  ...facts,
+});
+const gameEnd = (facts) => ({
+  mode: "classic",
+  rank: 1,
+  won: true,
+  participants: 2,
+  questionsAnswered: 3,
+  correctAnswers: 2,
+  timeouts: 0,
+  perfect: false,
+  longestStreak: 1,
+  stealsSucceeded: 0,
+  ...facts,
+});
+
+async function getProgress(uid, achievementId) {
+  return getAchievementProgress(await getUser(uid)).find(
+    (achievement) => achievement.id === achievementId
+  );
+}
+
+async function record(uid, event, facts) {
+  const unlocked = await recordAchievementEvent({ uid, event, facts });
+  return unlocked.map((achievement) => achievement.id);
+}
+
+test("an achievement unlocks when its conditions match", async () => {
+  await createUser("quick", {});
+  const { ANSWER } = ACHIEVEMENT_EVENTS;
+
+  assert.deepEqual(await record("quick", ANSWER, answer({})), []);
+  assert.deepEqual(
+    await record("quick", ANSWER, answer({ correct: false, elapsedMs: 900 })),
+    []
+  );
+  assert.deepEqual(await record("quick", ANSWER, answer({ elapsedMs: 1999 })), [
+    "quick_draw",
+  ]);
+  // Unlocked once only
+  assert.deepEqual(
+    await record("quick", ANSWER, answer({ elapsedMs: 500 })),
+    []
+  );
+
+  const { achievements } = await getUser("quick");
+  assert.deepEqual(Object.keys(achievements), ["quick_draw"]);
+});
+
+test("counted achievements keep progress between events", async () => {
+  await createUser("thief", {});
+  for (let i = 0; i < 9; i++) {
+    const unlocked = await record("thief", ACHIEVEMENT_EVENTS.STEAL, {
+      correct: true,
+    });
+    assert.deepEqual(unlocked, i === 0 ? ["first_steal"] : []);
+  }
+  await record("thief", ACHIEVEMENT_EVENTS.STEAL, { correct: false });
+  let stealMaster = await getProgress("thief", "steal_master");
+  assert.equal(stealMaster.progress, 9);
+  assert.equal(stealMaster.unlockedAt, null);
+
+  assert.deepEqual(
+    await record("thief", ACHIEVEMENT_EVENTS.STEAL, { correct: true }),
+    ["steal_master"]
+  );
+  stealMaster = await getProgress("thief", "steal_master");
+  assert.equal(stealMaster.progress, stealMaster.target);
+  assert.ok(stealMaster.unlockedAt);
+});
+
+test("consecutive achievements start over when the run breaks", async () => {
+  await createUser("streaky", {});
+  const { GAME_END } = ACHIEVEMENT_EVENTS;
+  for (let i = 0; i < 4; i++) await record("streaky", GAME_END, gameEnd({}));
+  await record("streaky", GAME_END, gameEnd({ rank: 2, won: false }));
+  for (let i = 0; i < 4; i++) {
+    assert.deepEqual(await record("streaky", GAME_END, gameEnd({})), []);
+  }
+  assert.deepEqual(await record("streaky", GAME_END, gameEnd({})), [
+    "win_streak_5",
+  ]);
+});
+
+test("operator conditions compare the facts", async () => {
+  await createUser("flawless", {});
+  const { GAME_END } = ACHIEVEMENT_EVENTS;
+  assert.deepEqual(
+    await record(
+      "flawless",
+      GAME_END,
+      gameEnd({ won: false, perfect: true, questionsAnswered: 4 })
+    ),
+    []
+  );
+  assert.deepEqual(
+    await record(
+      "flawless",
+      GAME_END,
+      gameEnd({ won: false, perfect: true, questionsAnswered: 5 })
+    ),
+    ["perfect_game"]
+  );
+});
+
+test("mode conditions only match games of the mode", async () => {
+  await createUser("survivor", {});
+  const { GAME_END } = ACHIEVEMENT_EVENTS;
+  assert.deepEqual(await record("survivor", GAME_END, gameEnd({})), [
+    "first_win",
+  ]);
+  assert.deepEqual(
+    await record("survivor", GAME_END, gameEnd({ mode: "survival" })),
+    ["last_one_standing"]
+  );
+});
+
+test("guests and unknown users earn nothing", async () => {
+  const facts = answer({ elapsedMs: 100 });
+  assert.deepEqual(
+    await record("guest_123", ACHIEVEMENT_EVENTS.ANSWER, facts),
+    []
+  );
+  assert.deepEqual(
+    await record("nobody", ACHIEVEMENT_EVENTS.ANSWER, facts),
+    []
+  );
+  assert.equal(await getUser("nobody"), null);
+});
@@ -0,0 +1,44 @@
+// server/test/authService.test.js
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  GUEST_TOKEN_TTL_MS,
+  GUEST_UPGRADE_GRACE_MS,
+  getSessionEndReason,
+  issueGuestToken,
+  verifyGuestToken,
+} from "../src/services/authService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("expired guest tokens are only accepted within the grace period [user-014]", (t) => {
+  const { token, uid } = issueGuestToken();
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + GUEST_TOKEN_TTL_MS;
+  const now = mock.method(Date, "now", () => expiresAt + DAY_MS);
+  t.after(() => now.mock.restore());
+
+  assert.throws(() => verifyGuestToken(token), {
+    code: "auth/id-token-expired",
+  });
+  const upgrading = { graceMs: GUEST_UPGRADE_GRACE_MS };
+  assert.equal(verifyGuestToken(token, upgrading).uid, uid);
+
+  now.mock.mockImplementation(() => expiresAt + GUEST_UPGRADE_GRACE_MS);
+  assert.throws(() => verifyGuestToken(token, upgrading), {
+    code: "auth/id-token-expired",
+  });
+});
+
+test("revoked and disabled accounts end their sessions [user-015]", () => {
+  assert.equal(
+    getSessionEndReason({ code: "auth/id-token-revoked" }),
+    "token_revoked"
+  );
+  assert.equal(
+    getSessionEndReason({ code: "auth/user-disabled" }),
+    "account_disabled"
+  );
+  // Firebase being unreachable says nothing about the session
+  assert.equal(getSessionEndReason(new Error("ECONNRESET")), null);
+});
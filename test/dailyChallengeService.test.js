@@ -0,0 +1,71 @@
+// server/test/dailyChallengeService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getDailyAttemptRef,
+  getDailyChallengeRef,
+} from "../src/models/dailyChallengeModel.js";
+import {
+  getDailyChallengeLeaderboard,
+  submitDailyChallengeAnswer,
+} from "../src/services/dailyChallengeService.js";
+
+// A day that is over by the time the attempt is finished
+const CHALLENGE_DATE = "2026-03-11";
+
+test("an attempt started before midnight is finished on its own day [user-007]", async () => {
+  const questions = ["0", "1"].map((id) => ({
+    id,
+    text: `Question ${id}`,
+    options: ["a", "b", "c", "d"],
+    correctIndex: 2,
+  }));
+  await getDailyChallengeRef(CHALLENGE_DATE).set({
+    date: CHALLENGE_DATE,
+    questions,
+    questionCount: questions.length,
+  });
+  await getDailyAttemptRef(CHALLENGE_DATE, "moe").set({
+    uid: "moe",
+    displayName: "Moe",
+    status: "inProgress",
+    currentIndex: 1,
+    questionServedAt: Date.now(),
+    answers: [
+      { questionId: "0", answerIndex: 2, correct: true, elapsedMs: 900 },
+    ],
+    score: 1,
+    totalTimeMs: 900,
+  });
+
+  await assert.rejects(
+    submitDailyChallengeAnswer({ uid: "moe", questionId: "1", answerIndex: 2 }),
+    { status: 404 }
+  );
+  const result = await submitDailyChallengeAnswer({
+    uid: "moe",
+    date: CHALLENGE_DATE,
+    questionId: "1",
+    answerIndex: 2,
+  });
+  assert.equal(result.date, CHALLENGE_DATE);
+  assert.equal(result.correct, true);
+  assert.equal(result.completed, true);
+  assert.equal(result.rank, 1);
+  assert.equal(result.attempt.score, 2);
+
+  const board = await getDailyChallengeLeaderboard({ date: CHALLENGE_DATE });
+  assert.deepEqual(
+    board.entries.map(({ uid, score }) => [uid, score]),
+    [["moe", 2]]
+  );
+  await assert.rejects(
+    submitDailyChallengeAnswer({
+      uid: "moe",
+      date: "11/03/2026",
+      questionId: "1",
+      answerIndex: 2,
+    }),
+    { status: 400 }
+  );
+});
@@ -0,0 +1,914 @@
+// server/test/game.test.js
+// Plays whole games over Socket.IO against the in-memory backends
+// (see test/test.env) with the deterministic fixture question provider.
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { io as connectClient } from "socket.io-client";
+import { httpServer } from "../src/app.js";
+import { getPlayer, updatePlayer } from "../src/models/playerModel.js";
+import { getRoom, updateRoom } from "../src/models/roomModel.js";
+import {
+  GUEST_TOKEN_TTL_MS,
+  issueGuestToken,
+} from "../src/services/authService.js";
+import {
+  recoverGameTimers,
+  submitAnswer,
+} from "../src/services/gameService.js";
+import { clearAllRoomTimers } from "../src/services/gameTimerService.js";
+import { resumeSeatHolds } from "../src/services/reconnectService.js";
+
+let baseUrl;
+const openSockets = [];
+
+before(async () => {
+  // The server narrates every game; keep the test output readable
+  mock.method(console, "log", () => {});
+  await new Promise((resolve) => httpServer.listen(0, resolve));
+  baseUrl = `http://localhost:${httpServer.address().port}`;
+});
+
+after(async () => {
+  for (const socket of openSockets) socket.close();
+  await new Promise((resolve) => httpServer.close(resolve));
+});
+
+function connect(uid) {
+  return connectWithToken(`dev:${uid}:${uid}`);
+}
+
+function connectWithToken(token) {
+  return new Promise((resolve, reject) => {
+    const socket = connectClient(baseUrl, {
+      auth: { token },
+      transports: ["websocket"],
+      reconnection: false,
+    });
+    openSockets.push(socket);
+    socket.once("connect", () => resolve(socket));
+    socket.once("connect_error", reject);
+  });
+}
+
+function call(socket, event, payload) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve));
+}
+
+function nextEvent(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+// Fixture question N has its correct answer at index (N - 1) % 4
+function getFixtureAnswer(question, correct) {
+  const questionNum = Number(question.text.match(/#(\d+)$/)[1]);
+  const correctIndex = (questionNum - 1) % 4;
+  return correct ? correctIndex : (correctIndex + 1) % 4;
+}
+
+async function getJson(path, uid) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: uid ? { Authorization: `Bearer dev:${uid}` } : {},
+  });
+  assert.equal(response.status, 200, `GET ${path}`);
+  return response.json();
+}
+
+async function postJson(path, uid, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer dev:${uid}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body ?? {}),
+  });
+  assert.equal(response.status, 200, `POST ${path}`);
+  return response.json();
+}
+
+/**
+ * Opens a room for the given players (the first one hosts) and starts a game.
+ * @returns {Promise<object>} `{ sockets, roomId, initialState, gameEnded,
+ *   ratingsUpdated }`, the last two being promises of the host's events.
+ */
+async function startGame({ players, settings }) {
+  const sockets = {};
+  for (const uid of players) sockets[uid] = await connect(uid);
+  const [hostUid] = players;
+  const created = await call(sockets[hostUid], "createRoom", {});
+  assert.equal(created.status, "ok", created.message);
+  for (const uid of players.slice(1)) {
+    const joined = await call(sockets[uid], "joinRoom", {
+      roomCode: created.roomCode,
+    });
+    assert.equal(joined.status, "ok", joined.message);
+  }
+
+  const gameEnded = nextEvent(sockets[hostUid], "gameEnded");
+  const ratingsUpdated = nextEvent(sockets[hostUid], "ratingsUpdated");
+  const started = await call(sockets[hostUid], "game:start", {
+    roomId: created.roomId,
+    settings: { questionProviders: ["fixture"], ...settings },
+  });
+  assert.equal(started.status, "ok", started.message);
+  return {
+    sockets,
+    roomId: created.roomId,
+    initialState: started.initialState,
+    gameEnded,
+    ratingsUpdated,
+  };
+}
+
+/**
+ * Starts a game between the given players, who then answer every turn they
+ * get: correctly when `answersCorrectly[uid]` is set.
+ * @returns {Promise<object>} `{ finalScores, ratingsUpdated }`: the 'gameEnded'
+ *   and 'ratingsUpdated' payloads the host received.
+ */
+async function playGame({ players, settings, answersCorrectly }) {
+  const game = await startGame({ players, settings });
+  const { sockets, roomId } = game;
+
+  // Turns can be announced more than once; each is answered once
+  const answeredVersions = new Set();
+  const answerTurn = ({ turnUid, question, stateVersion }) => {
+    if (answeredVersions.has(stateVersion)) return;
+    answeredVersions.add(stateVersion);
+    sockets[turnUid].emit("submitAnswer", {
+      roomId,
+      questionId: question.id,
+      answerIndex: getFixtureAnswer(question, answersCorrectly[turnUid]),
+      stateVersion,
+    });
+  };
+  sockets[players[0]].on("nextTurn", answerTurn);
+  answerTurn(game.initialState);
+  return {
+    finalScores: await game.gameEnded,
+    ratingsUpdated: await game.ratingsUpdated,
+  };
+}
+
+test("a classic game ends with the bare score map and is recorded", async () => {
+  const { finalScores, ratingsUpdated } = await playGame({
+    players: ["ada", "bo"],
+    settings: { questionsPerPlayer: 2, allowSteal: false },
+    answersCorrectly: { ada: true, bo: false },
+  });
+
+  assert.deepEqual(Object.keys(finalScores).sort(), ["ada", "bo"]);
+  assert.ok(finalScores.ada > 0);
+  assert.equal(finalScores.bo, 0);
+
+  const { ratings } = ratingsUpdated;
+  assert.ok(ratings.ada.change > 0);
+  assert.equal(ratings.bo.change, -ratings.ada.change);
+
+  const profile = await getJson("/api/profile", "ada");
+  assert.equal(profile.ratings.classic.gamesPlayed, 1);
+  assert.equal(profile.stats.gamesPlayed, 1);
+  assert.equal(profile.stats.gamesWon, 1);
+  assert.equal(profile.stats.questionsAnswered, 2);
+  assert.equal(profile.stats.correctAnswers, 2);
+  assert.ok(profile.achievements.first_win);
+
+  const board = await getJson("/api/leaderboards/classic/global", "bo");
+  assert.deepEqual(
+    board.entries.map((entry) => [entry.rank, entry.uid]),
+    [
+      [1, "ada"],
+      [2, "bo"],
+    ]
+  );
+  assert.equal(board.me.uid, "bo");
+});
+
+test("a team battle sends team totals with every score", async () => {
+  const { finalScores } = await playGame({
+    players: ["cy", "di", "ed", "flo"],
+    settings: {
+      mode: "team",
+      teamCount: 2,
+      questionsPerPlayer: 1,
+      allowSteal: false,
+    },
+    answersCorrectly: { cy: true, di: true, ed: true, flo: true },
+  });
+
+  assert.equal(finalScores.mode, "team");
+  assert.deepEqual(Object.keys(finalScores.scores).sort(), [
+    "cy",
+    "di",
+    "ed",
+    "flo",
+  ]);
+  const teamTotal = Object.values(finalScores.teamScores).reduce(
+    (sum, score) => sum + score,
+    0
+  );
+  const playerTotal = Object.values(finalScores.scores).reduce(
+    (sum, score) => sum + score,
+    0
+  );
+  assert.equal(teamTotal, playerTotal);
+  assert.ok(Array.isArray(finalScores.winningTeamIds));
+});
+
+test("a player who quits is rated as finishing last", async () => {
+  const { sockets, roomId, initialState } = await startGame({
+    players: ["gus", "hal"],
+    settings: { questionsPerPlayer: 3, allowSteal: false },
+  });
+  const { turnUid, question, stateVersion } = initialState;
+  // The player to move scores first, so the quitter is ahead on points
+  const [quitterUid, stayerUid] =
+    turnUid === "gus" ? ["gus", "hal"] : ["hal", "gus"];
+  const answered = await call(sockets[turnUid], "submitAnswer", {
+    roomId,
+    questionId: question.id,
+    answerIndex: getFixtureAnswer(question, true),
+    stateVersion,
+  });
+  assert.equal(answered.status, "ok", answered.message);
+  const ratingsUpdated = nextEvent(sockets[stayerUid], "ratingsUpdated");
+  await call(sockets[quitterUid], "leaveRoom", { roomId });
+
+  const { ratings } = await ratingsUpdated;
+  assert.ok(ratings[quitterUid].change < 0);
+  assert.ok(ratings[stayerUid].change > 0);
+});
+
+test("survival answers are acknowledged before the round result [user-005]", async () => {
+  const { sockets, roomId, initialState, gameEnded } = await startGame({
+    players: ["ivy", "jo"],
+    settings: { mode: "survival" },
+  });
+  const events = [];
+  sockets.ivy.onAny((event, payload) => events.push([event, payload]));
+  const { question } = initialState;
+  for (const uid of ["ivy", "jo"]) {
+    const answered = await call(sockets[uid], "survival:submitAnswer", {
+      roomId,
+      questionId: question.id,
+      answerIndex: getFixtureAnswer(question, uid === "ivy"),
+    });
+    assert.equal(answered.status, "ok", answered.message);
+    assert.equal(answered.accepted, true);
+  }
+  const finalScores = await gameEnded;
+
+  const names = events.map(([event]) => event);
+  const received = events
+    .filter(([event]) => event === "survivalAnswerReceived")
+    .map(([, payload]) => payload.uid);
+  assert.deepEqual(received, ["ivy", "jo"]);
+  assert.ok(
+    names.lastIndexOf("survivalAnswerReceived") <
+      names.indexOf("survivalRoundResult")
+  );
+  assert.deepEqual(finalScores.winnerUids, ["ivy"]);
+});
+
+test("friends are told of requests and listed as online [user-024]", async () => {
+  const kai = await connect("kai");
+  const lux = await connect("lux");
+  const requested = nextEvent(lux, "friend:request");
+  await postJson("/api/friends/requests", "kai", { uid: "lux" });
+  assert.equal((await requested).uid, "kai");
+  const accepted = nextEvent(kai, "friend:accepted");
+  await postJson("/api/friends/requests/kai/accept", "lux");
+  assert.equal((await accepted).uid, "lux");
+
+  let list = await getJson("/api/friends", "kai");
+  assert.deepEqual(
+    list.friends.map(({ uid, online }) => [uid, online]),
+    [["lux", true]]
+  );
+  const wentOffline = nextEvent(kai, "friend:offline");
+  lux.close();
+  await wentOffline;
+  list = await getJson("/api/friends", "kai");
+  assert.equal(list.friends[0].online, false);
+
+  const socketList = await call(kai, "friends:list", {});
+  assert.equal(socketList.status, "ok");
+  assert.deepEqual(
+    socketList.friends.map(({ uid }) => uid),
+    ["lux"]
+  );
+});
+
+async function startGuestSession() {
+  const response = await fetch(`${baseUrl}/api/auth/guest`, {
+    method: "POST",
+  });
+  assert.equal(response.status, 201);
+  return response.json();
+}
+
+test("guests are kept out of friends with one message [user-024]", async () => {
+  const guest = await startGuestSession();
+  const response = await fetch(`${baseUrl}/api/friends`, {
+    headers: { Authorization: `Bearer ${guest.token}` },
+  });
+  assert.equal(response.status, 403);
+  const { error, code } = await response.json();
+  assert.equal(code, "GUEST_RESTRICTED");
+
+  const socket = await connectWithToken(guest.token);
+  const refused = await call(socket, "friends:list", {});
+  assert.equal(refused.code, "GUEST_RESTRICTED");
+  assert.equal(refused.message, error);
+});
+
+test("a guest profile is only stored once the guest connects [user-014]", async () => {
+  const guest = await startGuestSession();
+  const getProfile = () =>
+    fetch(`${baseUrl}/api/profile`, {
+      headers: { Authorization: `Bearer ${guest.token}` },
+    });
+  assert.equal((await getProfile()).status, 404);
+
+  await connectWithToken(guest.token);
+  const response = await getProfile();
+  assert.equal(response.status, 200);
+  const profile = await response.json();
+  assert.equal(profile.isGuest, true);
+  assert.equal(profile.displayName, guest.displayName);
+});
+
+test("a finished room restarts with the settings sent to start it [user-003]", async () => {
+  const game = await startGame({
+    players: ["kit", "lev"],
+    settings: { questionsPerPlayer: 1, allowSteal: false },
+  });
+  const { sockets, roomId } = game;
+  const answerTurn = ({ turnUid, question, stateVersion }) =>
+    sockets[turnUid].emit("submitAnswer", {
+      roomId,
+      questionId: question.id,
+      answerIndex: getFixtureAnswer(question, true),
+      stateVersion,
+    });
+  sockets.kit.on("nextTurn", answerTurn);
+  answerTurn(game.initialState);
+  await game.gameEnded;
+  sockets.kit.off("nextTurn", answerTurn);
+
+  const refused = await call(sockets.kit, "game:start", {
+    roomId,
+    settings: { questionsPerPlayer: 99 },
+  });
+  assert.equal(refused.status, "error");
+  assert.match(refused.message, /between 1 and 20/);
+
+  const restarted = await call(sockets.kit, "game:start", {
+    roomId,
+    settings: { questionProviders: ["fixture"], questionsPerPlayer: 3 },
+  });
+  assert.equal(restarted.status, "ok", restarted.message);
+  assert.equal(restarted.initialState.gameSettings.questionsPerPlayer, 3);
+  assert.equal(restarted.initialState.gameSettings.allowSteal, false);
+});
+
+test("a game will not start with unknown question providers [user-001]", async () => {
+  const mia = await connect("mia");
+  const ned = await connect("ned");
+  const created = await call(mia, "createRoom", {});
+  await call(ned, "joinRoom", { roomCode: created.roomCode });
+
+  const refused = await call(mia, "game:start", {
+    roomId: created.roomId,
+    settings: { questionProviders: ["fixture", "nowhere"] },
+  });
+  assert.equal(refused.status, "error");
+  assert.match(refused.message, /Unknown question provider\(s\): nowhere/);
+
+  const started = await call(mia, "game:start", {
+    roomId: created.roomId,
+    settings: { questionProviders: ["fixture", "fixture"] },
+  });
+  assert.equal(started.status, "ok", started.message);
+  assert.deepEqual(started.initialState.gameSettings.questionProviders, [
+    "fixture",
+  ]);
+});
+
+test("questions reach clients without their answer until it is revealed [user-002]", async () => {
+  const game = await startGame({
+    players: ["ola", "pip"],
+    settings: { questionsPerPlayer: 2, allowSteal: false },
+  });
+  const { sockets, roomId, initialState } = game;
+  const { turnUid, question, stateVersion } = initialState;
+  assert.equal(question.correctIndex, undefined);
+  assert.ok(question.options.length > 0);
+
+  const answerResult = nextEvent(sockets.pip, "answerResult");
+  const nextTurn = nextEvent(sockets.pip, "nextTurn");
+  await call(sockets[turnUid], "submitAnswer", {
+    roomId,
+    questionId: question.id,
+    answerIndex: getFixtureAnswer(question, false),
+    stateVersion,
+  });
+  const revealed = await answerResult;
+  assert.equal(revealed.correct, false);
+  assert.equal(revealed.correctIndex, getFixtureAnswer(question, true));
+  const next = await nextTurn;
+  assert.equal(next.question.correctIndex, undefined);
+
+  const rejoined = await call(sockets.pip, "game:rejoin", { roomId });
+  assert.equal(rejoined.status, "ok", rejoined.message);
+  const { question: current } = rejoined.gameState;
+  assert.equal(current.id, next.question.id);
+  assert.equal(current.correctIndex, undefined);
+});
+
+test("speed challenge players work through their own questions [user-004]", async () => {
+  const { sockets, roomId, initialState, gameEnded } = await startGame({
+    players: ["quin", "rey"],
+    settings: { mode: "blitz", blitzSkipsAllowed: 1 },
+  });
+  assert.equal(initialState.mode, "blitz");
+  assert.equal(initialState.turnUid, null);
+  const streams = {};
+  for (const uid of ["quin", "rey"]) {
+    streams[uid] = await call(sockets[uid], "blitz:getQuestion", { roomId });
+    assert.equal(streams[uid].status, "ok", streams[uid].message);
+    assert.equal(streams[uid].questionNum, 1);
+  }
+  assert.notEqual(streams.quin.question.id, streams.rey.question.id);
+
+  const skipped = await call(sockets.rey, "blitz:skip", {
+    roomId,
+    questionId: streams.rey.question.id,
+  });
+  assert.equal(skipped.skipped, true);
+  assert.equal(skipped.skipsRemaining, 0);
+  const refused = await call(sockets.rey, "blitz:skip", {
+    roomId,
+    questionId: skipped.nextQuestion.id,
+  });
+  assert.equal(refused.status, "error");
+  assert.match(refused.message, /No skips remaining/);
+
+  // Each player answers their whole stream; the game ends once both are done
+  const answerStream = async (uid, question, correct) => {
+    while (question) {
+      const result = await call(sockets[uid], "blitz:submitAnswer", {
+        roomId,
+        questionId: question.id,
+        answerIndex: getFixtureAnswer(question, correct),
+      });
+      assert.equal(result.status, "ok", result.message);
+      assert.equal(result.correct, correct);
+      question = result.nextQuestion;
+    }
+  };
+  await answerStream("quin", streams.quin.question, true);
+  await answerStream("rey", skipped.nextQuestion, false);
+
+  const { rankings, reason } = await gameEnded;
+  assert.equal(reason, "allFinished");
+  assert.deepEqual(
+    rankings.map(({ uid, rank, correct, skipsUsed }) => [
+      uid,
+      rank,
+      correct,
+      skipsUsed,
+    ]),
+    [
+      ["quin", 1, initialState.totalQuestions, 0],
+      ["rey", 2, 0, 1],
+    ]
+  );
+});
+
+test("conquest players claim tiles until one owns enough categories [user-008]", async () => {
+  const { sockets, roomId, initialState, gameEnded } = await startGame({
+    players: ["sam", "tao"],
+    settings: {
+      mode: "conquest",
+      conquestCategories: ["History", "Geography"],
+      conquestWinThreshold: 1,
+      allowSteal: false,
+    },
+  });
+  const { board } = initialState;
+  assert.equal(initialState.question, null);
+  assert.equal(initialState.turnUid, "sam");
+  assert.deepEqual(
+    board.tiles.map(({ category, difficulty }) => [category, difficulty]),
+    [
+      ["History", "easy"],
+      ["History", "medium"],
+      ["History", "hard"],
+      ["Geography", "easy"],
+      ["Geography", "medium"],
+      ["Geography", "hard"],
+    ]
+  );
+
+  const refused = await call(sockets.tao, "game:pickTile", {
+    roomId,
+    tileId: "3",
+  });
+  assert.match(refused.message, /Not your turn to pick/);
+
+  let stateVersion = initialState.stateVersion;
+  const playTile = async (uid, tileId, correct) => {
+    const picked = await call(sockets[uid], "game:pickTile", {
+      roomId,
+      tileId,
+      stateVersion,
+    });
+    assert.equal(picked.status, "ok", picked.message);
+    assert.equal(picked.question.category, picked.tile.category);
+    assert.equal(picked.question.difficulty, picked.tile.difficulty);
+    const answered = await call(sockets[uid], "submitAnswer", {
+      roomId,
+      questionId: picked.question.id,
+      answerIndex: getFixtureAnswer(picked.question, correct),
+      stateVersion: picked.stateVersion,
+    });
+    assert.equal(answered.status, "ok", answered.message);
+    stateVersion = answered.stateVersion;
+    return answered;
+  };
+
+  const claimed = await playTile("sam", "0", true);
+  assert.equal(claimed.nextPhase, "pickTile");
+  assert.equal(claimed.nextUid, "tao");
+  assert.equal(claimed.board.tiles[0].ownerUid, "sam");
+  const missed = await playTile("tao", "3", false);
+  assert.equal(missed.board.tiles[3].status, "missed");
+  const taken = await call(sockets.sam, "game:pickTile", {
+    roomId,
+    tileId: "0",
+    stateVersion,
+  });
+  assert.match(taken.message, /not available/);
+  await playTile("sam", "1", true);
+
+  const finalScores = await gameEnded;
+  assert.equal(finalScores.mode, "conquest");
+  assert.deepEqual(finalScores.categoryOwners, {
+    History: "sam",
+    Geography: null,
+  });
+  assert.deepEqual(finalScores.winnerUids, ["sam"]);
+});
+
+test("answers are scored by the room's rules with a point breakdown [user-009]", async () => {
+  const { sockets, roomId, initialState, gameEnded } = await startGame({
+    players: ["uma", "vic"],
+    settings: {
+      questionsPerPlayer: 2,
+      allowSteal: false,
+      turnTimeoutSec: 60,
+      scoring: {
+        basePoints: 2,
+        difficultyMultipliers: { easy: 1.5 }, // Fixture questions are easy
+        speedBonusMax: 4,
+        streakBonusPerAnswer: 1,
+        wrongAnswerPenalty: 1,
+      },
+    },
+  });
+  // Each player's own result arrives before their answer is acknowledged
+  const answerResults = [];
+  for (const uid of ["uma", "vic"]) {
+    sockets[uid].on("answerResult", (result) => {
+      if (result.uid === uid) answerResults.push(result);
+    });
+  }
+
+  // uma answers every question right and vic every question wrong
+  let turn = initialState;
+  for (let answered = 0; answered < 4; answered++) {
+    const { turnUid, question, stateVersion } = turn;
+    const result = await call(sockets[turnUid], "submitAnswer", {
+      roomId,
+      questionId: question.id,
+      answerIndex: getFixtureAnswer(question, turnUid === "uma"),
+      stateVersion,
+    });
+    assert.equal(result.status, "ok", result.message);
+    turn = {
+      turnUid: result.nextUid,
+      question: result.nextQuestion,
+      stateVersion: result.stateVersion,
+    };
+  }
+  const finalScores = await gameEnded;
+
+  const breakdowns = (uid) =>
+    answerResults
+      .filter((result) => result.uid === uid)
+      .map(({ scoreBreakdown }) => scoreBreakdown);
+  const [first, second] = breakdowns("uma");
+  assert.equal(first.base, 2);
+  assert.equal(first.difficultyMultiplier, 1.5);
+  assert.equal(first.speedBonus, 4, "answered well before the deadline");
+  assert.equal(first.streakBonus, 0);
+  assert.equal(first.total, 7);
+  assert.equal(second.streakBonus, 1);
+  assert.equal(second.total, 8);
+  for (const wrong of breakdowns("vic")) {
+    assert.equal(wrong.penalty, 1);
+    assert.equal(wrong.total, -1);
+  }
+  assert.deepEqual(finalScores, { uma: 15, vic: -2 });
+});
+
+test("a turn left running by a restart is timed out on recovery [user-010]", async () => {
+  const { sockets, roomId, initialState } = await startGame({
+    players: ["wes", "xia"],
+    settings: { questionsPerPlayer: 2, allowSteal: false },
+  });
+  const { turnDeadlineAt } = (await getRoom(roomId)).data();
+  assert.ok(turnDeadlineAt > Date.now(), "the deadline is on the room");
+
+  // A restart loses the in-memory timer; the deadline passes while down
+  clearAllRoomTimers(roomId);
+  await updateRoom(roomId, { turnDeadlineAt: Date.now() - 1000 });
+  const nextTurn = nextEvent(sockets.wes, "nextTurn");
+  assert.ok((await recoverGameTimers()) >= 1);
+
+  const { turnUid, currentQuestionNum } = await nextTurn;
+  assert.notEqual(turnUid, initialState.turnUid);
+  assert.equal(currentQuestionNum, 2);
+});
+
+test("racing answers and timeouts advance a turn only once [user-012]", async () => {
+  const { sockets, roomId, initialState } = await startGame({
+    players: ["yan", "zoe"],
+    settings: { questionsPerPlayer: 2, allowSteal: false },
+  });
+  const { turnUid, question, stateVersion } = initialState;
+  const answer = {
+    roomId,
+    questionId: question.id,
+    answerIndex: getFixtureAnswer(question, true),
+    stateVersion,
+  };
+  const results = await Promise.all([
+    call(sockets[turnUid], "submitAnswer", answer),
+    call(sockets[turnUid], "submitAnswer", answer),
+  ]);
+  const [rejected, accepted] = results.sort((a, b) =>
+    a.status.localeCompare(b.status)
+  );
+  assert.equal(rejected.status, "error");
+  assert.equal(rejected.code, "STALE_STATE");
+  assert.equal(accepted.status, "ok", accepted.message);
+  assert.equal(accepted.stateVersion, stateVersion + 1);
+
+  // The turn's timer firing late is dropped rather than scored
+  const lateTimeout = await submitAnswer({
+    roomId,
+    uid: turnUid,
+    questionId: question.id,
+    answerIndex: -1,
+    isTimeout: true,
+    stateVersion,
+  });
+  assert.equal(lateTimeout.noActionTaken, true);
+
+  const { gameState } = await call(sockets[turnUid], "game:rejoin", { roomId });
+  const scorer = gameState.players.find((player) => player.uid === turnUid);
+  assert.equal(scorer.score, 1);
+});
+
+test("sockets swap in refreshed tokens for their own user only [user-015]", async () => {
+  const guest = await startGuestSession();
+  const socket = await connectWithToken(guest.token);
+
+  const refreshed = await call(socket, "auth:refresh", { token: guest.token });
+  assert.equal(refreshed.status, "ok", refreshed.message);
+  assert.equal(refreshed.expiresAt, Math.floor(guest.expiresAt / 1000) * 1000);
+
+  const otherUser = await call(socket, "auth:refresh", { token: "dev:amos" });
+  assert.match(otherUser.message, /different user/);
+
+  // Issued a full token lifetime ago
+  const now = Date.now();
+  const issuedAt = mock.method(Date, "now", () => now - GUEST_TOKEN_TTL_MS);
+  const { token: expiredToken } = issueGuestToken();
+  issuedAt.mock.restore();
+  const expired = await call(socket, "auth:refresh", { token: expiredToken });
+  assert.equal(expired.status, "error");
+  assert.equal(expired.code, "token_expired");
+  assert.equal(socket.connected, true, "the current token is still valid");
+});
+
+test("closing one of a player's tabs keeps them in the game [user-016]", async () => {
+  const { sockets, roomId } = await startGame({
+    players: ["abe", "cat"],
+    settings: { questionsPerPlayer: 2, allowSteal: false },
+  });
+  const secondTab = await connect("abe");
+  const rejoined = await call(secondTab, "game:rejoin", { roomId });
+  assert.equal(rejoined.status, "ok", rejoined.message);
+  const reconnecting = [];
+  sockets.cat.on("playerReconnecting", ({ uid }) => reconnecting.push(uid));
+
+  sockets.abe.close();
+  await delay(100);
+  assert.deepEqual(reconnecting, [], "still playing from the second tab");
+  const { gameState } = await call(sockets.cat, "game:rejoin", { roomId });
+  const abe = gameState.players.find(({ uid }) => uid === "abe");
+  assert.equal(abe.online, true);
+  assert.equal(abe.reconnecting, false);
+
+  const lastTabClosed = nextEvent(sockets.cat, "playerReconnecting");
+  secondTab.close();
+  assert.equal((await lastTabClosed).uid, "abe");
+});
+
+test("late spectators get the game as it stands mid-steal [user-018]", async () => {
+  const { sockets, roomId, initialState } = await startGame({
+    players: ["dan", "eve"],
+    settings: { questionsPerPlayer: 2, allowSteal: true, stealTimeoutSec: 15 },
+  });
+  const { turnUid, question, stateVersion } = initialState;
+  const answered = await call(sockets[turnUid], "submitAnswer", {
+    roomId,
+    questionId: question.id,
+    answerIndex: getFixtureAnswer(question, false),
+    stateVersion,
+  });
+  assert.equal(answered.nextPhase, "steal");
+
+  const fox = await connect("fox");
+  const spectating = nextEvent(fox, "spectatingActiveGame");
+  const { code } = (await getRoom(roomId)).data();
+  const joined = await call(fox, "joinRoom", { roomCode: code });
+  assert.equal(joined.role, "spectator");
+  const { gameState } = await spectating;
+
+  assert.equal(gameState.phase, "steal");
+  assert.ok(gameState.remainingMs > 0 && gameState.remainingMs <= 15000);
+  assert.equal(gameState.stateVersion, answered.stateVersion);
+  assert.equal(gameState.question.id, question.id);
+  assert.equal(gameState.question.correctIndex, undefined);
+  assert.deepEqual([...gameState.turnOrder].sort(), ["dan", "eve"]);
+  assert.equal(gameState.scores.dan, 0);
+  assert.equal(gameState.scores.eve, 0);
+  assert.deepEqual(
+    gameState.recentAnswers.map(({ uid, questionId, correct, isSteal }) => [
+      uid,
+      questionId,
+      correct,
+      isSteal,
+    ]),
+    [[turnUid, question.id, false, false]]
+  );
+});
+
+test("players back after going offline resume up to the rejoin limit [user-019]", async () => {
+  const { sockets, roomId, initialState } = await startGame({
+    players: ["hana", "ian"],
+    settings: {
+      questionsPerPlayer: 3,
+      allowSteal: false,
+      rejoin: { maxRejoins: 1 },
+    },
+  });
+  const { turnUid, question, stateVersion } = initialState;
+  await call(sockets[turnUid], "submitAnswer", {
+    roomId,
+    questionId: question.id,
+    answerIndex: getFixtureAnswer(question, true),
+    stateVersion,
+  });
+  const stayerUid = turnUid === "hana" ? "ian" : "hana";
+
+  // Drops out and stays away past the reconnect grace window
+  let socket = sockets[turnUid];
+  const dropAndReturn = async () => {
+    const reconnecting = nextEvent(sockets[stayerUid], "playerReconnecting");
+    socket.close();
+    await reconnecting;
+    await updatePlayer(roomId, turnUid, { reconnectDeadlineAt: Date.now() });
+    await resumeSeatHolds(roomId);
+    while ((await getPlayer(roomId, turnUid)).online) await delay(10);
+
+    socket = await connect(turnUid);
+    return call(socket, "game:rejoin", { roomId });
+  };
+
+  const resumed = await dropAndReturn();
+  assert.equal(resumed.status, "ok", resumed.message);
+  assert.equal(resumed.playerRole, "player");
+  const { players, turnOrder } = resumed.gameState;
+  assert.ok(turnOrder.includes(turnUid));
+  assert.equal(players.find(({ uid }) => uid === turnUid).score, 1);
+
+  const limited = await dropAndReturn();
+  assert.equal(limited.playerRole, "spectator");
+});
+
+test("game results add up to each player's stats [user-022]", async () => {
+  const { sockets, roomId, initialState, ratingsUpdated } = await startGame({
+    players: ["jan", "kim"],
+    settings: { questionsPerPlayer: 2, allowSteal: true },
+  });
+
+  // jan answers every turn and steals every question kim misses
+  let turn = initialState;
+  for (let turns = 0; turns < 4; turns++) {
+    const { turnUid, question, stateVersion } = turn;
+    let result = await call(sockets[turnUid], "submitAnswer", {
+      roomId,
+      questionId: question.id,
+      answerIndex: getFixtureAnswer(question, turnUid === "jan"),
+      stateVersion,
+    });
+    assert.equal(result.status, "ok", result.message);
+    if (result.nextPhase === "steal") {
+      result = await call(sockets.jan, "submitSteal", {
+        roomId,
+        questionId: question.id,
+        answerIndex: getFixtureAnswer(question, true),
+        stateVersion: result.stateVersion,
+      });
+      assert.equal(result.status, "ok", result.message);
+    }
+    turn = {
+      turnUid: result.nextUid,
+      question: result.nextQuestion,
+      stateVersion: result.stateVersion,
+    };
+  }
+  await ratingsUpdated;
+
+  const { stats } = await getJson("/api/profile", "jan");
+  assert.equal(stats.gamesPlayed, 1);
+  assert.equal(stats.gamesWon, 1);
+  assert.equal(stats.questionsAnswered, 4);
+  assert.equal(stats.accuracy, 1);
+  assert.equal(stats.stealsAttempted, 2);
+  assert.equal(stats.stealSuccessRate, 1);
+  assert.equal(stats.longestStreak, 4);
+  assert.ok(stats.averageAnswerTimeMs >= 0);
+  assert.deepEqual(stats.categories, {
+    Fixtures: { answered: 4, correct: 4, accuracy: 1 },
+  });
+
+  const card = await getJson("/api/profile/kim/stats", "jan");
+  assert.equal(card.uid, "kim");
+  assert.equal(card.stats.gamesPlayed, 1);
+  assert.equal(card.stats.gamesWon, 0);
+  assert.equal(card.stats.questionsAnswered, 2);
+  assert.equal(card.stats.accuracy, 0);
+  assert.equal(card.stats.stealsAttempted, 0);
+});
+
+test("finished games are ranked on live time-windowed boards [user-023]", async () => {
+  const follower = await connect("lee");
+  const subscribed = await call(follower, "leaderboard:subscribe", {
+    mode: "classic",
+    window: "daily",
+  });
+  assert.equal(subscribed.status, "ok", subscribed.message);
+  assert.equal(subscribed.me, null, "no game played today yet");
+  // Games that ended before this one may still be published first
+  const updated = new Promise((resolve) =>
+    follower.on("leaderboard:updated", (board) => {
+      if (board.entries.some(({ uid }) => uid === "lee")) resolve(board);
+    })
+  );
+
+  const { ratingsUpdated } = await playGame({
+    players: ["lee", "max"],
+    settings: { questionsPerPlayer: 1, allowSteal: false },
+    answersCorrectly: { lee: true, max: false },
+  });
+  const { change } = ratingsUpdated.ratings.lee;
+
+  const daily = await updated;
+  assert.equal(daily.window, "daily");
+  const rankOf = (uid) => daily.entries.find((entry) => entry.uid === uid).rank;
+  assert.ok(rankOf("lee") < rankOf("max"));
+
+  const weekly = await getJson("/api/leaderboards/classic/weekly/me", "lee");
+  assert.equal(weekly.entry.score, change);
+  assert.equal(weekly.entry.wins, 1);
+  assert.equal(weekly.entry.gamesPlayed, 1);
+  assert.ok(weekly.resetsAt > new Date().toISOString());
+
+  const page = await getJson(
+    "/api/leaderboards/classic/global?offset=1&limit=1",
+    "max"
+  );
+  assert.equal(page.offset, 1);
+  assert.deepEqual(
+    page.entries.map(({ rank }) => rank),
+    [2]
+  );
+  assert.equal(page.me.uid, "max");
+});
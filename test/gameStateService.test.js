@@ -0,0 +1,52 @@
+// server/test/gameStateService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { runRoomTransition } from "../src/services/gameStateService.js";
+
+test("after-commit tasks run once the transition is done [user-025]", async () => {
+  const steps = [];
+  let finishTask;
+  const taskDone = new Promise((resolve) => (finishTask = resolve));
+  const result = await runRoomTransition(
+    "room-deferred",
+    async (afterCommit) => {
+      afterCommit(async () => {
+        steps.push("task started");
+        await taskDone;
+        steps.push("task finished");
+      });
+      steps.push("transition");
+      return "scored";
+    }
+  );
+  assert.equal(result, "scored");
+
+  // A slow task does not hold up the room's next transition
+  await runRoomTransition("room-deferred", async () => {
+    steps.push("next transition");
+  });
+  finishTask();
+  await delay(10);
+  assert.deepEqual(steps, [
+    "transition",
+    "task started",
+    "next transition",
+    "task finished",
+  ]);
+});
+
+test("a failed transition drops its after-commit tasks [user-025]", async () => {
+  let ran = false;
+  await assert.rejects(
+    runRoomTransition("room-failed", async (afterCommit) => {
+      afterCommit(() => {
+        ran = true;
+      });
+      throw new Error("stale");
+    }),
+    /stale/
+  );
+  await delay(10);
+  assert.equal(ran, false);
+});
@@ -0,0 +1,63 @@
+// server/test/gameTimerService.test.js
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { store } from "../src/store/index.js";
+import {
+  ROOM_LEASE_TTL_MS,
+  clearAllRoomTimers,
+  holdsRoomLease,
+  setRoomTimer,
+  setRoomTimerHandoff,
+  tryAcquireRoomLease,
+  watchRoomLeaseExpiries,
+} from "../src/services/gameTimerService.js";
+
+const handedOff = [];
+setRoomTimerHandoff((roomId) => handedOff.push(roomId));
+
+test("a free lease is claimed by the timer and released with it [user-011]", async () => {
+  let fired = 0;
+  setRoomTimer("room-free", "turn", 10, () => fired++);
+  await delay(50);
+  assert.equal(fired, 1);
+  assert.equal(await holdsRoomLease("room-free"), true);
+
+  clearAllRoomTimers("room-free");
+  await delay(10);
+  assert.equal(await holdsRoomLease("room-free"), false);
+});
+
+test("a live lease is handed off, not taken over [user-011]", async () => {
+  await store.set("roomLease:room-held", "other-instance", ROOM_LEASE_TTL_MS);
+  let fired = 0;
+  setRoomTimer("room-held", "turn", 10, () => fired++);
+  await delay(50);
+
+  assert.equal(fired, 0);
+  assert.deepEqual(handedOff, ["room-held"]);
+  assert.equal(await store.get("roomLease:room-held"), "other-instance");
+  assert.equal(await tryAcquireRoomLease("room-held"), false);
+
+  // Taken over once it expires
+  await store.del("roomLease:room-held");
+  assert.equal(await tryAcquireRoomLease("room-held"), true);
+});
+
+test("rooms are adopted once their lease expires [user-011]", async () => {
+  mock.timers.enable({ apis: ["setInterval"] });
+  try {
+    const expired = [];
+    watchRoomLeaseExpiries(async (roomId) => expired.push(roomId));
+    assert.equal(await tryAcquireRoomLease("room-live"), true);
+    // Last renewed by an instance that has since stopped
+    await store.setSortedSetScore("roomLeaseExpiries", "room-gone", 0);
+
+    mock.timers.tick(ROOM_LEASE_TTL_MS);
+    await delay(10);
+    assert.ok(expired.includes("room-gone"));
+    assert.ok(!expired.includes("room-live"));
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,130 @@
+// server/test/leaderboardService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { db } from "../src/models/dbConfig.js";
+import {
+  addGameToLeaderboards,
+  getLeaderboard,
+  getLeaderboardPeriodKey,
+  getLeaderboardRank,
+} from "../src/services/leaderboardService.js";
+
+// A Wednesday
+const GAME_DATE = new Date("2026-03-11T15:30:00.000Z");
+
+function recordGame(players, now = GAME_DATE) {
+  return db.runTransaction(async (tx) =>
+    addGameToLeaderboards(tx, { mode: "classic", players, now })
+  );
+}
+
+test("daily periods are the UTC day", () => {
+  assert.equal(getLeaderboardPeriodKey("daily", GAME_DATE), "2026-03-11");
+  assert.equal(
+    getLeaderboardPeriodKey("daily", new Date("2026-03-11T23:59:59.999Z")),
+    "2026-03-11"
+  );
+  assert.equal(
+    getLeaderboardPeriodKey("daily", new Date("2026-03-12T00:00:00.000Z")),
+    "2026-03-12"
+  );
+});
+
+test("weekly periods start on the UTC Monday", () => {
+  assert.equal(getLeaderboardPeriodKey("weekly", GAME_DATE), "2026-03-09");
+  assert.equal(
+    getLeaderboardPeriodKey("weekly", new Date("2026-03-09T00:00:00.000Z")),
+    "2026-03-09"
+  );
+  assert.equal(
+    getLeaderboardPeriodKey("weekly", new Date("2026-03-15T23:59:59.999Z")),
+    "2026-03-09"
+  );
+  assert.equal(
+    getLeaderboardPeriodKey("weekly", new Date("2026-03-16T00:00:00.000Z")),
+    "2026-03-16"
+  );
+});
+
+test("the global board has a single period", () => {
+  assert.equal(getLeaderboardPeriodKey("global", GAME_DATE), "all");
+});
+
+test("games rank players on every window of their period", async () => {
+  await recordGame([
+    { uid: "a", displayName: "A", rating: 1216, change: 16, won: true },
+    { uid: "b", displayName: "B", rating: 1184, change: -16, won: false },
+  ]);
+  await recordGame(
+    [
+      { uid: "b", displayName: "B", rating: 1214, change: 30, won: true },
+      { uid: "c", displayName: "C", rating: 1170, change: -30, won: false },
+    ],
+    new Date("2026-03-13T09:00:00.000Z")
+  );
+
+  const global = await getLeaderboard({ mode: "classic", window: "global" });
+  assert.deepEqual(
+    global.entries.map(({ rank, uid, score }) => [rank, uid, score]),
+    [
+      [1, "a", 1216],
+      [2, "b", 1214],
+      [3, "c", 1170],
+    ]
+  );
+  assert.equal(global.resetsAt, null);
+
+  const weekly = await getLeaderboard({
+    mode: "classic",
+    window: "weekly",
+    period: "2026-03-15",
+  });
+  assert.equal(weekly.period, "2026-03-09");
+  assert.equal(weekly.resetsAt, "2026-03-16T00:00:00.000Z");
+  assert.deepEqual(
+    weekly.entries.map(({ uid, score, wins, gamesPlayed }) => [
+      uid,
+      score,
+      wins,
+      gamesPlayed,
+    ]),
+    [
+      ["a", 16, 1, 1],
+      ["b", 14, 1, 2],
+      ["c", -30, 0, 1],
+    ]
+  );
+
+  const daily = await getLeaderboard({
+    mode: "classic",
+    window: "daily",
+    period: "2026-03-11",
+    uid: "b",
+  });
+  assert.deepEqual(
+    daily.entries.map(({ uid }) => uid),
+    ["a", "b"]
+  );
+  assert.equal(daily.me.rank, 2);
+
+  const nextWeek = await getLeaderboardRank({
+    mode: "classic",
+    window: "weekly",
+    period: "2026-03-16",
+    uid: "a",
+  });
+  assert.equal(nextWeek.entry, null);
+});
+
+test("bad leaderboard queries are rejected with a 400", async () => {
+  await assert.rejects(getLeaderboard({ mode: "chess", window: "global" }), {
+    status: 400,
+  });
+  await assert.rejects(getLeaderboard({ mode: "classic", window: "monthly" }), {
+    status: 400,
+  });
+  await assert.rejects(
+    getLeaderboard({ mode: "classic", window: "daily", period: "11/03/2026" }),
+    { status: 400 }
+  );
+});
@@ -0,0 +1,87 @@
+// server/test/matchmakingService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { getPlayer } from "../src/models/playerModel.js";
+import { updateRoom } from "../src/models/roomModel.js";
+import { joinQuickMatch } from "../src/services/matchmakingService.js";
+import {
+  SEAT_HOLD_KINDS,
+  releasePlayerSeat,
+} from "../src/services/reconnectService.js";
+import {
+  ROOM_VISIBILITIES,
+  createRoom,
+  joinRoom,
+  listPublicRooms,
+} from "../src/services/roomService.js";
+
+async function assertSeatReserved(roomId, uid) {
+  const player = await getPlayer(roomId, uid);
+  assert.equal(player.online, false, `${uid} is not in the room yet`);
+  assert.equal(player.reconnectHoldKind, SEAT_HOLD_KINDS.RESERVATION);
+}
+
+test("quick-matched players only hold a seat until they join [user-020]", async () => {
+  const first = await joinQuickMatch({ uid: "zed", name: "Zed" });
+  assert.deepEqual(first.matches, []);
+  assert.equal(first.queueSize, 1);
+  await delay(5);
+  const second = await joinQuickMatch({ uid: "amy", name: "Amy" });
+  const [match] = second.matches;
+  assert.deepEqual(match.uids, ["zed", "amy"], "the longest-waiting hosts");
+  assert.equal(second.queueSize, 0);
+  await assertSeatReserved(match.roomId, "zed");
+  await assertSeatReserved(match.roomId, "amy");
+
+  const placed = await joinQuickMatch({ uid: "bea", name: "Bea" });
+  assert.equal(placed.matches[0].roomId, match.roomId);
+  await assertSeatReserved(match.roomId, "bea");
+
+  await joinRoom({ uid: "amy", name: "Amy", code: match.roomCode });
+  assert.equal((await getPlayer(match.roomId, "amy")).online, true);
+  assert.equal(
+    await releasePlayerSeat(match.roomId, "amy"),
+    SEAT_HOLD_KINDS.RESERVATION
+  );
+  for (const uid of ["zed", "bea"]) {
+    await releasePlayerSeat(match.roomId, uid);
+  }
+});
+
+test("public rooms are listed from their stored member counts [user-020]", async () => {
+  const open = await createRoom({
+    uid: "cal",
+    name: "Cal",
+    visibility: ROOM_VISIBILITIES.PUBLIC,
+    mode: "blitz",
+  });
+  await joinRoom({ uid: "dot", name: "Dot", code: open.code });
+  const locked = await createRoom({
+    uid: "eli",
+    name: "Eli",
+    visibility: ROOM_VISIBILITIES.PUBLIC,
+    mode: "blitz",
+  });
+  await updateRoom(locked.id, { locked: true });
+  const full = await createRoom({
+    uid: "fay",
+    name: "Fay",
+    visibility: ROOM_VISIBILITIES.PUBLIC,
+    mode: "blitz",
+  });
+  for (let i = 1; i < 8; i++) {
+    await joinRoom({ uid: `fan${i}`, name: `Fan ${i}`, code: full.code });
+  }
+
+  const rooms = await listPublicRooms({ mode: "blitz" });
+  assert.deepEqual(
+    rooms.map(({ roomId, hostName, playerCount, spectatorCount }) => [
+      roomId,
+      hostName,
+      playerCount,
+      spectatorCount,
+    ]),
+    [[open.id, "Cal", 2, 0]]
+  );
+});
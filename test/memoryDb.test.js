@@ -0,0 +1,99 @@
+// server/test/memoryDb.test.js
+// The in-memory backend must behave like the Firestore API the models and
+// services use (see src/models/memoryDb.js).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../src/models/memoryDb.js";
+
+test("updates apply field values and dotted paths [user-013]", async () => {
+  const { db, FieldValue } = createMemoryDb();
+  const ref = db.collection("rooms").doc("r1");
+  await ref.set({ score: 1, tags: ["a"], settings: { mode: "classic" } });
+  await ref.update({
+    score: FieldValue.increment(2),
+    tags: FieldValue.arrayUnion("a", "b"),
+    "settings.mode": "team",
+    "settings.teamCount": 2,
+    startedAt: FieldValue.serverTimestamp(),
+  });
+  await ref.set({ settings: { locked: true } }, { merge: true });
+
+  const data = (await ref.get()).data();
+  assert.equal(data.score, 3);
+  assert.deepEqual(data.tags, ["a", "b"]);
+  assert.deepEqual(data.settings, {
+    mode: "team",
+    teamCount: 2,
+    locked: true,
+  });
+  assert.ok(data.startedAt instanceof Date);
+
+  await ref.update({ startedAt: FieldValue.delete() });
+  assert.equal((await ref.get()).data().startedAt, undefined);
+  await assert.rejects(db.collection("rooms").doc("r2").update({ score: 1 }), {
+    code: 5,
+  });
+});
+
+test("queries filter, order and limit a collection's own documents [user-013]", async () => {
+  const { db } = createMemoryDb();
+  const rooms = db.collection("rooms");
+  await rooms.doc("a").set({ state: "waiting", createdAt: 3 });
+  await rooms.doc("b").set({ state: "waiting", createdAt: 1 });
+  await rooms.doc("c").set({ state: "active", createdAt: 2 });
+  await rooms.doc("d").set({ state: "waiting" }); // Left out by the ordering
+  await rooms.doc("a").collection("players").doc("p").set({ state: "waiting" });
+
+  const snapshot = await rooms
+    .where("state", "==", "waiting")
+    .orderBy("createdAt", "desc")
+    .limit(5)
+    .get();
+  assert.deepEqual(
+    snapshot.docs.map((doc) => doc.id),
+    ["a", "b"]
+  );
+  const count = await rooms.where("createdAt", ">=", 2).count().get();
+  assert.equal(count.data().count, 2);
+});
+
+test("transactions retry when a document they read changes [user-013]", async () => {
+  const { db } = createMemoryDb();
+  const ref = db.collection("rooms").doc("r1");
+  await ref.set({ stateVersion: 0 });
+
+  let attempts = 0;
+  const version = await db.runTransaction(async (tx) => {
+    attempts++;
+    const { stateVersion } = (await tx.get(ref)).data();
+    // Another writer gets in first, once
+    if (attempts === 1) await ref.update({ stateVersion: stateVersion + 1 });
+    tx.update(ref, { stateVersion: stateVersion + 1 });
+    return stateVersion + 1;
+  });
+  assert.equal(attempts, 2);
+  assert.equal(version, 2);
+  assert.equal((await ref.get()).data().stateVersion, 2);
+});
+
+test("a failed batch leaves documents and transactions alone [user-013]", async () => {
+  const { db } = createMemoryDb();
+  const ref = db.collection("rooms").doc("r1");
+  await ref.set({ stateVersion: 0 });
+
+  let attempts = 0;
+  await db.runTransaction(async (tx) => {
+    attempts++;
+    await tx.get(ref);
+    const batch = db.batch();
+    batch.update(ref, { stateVersion: 5 });
+    batch.set(db.collection("rooms").doc("r2"), { stateVersion: 0 });
+    batch.update(db.collection("rooms").doc("missing"), { stateVersion: 1 });
+    await assert.rejects(batch.commit(), { code: 5 });
+    tx.update(ref, { stateVersion: 1 });
+  });
+
+  assert.equal(attempts, 1, "the rolled-back batch changed nothing it read");
+  assert.equal((await ref.get()).data().stateVersion, 1);
+  assert.equal((await db.collection("rooms").doc("r2").get()).exists, false);
+});
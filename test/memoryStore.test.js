@@ -0,0 +1,40 @@
+// server/test/memoryStore.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { createMemoryStore } from "../src/store/memoryStore.js";
+
+test("every add to a set refreshes its TTL, as in Redis [user-011]", async () => {
+  const store = createMemoryStore();
+  await store.addToSet("votes", "a", 60);
+  await delay(40);
+  await store.addToSet("votes", "b", 60);
+  await delay(40);
+  assert.deepEqual((await store.getSetMembers("votes")).sort(), ["a", "b"]);
+
+  await store.addToSet("votes", "c"); // No TTL given: the current one stays
+  await delay(40);
+  assert.deepEqual(await store.getSetMembers("votes"), []);
+});
+
+test("sorted sets list members lowest score first [user-011]", async () => {
+  const store = createMemoryStore();
+  await store.setSortedSetScore("leases", "late", 30);
+  await store.setSortedSetScore("leases", "early", 10);
+  await store.setSortedSetScore("leases", "middle", 20);
+  assert.deepEqual(await store.getSortedSetMembers("leases"), [
+    "early",
+    "middle",
+    "late",
+  ]);
+  assert.deepEqual(
+    await store.getSortedSetMembers("leases", { maxScore: 20, limit: 1 }),
+    ["early"]
+  );
+  assert.equal(await store.removeFromSortedSet("leases", "early"), true);
+  assert.equal(await store.removeFromSortedSet("leases", "early"), false);
+  assert.deepEqual(
+    await store.getSortedSetMembers("leases", { maxScore: 20 }),
+    ["middle"]
+  );
+});
@@ -0,0 +1,166 @@
+// server/test/ratingService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculateRatingChanges,
+  rankFinalStandings,
+  getModeRating,
+  DEFAULT_RATING,
+} from "../src/services/ratingService.js";
+
+const players = (...uids) => uids.map((uid) => ({ id: uid }));
+
+test("new players start at the default rating", () => {
+  assert.deepEqual(getModeRating(null, "classic"), {
+    rating: DEFAULT_RATING,
+    gamesPlayed: 0,
+  });
+  assert.deepEqual(
+    getModeRating(
+      { ratings: { classic: { rating: 1300, gamesPlayed: 4 } } },
+      "classic"
+    ),
+    { rating: 1300, gamesPlayed: 4 }
+  );
+});
+
+test("equal ratings move by half the K-factor in a one-on-one", () => {
+  const changes = calculateRatingChanges([
+    { uid: "a", rank: 1, rating: 1200, gamesPlayed: 20 },
+    { uid: "b", rank: 2, rating: 1200, gamesPlayed: 20 },
+  ]);
+  assert.deepEqual(changes, { a: 16, b: -16 });
+});
+
+test("provisional players move faster", () => {
+  const changes = calculateRatingChanges([
+    { uid: "a", rank: 1, rating: 1200, gamesPlayed: 0 },
+    { uid: "b", rank: 2, rating: 1200, gamesPlayed: 20 },
+  ]);
+  assert.equal(changes.a, 24);
+  assert.equal(changes.b, -16);
+});
+
+test("a draw takes points from the higher-rated player", () => {
+  const changes = calculateRatingChanges([
+    { uid: "a", rank: 1, rating: 1400, gamesPlayed: 20 },
+    { uid: "b", rank: 1, rating: 1200, gamesPlayed: 20 },
+  ]);
+  assert.ok(changes.a < 0);
+  assert.equal(changes.b, -changes.a);
+});
+
+test("an upset wins more than an expected result", () => {
+  const upset = calculateRatingChanges([
+    { uid: "a", rank: 1, rating: 1100, gamesPlayed: 20 },
+    { uid: "b", rank: 2, rating: 1300, gamesPlayed: 20 },
+  ]);
+  const expected = calculateRatingChanges([
+    { uid: "a", rank: 1, rating: 1300, gamesPlayed: 20 },
+    { uid: "b", rank: 2, rating: 1100, gamesPlayed: 20 },
+  ]);
+  assert.ok(upset.a > expected.a);
+});
+
+test("multiplayer changes average the head-to-head results", () => {
+  const changes = calculateRatingChanges([
+    { uid: "a", rank: 1, rating: 1200, gamesPlayed: 20 },
+    { uid: "b", rank: 2, rating: 1200, gamesPlayed: 20 },
+    { uid: "c", rank: 3, rating: 1200, gamesPlayed: 20 },
+  ]);
+  assert.deepEqual(changes, { a: 16, b: 0, c: -16 });
+});
+
+test("a lone player's rating does not move", () => {
+  assert.deepEqual(
+    calculateRatingChanges([
+      { uid: "a", rank: 1, rating: 1200, gamesPlayed: 0 },
+    ]),
+    { a: 0 }
+  );
+});
+
+test("classic standings follow the scores, ties sharing a rank", () => {
+  const standings = rankFinalStandings({
+    finalScores: { a: 3, b: 5, c: 3 }, // Classic sends the bare score map
+    participantUids: ["a", "b", "c"],
+    players: players("a", "b", "c"),
+  });
+  assert.deepEqual(standings, [
+    { uid: "b", rank: 1 },
+    { uid: "a", rank: 2 },
+    { uid: "c", rank: 2 },
+  ]);
+});
+
+test("players who left rank last", () => {
+  const standings = rankFinalStandings({
+    finalScores: { a: 0, b: 9 },
+    participantUids: ["a", "b"],
+    players: players("a"),
+  });
+  assert.deepEqual(standings, [
+    { uid: "a", rank: 1 },
+    { uid: "b", rank: 2 },
+  ]);
+});
+
+test("teammates share their team's rank", () => {
+  const standings = rankFinalStandings({
+    finalScores: {
+      mode: "team",
+      scores: { a: 1, b: 4, c: 3, d: 0 },
+      teamScores: { red: 5, blue: 3 },
+    },
+    participantUids: ["a", "b", "c", "d"],
+    players: [
+      { id: "a", teamId: "red" },
+      { id: "b", teamId: "red" },
+      { id: "c", teamId: "blue" },
+      { id: "d", teamId: "blue" },
+    ],
+  });
+  assert.deepEqual(standings, [
+    { uid: "a", rank: 1 },
+    { uid: "b", rank: 1 },
+    { uid: "c", rank: 3 },
+    { uid: "d", rank: 3 },
+  ]);
+});
+
+test("conquest winners finish first whatever their score", () => {
+  const standings = rankFinalStandings({
+    finalScores: {
+      mode: "conquest",
+      scores: { a: 2, b: 8 },
+      winnerUids: ["a"],
+    },
+    participantUids: ["a", "b"],
+    players: players("a", "b"),
+  });
+  assert.deepEqual(standings, [
+    { uid: "a", rank: 1 },
+    { uid: "b", rank: 2 },
+  ]);
+});
+
+test("modes with rankings use them", () => {
+  const standings = rankFinalStandings({
+    finalScores: {
+      mode: "survival",
+      scores: { a: 9, b: 1, c: 4 },
+      rankings: [
+        { uid: "b", rank: 1 },
+        { uid: "c", rank: 2 },
+        { uid: "a", rank: 2 },
+      ],
+    },
+    participantUids: ["a", "b", "c"],
+    players: players("a", "b", "c"),
+  });
+  assert.deepEqual(standings, [
+    { uid: "b", rank: 1 },
+    { uid: "a", rank: 2 },
+    { uid: "c", rank: 2 },
+  ]);
+});
@@ -0,0 +1,89 @@
+// server/test/reconnectService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { setTimeout as delay } from "node:timers/promises";
+import { createRoomWithHost } from "../src/models/roomModel.js";
+import { getPlayer, updatePlayer } from "../src/models/playerModel.js";
+import {
+  SEAT_HOLD_KINDS,
+  holdPlayerSeat,
+  onSeatHoldExpired,
+  recoverSeatHolds,
+  releasePlayerSeat,
+} from "../src/services/reconnectService.js";
+
+const expired = [];
+onSeatHoldExpired(SEAT_HOLD_KINDS.LOBBY, async ({ roomId, uid }) => {
+  expired.push(`${roomId}:${uid}`);
+});
+
+async function openRoom(roomId, uid) {
+  await createRoomWithHost(
+    roomId,
+    { state: "waiting", hostUid: uid },
+    { uid, name: uid, online: true, joinOrder: 0 }
+  );
+}
+
+test("a saved seat hold is recovered and expires once [user-017]", async () => {
+  await openRoom("room-restarted", "kit");
+  // As left by an instance that stopped before the deadline
+  await updatePlayer("room-restarted", "kit", {
+    reconnecting: true,
+    reconnectDeadlineAt: Date.now() - 1,
+    reconnectHoldKind: SEAT_HOLD_KINDS.LOBBY,
+  });
+
+  assert.equal(await recoverSeatHolds(), 1);
+  await recoverSeatHolds(); // Re-arming replaces the timer
+  await delay(50);
+
+  assert.deepEqual(expired, ["room-restarted:kit"]);
+  const player = await getPlayer("room-restarted", "kit");
+  assert.equal(player.reconnecting, false);
+  assert.equal(player.reconnectDeadlineAt, null);
+});
+
+test("a player back in time keeps their seat [user-017]", async () => {
+  await openRoom("room-returned", "lou");
+  const reconnectDeadlineAt = await holdPlayerSeat({
+    roomId: "room-returned",
+    uid: "lou",
+    kind: SEAT_HOLD_KINDS.LOBBY,
+  });
+  assert.ok(reconnectDeadlineAt > Date.now());
+  const player = await getPlayer("room-returned", "lou");
+  assert.equal(player.reconnectDeadlineAt, reconnectDeadlineAt);
+
+  assert.equal(
+    await releasePlayerSeat("room-returned", "lou"),
+    SEAT_HOLD_KINDS.LOBBY
+  );
+  assert.equal(await releasePlayerSeat("room-returned", "lou"), null);
+  assert.equal(await recoverSeatHolds(), 0);
+  assert.ok(!expired.includes("room-returned:lou"));
+});
+
+test("an invalid grace window falls back to the default [user-017]", () => {
+  const readGraceSeconds = (value) =>
+    execFileSync(
+      process.execPath,
+      [
+        "--input-type=module",
+        "-e",
+        "const { RECONNECT_GRACE_SECONDS } = await import('./src/config/index.js');" +
+          "console.log(RECONNECT_GRACE_SECONDS);",
+      ],
+      {
+        env: { ...process.env, RECONNECT_GRACE_SECONDS: value },
+        stdio: ["ignore", "pipe", "ignore"],
+      }
+    )
+      .toString()
+      .trim();
+  assert.equal(readGraceSeconds("abc"), "30");
+  assert.equal(readGraceSeconds("-5"), "30");
+  assert.equal(readGraceSeconds("0"), "0");
+  assert.equal(readGraceSeconds("12"), "12");
+});
@@ -0,0 +1,26 @@
+// server/test/roomService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { updateRoom } from "../src/models/roomModel.js";
+import { getPlayer } from "../src/models/playerModel.js";
+import { createRoom, joinRoom } from "../src/services/roomService.js";
+
+test("a join is refused by a ban or lock made while it was on its way [user-003]", async () => {
+  const room = await createRoom({ uid: "gil", name: "Gil" });
+
+  // The ban lands after the join looked the room up by code
+  const banned = joinRoom({ uid: "hob", name: "Hob", code: room.code });
+  await updateRoom(room.id, { bannedUids: ["hob"] });
+  await assert.rejects(banned, /banned/);
+  assert.equal(await getPlayer(room.id, "hob"), null);
+
+  const locked = joinRoom({ uid: "ida", name: "Ida", code: room.code });
+  await updateRoom(room.id, { locked: true });
+  await assert.rejects(locked, /locked/);
+
+  await updateRoom(room.id, { locked: false, state: "ended" });
+  await assert.rejects(
+    joinRoom({ uid: "ida", name: "Ida", code: room.code }),
+    /ended/
+  );
+});
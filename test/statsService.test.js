@@ -0,0 +1,143 @@
+// server/test/statsService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildGameStats,
+  mergeStats,
+  summarizeStats,
+} from "../src/services/statsService.js";
+
+test("mergeStats sums counters, keeps maximums and merges nested maps", () => {
+  const base = {
+    gamesPlayed: 2,
+    longestStreak: 4,
+    categories: { History: { answered: 3, correct: 1 } },
+  };
+  const merged = mergeStats(base, {
+    gamesPlayed: 1,
+    longestStreak: 2,
+    categories: {
+      History: { answered: 1, correct: 1 },
+      Geography: { answered: 2, correct: 2 },
+    },
+  });
+  assert.deepEqual(merged, {
+    gamesPlayed: 3,
+    longestStreak: 4,
+    categories: {
+      History: { answered: 4, correct: 2 },
+      Geography: { answered: 2, correct: 2 },
+    },
+  });
+  assert.equal(base.gamesPlayed, 2, "the inputs are left alone");
+});
+
+test("mergeStats starts from nothing", () => {
+  assert.deepEqual(mergeStats(undefined, { gamesWon: 1 }), { gamesWon: 1 });
+});
+
+test("buildGameStats counts each participant's answers", () => {
+  const stats = buildGameStats({
+    mode: "classic",
+    standings: [
+      { uid: "a", rank: 1 },
+      { uid: "b", rank: 2 },
+    ],
+    answers: [
+      {
+        uid: "a",
+        correct: true,
+        elapsedMs: 1000,
+        category: "History",
+        streak: 1,
+      },
+      {
+        uid: "b",
+        correct: false,
+        elapsedMs: 3000,
+        category: "History",
+        streak: 0,
+      },
+      {
+        uid: "a",
+        correct: true,
+        elapsedMs: 2000,
+        category: "Geography",
+        isSteal: true,
+        streak: 2,
+      },
+      { uid: "b", correct: false, isTimeout: true, streak: 0 },
+      { uid: "spectator", correct: true, elapsedMs: 10 },
+    ],
+  });
+
+  assert.deepEqual(Object.keys(stats).sort(), ["a", "b"]);
+  assert.deepEqual(stats.a, {
+    gamesPlayed: 1,
+    gamesWon: 1,
+    modes: { classic: { gamesPlayed: 1, gamesWon: 1 } },
+    questionsAnswered: 2,
+    correctAnswers: 2,
+    timedAnswers: 2,
+    totalAnswerTimeMs: 3000,
+    categories: {
+      History: { answered: 1, correct: 1 },
+      Geography: { answered: 1, correct: 1 },
+    },
+    stealsAttempted: 1,
+    stealsSucceeded: 1,
+    longestStreak: 2,
+  });
+  assert.equal(stats.b.gamesWon, 0);
+  assert.equal(stats.b.questionsAnswered, 1);
+  assert.equal(stats.b.timeouts, 1);
+});
+
+test("buildGameStats counts an all-way tie as a draw", () => {
+  const stats = buildGameStats({
+    mode: "classic",
+    standings: [
+      { uid: "a", rank: 1 },
+      { uid: "b", rank: 1 },
+    ],
+    answers: [],
+  });
+  assert.equal(stats.a.gamesWon, 0);
+  assert.equal(stats.b.gamesWon, 0);
+  assert.equal(stats.a.gamesPlayed, 1);
+});
+
+test("summarizeStats derives the rates", () => {
+  const summary = summarizeStats({
+    gamesPlayed: 4,
+    gamesWon: 1,
+    questionsAnswered: 10,
+    correctAnswers: 7,
+    stealsAttempted: 2,
+    stealsSucceeded: 1,
+    timedAnswers: 4,
+    totalAnswerTimeMs: 10000,
+    categories: { History: { answered: 4, correct: 3 } },
+    modes: { classic: { gamesPlayed: 4, gamesWon: 1 } },
+  });
+  assert.equal(summary.winRate, 0.25);
+  assert.equal(summary.accuracy, 0.7);
+  assert.equal(summary.stealSuccessRate, 0.5);
+  assert.equal(summary.averageAnswerTimeMs, 2500);
+  assert.deepEqual(summary.categories, {
+    History: { answered: 4, correct: 3, accuracy: 0.75 },
+  });
+  assert.deepEqual(summary.modes, {
+    classic: { gamesPlayed: 4, gamesWon: 1 },
+  });
+});
+
+test("summarizeStats leaves rates null before anything was played", () => {
+  const summary = summarizeStats();
+  assert.equal(summary.gamesPlayed, 0);
+  assert.equal(summary.winRate, null);
+  assert.equal(summary.accuracy, null);
+  assert.equal(summary.stealSuccessRate, null);
+  assert.equal(summary.averageAnswerTimeMs, null);
+  assert.deepEqual(summary.categories, {});
+});